@@ -0,0 +1,410 @@
+/**
+ * Ambiguity Analysis
+ *
+ * Decides how many accepting runs a string can have in the automaton shown
+ * by a view, using the criteria of Weber and Seidl on the trimmed automaton
+ * A (the states on some accepting path):
+ * - Unambiguous: every accepted string has one accepting run. In the
+ *   self-product A×A no useful pair (p, q) has p ≠ q.
+ * - Exponentially ambiguous (EDA): some state p has two distinct cycles
+ *   p →v p on the same word v. Then a strongly connected component of A×A
+ *   contains both a pair (p, p) and a pair (q, r) with q ≠ r.
+ * - Polynomially ambiguous (IDA): there are states p ≠ q and a word v with
+ *   p →v p, p →v q and q →v q. Then (p, p, q) reaches (p, q, q) in A×A×A.
+ *   The degree of the polynomial is the longest chain of such pairs
+ *   (p1, q1), (p2, q2), ... in which each q_i reaches p_i+1.
+ * - Otherwise finitely ambiguous: the number of runs is bounded.
+ *
+ * Epsilon transitions are removed first (as in the ε-closure stage), so
+ * runs are those of the ε-free automaton.
+ *
+ * @module ambiguity
+ */
+
+import { findStronglyConnectedComponents } from './util.js';
+
+/** Degrees of ambiguity */
+export const AMBIGUITY = {
+  UNAMBIGUOUS: 'unambiguous',
+  FINITE: 'finite',
+  POLYNOMIAL: 'polynomial',
+  EXPONENTIAL: 'exponential'
+};
+
+/**
+ * @typedef {Object} AmbiguityAnalysis
+ * @property {string} type - An AMBIGUITY value
+ * @property {number|null} degree - For polynomial ambiguity, the degree d
+ *   such that strings of length n have O(n^d) accepting runs
+ * @property {import('./nfa.js').RunHighlights|null} highlights - States and
+ *   edges responsible: where runs diverge (finite), the cycles of a chain
+ *   of IDA pairs (polynomial) or the two cycles on one word (exponential)
+ */
+
+// ============================================
+// Automata
+// ============================================
+
+/**
+ * Get the ε-free automaton shown by a view, with its useful states marked.
+ * @param {import('./nfa_view.js').NFAView} view
+ * @returns {import('./nfa_view.js').LocalAutomaton & {useful: Uint8Array}}
+ */
+function getTrimmedAutomaton(view) {
+  const automaton = view.withEpsilonClosure().getLocalAutomaton();
+  const n = automaton.states.length;
+
+  const search = (seeds, edges) => {
+    const seen = new Uint8Array(n);
+    const stack = [];
+    seeds.forEach((isSeed, p) => {
+      if (isSeed) {
+        seen[p] = 1;
+        stack.push(p);
+      }
+    });
+    while (stack.length > 0) {
+      const p = stack.pop();
+      for (const bySource of edges) {
+        for (const q of bySource[p]) {
+          if (!seen[q]) {
+            seen[q] = 1;
+            stack.push(q);
+          }
+        }
+      }
+    }
+    return seen;
+  };
+  const reachable = search(automaton.start, automaton.succ);
+  const live = search(automaton.accept, automaton.pred);
+
+  return { ...automaton, useful: reachable.map((r, p) => r & live[p]) };
+}
+
+/**
+ * Counts work done by the analysis and stops it at a limit.
+ * @param {number} maxSteps
+ * @returns {() => void} Call once per step
+ */
+function createBudget(maxSteps) {
+  let steps = 0;
+  return () => {
+    if (++steps > maxSteps) {
+      throw new Error(`Ambiguity analysis stopped after ${maxSteps} steps; the automaton is too large.`);
+    }
+  };
+}
+
+/**
+ * Build the useful part of the self-product A×A: pairs of states reached
+ * by one word from start states, from which one word leads to acceptance.
+ *
+ * @param {ReturnType<typeof getTrimmedAutomaton>} automaton
+ * @param {() => void} tick
+ * @returns {{first: number[], second: number[], edges: number[][]}} Pair
+ *   nodes (their two states) and successor lists between useful pairs
+ */
+function buildPairGraph(automaton, tick) {
+  const { succ, start, accept, useful } = automaton;
+  const n = automaton.states.length;
+  const usefulStart = [];
+  start.forEach((isStart, p) => { if (isStart && useful[p]) usefulStart.push(p); });
+
+  const nodeOf = new Map();
+  const first = [];
+  const second = [];
+  const edges = [];
+  const addNode = (p, q) => {
+    const key = p * n + q;
+    if (!nodeOf.has(key)) {
+      nodeOf.set(key, first.length);
+      first.push(p);
+      second.push(q);
+      edges.push([]);
+    }
+    return nodeOf.get(key);
+  };
+  for (const p of usefulStart) {
+    for (const q of usefulStart) addNode(p, q);
+  }
+
+  for (let node = 0; node < first.length; node++) {
+    const targets = new Set();
+    for (const bySource of succ) {
+      for (const p of bySource[first[node]]) {
+        if (!useful[p]) continue;
+        for (const q of bySource[second[node]]) {
+          if (!useful[q]) continue;
+          tick();
+          targets.add(addNode(p, q));
+        }
+      }
+    }
+    edges[node] = [...targets];
+  }
+
+  // Keep pairs from which both runs can accept on the same word.
+  const predecessors = first.map(() => []);
+  edges.forEach((targets, node) => targets.forEach(t => predecessors[t].push(node)));
+  const live = new Uint8Array(first.length);
+  const stack = [];
+  first.forEach((p, node) => {
+    if (accept[p] && accept[second[node]]) {
+      live[node] = 1;
+      stack.push(node);
+    }
+  });
+  while (stack.length > 0) {
+    for (const from of predecessors[stack.pop()]) {
+      if (!live[from]) {
+        live[from] = 1;
+        stack.push(from);
+      }
+    }
+  }
+
+  return {
+    first,
+    second,
+    edges: edges.map((targets, node) => (live[node] ? targets.filter(t => live[t]) : [])),
+    live,
+  };
+}
+
+// ============================================
+// Witnesses
+// ============================================
+
+/**
+ * Collects states and edges of the local automaton as view highlights.
+ */
+class HighlightCollector {
+  /**
+   * @param {number[]} stateIds - View state ID of each local index
+   */
+  constructor(stateIds) {
+    this.stateIds = stateIds;
+    this.states = new Set();
+    this.edges = new Set();
+  }
+
+  addState(p) {
+    this.states.add(this.stateIds[p]);
+  }
+
+  addEdge(p, q) {
+    this.addState(p);
+    this.addState(q);
+    this.edges.add(`${this.stateIds[p]}-${this.stateIds[q]}`);
+  }
+
+  /** @returns {import('./nfa.js').RunHighlights} */
+  toHighlights() {
+    return {
+      visitedStates: [...this.states].sort((a, b) => a - b),
+      visitedEdges: [...this.edges],
+      visitedEpsilonEdges: [],
+      finalStates: [],
+    };
+  }
+}
+
+/**
+ * Search A×A×A for a word v with p →v p, p →v q and q →v q.
+ *
+ * Every state on the first run must stay in p's component, on the third
+ * run in q's component, and on the second run between p and q, which
+ * keeps the search small.
+ *
+ * @returns {number[][]|null} The triples along the path, or null if there is none
+ */
+function findIdaPath(automaton, p, q, context, tick) {
+  const { succ } = automaton;
+  const { componentOf, reaches } = context;
+  const n = automaton.states.length;
+  const key = (x, y, z) => (x * n + y) * n + z;
+  const allowed = (x, y, z) => componentOf[x] === componentOf[p] && componentOf[z] === componentOf[q]
+    && reaches[p].has(y) && reaches[y].has(q);
+
+  const target = key(p, q, q);
+  const parents = new Map([[key(p, p, q), null]]);
+  const queue = [[p, p, q]];
+  for (let head = 0; head < queue.length; head++) {
+    const [x, y, z] = queue[head];
+    for (const bySource of succ) {
+      for (const x2 of bySource[x]) {
+        for (const y2 of bySource[y]) {
+          for (const z2 of bySource[z]) {
+            tick();
+            if (!allowed(x2, y2, z2)) continue;
+            const k = key(x2, y2, z2);
+            if (parents.has(k)) continue;
+            parents.set(k, [x, y, z]);
+            if (k === target) {
+              const path = [[x2, y2, z2]];
+              for (let t = parents.get(k); t !== null; t = parents.get(key(...t))) path.push(t);
+              return path.reverse();
+            }
+            queue.push([x2, y2, z2]);
+          }
+        }
+      }
+    }
+  }
+  return null;
+}
+
+// ============================================
+// Analysis
+// ============================================
+
+/**
+ * Decide the degree of ambiguity of the automaton shown by a view.
+ * @param {import('./nfa_view.js').NFAView} view
+ * @param {{ maxSteps?: number }} [options]
+ * @returns {AmbiguityAnalysis}
+ */
+export function analyzeAmbiguity(view, options = {}) {
+  const tick = createBudget(options.maxSteps ?? 2_000_000);
+  const automaton = getTrimmedAutomaton(view);
+  const { succ, useful } = automaton;
+  const n = automaton.states.length;
+  const collector = new HighlightCollector(automaton.states);
+
+  // Unambiguous iff no two different runs can be on one accepting path.
+  const pairs = buildPairGraph(automaton, tick);
+  const offDiagonal = (node) => pairs.live[node] && pairs.first[node] !== pairs.second[node];
+  if (!pairs.first.some((_, node) => offDiagonal(node))) {
+    return { type: AMBIGUITY.UNAMBIGUOUS, degree: null, highlights: null };
+  }
+
+  // EDA: a component of A×A with both a diagonal and an off-diagonal pair.
+  const pairComponents = findStronglyConnectedComponents(pairs.first.length, node => pairs.edges[node]);
+  for (const members of pairComponents) {
+    const isDiagonal = (node) => pairs.first[node] === pairs.second[node];
+    if (!pairs.live[members[0]] || !members.some(isDiagonal) || members.every(isDiagonal)) continue;
+
+    const inComponent = new Set(members);
+    for (const node of members) {
+      for (const next of pairs.edges[node]) {
+        if (!inComponent.has(next)) continue;
+        collector.addEdge(pairs.first[node], pairs.first[next]);
+        collector.addEdge(pairs.second[node], pairs.second[next]);
+      }
+    }
+    return { type: AMBIGUITY.EXPONENTIAL, degree: null, highlights: collector.toHighlights() };
+  }
+
+  // IDA: pairs of states on cycles in different components of A.
+  const successorsOf = (p) => useful[p] ? succ.flatMap(bySource => bySource[p].filter(q => useful[q])) : [];
+  const components = findStronglyConnectedComponents(n, successorsOf);
+  const componentOf = new Int32Array(n);
+  components.forEach((members, c) => members.forEach(p => { componentOf[p] = c; }));
+  const cyclic = components.map((members, c) =>
+    members.some(p => successorsOf(p).some(q => componentOf[q] === c)));
+
+  const reaches = [];
+  for (let p = 0; p < n; p++) {
+    const seen = new Set([p]);
+    const stack = [p];
+    while (stack.length > 0) {
+      for (const q of successorsOf(stack.pop())) {
+        tick();
+        if (!seen.has(q)) {
+          seen.add(q);
+          stack.push(q);
+        }
+      }
+    }
+    reaches.push(seen);
+  }
+
+  const context = { componentOf, reaches };
+  const idaPaths = new Map();
+  for (let p = 0; p < n; p++) {
+    if (!useful[p] || !cyclic[componentOf[p]]) continue;
+    for (const q of reaches[p]) {
+      if (componentOf[q] === componentOf[p] || !cyclic[componentOf[q]]) continue;
+      const path = findIdaPath(automaton, p, q, context, tick);
+      if (path) idaPaths.set(p * n + q, { p, q, path });
+    }
+  }
+
+  if (idaPaths.size === 0) {
+    // Finite: highlight where accepting runs of one word diverge.
+    pairs.first.forEach((_, node) => {
+      if (!offDiagonal(node)) return;
+      collector.addState(pairs.first[node]);
+      collector.addState(pairs.second[node]);
+      for (const next of pairs.edges[node]) {
+        if (!offDiagonal(next)) continue;
+        collector.addEdge(pairs.first[node], pairs.first[next]);
+        collector.addEdge(pairs.second[node], pairs.second[next]);
+      }
+    });
+    return { type: AMBIGUITY.FINITE, degree: null, highlights: collector.toHighlights() };
+  }
+
+  // The degree is the longest chain of IDA pairs (p1, q1), (p2, q2), ...
+  // where each q_i reaches p_i+1. Each pair's q lies in a later component
+  // than its p, so chains are acyclic.
+  const idaPairs = [...idaPaths.values()];
+  const chainLength = new Map();
+  const longestFrom = (i) => {
+    if (!chainLength.has(i)) {
+      let best = { length: 1, next: -1 };
+      for (let j = 0; j < idaPairs.length; j++) {
+        tick();
+        if (!reaches[idaPairs[i].q].has(idaPairs[j].p)) continue;
+        const length = longestFrom(j).length + 1;
+        if (length > best.length) best = { length, next: j };
+      }
+      chainLength.set(i, best);
+    }
+    return chainLength.get(i);
+  };
+  let chainStart = 0;
+  for (let i = 1; i < idaPairs.length; i++) {
+    if (longestFrom(i).length > longestFrom(chainStart).length) chainStart = i;
+  }
+
+  for (let i = chainStart; i !== -1; i = longestFrom(i).next) {
+    const { path } = idaPairs[i];
+    for (let k = 1; k < path.length; k++) {
+      for (let run = 0; run < 3; run++) collector.addEdge(path[k - 1][run], path[k][run]);
+    }
+  }
+  return {
+    type: AMBIGUITY.POLYNOMIAL,
+    degree: longestFrom(chainStart).length,
+    highlights: collector.toHighlights(),
+  };
+}
+
+/**
+ * Count the accepting runs on each prefix of an input.
+ * @param {import('./nfa_view.js').NFAView} view
+ * @param {string[]} inputSymbols
+ * @returns {bigint[]} runs[i] = accepting runs on the first i symbols
+ */
+export function countAcceptingRuns(view, inputSymbols) {
+  const automaton = view.withEpsilonClosure().getLocalAutomaton();
+  let runs = automaton.start.map(isStart => (isStart ? 1n : 0n));
+  const acceptingRuns = () => runs.reduce((sum, count, p) => (automaton.accept[p] ? sum + count : sum), 0n);
+
+  const result = [acceptingRuns()];
+  for (const symbol of inputSymbols) {
+    const bySource = automaton.succ[view.nfa.getSymbolIndex(symbol)];
+    const next = runs.map(() => 0n);
+    if (bySource) {
+      runs.forEach((count, p) => {
+        if (count === 0n) return;
+        for (const q of bySource[p]) next[q] += count;
+      });
+    }
+    runs = next;
+    result.push(acceptingRuns());
+  }
+  return result;
+}
@@ -7,43 +7,43 @@
  */
 
 import { CodeJar } from '../lib/codejar.min.js';
-import { NFABuilder, parseNFAConfig, buildCodeFromSplit, parseSplitFromCode, expandSymbolClass } from './nfa_builder.js';
+import {
+  buildCodeFromSplit, parseSplitFromCode, expandSymbols, hasNamedSymbols, splitSymbolString, joinSymbolString, ACCEPT_BY,
+  ACCEPTANCE,
+} from './nfa_builder.js';
 import { RegexParser, RegexToNFABuilder } from './regex_parser.js';
 import { NFAView } from './nfa_view.js';
-import { NFAVisualizer, compactSymbolLabel } from './visualizer.js';
+import {
+  STAGES, PIPELINES, PIPELINE_PRESETS, deserializePipeline, serializePipeline,
+  getStageLabel, getAddableStages, validatePipeline,
+} from './pipeline.js';
+import { BuildRunner, BUILD_KINDS } from './build_service.js';
+import { NFAVisualizer, compactSymbolLabel, COMPONENT_DISPLAY } from './visualizer.js';
 import { EXAMPLES } from './examples.js';
+import { exportDot, exportJSON } from './export.js';
+import { encodePermalink, decodePermalink, isPermalink } from './permalink.js';
 import { RunStatus } from './nfa.js';
+import { eliminateStates } from './state_elimination.js';
+import { analyzeLanguage, LANGUAGE_SIZE, GROWTH } from './language_analysis.js';
+import { sampleStrings } from './sampler.js';
+import { analyzeAmbiguity, countAcceptingRuns, AMBIGUITY } from './ambiguity.js';
+import { findAcceptingLasso, acceptsLassoWord, parseLassoWord } from './buchi.js';
+import { productView } from './nfa_operations.js';
 
 // ============================================
 // Configuration
 // ============================================
 
 const CONFIG = {
-  maxStates: 500
-};
-
-// Pipeline Stage IDs
-const STAGES = {
-  RAW: 'raw',
-  EPSILON: 'epsilon',
-  PRUNE: 'prune',
-  MERGE: 'merge',
-  EXPAND: 'expand'
-};
-
-// Display Labels for Stages
-const STAGE_LABELS = {
-  [STAGES.RAW]: 'Raw',
-  [STAGES.EPSILON]: 'ε-Closure',
-  [STAGES.PRUNE]: 'Pruned States',
-  [STAGES.MERGE]: 'Merged States',
-  [STAGES.EXPAND]: 'Subset Expansion'
-};
-
-// Pipeline Definitions
-const PIPELINES = {
-  NFA: [STAGES.RAW, STAGES.EPSILON, STAGES.PRUNE, STAGES.MERGE],
-  DFA: [STAGES.EXPAND, STAGES.PRUNE, STAGES.MERGE]
+  maxStates: 500,
+  // Default wall-clock limit for builds, in seconds
+  buildTimeout: 10,
+  // Accepted strings per page of the language listing
+  languagePageSize: 20,
+  // Longest length counted in the stats bar
+  languageCountLength: 10,
+  // Strings drawn per click of the Sample button
+  sampleCount: 10
 };
 
 /** SessionStorage keys for persisting input fields */
@@ -53,19 +53,44 @@ const STORAGE_KEYS = {
   transition: 'nfa-transition',
   accept: 'nfa-accept',
   epsilon: 'nfa-epsilon',
+  output: 'nfa-output',
   unified: 'nfa-unified-code',
   regex: 'nfa-regex',
   regexSymbols: 'nfa-regex-symbols',
   inputMode: 'nfa-input-mode',
   testInput: 'nfa-test-input',
-  layout: 'nfa-layout'
+  stepInput: 'nfa-step-input',
+  layout: 'nfa-layout',
+  componentDisplay: 'nfa-component-display',
+  trapStates: 'nfa-trap-states',
+  compareMode: 'nfa-compare-mode',
+  compareCode: 'nfa-compare-code',
+  importCode: 'nfa-import-code',
+  importFormat: 'nfa-import-format',
+  buildTimeout: 'nfa-build-timeout',
+  pipelines: 'nfa-pipelines'
 };
 
 /** Input modes enum */
 const MODES = {
   SPLIT: 'split',
   UNIFIED: 'unified',
-  REGEX: 'regex'
+  REGEX: 'regex',
+  IMPORT: 'import'
+};
+
+/** Editors whose contents define the automaton in each input mode (stored in permalinks) */
+const MODE_EDITORS = {
+  [MODES.SPLIT]: ['symbols', 'startState', 'transition', 'accept', 'epsilon', 'output'],
+  [MODES.UNIFIED]: ['unified'],
+  [MODES.REGEX]: ['regex', 'regexSymbols'],
+  [MODES.IMPORT]: ['import']
+};
+
+/** Definition types for the second automaton in the compare pane */
+const COMPARE_MODES = {
+  REGEX: 'regex',
+  CODE: 'code'
 };
 
 /** Pipeline modes enum */
@@ -74,6 +99,33 @@ const PIPELINE_MODES = {
   DFA: 'dfa'
 };
 
+/**
+ * Create a text span for a compare pane message.
+ * @param {string} text
+ * @param {string} [className]
+ * @returns {HTMLSpanElement}
+ */
+function compareLine(text, className) {
+  const span = document.createElement('span');
+  if (className) span.className = className;
+  span.textContent = text;
+  return span;
+}
+
+/**
+ * Trigger a browser download of a blob.
+ * @param {string} filename
+ * @param {Blob} blob
+ */
+function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
 // ============================================
 // Application Class
 // ============================================
@@ -90,9 +142,15 @@ class App {
       tabSplit: document.getElementById('tab-split'),
       tabUnified: document.getElementById('tab-unified'),
       tabRegex: document.getElementById('tab-regex'),
+      tabImport: document.getElementById('tab-import'),
       splitInput: document.getElementById('split-input'),
       unifiedInput: document.getElementById('unified-input'),
       regexInput: document.getElementById('regex-input'),
+      importInput: document.getElementById('import-input'),
+      importFormat: document.getElementById('import-format'),
+      importCodeInput: document.getElementById('import-code'),
+      importFileBtn: document.getElementById('import-file-btn'),
+      importFile: document.getElementById('import-file'),
 
       // Split mode inputs (now divs for CodeJar)
       symbolsInput: document.getElementById('symbols-input'),
@@ -100,6 +158,7 @@ class App {
       transitionInput: document.getElementById('transition-fn'),
       acceptInput: document.getElementById('accept-fn'),
       epsilonInput: document.getElementById('epsilon-fn'),
+      outputInput: document.getElementById('output-fn'),
 
       // Unified mode input
       unifiedCodeInput: document.getElementById('unified-code'),
@@ -108,18 +167,93 @@ class App {
       regexSymbolsInput: document.getElementById('regex-symbols-input'),
       regexCodeInput: document.getElementById('regex-code'),
 
+      // Compare pane
+      compareMode: document.getElementById('compare-mode'),
+      compareCodeInput: document.getElementById('compare-code'),
+      compareBtn: document.getElementById('compare-btn'),
+      compareResult: document.getElementById('compare-result'),
+      combineOp: document.getElementById('combine-op'),
+      combineBtn: document.getElementById('combine-btn'),
+      pipelineEditors: document.querySelectorAll('.pipeline-editor'),
+      pipelinePreset: document.getElementById('pipeline-preset'),
+      pipelinePresetBtn: document.getElementById('pipeline-preset-btn'),
+      pipelineError: document.getElementById('pipeline-error'),
+
       // Actions
       buildBtn: document.getElementById('build-btn'),
+      cancelBuildBtn: document.getElementById('cancel-build-btn'),
+      buildProgress: document.getElementById('build-progress'),
+      buildTimeout: document.getElementById('build-timeout'),
       refreshLayoutBtn: document.getElementById('refresh-layout-btn'),
       bfsLayoutBtn: document.getElementById('bfs-layout-btn'),
+      exportSelect: document.getElementById('export-select'),
+      shareBtn: document.getElementById('share-btn'),
       circularLayoutBtn: document.getElementById('circular-layout-btn'),
+      componentSelect: document.getElementById('component-select'),
+      trapToggleBtn: document.getElementById('trap-toggle-btn'),
 
       // Output
       errorDisplay: document.getElementById('error-display'),
+      testHeading: document.getElementById('test-heading'),
       testInput: document.getElementById('test-input'),
       testErrorDisplay: document.getElementById('test-error-display'),
       showTraceToggle: document.getElementById('show-trace-toggle'),
       testResult: document.getElementById('test-result'),
+      witnessMatchRow: document.getElementById('witness-match-row'),
+      witnessMatch: document.getElementById('witness-match'),
+      witnessMatchBtn: document.getElementById('witness-match-btn'),
+      pushdownSection: document.getElementById('pushdown-section'),
+      pushdownInfo: document.getElementById('pushdown-info'),
+      pushdownUnrollToggle: document.getElementById('pushdown-unroll-toggle'),
+      buchiSection: document.getElementById('buchi-section'),
+      buchiOutput: document.getElementById('buchi-output'),
+      buchiToggle: document.getElementById('buchi-toggle'),
+      transducerOutputRow: document.getElementById('transducer-output-row'),
+      transducerOutput: document.getElementById('transducer-output'),
+      witnessAnyRow: document.getElementById('witness-any-row'),
+      witnessAny: document.getElementById('witness-any'),
+      witnessAnyBtn: document.getElementById('witness-any-btn'),
+      sampleKind: document.getElementById('sample-kind'),
+      sampleLength: document.getElementById('sample-length'),
+      sampleSeed: document.getElementById('sample-seed'),
+      sampleBtn: document.getElementById('sample-btn'),
+      sampleList: document.getElementById('sample-list'),
+      stepInput: document.getElementById('step-input'),
+      stepFirstBtn: document.getElementById('step-first-btn'),
+      stepBackBtn: document.getElementById('step-back-btn'),
+      stepForwardBtn: document.getElementById('step-forward-btn'),
+      stepLastBtn: document.getElementById('step-last-btn'),
+      stepPosition: document.getElementById('step-position'),
+      stepTape: document.getElementById('step-tape'),
+      stepDetails: document.getElementById('step-details'),
+      stepErrorDisplay: document.getElementById('step-error-display'),
+      toRegexBtn: document.getElementById('to-regex-btn'),
+      regexOutput: document.getElementById('regex-output'),
+      eliminationControls: document.getElementById('elimination-controls'),
+      eliminationToggle: document.getElementById('elimination-toggle'),
+      elimFirstBtn: document.getElementById('elim-first-btn'),
+      elimBackBtn: document.getElementById('elim-back-btn'),
+      elimForwardBtn: document.getElementById('elim-forward-btn'),
+      elimLastBtn: document.getElementById('elim-last-btn'),
+      ambiguityBtn: document.getElementById('ambiguity-btn'),
+      ambiguityResult: document.getElementById('ambiguity-result'),
+      ambiguityOutput: document.getElementById('ambiguity-output'),
+      ambiguityToggle: document.getElementById('ambiguity-toggle'),
+      ambiguityErrorDisplay: document.getElementById('ambiguity-error-display'),
+      productToggle: document.getElementById('product-toggle'),
+      productPanel: document.getElementById('product-panel'),
+      productInfo: document.getElementById('product-info'),
+      productContainer: document.getElementById('product-cy'),
+      patternContainer: document.getElementById('pattern-cy'),
+      productErrorDisplay: document.getElementById('product-error-display'),
+      languageMinLength: document.getElementById('language-min-length'),
+      languageMaxLength: document.getElementById('language-max-length'),
+      languageList: document.getElementById('language-list'),
+      languagePrevBtn: document.getElementById('language-prev-btn'),
+      languageNextBtn: document.getElementById('language-next-btn'),
+      languagePosition: document.getElementById('language-position'),
+      elimPosition: document.getElementById('elim-position'),
+      regexErrorDisplay: document.getElementById('regex-error-display'),
       cyContainer: document.getElementById('cy-container'),
       emptyState: document.getElementById('empty-state'),
 
@@ -129,11 +263,16 @@ class App {
 
       // Stats
       statStates: document.getElementById('stat-states'),
+      statPartial: document.getElementById('stat-partial'),
+      statComplete: document.getElementById('stat-complete'),
       statType: document.getElementById('stat-type'),
       statStart: document.getElementById('stat-start'),
       statAccept: document.getElementById('stat-accept'),
       statLive: document.getElementById('stat-live'),
       statDead: document.getElementById('stat-dead'),
+      statLanguage: document.getElementById('stat-language'),
+      statCountsRow: document.getElementById('stat-counts-row'),
+      statCounts: document.getElementById('stat-counts'),
       nfaSlider: document.getElementById('nfa-slider'),
       nfaTrack: document.getElementById('nfa-track'),
       nfaLabelsContainer: document.getElementById('nfa-labels'),
@@ -151,11 +290,73 @@ class App {
     this.view = null;
     this.visualizer = null;
     this.pipelineViews = [];
+    // Configured stage IDs of each pipeline, and the NFA stages that
+    // pipelineViews was built with (they differ while a rebuild runs).
+    this.pipelines = { nfa: [...PIPELINES.NFA], dfa: [...PIPELINES.DFA] };
+    this.pipelineViewStages = this.pipelines.nfa;
     this.isRestoring = false;
     this.mode = MODES.SPLIT;
     this.activePipeline = PIPELINE_MODES.NFA;
     this.activeLayout = 'dagre';
 
+    // Builds run in a worker so user code cannot block the page. DFA
+    // pipelines get a runner of their own, so that moving the DFA slider
+    // doesn't cancel a build. `dfaBuild` is the DFA pipeline being built:
+    // {cache, nfaStep}.
+    this.buildRunner = new BuildRunner();
+    this.dfaRunner = new BuildRunner();
+    this.dfaBuild = null;
+
+    // Test trace highlights (from the regex test) and the concrete-input
+    // stepper. The stepper takes over the canvas while it has input.
+    this.testHighlights = null;
+    this.traceSteps = null;
+    this.stepIndex = 0;
+    // traceRuns[i] = number of accepting runs on the first i stepper symbols.
+    this.traceRuns = null;
+
+    // Shortest accepted strings: `match` also matches the test regex, `any`
+    // is for the automaton alone. `shownWitness` is the key of the one whose
+    // path is pinned on the canvas (if any).
+    this.witnesses = { match: null, any: null };
+    this.shownWitness = null;
+
+    // Regex conversion of the current view (see state_elimination.js). The
+    // walkthrough shows `elimination.steps[eliminationIndex]` on the canvas.
+    this.elimination = null;
+    this.eliminationIndex = 0;
+
+    // Ambiguity analysis of the current view (see ambiguity.js).
+    this.ambiguity = null;
+
+    // Accepting lasso of a Büchi automaton (see buchi.js), found on the
+    // built automaton: {nfa, lasso}, with lasso null if the ω-language is
+    // empty. Null unless the built automaton is a Büchi automaton.
+    this.buchi = null;
+
+    // NFA compiled from the test regex, and its product with the current view
+    // ({view, pairs, patternView}) while the product is shown. The product and
+    // the pattern get their own visualizers, created when first shown.
+    this.testPatternNFA = null;
+    this.product = null;
+    this.productVisualizer = null;
+    this.patternVisualizer = null;
+
+    // The view drawn on the canvas: the current view, or the control states
+    // of a pushdown automaton ({pushdown, view} in `pushdownControl`).
+    this.canvasView = null;
+    this.pushdownControl = null;
+
+    // Shortlex listing of the current view's language. Strings are pulled
+    // from `language.iterator` as pages are shown and kept in `language.strings`.
+    this.language = null;
+    this.languagePage = 0;
+
+    // Language size and counts for the stats bar. Every stage has the same
+    // language or its reverse (with the same counts), so this is computed
+    // once per source view.
+    this.languageAnalysis = null;
+
     // CodeJar editor instances
     this.editors = {
       symbols: null,
@@ -163,9 +364,12 @@ class App {
       transition: null,
       accept: null,
       epsilon: null,
+      output: null,
       unified: null,
       regex: null,
-      regexSymbols: null
+      regexSymbols: null,
+      compare: null,
+      import: null
     };
   }
 
@@ -181,6 +385,15 @@ class App {
     editor.innerHTML = Prism.highlight(code, Prism.languages.javascript, 'javascript');
   }
 
+  /**
+   * The compare editor holds either code (highlighted) or a regex (plain).
+   */
+  highlightCompare(editor) {
+    if (this.elements.compareMode.value === COMPARE_MODES.CODE) {
+      this.highlight(editor);
+    }
+  }
+
   /**
    * Initialize CodeJar editors
    */
@@ -191,9 +404,12 @@ class App {
     this.editors.transition = CodeJar(this.elements.transitionInput, (e) => this.highlight(e), { tab: '  ' });
     this.editors.accept = CodeJar(this.elements.acceptInput, (e) => this.highlight(e), { tab: '  ' });
     this.editors.epsilon = CodeJar(this.elements.epsilonInput, (e) => this.highlight(e), { tab: '  ' });
+    this.editors.output = CodeJar(this.elements.outputInput, (e) => this.highlight(e), { tab: '  ' });
     this.editors.unified = CodeJar(this.elements.unifiedCodeInput, (e) => this.highlight(e), { tab: '  ' });
     this.editors.regex = CodeJar(this.elements.regexCodeInput, () => { }, { tab: '  ' });
     this.editors.regexSymbols = CodeJar(this.elements.regexSymbolsInput, () => { }, { tab: '  ' });
+    this.editors.compare = CodeJar(this.elements.compareCodeInput, (e) => this.highlightCompare(e), { tab: '  ' });
+    this.editors.import = CodeJar(this.elements.importCodeInput, () => { }, { tab: '  ' });
 
     // Save on changes
     this.editors.symbols.onUpdate(() => this.saveToStorage());
@@ -201,9 +417,12 @@ class App {
     this.editors.transition.onUpdate(() => this.saveToStorage());
     this.editors.accept.onUpdate(() => this.saveToStorage());
     this.editors.epsilon.onUpdate(() => this.saveToStorage());
+    this.editors.output.onUpdate(() => this.saveToStorage());
     this.editors.unified.onUpdate(() => this.saveToStorage());
     this.editors.regex.onUpdate(() => this.saveToStorage());
     this.editors.regexSymbols.onUpdate(() => this.saveToStorage());
+    this.editors.compare.onUpdate(() => this.saveToStorage());
+    this.editors.import.onUpdate(() => this.saveToStorage());
 
     // Add Ctrl+Enter to run (capture phase to prevent editor from eating it)
 
@@ -245,7 +464,8 @@ class App {
   }
 
   /**
-   * Initialize pipeline UI from config
+   * Create the pipeline step labels for the loaded NFA stages and the
+   * configured DFA stages.
    */
   initPipelineUI() {
     // Helper to create steps
@@ -256,26 +476,141 @@ class App {
         step.className = 'pipeline-step';
         step.dataset.value = index;
         step.dataset.stage = stageId;
-        step.textContent = STAGE_LABELS[stageId];
+        step.textContent = getStageLabel(stageId);
         container.appendChild(step);
       });
     };
 
     // Initialize NFA pipeline
-    createSteps(this.elements.nfaLabelsContainer, PIPELINES.NFA);
-    this.elements.nfaSlider.max = PIPELINES.NFA.length - 1;
-    this.setTrackLayout(this.elements.nfaTrack, this.elements.nfaLabelsContainer, PIPELINES.NFA);
+    const nfaStages = this.pipelineViewStages;
+    createSteps(this.elements.nfaLabelsContainer, nfaStages);
+    this.elements.nfaSlider.max = nfaStages.length - 1;
+    this.setTrackLayout(this.elements.nfaTrack, this.elements.nfaLabelsContainer, nfaStages);
 
     // Initialize DFA pipeline (start with full)
-    createSteps(this.elements.dfaLabelsContainer, PIPELINES.DFA);
-    this.elements.dfaSlider.max = PIPELINES.DFA.length - 1;
-    this.setTrackLayout(this.elements.dfaTrack, this.elements.dfaLabelsContainer, PIPELINES.DFA);
+    const dfaStages = this.pipelines.dfa;
+    createSteps(this.elements.dfaLabelsContainer, dfaStages);
+    this.elements.dfaSlider.max = dfaStages.length - 1;
+    this.setTrackLayout(this.elements.dfaTrack, this.elements.dfaLabelsContainer, dfaStages);
 
     // Store references to steps for later use
     this.elements.nfaLabels = this.elements.nfaLabelsContainer.querySelectorAll('.pipeline-step');
     this.elements.dfaLabels = this.elements.dfaLabelsContainer.querySelectorAll('.pipeline-step');
   }
 
+  /**
+   * Show the configured stages in the pipeline editor.
+   */
+  renderPipelineEditor() {
+    for (const editor of this.elements.pipelineEditors) {
+      const stages = this.pipelines[editor.dataset.track];
+      const list = editor.querySelector('.pipeline-stage-list');
+      list.innerHTML = '';
+
+      stages.forEach((stageId, index) => {
+        const item = document.createElement('li');
+        item.dataset.index = index;
+        const label = document.createElement('span');
+        label.textContent = getStageLabel(stageId);
+        item.appendChild(label);
+
+        // The first stage is the pipeline's base and stays in place.
+        if (index > 0) {
+          for (const [action, text, title, disabled] of [
+            ['up', '↑', 'Move up', index === 1],
+            ['down', '↓', 'Move down', index === stages.length - 1],
+            ['remove', '×', 'Remove', false],
+          ]) {
+            const btn = document.createElement('button');
+            btn.dataset.action = action;
+            btn.textContent = text;
+            btn.title = title;
+            btn.disabled = disabled;
+            item.appendChild(btn);
+          }
+        }
+        list.appendChild(item);
+      });
+
+      const select = editor.querySelector('.pipeline-stage-select');
+      if (!select.options.length) {
+        for (const stageId of getAddableStages()) {
+          select.add(new Option(getStageLabel(stageId), stageId));
+        }
+      }
+    }
+  }
+
+  /**
+   * Handle a button click in one of the pipeline editors.
+   * @param {HTMLElement} editor - The `.pipeline-editor` element
+   * @param {HTMLElement} btn - The clicked button
+   */
+  handlePipelineEdit(editor, btn) {
+    const track = editor.dataset.track;
+    const stages = [...this.pipelines[track]];
+    const index = parseInt(btn.closest('li')?.dataset.index);
+
+    switch (btn.dataset.action) {
+      case 'add':
+        stages.push(editor.querySelector('.pipeline-stage-select').value);
+        break;
+      case 'up':
+        [stages[index - 1], stages[index]] = [stages[index], stages[index - 1]];
+        break;
+      case 'down':
+        [stages[index], stages[index + 1]] = [stages[index + 1], stages[index]];
+        break;
+      case 'remove':
+        stages.splice(index, 1);
+        break;
+      default:
+        return;
+    }
+
+    this.setPipelines({ ...this.pipelines, [track]: stages });
+  }
+
+  /**
+   * Check both pipelines against their base stages.
+   * @param {{nfa: string[], dfa: string[]}} pipelines
+   * @returns {string|null} A description of the problem, or null if valid
+   */
+  validatePipelines(pipelines) {
+    return validatePipeline(pipelines.nfa, STAGES.RAW) ??
+      validatePipeline(pipelines.dfa, STAGES.EXPAND);
+  }
+
+  /**
+   * Configure the pipelines and recompute the views.
+   * Invalid pipelines are rejected with a message in the editor.
+   * @param {{nfa: string[], dfa: string[]}} pipelines
+   */
+  setPipelines(pipelines) {
+    const error = this.validatePipelines(pipelines);
+    this.elements.pipelineError.textContent = error ?? '';
+    if (error) return;
+
+    const nfaChanged = pipelines.nfa.join() !== this.pipelines.nfa.join();
+    this.pipelines = { nfa: [...pipelines.nfa], dfa: [...pipelines.dfa] };
+    this.renderPipelineEditor();
+    this.saveToStorage();
+
+    if (!this.view) {
+      this.pipelineViewStages = this.pipelines.nfa;
+      this.initPipelineUI();
+    } else if (nfaChanged) {
+      // The NFA pipeline runs with the build.
+      this.handleBuild();
+    } else {
+      this.dfaCache = new Map();
+      this.initPipelineUI();
+      this.updatePipelineUI(this.elements.nfaSlider, this.elements.nfaLabels);
+      this.updatePipelineUI(this.elements.dfaSlider, this.elements.dfaLabels);
+      this.updateTransformAndRender();
+    }
+  }
+
   /**
    * Initialize the application: set up event listeners and visualizer
    */
@@ -285,6 +620,7 @@ class App {
 
     // Initialize Pipeline UI
     this.initPipelineUI();
+    this.renderPipelineEditor();
 
     // Populate examples
     Object.entries(EXAMPLES).forEach(([key, example]) => {
@@ -309,7 +645,44 @@ class App {
     this.elements.tabSplit.addEventListener('click', () => this.switchMode(MODES.SPLIT));
     this.elements.tabUnified.addEventListener('click', () => this.switchMode(MODES.UNIFIED));
     this.elements.tabRegex.addEventListener('click', () => this.switchMode(MODES.REGEX));
+    this.elements.tabImport.addEventListener('click', () => this.switchMode(MODES.IMPORT));
+    this.elements.importFormat.addEventListener('change', () => this.saveToStorage());
+    this.elements.importFileBtn.addEventListener('click', () => this.elements.importFile.click());
+    this.elements.importFile.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (file) this.handleImportFile(file);
+    });
     this.elements.buildBtn.addEventListener('click', () => this.handleBuild());
+    this.elements.cancelBuildBtn.addEventListener('click', () => this.handleCancelBuild());
+    this.elements.buildTimeout.addEventListener('change', () => this.saveToStorage());
+    this.elements.compareMode.addEventListener('change', () => {
+      this.editors.compare.updateCode(this.editors.compare.toString());
+      this.saveToStorage();
+    });
+    this.elements.compareBtn.addEventListener('click', () => this.handleCompare());
+    this.elements.combineBtn.addEventListener('click', () => this.handleCombine());
+
+    this.elements.shareBtn.addEventListener('click', () => this.handleShare());
+    window.addEventListener('hashchange', () => {
+      if (isPermalink(location.hash)) this.restoreFromPermalink(location.hash);
+    });
+
+    this.elements.componentSelect.addEventListener('change', (e) => {
+      this.setComponentDisplay(e.target.value);
+      this.saveToStorage();
+    });
+
+    this.elements.trapToggleBtn.addEventListener('click', () => {
+      // The button is active while traps are hidden.
+      this.setTrapStatesVisible(this.elements.trapToggleBtn.classList.contains('active'));
+      this.saveToStorage();
+    });
+
+    this.elements.exportSelect.addEventListener('change', (e) => {
+      this.handleExport(e.target.value);
+      e.target.value = '';
+    });
 
     for (const { name, el } of this.layoutButtons) {
       el.addEventListener('click', () => {
@@ -326,14 +699,64 @@ class App {
     });
 
     // Show/hide trace toggle
-    this.elements.showTraceToggle.addEventListener('change', () => this.updateTestResult());
+    this.elements.showTraceToggle.addEventListener('change', () => this.updateHighlights());
+    this.elements.productToggle.addEventListener('change', () => this.updateProduct());
+
+    // Stepper: restart from the beginning whenever the input changes
+    this.elements.stepInput.addEventListener('input', () => {
+      this.saveToStorage();
+      this.stepIndex = 0;
+      this.updateStepper();
+    });
+    this.elements.witnessMatchBtn.addEventListener('click', () => this.toggleWitnessPath('match'));
+    this.elements.witnessAnyBtn.addEventListener('click', () => this.toggleWitnessPath('any'));
+    this.elements.sampleBtn.addEventListener('click', () => this.handleSample());
+
+    this.elements.stepFirstBtn.addEventListener('click', () => this.setStepIndex(0));
+    this.elements.stepBackBtn.addEventListener('click', () => this.setStepIndex(this.stepIndex - 1));
+    this.elements.stepForwardBtn.addEventListener('click', () => this.setStepIndex(this.stepIndex + 1));
+    this.elements.stepLastBtn.addEventListener('click', () => this.setStepIndex(Infinity));
+
+    // Regex conversion and state elimination walkthrough
+    this.elements.toRegexBtn.addEventListener('click', () => this.handleToRegex());
+    this.elements.eliminationToggle.addEventListener('change', () => this.updateHighlights());
+    this.elements.elimFirstBtn.addEventListener('click', () => this.setEliminationIndex(0));
+    this.elements.elimBackBtn.addEventListener('click', () => this.setEliminationIndex(this.eliminationIndex - 1));
+    this.elements.elimForwardBtn.addEventListener('click', () => this.setEliminationIndex(this.eliminationIndex + 1));
+    this.elements.elimLastBtn.addEventListener('click', () => this.setEliminationIndex(Infinity));
+
+    // Ambiguity analysis
+    this.elements.ambiguityBtn.addEventListener('click', () => this.handleAnalyzeAmbiguity());
+    this.elements.ambiguityToggle.addEventListener('change', () => this.updateHighlights());
+    this.elements.buchiToggle.addEventListener('change', () => this.updateHighlights());
+    this.elements.pushdownUnrollToggle.addEventListener('change', () => {
+      this.renderCanvas();
+      this.collapseAllStateItems();
+      this.updateHighlights();
+    });
+
+    // Language listing
+    this.elements.languageMinLength.addEventListener('change', () => this.resetLanguage());
+    this.elements.languageMaxLength.addEventListener('change', () => this.resetLanguage());
+    this.elements.languagePrevBtn.addEventListener('click', () => this.setLanguagePage(this.languagePage - 1));
+    this.elements.languageNextBtn.addEventListener('click', () => this.setLanguagePage(this.languagePage + 1));
 
     // Initialize visualizer
     this.visualizer = new NFAVisualizer(this.elements.cyContainer);
 
+    this.visualizer.setComponentDisplay(this.elements.componentSelect.value);
+    this.visualizer.setTrapStatesVisible(!this.elements.trapToggleBtn.classList.contains('active'));
+
     // Handle state selection from graph
     this.visualizer.onStateSelect = (stateId) => {
-      this.updateStateListSelection(stateId);
+      // Control states have no entry in the (configuration) state list.
+      if (this.canvasView === this.view) this.updateStateListSelection(stateId);
+    };
+
+    // Expanding or collapsing a component re-renders the graph.
+    this.visualizer.onGraphChange = () => {
+      this.collapseAllStateItems();
+      this.updateHighlights();
     };
 
     // NFA Pipeline slider
@@ -344,16 +767,15 @@ class App {
       this.updateTransformAndRender();
     });
 
-    // NFA Pipeline labels click
-    this.elements.nfaLabels.forEach(label => {
-      label.addEventListener('click', () => {
-        this.activePipeline = PIPELINE_MODES.NFA;
-        const value = label.dataset.value;
-        this.elements.nfaSlider.value = value;
-        this.updatePipelineUI(this.elements.nfaSlider, this.elements.nfaLabels);
-        this.updatePipelineUI(this.elements.dfaSlider, this.elements.dfaLabels);
-        this.updateTransformAndRender();
-      });
+    // NFA Pipeline labels click (the labels are recreated with the pipeline)
+    this.elements.nfaLabelsContainer.addEventListener('click', (e) => {
+      const label = e.target.closest('.pipeline-step');
+      if (!label) return;
+      this.activePipeline = PIPELINE_MODES.NFA;
+      this.elements.nfaSlider.value = label.dataset.value;
+      this.updatePipelineUI(this.elements.nfaSlider, this.elements.nfaLabels);
+      this.updatePipelineUI(this.elements.dfaSlider, this.elements.dfaLabels);
+      this.updateTransformAndRender();
     });
 
     // DFA Pipeline slider
@@ -365,16 +787,30 @@ class App {
     });
 
     // DFA Pipeline labels click
-    this.elements.dfaLabels.forEach(label => {
-      label.addEventListener('click', () => {
-        this.activePipeline = PIPELINE_MODES.DFA;
-        const value = label.dataset.value;
-        this.elements.dfaSlider.value = value;
-        this.updatePipelineUI(this.elements.dfaSlider, this.elements.dfaLabels);
-        this.updatePipelineUI(this.elements.nfaSlider, this.elements.nfaLabels);
-        this.updateTransformAndRender();
+    this.elements.dfaLabelsContainer.addEventListener('click', (e) => {
+      const label = e.target.closest('.pipeline-step');
+      if (!label) return;
+      this.activePipeline = PIPELINE_MODES.DFA;
+      this.elements.dfaSlider.value = label.dataset.value;
+      this.updatePipelineUI(this.elements.dfaSlider, this.elements.dfaLabels);
+      this.updatePipelineUI(this.elements.nfaSlider, this.elements.nfaLabels);
+      this.updateTransformAndRender();
+    });
+
+    // Pipeline editor
+    this.elements.pipelineEditors.forEach(editor => {
+      editor.addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-action]');
+        if (btn) this.handlePipelineEdit(editor, btn);
       });
     });
+    Object.entries(PIPELINE_PRESETS).forEach(([key, preset]) => {
+      this.elements.pipelinePreset.add(new Option(preset.label, key));
+    });
+    this.elements.pipelinePresetBtn.addEventListener('click', () => {
+      const preset = PIPELINE_PRESETS[this.elements.pipelinePreset.value];
+      this.setPipelines({ nfa: preset.nfa, dfa: preset.dfa });
+    });
 
     // DFA Arrow click
     this.elements.dfaArrow.addEventListener('click', () => {
@@ -395,8 +831,12 @@ class App {
       this.visualizer?.fit();
     });
 
-    // Build NFA on startup
-    this.handleBuild();
+    // Build NFA on startup (a permalink overrides the saved session)
+    if (isPermalink(location.hash)) {
+      this.restoreFromPermalink(location.hash);
+    } else {
+      this.handleBuild();
+    }
   }
 
   // ============================================
@@ -414,14 +854,25 @@ class App {
     sessionStorage.setItem(STORAGE_KEYS.transition, this.editors.transition.toString());
     sessionStorage.setItem(STORAGE_KEYS.accept, this.editors.accept.toString());
     sessionStorage.setItem(STORAGE_KEYS.epsilon, this.editors.epsilon.toString());
+    sessionStorage.setItem(STORAGE_KEYS.output, this.editors.output.toString());
     sessionStorage.setItem(STORAGE_KEYS.unified, this.editors.unified.toString());
     sessionStorage.setItem(STORAGE_KEYS.regex, this.editors.regex.toString());
     sessionStorage.setItem(STORAGE_KEYS.regexSymbols, this.editors.regexSymbols.toString());
+    sessionStorage.setItem(STORAGE_KEYS.compareCode, this.editors.compare.toString());
+    sessionStorage.setItem(STORAGE_KEYS.compareMode, this.elements.compareMode.value);
+    sessionStorage.setItem(STORAGE_KEYS.importCode, this.editors.import.toString());
+    sessionStorage.setItem(STORAGE_KEYS.importFormat, this.elements.importFormat.value);
+    sessionStorage.setItem(STORAGE_KEYS.buildTimeout, this.elements.buildTimeout.value);
 
     sessionStorage.setItem(STORAGE_KEYS.inputMode, this.mode);
     sessionStorage.setItem(STORAGE_KEYS.layout, this.activeLayout);
+    sessionStorage.setItem(STORAGE_KEYS.componentDisplay, this.elements.componentSelect.value);
+    sessionStorage.setItem(STORAGE_KEYS.trapStates,
+      this.elements.trapToggleBtn.classList.contains('active') ? 'hidden' : 'shown');
+    sessionStorage.setItem(STORAGE_KEYS.pipelines, JSON.stringify(this.pipelines));
 
     sessionStorage.setItem(STORAGE_KEYS.testInput, this.elements.testInput.value);
+    sessionStorage.setItem(STORAGE_KEYS.stepInput, this.elements.stepInput.value);
   }
 
   /**
@@ -439,27 +890,221 @@ class App {
     const transition = sessionStorage.getItem(STORAGE_KEYS.transition);
     const accept = sessionStorage.getItem(STORAGE_KEYS.accept);
     const epsilon = sessionStorage.getItem(STORAGE_KEYS.epsilon);
+    const output = sessionStorage.getItem(STORAGE_KEYS.output);
     const unified = sessionStorage.getItem(STORAGE_KEYS.unified);
     const regex = sessionStorage.getItem(STORAGE_KEYS.regex);
     const regexSymbols = sessionStorage.getItem(STORAGE_KEYS.regexSymbols);
     const testInput = sessionStorage.getItem(STORAGE_KEYS.testInput);
+    const compareMode = sessionStorage.getItem(STORAGE_KEYS.compareMode);
+    const compareCode = sessionStorage.getItem(STORAGE_KEYS.compareCode);
+    const stepInput = sessionStorage.getItem(STORAGE_KEYS.stepInput);
+    const importCode = sessionStorage.getItem(STORAGE_KEYS.importCode);
+    const importFormat = sessionStorage.getItem(STORAGE_KEYS.importFormat);
+    const buildTimeout = sessionStorage.getItem(STORAGE_KEYS.buildTimeout);
 
     if (symbols !== null) this.editors.symbols.updateCode(symbols);
     if (startState !== null) this.editors.startState.updateCode(startState);
     if (transition !== null) this.editors.transition.updateCode(transition);
     if (accept !== null) this.editors.accept.updateCode(accept);
     if (epsilon !== null) this.editors.epsilon.updateCode(epsilon);
+    if (output !== null) this.editors.output.updateCode(output);
     if (unified !== null) this.editors.unified.updateCode(unified);
     if (regex !== null) this.editors.regex.updateCode(regex);
     if (regexSymbols !== null) this.editors.regexSymbols.updateCode(regexSymbols);
     if (testInput !== null) this.elements.testInput.value = testInput;
+    if (compareMode !== null) this.elements.compareMode.value = compareMode;
+    if (compareCode !== null) this.editors.compare.updateCode(compareCode);
+    if (stepInput !== null) this.elements.stepInput.value = stepInput;
+    if (importCode !== null) this.editors.import.updateCode(importCode);
+    if (importFormat !== null) this.elements.importFormat.value = importFormat;
+    this.elements.buildTimeout.value = buildTimeout ?? CONFIG.buildTimeout;
 
     const layout = sessionStorage.getItem(STORAGE_KEYS.layout);
     if (layout) this.setActiveLayout(layout);
 
+    const componentDisplay = sessionStorage.getItem(STORAGE_KEYS.componentDisplay);
+    if (Object.values(COMPONENT_DISPLAY).includes(componentDisplay)) {
+      this.elements.componentSelect.value = componentDisplay;
+    }
+
+    // Applied to the visualizer once it exists.
+    const trapsHidden = sessionStorage.getItem(STORAGE_KEYS.trapStates) === 'hidden';
+    this.elements.trapToggleBtn.classList.toggle('active', trapsHidden);
+    this.elements.trapToggleBtn.title = trapsHidden ? 'Show trap states' : 'Hide trap states';
+
+    const pipelines = this.parsePipelines(sessionStorage.getItem(STORAGE_KEYS.pipelines));
+    if (pipelines) this.loadPipelineConfig(pipelines);
+
     this.isRestoring = false;
   }
 
+  /**
+   * Parse saved pipelines, ignoring malformed or invalid ones.
+   * @param {string|Object|null} saved - JSON text or parsed value
+   * @returns {{nfa: string[], dfa: string[]}|null}
+   */
+  parsePipelines(saved) {
+    let pipelines = saved;
+    if (typeof saved === 'string') {
+      try {
+        pipelines = JSON.parse(saved);
+      } catch {
+        return null;
+      }
+    }
+    const isStageList = (stages) => Array.isArray(stages) && stages.every(s => typeof s === 'string');
+    if (!isStageList(pipelines?.nfa) || !isStageList(pipelines?.dfa)) return null;
+    return this.validatePipelines(pipelines) ? null : { nfa: pipelines.nfa, dfa: pipelines.dfa };
+  }
+
+  /**
+   * Configure valid pipelines without recomputing any views (before a build).
+   * @param {{nfa: string[], dfa: string[]}} pipelines
+   */
+  loadPipelineConfig(pipelines) {
+    this.pipelines = { nfa: [...pipelines.nfa], dfa: [...pipelines.dfa] };
+    this.pipelineViewStages = this.pipelines.nfa;
+    this.elements.pipelineError.textContent = '';
+    this.initPipelineUI();
+    this.renderPipelineEditor();
+  }
+
+  // ============================================
+  // Permalinks
+  // ============================================
+
+  /**
+   * Collect the state stored in a permalink.
+   * @returns {import('./permalink.js').PermalinkState}
+   */
+  getPermalinkState() {
+    const editors = {};
+    for (const key of MODE_EDITORS[this.mode]) {
+      editors[key] = this.editors[key].toString();
+    }
+    const options = this.mode === MODES.IMPORT
+      ? { importFormat: this.elements.importFormat.value }
+      : {};
+
+    return {
+      mode: this.mode,
+      editors,
+      options,
+      testInput: this.elements.testInput.value,
+      stepInput: this.elements.stepInput.value,
+      layout: this.activeLayout,
+      pipeline: {
+        active: this.activePipeline,
+        nfa: parseInt(this.elements.nfaSlider.value),
+        dfa: parseInt(this.elements.dfaSlider.value),
+        stages: { nfa: [...this.pipelines.nfa], dfa: [...this.pipelines.dfa] },
+      },
+    };
+  }
+
+  /**
+   * Put a permalink for the current state in the URL and copy it.
+   */
+  handleShare() {
+    encodePermalink(this.getPermalinkState())
+      .then(hash => {
+        history.replaceState(null, '', hash);
+        return navigator.clipboard.writeText(location.href);
+      })
+      .then(() => {
+        const btn = this.elements.shareBtn;
+        btn.classList.add('active');
+        btn.title = 'Link copied';
+        setTimeout(() => {
+          btn.classList.remove('active');
+          btn.title = 'Copy shareable link';
+        }, 1500);
+      })
+      .catch(e => this.showError(`Could not create link: ${e?.message ?? e}`));
+  }
+
+  /**
+   * Restore the editors, build, and restore the pipeline position from a permalink.
+   * The fragment is removed afterwards so later edits are not overridden on reload.
+   * @param {string} hash - `location.hash`
+   */
+  restoreFromPermalink(hash) {
+    decodePermalink(hash)
+      .then(state => {
+        if (!MODE_EDITORS[state.mode]) {
+          throw new Error(`Invalid permalink: unknown mode "${state.mode}"`);
+        }
+
+        this.isRestoring = true;
+        this.switchMode(state.mode);
+        for (const key of MODE_EDITORS[state.mode]) {
+          if (state.editors[key] !== undefined) this.editors[key].updateCode(state.editors[key]);
+        }
+        if (state.options.importFormat) this.elements.importFormat.value = state.options.importFormat;
+        this.elements.testInput.value = state.testInput;
+        this.elements.stepInput.value = state.stepInput;
+        this.isRestoring = false;
+
+        const pipelines = this.parsePipelines(state.pipeline.stages);
+        if (pipelines) this.loadPipelineConfig(pipelines);
+
+        if (this.layoutButtons.some(({ name }) => name === state.layout)) {
+          this.setActiveLayout(state.layout);
+        }
+        this.saveToStorage();
+        history.replaceState(null, '', location.pathname + location.search);
+
+        return this.handleBuild().then(built => {
+          if (built) this.restorePipelinePosition(state.pipeline);
+        });
+      })
+      .catch(e => {
+        this.isRestoring = false;
+        this.handleBuild();
+        this.showError(e?.message ?? String(e));
+      });
+  }
+
+  /**
+   * Move the pipeline sliders to a saved position and re-render.
+   * @param {{active: string, nfa: number, dfa: number}} pipeline
+   */
+  restorePipelinePosition(pipeline) {
+    const { nfaSlider, dfaSlider, nfaLabels, dfaLabels } = this.elements;
+
+    this.activePipeline = pipeline.active === PIPELINE_MODES.DFA ? PIPELINE_MODES.DFA : PIPELINE_MODES.NFA;
+    nfaSlider.value = pipeline.nfa;
+    this.updatePipelineUI(nfaSlider, nfaLabels);
+    dfaSlider.value = pipeline.dfa;
+    this.updatePipelineUI(dfaSlider, dfaLabels);
+    this.updateTransformAndRender();
+  }
+
+  /**
+   * Show strongly connected components as colored groups, condensed into
+   * single nodes, or not at all.
+   * @param {string} mode - A COMPONENT_DISPLAY value
+   */
+  setComponentDisplay(mode) {
+    this.elements.componentSelect.value = mode;
+    this.visualizer.setComponentDisplay(mode);
+    this.collapseAllStateItems();
+    this.updateHighlights();
+  }
+
+  /**
+   * Show or hide trap states (where partial DFAs have missing transitions).
+   * @param {boolean} visible
+   */
+  setTrapStatesVisible(visible) {
+    const btn = this.elements.trapToggleBtn;
+    btn.classList.toggle('active', !visible);
+    btn.title = visible ? 'Hide trap states' : 'Show trap states';
+    this.visualizer.setTrapStatesVisible(visible);
+    this.collapseAllStateItems();
+    this.updateHighlights();
+  }
+
   /**
    * Set the active layout, update button states, and persist.
    * @param {string} name - Key from NAMED_LAYOUTS
@@ -478,14 +1123,17 @@ class App {
     const isUnified = mode === MODES.UNIFIED;
     const isRegex = mode === MODES.REGEX;
     const isSplit = mode === MODES.SPLIT;
+    const isImport = mode === MODES.IMPORT;
 
     this.elements.tabUnified.classList.toggle('active', isUnified);
     this.elements.tabSplit.classList.toggle('active', isSplit);
     this.elements.tabRegex.classList.toggle('active', isRegex);
+    this.elements.tabImport.classList.toggle('active', isImport);
 
     this.elements.unifiedInput.classList.toggle('hidden', !isUnified);
     this.elements.splitInput.classList.toggle('hidden', !isSplit);
     this.elements.regexInput.classList.toggle('hidden', !isRegex);
+    this.elements.importInput.classList.toggle('hidden', !isImport);
   }
 
   // ============================================
@@ -493,8 +1141,8 @@ class App {
   // ============================================
 
   /**
-   * Switch between input modes (split, unified, regex)
-   * @param {string} mode - 'split', 'unified', or 'regex'
+   * Switch between input modes (split, unified, regex, import)
+   * @param {string} mode - 'split', 'unified', 'regex', or 'import'
    */
   switchMode(mode) {
     if (mode === this.mode) return;
@@ -508,7 +1156,8 @@ class App {
         this.editors.startState.toString() || '"start"',
         this.editors.transition.toString() || 'return undefined;',
         this.editors.accept.toString() || 'return false;',
-        this.editors.epsilon.toString()
+        this.editors.epsilon.toString(),
+        this.editors.output.toString()
       );
       this.editors.unified.updateCode(code);
     } else if (previousMode === MODES.UNIFIED) {
@@ -519,6 +1168,7 @@ class App {
         this.editors.transition.updateCode(parts.transitionBody);
         this.editors.accept.updateCode(parts.acceptBody);
         this.editors.epsilon.updateCode(parts.epsilonBody);
+        this.editors.output.updateCode(parts.outputBody);
       } catch (e) {
         console.warn('Failed to sync unified to split:', e);
       }
@@ -552,53 +1202,307 @@ class App {
   // ============================================
 
   /**
-   * Build the NFA from the current input code
+   * Describe the automaton defined by the current input mode.
+   * @returns {import('./build_service.js').BuildRequest}
+   */
+  getBuildRequest() {
+    if (this.mode === MODES.REGEX) {
+      const symbolStr = this.editors.regexSymbols.toString() || '1-9';
+      return {
+        kind: BUILD_KINDS.REGEX,
+        pattern: this.editors.regex.toString(),
+        symbols: expandSymbols(symbolStr),
+      };
+    }
+    if (this.mode === MODES.IMPORT) {
+      return {
+        kind: BUILD_KINDS.IMPORT,
+        text: this.editors.import.toString(),
+        format: this.elements.importFormat.value,
+      };
+    }
+    // Get code from current input mode
+    return { kind: BUILD_KINDS.CODE, code: this.getCurrentCode() };
+  }
+
+  /**
+   * Build the NFA from the current input code.
+   *
+   * Building and the NFA pipeline run in a worker; the current results stay
+   * on screen until the new ones arrive. Starting another build cancels
+   * this one.
+   *
+   * @returns {Promise<boolean>} Resolves to true if the new NFA was loaded
    */
   handleBuild() {
     this.hideError();
 
+    let request;
+    try {
+      request = this.getBuildRequest();
+    } catch (e) {
+      this.buildFailed(e);
+      return Promise.resolve(false);
+    }
+
+    return this.runPipelineBuild(request).catch(e => {
+      this.buildFailed(e);
+      return false;
+    });
+  }
+
+  /**
+   * Build a request and its NFA pipeline in the worker, and load the result.
+   * @param {import('./build_service.js').BuildRequest} request
+   * @returns {Promise<boolean>} Resolves to true if the new NFA was loaded,
+   *   or false if the build was cancelled; rejects if it failed
+   */
+  runPipelineBuild(request) {
+    this.setBuildRunning(true);
+    this.elements.buildProgress.textContent = 'Building…';
+
+    const stages = this.pipelines.nfa;
+    return this.buildRunner.run(request, {
+      maxStates: CONFIG.maxStates,
+      pipeline: stages,
+      timeoutMs: this.getBuildTimeoutMs(),
+      onProgress: ({ states, queued }) => {
+        this.elements.buildProgress.textContent = `${states} states, ${queued} queued`;
+      },
+    })
+      .then(data => {
+        this.elements.buildProgress.textContent = '';
+        this.loadPipeline(deserializePipeline(data, {
+          layoutState: this.visualizer.createLayoutState(),
+          stateIdPrefix: 'q',
+        }), stages);
+        return true;
+      })
+      .catch(e => {
+        // Superseded or cancelled builds leave the UI to whoever cancelled them.
+        if (e.cancelled) return false;
+        this.elements.buildProgress.textContent = '';
+        throw e;
+      })
+      .finally(() => this.updateBuildRunning());
+  }
+
+  /**
+   * Cancel the build in progress, including a DFA pipeline build.
+   */
+  handleCancelBuild() {
+    this.buildRunner.cancel();
+    this.dfaRunner.cancel();
+    this.elements.buildProgress.textContent = 'Build cancelled.';
+  }
+
+  /**
+   * Show a build error and clear the results.
+   * @param {Error} e
+   */
+  buildFailed(e) {
     this.view = null;
+    this.showError(e.message);
+    this.hideResults();
+  }
 
-    let nfa = null;
-    try {
-      if (this.mode === MODES.REGEX) {
-        const symbolStr = this.editors.regexSymbols.toString() || '1-9';
-        const symbols = expandSymbolClass(symbolStr);
-        const pattern = this.editors.regex.toString();
-
-        const parser = new RegexParser(pattern);
-        const ast = parser.parse();
-        const builder = new RegexToNFABuilder(symbols);
-        nfa = builder.build(ast);
-      } else {
-        // Get code from current input mode
-        const code = this.getCurrentCode();
+  /**
+   * Swap the Build button for the Cancel button while a build runs.
+   * @param {boolean} running
+   */
+  setBuildRunning(running) {
+    this.elements.buildBtn.classList.toggle('hidden', running);
+    this.elements.cancelBuildBtn.classList.toggle('hidden', !running);
+  }
 
-        // Parse and validate
-        const config = parseNFAConfig(code);
+  /**
+   * Restore the Build button once no build is running.
+   */
+  updateBuildRunning() {
+    if (!this.buildRunner.isRunning() && !this.dfaRunner.isRunning()) this.setBuildRunning(false);
+  }
 
-        // Build NFA
-        // symbols is already expanded to an array by parseNFAConfig
-        const builder = new NFABuilder(config, { ...CONFIG, symbols: config.symbols });
-        nfa = builder.build();
-      }
+  /**
+   * @returns {number} Build timeout in milliseconds, or 0 for none
+   */
+  getBuildTimeoutMs() {
+    const seconds = Number(this.elements.buildTimeout.value);
+    return seconds > 0 ? seconds * 1000 : 0;
+  }
+
+  /**
+   * Display precomputed NFA pipeline views.
+   * @param {NFAView[]} views - One view per stage
+   * @param {string[]} stages - The NFA pipeline stage IDs
+   */
+  loadPipeline(views, stages) {
+    // Views derived by subset construction get layouts of their own.
+    views.forEach(view => {
+      view.layoutState ??= this.visualizer.createLayoutState();
+    });
+    this.pipelineViews = views;
+    this.pipelineViewStages = stages;
+    this.dfaRunner.cancel();
+    this.dfaCache = new Map();
+    this.initPipelineUI();
 
-      // Precompute views for all pipeline steps
-      // Base state prefix is set by the caller.
-      const baseLayoutState = this.visualizer.createLayoutState();
-      const baseView = NFAView.fromNFA(nfa, {
-        layoutState: baseLayoutState,
-        stateIdPrefix: 'q',
+    // Update UI
+    this.showResults();
+  }
+
+  /**
+   * Load an automaton description file into the import editor and build it.
+   * @param {File} file
+   */
+  handleImportFile(file) {
+    file.text()
+      .then(text => {
+        this.editors.import.updateCode(text);
+        this.saveToStorage();
+        this.handleBuild();
+      })
+      .catch(e => this.showError(`Could not read ${file.name}: ${e?.message ?? e}`));
+  }
+
+  // ============================================
+  // Compare Handler
+  // ============================================
+
+  /**
+   * The build request for the compare pane definition.
+   * @param {Array} symbols - Alphabet used when the definition is a regex
+   * @returns {import('./build_service.js').BuildRequest}
+   */
+  getCompareRequest(symbols) {
+    const source = this.editors.compare.toString();
+    // Regexes are read over the built NFA's alphabet; code defines its own.
+    return this.elements.compareMode.value === COMPARE_MODES.CODE
+      ? { kind: BUILD_KINDS.CODE, code: source }
+      : { kind: BUILD_KINDS.REGEX, pattern: source, symbols: [...symbols] };
+  }
+
+  /**
+   * Check the language of the compare pane definition against the built NFA.
+   * The check runs in the worker, like a build.
+   * @returns {Promise<void>}
+   */
+  handleCompare() {
+    const resultEl = this.elements.compareResult;
+    const baseNFA = this.pipelineViews[0]?.nfa;
+
+    if (!baseNFA) {
+      resultEl.replaceChildren(compareLine('Build an NFA first.', 'rejected'));
+      return Promise.resolve();
+    }
+
+    resultEl.replaceChildren(compareLine('Comparing…'));
+    this.setBuildRunning(true);
+    const request = { kind: BUILD_KINDS.NFA, nfa: baseNFA.serialize() };
+    return this.buildRunner.compare(request, this.getCompareRequest(baseNFA.symbols), {
+      maxStates: CONFIG.maxStates,
+      timeoutMs: this.getBuildTimeoutMs(),
+    })
+      .then(result => {
+        if (result.equivalent) {
+          resultEl.replaceChildren(compareLine('✓ Equivalent', 'accepted'));
+          return;
+        }
+
+        const witness = document.createElement('code');
+        // The definition may add symbols that are not in the built NFA's alphabet.
+        const symbols = [...baseNFA.symbols, ...result.counterexample];
+        witness.textContent = joinSymbolString(result.counterexample, symbols) || 'ε';
+        const owner = result.acceptedBy === 'first' ? 'the built NFA' : 'this definition';
+        resultEl.replaceChildren(
+          compareLine('✗ Not equivalent: ', 'rejected'), witness, compareLine(` is accepted only by ${owner}.`));
+      })
+      .catch(e => {
+        resultEl.replaceChildren(compareLine(e.cancelled ? 'Comparison cancelled.' : e?.message ?? String(e), 'rejected'));
+      })
+      .finally(() => this.updateBuildRunning());
+  }
+
+  /**
+   * Combine the built NFA (A) with the compare pane definition (B) and show
+   * the result in place of A. The editors are untouched, so Build restores A.
+   * The operation and the pipeline run in the worker, like a build.
+   * @returns {Promise<void>}
+   */
+  handleCombine() {
+    const resultEl = this.elements.compareResult;
+    const baseNFA = this.pipelineViews[0]?.nfa;
+
+    if (!baseNFA) {
+      resultEl.replaceChildren(compareLine('Build an NFA first.', 'rejected'));
+      return Promise.resolve();
+    }
+
+    const opSelect = this.elements.combineOp;
+    const request = {
+      kind: BUILD_KINDS.COMBINE,
+      op: opSelect.value,
+      base: { kind: BUILD_KINDS.NFA, nfa: baseNFA.serialize() },
+      other: this.getCompareRequest(baseNFA.symbols),
+    };
+    const opLabel = opSelect.options[opSelect.selectedIndex].text;
+
+    this.hideError();
+    resultEl.replaceChildren(compareLine(`Computing ${opLabel}…`));
+    return this.runPipelineBuild(request)
+      .then(loaded => {
+        if (!loaded) {
+          resultEl.replaceChildren(compareLine(`${opLabel} cancelled.`, 'rejected'));
+          return;
+        }
+        const numStates = this.pipelineViews[0].nfa.numStates();
+        resultEl.replaceChildren(compareLine(
+          `Showing ${opLabel} (${numStates} states). Build to restore A.`, 'accepted'));
+      })
+      .catch(e => {
+        resultEl.replaceChildren(compareLine(e?.message ?? String(e), 'rejected'));
       });
-      this.pipelineViews = this.buildPipeline(baseView, PIPELINES.NFA);
-      this.dfaCache = new Map();
+  }
+
+  // ============================================
+  // Export Handler
+  // ============================================
 
-      // Update UI
-      this.showResults();
+  /**
+   * Download the currently viewed stage in the given format.
+   * @param {'dot'|'json'|'svg'|'png'} format
+   */
+  handleExport(format) {
+    const view = this.view;
+    if (!view) return;
 
+    const baseName = this.activePipeline === PIPELINE_MODES.DFA ? 'dfa' : 'nfa';
+    try {
+      switch (format) {
+        case 'dot':
+          downloadBlob(`${baseName}.dot`,
+            new Blob([exportDot(view, { name: baseName })], { type: 'text/vnd.graphviz' }));
+          break;
+        case 'json':
+          downloadBlob(`${baseName}.json`,
+            new Blob([JSON.stringify(exportJSON(view), null, 2)], { type: 'application/json' }));
+          break;
+        case 'svg': {
+          const svg = this.visualizer.toSVG();
+          if (svg === null) throw new Error('the graph is not rendered');
+          downloadBlob(`${baseName}.svg`, new Blob([svg], { type: 'image/svg+xml' }));
+          break;
+        }
+        case 'png': {
+          const png = this.visualizer.toPNG();
+          if (png === null) throw new Error('the graph is not rendered');
+          png
+            .then(blob => downloadBlob(`${baseName}.png`, blob))
+            .catch(e => this.showError(`Export failed: ${e?.message ?? e}`));
+          break;
+        }
+      }
     } catch (e) {
-      this.showError(e.message);
-      this.hideResults();
+      this.showError(`Export failed: ${e?.message ?? e}`);
     }
   }
 
@@ -615,7 +1519,8 @@ class App {
       this.editors.startState.toString() || '"start"',
       this.editors.transition.toString() || 'return undefined;',
       this.editors.accept.toString() || 'return false;',
-      this.editors.epsilon.toString()
+      this.editors.epsilon.toString(),
+      this.editors.output.toString()
     );
   }
 
@@ -649,7 +1554,9 @@ class App {
     this.elements.dfaSlider.value = 0;
     this.updatePipelineUI(this.elements.dfaSlider, this.elements.dfaLabels);
 
+    this.updateBuchi(this.pipelineViews[0].getSourceView());
     this.updateTransformAndRender();
+    this.updatePushdown();
 
     if (this.activeLayout !== 'dagre') {
       this.visualizer.applyLayout(this.activeLayout);
@@ -659,12 +1566,11 @@ class App {
   getDfaPipelineAtNfaStep(nfaStep) {
     // Update DFA slider logic based on NFA state
     // If the NFA pipeline has reached the PRUNE stage, remove PRUNE from the DFA pipeline
-    const pruneStageIndex = PIPELINES.NFA.indexOf(STAGES.PRUNE);
-    const nfaIsPruned = nfaStep >= pruneStageIndex;
+    const nfaIsPruned = this.pipelineViewStages.slice(0, nfaStep + 1).includes(STAGES.PRUNE);
 
     return nfaIsPruned
-      ? PIPELINES.DFA.filter(s => s !== STAGES.PRUNE)
-      : PIPELINES.DFA;
+      ? this.pipelines.dfa.filter(s => s !== STAGES.PRUNE)
+      : this.pipelines.dfa;
   }
 
   /**
@@ -722,7 +1628,8 @@ class App {
       // Update text and visibility based on the computed pipeline
       dfaPipeline.forEach((stageId, index) => {
         if (dfaLabels[index]) {
-          dfaLabels[index].textContent = STAGE_LABELS[stageId];
+          dfaLabels[index].textContent = getStageLabel(stageId);
+          dfaLabels[index].dataset.stage = stageId;
           dfaLabels[index].style.display = '';
         }
       });
@@ -740,80 +1647,68 @@ class App {
     }
   }
   /**
-   * Build a pipeline of views for a given NFA based on stage definitions
-   * @param {NFA} nfa - The source NFA
-   * @param {string[]} stages - Array of stage IDs
-   * @returns {NFAView[]} Array of views corresponding to the stages
+   * The views of the active pipeline, or null while the DFA pipeline for
+   * the current NFA step is still being built (see buildDfaPipeline()).
+   * @returns {NFAView[]|null}
    */
-  buildPipeline(view, stages) {
-    const views = [];
-
-    // Ensure we have one opaque layout state shared by all views in this pipeline.
-    if (!view.layoutState) {
-      view.layoutState = this.visualizer.createLayoutState();
+  getActivePipelineViews() {
+    if (this.activePipeline === PIPELINE_MODES.NFA) {
+      return this.pipelineViews;
     }
 
-    for (const stage of stages) {
-      switch (stage) {
-        case STAGES.RAW:
-          // Base view for the raw NFA (explicit epsilon edges come from the NFA itself)
-          break;
-
-        case STAGES.EPSILON:
-          view = view.withEpsilonClosure();
-          break;
+    const nfaStep = parseInt(this.elements.nfaSlider.value);
+    if (!this.dfaCache.has(nfaStep)) {
+      this.buildDfaPipeline(nfaStep);
+      return null;
+    }
+    return this.dfaCache.get(nfaStep);
+  }
 
-        case STAGES.EXPAND:
-          // Base view for DFA pipeline (subset expansion)
-          break;
-
-        case STAGES.PRUNE:
-          view = view.withDeadStatesPruned();
-          break;
-
-        case STAGES.MERGE:
-          view = view.withEquivalentStatesMerged();
-          break;
-
-        default:
-          console.warn(`Unknown pipeline stage: ${stage}`);
-      }
-
-      views.push(view);
-    }
-
-    return views;
-  }
-
-  getActivePipelineViews() {
-    if (this.activePipeline === PIPELINE_MODES.NFA) {
-      return this.pipelineViews;
-    }
-
-    const nfaStep = parseInt(this.elements.nfaSlider.value);
-
-    // Check cache for this NFA step
-    if (!this.dfaCache.has(nfaStep)) {
-      // Build DFA from current NFA view
-      // IMPORTANT: If the current view is "Raw" (step 0), it hides effective transitions
-      // (epsilon closures). We must use the "Epsilon Closure" view (step 1) or later
-      // to ensure the DFA builder sees the full transition set.
-      // If the user is at step 0, we use step 1 as the source for DFA construction.
-      const sourceViewStep = nfaStep === 0 ? 1 : nfaStep;
-      const sourceView = this.pipelineViews[sourceViewStep];
-
-      // Subset expansion is handled by the view.
-      const expandedView = sourceView.withSubsetExpansion();
-
-      // Precompute DFA pipeline views using the generic builder
-      const pipeline = this.getDfaPipelineAtNfaStep(nfaStep);
-
-      const dfaViews = this.buildPipeline(expandedView, pipeline);
-      this.dfaCache.set(nfaStep, dfaViews);
-    }
-
-    return this.dfaCache.get(nfaStep);
-  }
+  /**
+   * Build the DFA pipeline for an NFA step in the worker (subset expansion
+   * and the DFA stages), cache it, and show it if it is still wanted.
+   * @param {number} nfaStep
+   */
+  buildDfaPipeline(nfaStep) {
+    const cache = this.dfaCache;
+    if (this.dfaBuild?.cache === cache && this.dfaBuild.nfaStep === nfaStep) return;
+
+    const nfaView = this.pipelineViews[nfaStep];
+    const sourceView = nfaView.getSourceView();
+    const dfaBuild = { cache, nfaStep };
+    this.dfaBuild = dfaBuild;
+    this.setBuildRunning(true);
+    this.elements.buildProgress.textContent = 'Building DFA…';
+
+    this.dfaRunner.run({ kind: BUILD_KINDS.SUBSET, view: serializePipeline([nfaView]) }, {
+      pipeline: this.getDfaPipelineAtNfaStep(nfaStep),
+      timeoutMs: this.getBuildTimeoutMs(),
+    })
+      .then(data => {
+        this.elements.buildProgress.textContent = '';
+        const views = deserializePipeline(data, { sourceView, stateIdPrefix: sourceView.getStateIdPrefix() });
+        // Stages of one DFA share its layout; derived stages get their own.
+        const layouts = new Map();
+        views.forEach(view => {
+          if (!layouts.has(view.nfa)) layouts.set(view.nfa, this.visualizer.createLayoutState());
+          view.layoutState ??= layouts.get(view.nfa);
+        });
+        cache.set(nfaStep, views);
+
+        const current = this.activePipeline === PIPELINE_MODES.DFA && this.dfaCache === cache &&
+          parseInt(this.elements.nfaSlider.value) === nfaStep;
+        if (current) this.updateTransformAndRender();
+      })
+      .catch(e => {
+        if (e.cancelled) return;
+        this.elements.buildProgress.textContent = '';
+        this.showError(e?.message ?? String(e));
+      })
+      .finally(() => {
+        if (this.dfaBuild === dfaBuild) this.dfaBuild = null;
+        this.updateBuildRunning();
+      });
+  }
 
   /**
    * Create a new NFAView based on the current NFA and slider state
@@ -822,7 +1717,7 @@ class App {
     if (this.activePipeline === PIPELINE_MODES.DFA) {
       const dfaViews = this.getActivePipelineViews();
       const dfaStep = parseInt(this.elements.dfaSlider.value);
-      return dfaViews[dfaStep];
+      return dfaViews?.[dfaStep] ?? null;
     } else {
       const nfaStep = parseInt(this.elements.nfaSlider.value);
       return this.pipelineViews[nfaStep];
@@ -840,24 +1735,30 @@ class App {
 
     try {
       const views = this.getActivePipelineViews();
+      // The DFA pipeline is being built; it is shown when it is ready.
+      if (!views) return;
 
       const slider = this.activePipeline === PIPELINE_MODES.DFA
         ? this.elements.dfaSlider
         : this.elements.nfaSlider;
       this.view = views[parseInt(slider.value)];
-
-      // Capture the previous layout into its (opaque) layout state.
-      if (previousView?.layoutState) {
-        this.visualizer.captureLayout(previousView.layoutState);
-      }
-
-      // Re-render
-      this.visualizer.render(this.view, this.view.layoutState);
+      this.renderCanvas();
 
       // Update stats display
       this.updateStatsDisplay(this.view, views[views.length - 1]);
       this.updateStateList();
+      this.witnesses.any = this.findWitness(this.view.nfa, null);
+      this.clearElimination();
+      this.clearAmbiguity();
+      this.resetLanguage();
+      // Samples stay valid while the language (i.e. the source and
+      // direction) is the same.
+      if (previousView?.getSourceView() !== this.view.getSourceView() ||
+        previousView.isReversed() !== this.view.isReversed()) {
+        this.clearSamples();
+      }
       this.updateTestResult();
+      this.updateStepper();
     } catch (e) {
       // Keep the previous rendering intact; just surface the error.
       this.view = previousView;
@@ -865,6 +1766,64 @@ class App {
     }
   }
 
+  /**
+   * Draw the current view, keeping the layout of the previous drawing.
+   * A pushdown automaton is drawn as its control states, with stack actions
+   * on the edges, unless unrolled into its configurations; highlights, which
+   * refer to configurations, then fall on their control states.
+   */
+  renderCanvas() {
+    // Capture the previous layout into its (opaque) layout state.
+    if (this.canvasView?.layoutState) {
+      this.visualizer.captureLayout(this.canvasView.layoutState);
+    }
+
+    const pushdown = this.view.getSourceView().nfa.pushdown;
+    if (pushdown && !this.elements.pushdownUnrollToggle.checked) {
+      // States of stages derived by subset construction stand for sets of
+      // configurations.
+      const { nfa } = this.view;
+      const statesOf = (id) => (nfa.dfaStateSources ? nfa.dfaStateSources[id] ?? [] : [id])
+        .map(config => pushdown.controlOf[config])
+        .filter(controlId => controlId !== undefined);
+      this.canvasView = this.getPushdownControlView(pushdown);
+      this.visualizer.render(this.canvasView, this.canvasView.layoutState, { view: this.view, statesOf });
+    } else {
+      this.canvasView = this.view;
+      this.visualizer.render(this.view, this.view.layoutState);
+    }
+  }
+
+  /**
+   * Select a state of the current view on the canvas (the first control
+   * state drawing it, when control states are drawn).
+   * @param {number} stateId
+   */
+  selectCanvasState(stateId) {
+    const [canonical] = this.visualizer.canonicalsOf(stateId);
+    if (canonical !== undefined) this.visualizer.selectState(canonical);
+  }
+
+  /**
+   * @param {Object} pushdown - The `pushdown` of the built NFA
+   * @returns {NFAView} View of its control states
+   */
+  getPushdownControlView(pushdown) {
+    if (this.pushdownControl?.pushdown !== pushdown) {
+      // Control state labels are state values; show strings unquoted.
+      const stateNames = pushdown.control.stateLabels.map(label => {
+        const value = JSON.parse(label);
+        return typeof value === 'string' ? value : label;
+      });
+      const view = NFAView.fromNFA(pushdown.control, {
+        stateNames,
+        layoutState: this.visualizer.createLayoutState(),
+      });
+      this.pushdownControl = { pushdown, view };
+    }
+    return this.pushdownControl.view;
+  }
+
   /**
    * Update the stats display based on current NFA and view
    */
@@ -872,6 +1831,8 @@ class App {
     const stats = view.getStats();
 
     this.elements.statStates.textContent = stats.total;
+    this.elements.statPartial.textContent = stats.partial;
+    this.elements.statComplete.textContent = stats.complete;
 
     // Determine machine type
     let type = 'NFA';
@@ -881,8 +1842,9 @@ class App {
     if (hasEpsilons) {
       type = 'ε-NFA';
     } else if (isDeterministic) {
-      const minStates = finalView.getStats().total;
-      if (stats.total === minStates) {
+      // A trap state added by completion doesn't count against minimality.
+      const minStates = finalView.getStats().partial;
+      if (stats.partial === minStates) {
         type = 'Min-DFA';
       } else {
         type = 'DFA';
@@ -897,6 +1859,50 @@ class App {
     this.elements.statAccept.textContent = stats.accept;
     this.elements.statLive.textContent = stats.live;
     this.elements.statDead.textContent = stats.dead;
+
+    this.updateLanguageStats(view);
+  }
+
+  /**
+   * Show the size, growth and per-length string counts of the view's language.
+   * @param {NFAView} view
+   */
+  updateLanguageStats(view) {
+    const { statLanguage, statCountsRow, statCounts } = this.elements;
+    const sourceView = view.getSourceView();
+    if (this.languageAnalysis?.sourceView !== sourceView) {
+      let result;
+      try {
+        result = analyzeLanguage(view, { maxLength: CONFIG.languageCountLength });
+      } catch (e) {
+        result = { error: e?.message ?? String(e) };
+      }
+      this.languageAnalysis = { sourceView, result };
+    }
+
+    const result = this.languageAnalysis.result;
+    if (result.error) {
+      statLanguage.textContent = '';
+      statLanguage.title = result.error;
+      statCounts.textContent = '';
+      statCountsRow.title = '';
+      return;
+    }
+
+    let description = result.size;
+    if (result.size === LANGUAGE_SIZE.FINITE) {
+      description += ` (${result.total} string${result.total === 1n ? '' : 's'})`;
+    } else if (result.growth?.type === GROWTH.EXPONENTIAL) {
+      description += ', exponential growth';
+    } else if (result.growth) {
+      const degree = result.growth.degree;
+      description += `, polynomial growth (${degree === 0 ? 'bounded' : `n^${degree}`})`;
+    }
+    statLanguage.textContent = description;
+    statLanguage.title = '';
+
+    statCounts.textContent = result.counts.join(' ');
+    statCountsRow.title = result.counts.map((count, length) => `${length}: ${count}`).join('\n');
   }
 
   /**
@@ -1005,7 +2011,7 @@ class App {
 
     // Expand and select in graph
     this.expandStateItem(stateId, itemElement);
-    this.visualizer.selectState(stateId);
+    this.selectCanvasState(stateId);
   }
 
   /**
@@ -1104,12 +2110,32 @@ class App {
   hideResults() {
     this.elements.emptyState.classList.remove('hidden');
     this.elements.statStates.textContent = '—';
+    this.elements.statPartial.textContent = '—';
+    this.elements.statComplete.textContent = '—';
     this.elements.statType.textContent = '';
     this.elements.statStart.textContent = '—';
     this.elements.statAccept.textContent = '—';
     this.elements.statLive.textContent = '—';
     this.elements.statDead.textContent = '—';
+    this.elements.statLanguage.textContent = '—';
+    this.elements.statCounts.textContent = '';
+    this.languageAnalysis = null;
     this.elements.stateList.innerHTML = '';
+    this.traceSteps = null;
+    this.witnesses = { match: null, any: null };
+    this.renderWitnesses();
+    this.elements.stepPosition.textContent = '';
+    this.elements.stepTape.replaceChildren();
+    this.elements.stepDetails.replaceChildren();
+    this.clearElimination();
+    this.clearAmbiguity();
+    this.language = null;
+    this.renderLanguage();
+    this.clearSamples();
+    this.testPatternNFA = null;
+    this.updateProduct();
+    this.updatePushdown();
+    this.updateBuchi(null);
   }
 
   // ============================================
@@ -1126,7 +2152,13 @@ class App {
       this.elements.testResult.textContent = '';
       this.elements.testResult.className = 'test-result';
       this.hideTestError();
-      this.visualizer.clearHighlight();
+      this.testHighlights = null;
+      this.testPatternNFA = null;
+      this.witnesses = { match: null, any: null };
+      this.renderWitnesses();
+      this.updateTransducerOutput(null);
+      this.updateProduct();
+      this.updateHighlights();
       return;
     }
 
@@ -1135,21 +2167,29 @@ class App {
     // Only show errors for exceptional conditions (limit, parse errors, etc.).
     this.hideTestError();
 
+    if (this.buchi) {
+      this.updateInfiniteWordResult(inputStr);
+      return;
+    }
+
     try {
       const pattern = (inputStr ?? '');
 
       // Build an NFA from the regex using the current NFA's alphabet.
       const symbols = [...nfa.symbols];
-      const parser = new RegexParser(pattern);
+      const parser = new RegexParser(pattern, { tokens: hasNamedSymbols(symbols) });
       const ast = parser.parse();
       const builder = new RegexToNFABuilder(symbols);
       const regexNFA = builder.build(ast);
+      this.testPatternNFA = regexNFA;
 
       const result = nfa.runAgainst(regexNFA);
 
       const isMatch = result.status === RunStatus.MATCH;
       const isLimit = result.status === RunStatus.LIMIT_MAX_STEPS;
 
+      this.witnesses.match = isMatch ? this.findWitness(nfa, regexNFA) : null;
+
       if (isMatch) {
         this.showTestResult('✓ Match', true);
       } else if (isLimit) {
@@ -1170,20 +2210,654 @@ class App {
         this.showTestResult(`✗ ${reason}`, false);
       }
 
-      if (this.elements.showTraceToggle.checked && result.highlights) {
-        this.visualizer.highlightExecution(result.highlights);
-      } else {
-        this.visualizer.clearHighlight();
-      }
+      this.testHighlights = result.highlights ?? null;
+    } catch (e) {
+      this.showTestResult('', false);
+      this.elements.testResult.className = 'test-result';
+      this.showTestError(e?.message ?? String(e));
+      this.testHighlights = null;
+      this.testPatternNFA = null;
+      this.witnesses.match = null;
+    }
 
+    this.renderWitnesses();
+    this.updateTransducerOutput(inputStr);
+    this.updateProduct();
+    this.updateHighlights();
+  }
+
+  /**
+   * Test an infinite word u(v)^ω against a Büchi automaton. Acceptance is
+   * decided on the built automaton, since the pipeline stages keep the
+   * finite-word language only; the run is highlighted while the current
+   * stage has the built automaton's states.
+   * @param {string} inputStr
+   */
+  updateInfiniteWordResult(inputStr) {
+    const source = this.view.getSourceView();
+    this.testPatternNFA = null;
+    this.witnesses = { match: null, any: null };
+    this.testHighlights = null;
+
+    try {
+      const { prefix, loop } = parseLassoWord(inputStr, source.nfa.symbols);
+      const run = acceptsLassoWord(source, prefix, loop);
+      this.showTestResult(run ? '✓ Accepted' : '✗ Rejected', !!run);
+      if (run && this.view.nfa === source.nfa) this.testHighlights = run.highlights;
     } catch (e) {
       this.showTestResult('', false);
       this.elements.testResult.className = 'test-result';
       this.showTestError(e?.message ?? String(e));
+    }
+
+    this.renderWitnesses();
+    this.updateTransducerOutput(null);
+    this.updateProduct();
+    this.updateHighlights();
+  }
+
+  /**
+   * Find the shortest string accepted by `nfa` (intersected with `other`, if given).
+   * @param {import('./nfa.js').NFA} nfa
+   * @param {import('./nfa.js').NFA|null} other
+   * @returns {{witness: string[], highlights: import('./nfa.js').RunHighlights}|null}
+   *   null if there is no witness, or the search hit its step limit.
+   */
+  findWitness(nfa, other) {
+    const result = nfa.findShortestAccepted(other);
+    if (result.status !== RunStatus.MATCH) return null;
+    return { witness: result.witness, highlights: result.highlights };
+  }
+
+  /**
+   * Show the current witness strings in the test panel.
+   */
+  renderWitnesses() {
+    if (this.shownWitness && !this.witnesses[this.shownWitness]) {
+      this.shownWitness = null;
+    }
+
+    const rows = [
+      ['match', this.elements.witnessMatchRow, this.elements.witnessMatch, this.elements.witnessMatchBtn],
+      ['any', this.elements.witnessAnyRow, this.elements.witnessAny, this.elements.witnessAnyBtn],
+    ];
+    for (const [key, rowEl, stringEl, btnEl] of rows) {
+      const found = this.witnesses[key];
+      rowEl.classList.toggle('hidden', !found);
+      stringEl.textContent = found ? (joinSymbolString(found.witness, this.view.nfa.symbols) || 'ε') : '';
+      btnEl.classList.toggle('active', this.shownWitness === key);
+    }
+  }
+
+  /**
+   * Show the outputs of a transducer for the test input, read as a literal
+   * string. They come from the built automaton, whose stages that keep
+   * outputs transduce alike (reversed stages transduce the reversed input).
+   * @param {string|null} inputStr - Test input, or null to hide the outputs
+   */
+  updateTransducerOutput(inputStr) {
+    const { transducerOutputRow, transducerOutput } = this.elements;
+    const source = this.view?.getSourceView().nfa;
+    const show = inputStr !== null && Boolean(source?.hasOutputs()) && !this.view.isReversed();
+    transducerOutputRow.classList.toggle('hidden', !show);
+    transducerOutput.textContent = '';
+    if (!show) return;
+
+    const input = splitSymbolString(inputStr, source.symbols);
+    if (input.some(symbol => source.getSymbolIndex(symbol) === undefined)) {
+      transducerOutput.textContent = '— (not a literal input)';
+      return;
+    }
+    const { outputs, truncated } = source.transduce(input);
+    const outputSymbols = source.getOutputSymbols();
+    const strings = outputs.map(output => joinSymbolString(output, outputSymbols) || 'ε');
+    transducerOutput.textContent = (strings.join(' | ') || '∅') + (truncated ? ' …' : '');
+  }
+
+  /**
+   * Pin (or unpin) the path of a witness on the canvas.
+   * @param {'match'|'any'} key
+   */
+  toggleWitnessPath(key) {
+    this.shownWitness = this.shownWitness === key ? null : key;
+    this.renderWitnesses();
+    this.updateHighlights();
+  }
+
+  /**
+   * Draw uniformly random strings of the chosen length that the current
+   * view accepts (or rejects), and list them in the test panel.
+   */
+  handleSample() {
+    if (!this.view) return;
+
+    const length = Math.max(0, parseInt(this.elements.sampleLength.value, 10) || 0);
+    const seed = parseInt(this.elements.sampleSeed.value, 10) || 0;
+    const kind = this.elements.sampleKind.value;
+
+    this.hideTestError();
+    let samples;
+    try {
+      samples = sampleStrings(this.view, {
+        length, seed, count: CONFIG.sampleCount, accepted: kind === 'accepted',
+      });
+    } catch (e) {
+      this.clearSamples();
+      this.showTestError(e?.message ?? String(e));
+      return;
+    }
+
+    const symbols = this.view.nfa.symbols;
+    const items = samples.map(string => {
+      const item = document.createElement('li');
+      item.textContent = joinSymbolString(string, symbols) || 'ε';
+      return item;
+    });
+    if (items.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'empty';
+      empty.textContent = `No ${kind} strings of length ${length}`;
+      items.push(empty);
+    }
+    this.elements.sampleList.replaceChildren(...items);
+    this.elements.sampleList.classList.remove('hidden');
+  }
+
+  /**
+   * Remove the listed samples (e.g. because the automaton changed).
+   */
+  clearSamples() {
+    this.elements.sampleList.replaceChildren();
+    this.elements.sampleList.classList.add('hidden');
+  }
+
+  /**
+   * Apply canvas highlights, in priority order: the state elimination
+   * walkthrough, the ambiguity witness, the Büchi lasso, the current stepper
+   * step, a pinned witness path, then the test trace (each if enabled).
+   */
+  updateHighlights() {
+    if (this.elimination && this.elements.eliminationToggle.checked) {
+      // The walkthrough needs every state on the canvas.
+      if (this.canvasView !== this.view) {
+        this.elements.pushdownUnrollToggle.checked = true;
+        this.renderCanvas();
+      }
+      if (this.visualizer.componentDisplay === COMPONENT_DISPLAY.CONDENSED) {
+        this.elements.componentSelect.value = COMPONENT_DISPLAY.COLORED;
+        this.visualizer.setComponentDisplay(COMPONENT_DISPLAY.COLORED);
+      }
+      this.visualizer.showElimination(this.elimination.steps[this.eliminationIndex]);
+      return;
+    }
+
+    this.visualizer.clearElimination();
+    if (this.ambiguity?.highlights && this.elements.ambiguityToggle.checked) {
+      this.visualizer.highlightExecution(this.ambiguity.highlights);
+    } else if (this.buchi?.lasso && this.elements.buchiToggle.checked && this.view.nfa === this.buchi.nfa) {
+      this.visualizer.highlightExecution(this.buchi.lasso.highlights);
+    } else if (this.traceSteps) {
+      this.visualizer.highlightStep(this.traceSteps[this.stepIndex]);
+    } else if (this.shownWitness) {
+      this.visualizer.highlightExecution(this.witnesses[this.shownWitness].highlights);
+    } else if (this.elements.showTraceToggle.checked && this.testHighlights) {
+      this.visualizer.highlightExecution(this.testHighlights);
+    } else {
       this.visualizer.clearHighlight();
     }
   }
 
+  // ============================================
+  // Product with Test Input
+  // ============================================
+
+  /**
+   * Rebuild and render the product of the current view with the test regex,
+   * if it is shown.
+   */
+  updateProduct() {
+    const { productToggle, productPanel, productInfo, productErrorDisplay } = this.elements;
+    this.product = null;
+    productErrorDisplay.classList.add('hidden');
+
+    const shown = productToggle.checked && !!this.view && !!this.testPatternNFA;
+    productPanel.classList.toggle('hidden', !shown);
+    if (!shown) return;
+
+    try {
+      const { view, pairs } = productView(this.view, this.testPatternNFA, { otherPrefix: 'r' });
+      const patternView = NFAView.fromNFA(this.testPatternNFA, { stateIdPrefix: 'r' });
+      this.product = { view, pairs, patternView };
+    } catch (e) {
+      productPanel.classList.add('hidden');
+      productErrorDisplay.textContent = e?.message ?? String(e);
+      productErrorDisplay.classList.remove('hidden');
+      return;
+    }
+
+    if (!this.productVisualizer) {
+      this.productVisualizer = new NFAVisualizer(this.elements.productContainer);
+      this.productVisualizer.onStateSelect = (stateId) => this.selectProductState(stateId);
+      this.patternVisualizer = new NFAVisualizer(this.elements.patternContainer);
+    }
+    const numStates = this.product.view.getStats().total;
+    productInfo.textContent = `${numStates} reachable pair${numStates === 1 ? '' : 's'}; ` +
+      'click one to select its components.';
+    this.productVisualizer.render(this.product.view);
+    this.patternVisualizer.render(this.product.patternView);
+  }
+
+  /**
+   * Select the automaton state and the test regex state that a product
+   * state pairs up.
+   * @param {number|null} stateId - Product state ID, or null to deselect
+   */
+  selectProductState(stateId) {
+    if (stateId === null) {
+      this.visualizer.clearSelection();
+      this.patternVisualizer.clearSelection();
+      this.collapseAllStateItems();
+      return;
+    }
+
+    const [p, q] = this.product.pairs[stateId];
+    this.selectCanvasState(p);
+    this.updateStateListSelection(p);
+    this.patternVisualizer.selectState(q);
+    this.elements.productInfo.textContent = `${this.product.view.getStateIdString(stateId)}: ` +
+      `${this.view.getStateIdString(p)} in the automaton, r${q} in the test regex`;
+  }
+
+  // ============================================
+  // Pushdown Automata
+  // ============================================
+
+  /**
+   * Describe the acceptance and depth bound of a pushdown automaton. Its
+   * control states are drawn on the canvas (see renderCanvas()).
+   */
+  updatePushdown() {
+    const { pushdownSection, pushdownInfo } = this.elements;
+    const pushdown = this.view?.getSourceView().nfa.pushdown;
+    pushdownSection.classList.toggle('hidden', !pushdown);
+    if (!pushdown) return;
+
+    const acceptance = pushdown.acceptBy === ACCEPT_BY.EMPTY ? 'empty stack' : 'final state';
+    pushdownInfo.textContent = `Accepts by ${acceptance}; stack depth ≤ ${pushdown.maxStackDepth}` +
+      (pushdown.depthLimitReached ? ' (reached: deeper configurations are not explored).' : '.');
+  }
+
+  // ============================================
+  // Büchi Acceptance
+  // ============================================
+
+  /**
+   * Find an accepting lasso if the built automaton is a Büchi automaton,
+   * and switch the test panel to infinite words u(v)^ω accordingly.
+   * @param {NFAView|null} source - The built automaton's view, if any
+   */
+  updateBuchi(source) {
+    const { buchiSection, buchiOutput, buchiToggle, testHeading } = this.elements;
+    const isBuchi = source?.nfa.acceptance === ACCEPTANCE.BUCHI;
+
+    this.buchi = isBuchi ? { nfa: source.nfa, lasso: findAcceptingLasso(source) } : null;
+    buchiSection.classList.toggle('hidden', !isBuchi);
+    testHeading.textContent = isBuchi ? 'Test Input (u(v)^ω)' : 'Test Input (Regex)';
+    if (!isBuchi) return;
+
+    const lasso = this.buchi.lasso;
+    const symbols = source.nfa.symbols;
+    buchiOutput.textContent = lasso
+      ? `Accepting lasso: ${joinSymbolString(lasso.prefix, symbols)}(${joinSymbolString(lasso.loop, symbols)})^ω`
+      : 'Empty ω-language: no accepting state is on a reachable cycle';
+    buchiToggle.parentElement.classList.toggle('hidden', !lasso);
+  }
+
+  // ============================================
+  // Stepper
+  // ============================================
+
+  /**
+   * Move the stepper to a given step (clamped to the valid range).
+   * @param {number} index
+   */
+  setStepIndex(index) {
+    if (!this.traceSteps) return;
+    this.stepIndex = Math.max(0, Math.min(index, this.traceSteps.length - 1));
+    this.renderStep();
+    this.updateHighlights();
+  }
+
+  /**
+   * Recompute the execution trace of the literal step input on the current view.
+   * The step index is preserved (clamped) so that stepping survives stage changes.
+   */
+  updateStepper() {
+    const nfa = this.view?.nfa;
+    const inputStr = this.elements.stepInput.value;
+
+    this.traceSteps = null;
+    this.traceRuns = null;
+    this.elements.stepErrorDisplay.classList.add('hidden');
+
+    if (nfa && inputStr) {
+      const symbols = splitSymbolString(inputStr, nfa.symbols);
+      const unknown = [...new Set(symbols.filter(s => nfa.getSymbolIndex(s) === undefined))];
+      if (unknown.length > 0) {
+        this.elements.stepErrorDisplay.textContent =
+          `Not in the alphabet: ${unknown.map(s => `'${s}'`).join(', ')}`;
+        this.elements.stepErrorDisplay.classList.remove('hidden');
+      } else {
+        this.traceSteps = nfa.traceInput(symbols);
+        this.traceRuns = countAcceptingRuns(this.view, symbols);
+        this.stepIndex = Math.min(this.stepIndex, this.traceSteps.length - 1);
+      }
+    }
+
+    this.renderStep();
+    this.updateHighlights();
+  }
+
+  /**
+   * Render the stepper controls, input tape and the current step details.
+   */
+  renderStep() {
+    const steps = this.traceSteps;
+    const { stepPosition, stepTape, stepDetails } = this.elements;
+
+    const atStart = !steps || this.stepIndex === 0;
+    const atEnd = !steps || this.stepIndex === steps.length - 1;
+    this.elements.stepFirstBtn.disabled = atStart;
+    this.elements.stepBackBtn.disabled = atStart;
+    this.elements.stepForwardBtn.disabled = atEnd;
+    this.elements.stepLastBtn.disabled = atEnd;
+
+    if (!steps) {
+      stepPosition.textContent = '';
+      stepTape.replaceChildren();
+      stepDetails.replaceChildren();
+      return;
+    }
+
+    const step = steps[this.stepIndex];
+    stepPosition.textContent = `step ${this.stepIndex} / ${steps.length - 1}`;
+
+    // Tape: consumed symbols, the symbol consumed by this step, then the rest.
+    // Named symbols are space-separated.
+    const input = steps.slice(1).map(s => s.symbol);
+    const sep = hasNamedSymbols(this.view.nfa.symbols) ? ' ' : '';
+    const before = input.slice(0, Math.max(0, this.stepIndex - 1));
+    const after = input.slice(this.stepIndex);
+    const consumed = document.createElement('span');
+    consumed.className = 'consumed';
+    consumed.textContent = before.map(s => s + sep).join('');
+    const current = document.createElement('span');
+    current.className = 'current';
+    current.textContent = step.symbol ?? '';
+    const remaining = document.createElement('span');
+    remaining.className = 'remaining';
+    remaining.textContent = after.map(s => sep + s).join('');
+    stepTape.replaceChildren(consumed, current, remaining);
+
+    // Details are listed by canonical state, as shown on the canvas.
+    const toNames = (stateIds) => {
+      const canonical = new Set();
+      for (const id of stateIds) {
+        const c = this.view.getCanonical(id);
+        if (c !== -1) canonical.add(c);
+      }
+      const names = [...canonical].sort((a, b) => a - b).map(id => this.view.getStateIdString(id));
+      return names.length ? names.join(', ') : '∅';
+    };
+
+    const createRow = (label, text, className) => {
+      const row = document.createElement('div');
+      const labelSpan = document.createElement('span');
+      labelSpan.className = 'step-detail-label';
+      labelSpan.textContent = `${label}: `;
+      const valueSpan = document.createElement('span');
+      if (className) valueSpan.className = className;
+      valueSpan.textContent = text;
+      row.append(labelSpan, valueSpan);
+      return row;
+    };
+
+    const rows = [createRow('Active', toNames(step.activeStates))];
+    if (step.diedStates.length > 0) {
+      rows.push(createRow('Died', toNames(step.diedStates)));
+    }
+    rows.push(step.isAccepting
+      ? createRow('Status', 'accepting', 'accepted')
+      : createRow('Status', step.activeStates.length ? 'not accepting' : 'stuck', 'rejected'));
+    if (step.isAccepting) {
+      const runs = this.traceRuns[this.stepIndex];
+      rows.push(createRow('Runs', `${runs} accepting run${runs === 1n ? '' : 's'}`));
+    }
+    stepDetails.replaceChildren(...rows);
+  }
+
+  // ============================================
+  // Regex Conversion
+  // ============================================
+
+  /**
+   * Convert the current view to a regex by state elimination.
+   */
+  handleToRegex() {
+    if (!this.view) return;
+
+    this.elements.regexErrorDisplay.classList.add('hidden');
+    try {
+      this.elimination = eliminateStates(this.view);
+      this.eliminationIndex = 0;
+    } catch (e) {
+      this.clearElimination();
+      this.elements.regexErrorDisplay.textContent = e?.message ?? String(e);
+      this.elements.regexErrorDisplay.classList.remove('hidden');
+      return;
+    }
+
+    this.renderElimination();
+    this.updateHighlights();
+  }
+
+  /**
+   * Discard the regex conversion (e.g. because the view changed).
+   */
+  clearElimination() {
+    this.elimination = null;
+    this.eliminationIndex = 0;
+    this.elements.regexErrorDisplay.classList.add('hidden');
+    this.renderElimination();
+  }
+
+  /**
+   * Move the walkthrough to a given elimination step (clamped to the valid range).
+   * @param {number} index
+   */
+  setEliminationIndex(index) {
+    if (!this.elimination) return;
+    this.eliminationIndex = Math.max(0, Math.min(index, this.elimination.steps.length - 1));
+    this.renderElimination();
+    this.updateHighlights();
+  }
+
+  /**
+   * Render the regex and the walkthrough controls.
+   */
+  renderElimination() {
+    const { regexOutput, eliminationControls, elimPosition } = this.elements;
+    const elimination = this.elimination;
+
+    regexOutput.classList.toggle('hidden', !elimination);
+    eliminationControls.classList.toggle('hidden', !elimination);
+    if (!elimination) {
+      regexOutput.textContent = '';
+      elimPosition.textContent = '';
+      return;
+    }
+
+    regexOutput.textContent = elimination.regex;
+
+    const last = elimination.steps.length - 1;
+    const index = this.eliminationIndex;
+    this.elements.elimFirstBtn.disabled = index === 0;
+    this.elements.elimBackBtn.disabled = index === 0;
+    this.elements.elimForwardBtn.disabled = index === last;
+    this.elements.elimLastBtn.disabled = index === last;
+
+    const eliminated = elimination.steps[index].eliminated;
+    elimPosition.textContent = eliminated === null
+      ? `GNFA, ${last} to eliminate`
+      : `${index} / ${last}: removed ${this.view.getStateIdString(eliminated)}`;
+  }
+
+  // ============================================
+  // Ambiguity Analysis
+  // ============================================
+
+  /**
+   * Decide the degree of ambiguity of the current view.
+   */
+  handleAnalyzeAmbiguity() {
+    if (!this.view) return;
+
+    this.elements.ambiguityErrorDisplay.classList.add('hidden');
+    try {
+      this.ambiguity = analyzeAmbiguity(this.view);
+    } catch (e) {
+      this.clearAmbiguity();
+      this.elements.ambiguityErrorDisplay.textContent = e?.message ?? String(e);
+      this.elements.ambiguityErrorDisplay.classList.remove('hidden');
+      return;
+    }
+
+    this.renderAmbiguity();
+    this.updateHighlights();
+  }
+
+  /**
+   * Discard the ambiguity analysis (e.g. because the view changed).
+   */
+  clearAmbiguity() {
+    this.ambiguity = null;
+    this.elements.ambiguityErrorDisplay.classList.add('hidden');
+    this.renderAmbiguity();
+  }
+
+  /**
+   * Show the degree of ambiguity.
+   */
+  renderAmbiguity() {
+    const { ambiguityResult, ambiguityOutput } = this.elements;
+    const ambiguity = this.ambiguity;
+
+    ambiguityResult.classList.toggle('hidden', !ambiguity);
+    if (!ambiguity) {
+      ambiguityOutput.textContent = '';
+      return;
+    }
+
+    const descriptions = {
+      [AMBIGUITY.UNAMBIGUOUS]: 'Unambiguous: at most one accepting run per string',
+      [AMBIGUITY.FINITE]: 'Finitely ambiguous: a bounded number of runs per string',
+      [AMBIGUITY.POLYNOMIAL]: `Polynomially ambiguous: O(n^${ambiguity.degree}) runs on strings of length n`,
+      [AMBIGUITY.EXPONENTIAL]: 'Exponentially ambiguous: some strings have 2^Ω(n) runs',
+    };
+    ambiguityOutput.textContent = descriptions[ambiguity.type];
+    this.elements.ambiguityToggle.parentElement.classList.toggle('hidden', !ambiguity.highlights);
+  }
+
+  // ============================================
+  // Language Listing
+  // ============================================
+
+  /**
+   * Restart the listing of the current view's language from the first page,
+   * e.g. because the view or the length bounds changed.
+   */
+  resetLanguage() {
+    if (!this.view) return;
+
+    const readLength = (input) => {
+      const value = parseInt(input.value, 10);
+      return Number.isNaN(value) ? undefined : Math.max(0, value);
+    };
+    const options = {
+      minLength: readLength(this.elements.languageMinLength),
+      maxLength: readLength(this.elements.languageMaxLength),
+    };
+
+    this.language = { iterator: this.view.enumerateAccepted(options), strings: [], done: false };
+    this.languagePage = 0;
+    this.renderLanguage();
+  }
+
+  /**
+   * Show a page of the language listing (clamped to the pages that exist).
+   * @param {number} page
+   */
+  setLanguagePage(page) {
+    if (!this.language) return;
+    this.languagePage = Math.max(0, page);
+    this.renderLanguage();
+  }
+
+  /**
+   * Render the current page of accepted strings and the paging controls.
+   */
+  renderLanguage() {
+    const { languageList, languagePosition, languagePrevBtn, languageNextBtn } = this.elements;
+    const language = this.language;
+    if (!language) {
+      languageList.replaceChildren();
+      languagePosition.textContent = '';
+      languagePrevBtn.disabled = true;
+      languageNextBtn.disabled = true;
+      return;
+    }
+
+    const pageSize = CONFIG.languagePageSize;
+    // Pull one string past the page, to know whether a next page exists.
+    const pull = (count) => {
+      while (!language.done && language.strings.length < count) {
+        const next = language.iterator.next();
+        if (next.done) {
+          language.done = true;
+        } else {
+          language.strings.push(next.value);
+        }
+      }
+    };
+    pull((this.languagePage + 1) * pageSize + 1);
+    const lastPage = Math.max(0, Math.ceil(language.strings.length / pageSize) - 1);
+    this.languagePage = Math.min(this.languagePage, lastPage);
+
+    const first = this.languagePage * pageSize;
+    const page = language.strings.slice(first, first + pageSize);
+    const symbols = this.view.nfa.symbols;
+    const items = page.map(string => {
+      const item = document.createElement('li');
+      item.textContent = joinSymbolString(string, symbols) || 'ε';
+      return item;
+    });
+    if (items.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'empty';
+      empty.textContent = 'No accepted strings in this range';
+      items.push(empty);
+    }
+    languageList.start = first + 1;
+    languageList.replaceChildren(...items);
+
+    const hasMore = language.strings.length > first + pageSize;
+    languagePrevBtn.disabled = this.languagePage === 0;
+    languageNextBtn.disabled = !hasMore;
+    languagePosition.textContent = page.length === 0
+      ? ''
+      : `${first + 1}–${first + page.length}${hasMore ? '' : ' (end)'}`;
+  }
+
   /**
    * Show test result with appropriate styling
    */
@@ -0,0 +1,279 @@
+/**
+ * Büchi Acceptance
+ *
+ * Reads the automaton shown by a view as a Büchi automaton: an infinite
+ * word is accepted if some run on it visits accepting states infinitely
+ * often. Runs follow epsilon transitions, but a run must keep reading
+ * symbols, so cycles made only of epsilon transitions don't count.
+ *
+ * - The ω-language is non-empty iff an accepting state lies on a cycle that
+ *   reads a symbol and is reachable from a start state. Such a lasso (a
+ *   prefix to the state, then the cycle) is a witness u(v)^ω.
+ * - An ultimately periodic word u(v)^ω is accepted iff the product of the
+ *   automaton with the word's lasso has such a cycle.
+ *
+ * Both come down to finding a lasso in a graph: the strongly connected
+ * components of the reachable part show which accepting states lie on
+ * cycles.
+ *
+ * @module buchi
+ */
+
+import { findStronglyConnectedComponents } from './util.js';
+import { splitSymbolString } from './nfa_builder.js';
+
+/**
+ * @typedef {Object} Lasso
+ * @property {string[]} prefix - Symbols read before the cycle
+ * @property {string[]} loop - Symbols read around the cycle (non-empty)
+ * @property {import('./nfa.js').RunHighlights} highlights - The states and
+ *   edges of the run; `finalStates` is the accepting state on the cycle
+ */
+
+/**
+ * Find an accepting lasso of the view, with the prefix as short as possible.
+ * @param {import('./nfa_view.js').NFAView} view
+ * @returns {Lasso|null} null if the ω-language is empty
+ */
+export function findAcceptingLasso(view) {
+  const graph = viewGraph(view);
+  const lasso = findLasso(graph.starts, p => graph.edges[p], p => graph.accept[p]);
+  return lasso && toLasso(lasso, p => graph.states[p], view.nfa.symbols);
+}
+
+/**
+ * Decide whether the view accepts the infinite word prefix (loop)^ω.
+ * @param {import('./nfa_view.js').NFAView} view
+ * @param {string[]} prefix
+ * @param {string[]} loop - Must be non-empty
+ * @returns {Lasso|null} An accepting run on the word, or null if rejected
+ */
+export function acceptsLassoWord(view, prefix, loop) {
+  if (loop.length === 0) throw new Error('The repeated part of u(v)^ω cannot be empty');
+
+  const graph = viewGraph(view);
+  const word = [...prefix, ...loop];
+  const symIdx = word.map(symbol => view.nfa.getSymbolIndex(symbol));
+  const nextPos = (pos) => pos + 1 < word.length ? pos + 1 : prefix.length;
+
+  // Product nodes are state * |word| + position in the word.
+  const n = word.length;
+  const edgesOf = (node) => {
+    const p = Math.floor(node / n);
+    const pos = node % n;
+    const result = [];
+    for (const { to, symbol } of graph.edges[p]) {
+      if (symbol === null) {
+        result.push({ to: to * n + pos, symbol });
+      } else if (symbol === symIdx[pos]) {
+        result.push({ to: to * n + nextPos(pos), symbol });
+      }
+    }
+    return result;
+  };
+
+  const lasso = findLasso(graph.starts.map(p => p * n), edgesOf, node => graph.accept[Math.floor(node / n)]);
+  return lasso && toLasso(lasso, node => graph.states[Math.floor(node / n)], view.nfa.symbols);
+}
+
+/**
+ * Parse an ultimately periodic word written u(v)^ω. The ω may also be
+ * written "w", with or without the "^".
+ * @param {string} str - e.g. "ab(ba)^ω"
+ * @param {string[]} symbols - The alphabet (see splitSymbolString())
+ * @returns {{prefix: string[], loop: string[]}}
+ * @throws {Error} If the string is not of that form or uses unknown symbols
+ */
+export function parseLassoWord(str, symbols) {
+  const match = /^([^()]*)\(([^()]*)\)\^?[ωw]$/.exec(str.trim());
+  if (!match) throw new Error('Enter an infinite word as u(v)^ω, e.g. ab(ba)^ω');
+
+  const prefix = splitSymbolString(match[1], symbols);
+  const loop = splitSymbolString(match[2], symbols);
+  if (loop.length === 0) throw new Error('The repeated part of u(v)^ω cannot be empty');
+
+  const unknown = [...new Set([...prefix, ...loop].filter(s => !symbols.includes(s)))];
+  if (unknown.length > 0) {
+    throw new Error(`Not in the alphabet: ${unknown.map(s => `'${s}'`).join(', ')}`);
+  }
+  return { prefix, loop };
+}
+
+// ============================================
+// Lasso Search
+// ============================================
+
+/**
+ * The view's canonical states (local IDs) with symbol and epsilon edges.
+ * Symbols are symbol indices; epsilon edges have symbol null.
+ */
+function viewGraph(view) {
+  const local = view.getLocalAutomaton();
+  const localId = new Map(local.states.map((id, p) => [id, p]));
+  const edges = local.states.map((id, p) => {
+    const result = [];
+    local.succ.forEach((succ, symIdx) => {
+      for (const q of succ[p]) result.push({ to: q, symbol: symIdx });
+    });
+    for (const to of view.getEpsilonTransitionsFrom(id)) {
+      result.push({ to: localId.get(to), symbol: null });
+    }
+    return result;
+  });
+  const starts = local.states.map((_, p) => p).filter(p => local.start[p]);
+  return { states: local.states, edges, starts, accept: local.accept };
+}
+
+/**
+ * Find a reachable accepting node on a cycle that reads a symbol.
+ *
+ * @param {number[]} starts
+ * @param {(node: number) => Array<{to: number, symbol: number|null}>} edgesOf
+ * @param {(node: number) => boolean} isAccepting
+ * @returns {{prefix: Array<{from: number, to: number, symbol: number|null}>,
+ *   loop: Array<{from: number, to: number, symbol: number|null}>, final: number}|null}
+ */
+function findLasso(starts, edgesOf, isAccepting) {
+  // Breadth-first search, so that the first accepting node found in a
+  // suitable component has the shortest prefix.
+  const index = new Map();
+  const nodes = [];
+  const parent = [];
+  const edges = [];
+  for (const start of starts) {
+    if (index.has(start)) continue;
+    index.set(start, nodes.length);
+    nodes.push(start);
+    parent.push(null);
+  }
+  for (let i = 0; i < nodes.length; i++) {
+    edges.push(edgesOf(nodes[i]).map(({ to, symbol }) => {
+      if (!index.has(to)) {
+        index.set(to, nodes.length);
+        nodes.push(to);
+        parent.push({ from: i, symbol });
+      }
+      return { to: index.get(to), symbol };
+    }));
+  }
+
+  const componentOf = new Int32Array(nodes.length);
+  const components = findStronglyConnectedComponents(nodes.length, i => edges[i].map(e => e.to));
+  components.forEach((members, c) => members.forEach(i => { componentOf[i] = c; }));
+
+  // Components with a symbol edge inside have cycles that read symbols.
+  const readsSymbol = components.map((members, c) =>
+    members.some(i => edges[i].some(e => e.symbol !== null && componentOf[e.to] === c)));
+  let final = -1;
+  for (let i = 0; i < nodes.length && final === -1; i++) {
+    if (readsSymbol[componentOf[i]] && isAccepting(nodes[i])) final = i;
+  }
+  if (final === -1) return null;
+
+  const prefix = [];
+  for (let i = final; parent[i] !== null; i = parent[i].from) {
+    prefix.push({ from: nodes[parent[i].from], to: nodes[i], symbol: parent[i].symbol });
+  }
+  prefix.reverse();
+
+  // Shortest cycle through `final` over a symbol edge u -> w:
+  // final ->* u, then u -> w, then w ->* final, all within the component.
+  const c = componentOf[final];
+  const inComponent = (i) => componentOf[i] === c;
+  const reverseEdges = new Map();
+  for (const i of components[c]) {
+    for (const e of edges[i]) {
+      if (!inComponent(e.to)) continue;
+      if (!reverseEdges.has(e.to)) reverseEdges.set(e.to, []);
+      reverseEdges.get(e.to).push({ to: i, symbol: e.symbol });
+    }
+  }
+  const forward = bfs(final, i => edges[i].filter(e => inComponent(e.to)));
+  const backward = bfs(final, i => reverseEdges.get(i) ?? []);
+
+  let best = null;
+  for (const u of components[c]) {
+    for (const e of edges[u]) {
+      if (e.symbol === null || !inComponent(e.to)) continue;
+      const length = forward.dist.get(u) + 1 + backward.dist.get(e.to);
+      if (!best || length < best.length) best = { u, w: e.to, symbol: e.symbol, length };
+    }
+  }
+
+  const loop = [];
+  for (let i = best.u; i !== final; i = forward.parent.get(i).from) {
+    const { from, symbol } = forward.parent.get(i);
+    loop.push({ from: nodes[from], to: nodes[i], symbol });
+  }
+  loop.reverse();
+  loop.push({ from: nodes[best.u], to: nodes[best.w], symbol: best.symbol });
+  for (let i = best.w; i !== final; i = backward.parent.get(i).from) {
+    // Backward search edges point towards `final`.
+    const { from, symbol } = backward.parent.get(i);
+    loop.push({ from: nodes[i], to: nodes[from], symbol });
+  }
+
+  return { prefix, loop, final: nodes[final] };
+}
+
+/**
+ * Breadth-first search from a node.
+ * @returns {{dist: Map<number, number>, parent: Map<number, {from: number, symbol: number|null}>}}
+ */
+function bfs(source, edgesOf) {
+  const dist = new Map([[source, 0]]);
+  const parent = new Map();
+  const queue = [source];
+  for (let head = 0; head < queue.length; head++) {
+    const i = queue[head];
+    for (const { to, symbol } of edgesOf(i)) {
+      if (dist.has(to)) continue;
+      dist.set(to, dist.get(i) + 1);
+      parent.set(to, { from: i, symbol });
+      queue.push(to);
+    }
+  }
+  return { dist, parent };
+}
+
+/**
+ * Convert a lasso over graph nodes into symbols and view highlights.
+ * @param {ReturnType<typeof findLasso>} lasso
+ * @param {(node: number) => number} stateOf - View state ID of a node
+ * @param {string[]} alphabet
+ * @returns {Lasso}
+ */
+function toLasso(lasso, stateOf, alphabet) {
+  const visitedStates = new Set();
+  const visitedEdges = new Set();
+  const visitedEpsilonEdges = new Set();
+  const symbolsOf = (edges) => {
+    const symbols = [];
+    for (const { from, to, symbol } of edges) {
+      const key = `${stateOf(from)}-${stateOf(to)}`;
+      visitedStates.add(stateOf(from));
+      visitedStates.add(stateOf(to));
+      if (symbol === null) {
+        visitedEpsilonEdges.add(key);
+      } else {
+        visitedEdges.add(key);
+        symbols.push(alphabet[symbol]);
+      }
+    }
+    return symbols;
+  };
+
+  const prefix = symbolsOf(lasso.prefix);
+  const loop = symbolsOf(lasso.loop);
+  visitedStates.add(stateOf(lasso.final));
+  return {
+    prefix,
+    loop,
+    highlights: {
+      visitedStates: [...visitedStates],
+      visitedEdges: [...visitedEdges],
+      visitedEpsilonEdges: [...visitedEpsilonEdges],
+      finalStates: [stateOf(lasso.final)],
+    },
+  };
+}
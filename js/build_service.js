@@ -0,0 +1,355 @@
+/**
+ * Build Service
+ *
+ * Builds an NFA from an editor request and runs a view pipeline on it, or
+ * checks two requests for equivalence. `runTask()` does this synchronously;
+ * `BuildRunner` runs it in a Web Worker (build_worker.js) so that slow or
+ * non-terminating user code and large subset constructions cannot freeze
+ * the page. The worker reports progress and can be cancelled or timed out.
+ *
+ * @module build_service
+ */
+
+import { NFA } from './nfa.js';
+import { NFABuilder, parseNFAConfig, hasNamedSymbols } from './nfa_builder.js';
+import { RegexParser, RegexToNFABuilder } from './regex_parser.js';
+import { importAutomaton } from './import.js';
+import { NFAView } from './nfa_view.js';
+import { PIPELINES, buildPipelineViews, serializePipeline, deserializePipeline } from './pipeline.js';
+import {
+  alignAlphabets, checkEquivalence, complement, union, intersection, difference, concatenation, star,
+} from './nfa_operations.js';
+
+/** Kinds of build request */
+export const BUILD_KINDS = {
+  CODE: 'code',
+  REGEX: 'regex',
+  IMPORT: 'import',
+  NFA: 'nfa',
+  COMBINE: 'combine',
+  SUBSET: 'subset'
+};
+
+/** Tasks a BuildRunner can run */
+export const BUILD_TASKS = {
+  PIPELINE: 'pipeline',
+  COMPARE: 'compare'
+};
+
+/** Operations for combine requests, by the number of operands */
+const UNARY_OPERATIONS = { complement, star };
+const BINARY_OPERATIONS = { union, intersection, difference, concatenation };
+
+/**
+ * A description of what to build. Requests are plain data so they can be
+ * posted to a worker.
+ * - nfa: an already built NFA, from NFA.serialize()
+ * - combine: `op` (e.g. 'union') applied to `base` and, for binary
+ *   operations, `other`
+ * - subset: the subset expansion of a view, from serializePipeline([view]),
+ *   for the DFA pipeline
+ *
+ * @typedef {(
+ *   {kind: 'code', code: string} |
+ *   {kind: 'regex', pattern: string, symbols: string[]} |
+ *   {kind: 'import', text: string, format: string} |
+ *   {kind: 'nfa', nfa: Object} |
+ *   {kind: 'combine', op: string, base: BuildRequest, other?: BuildRequest} |
+ *   {kind: 'subset', view: Object}
+ * )} BuildRequest
+ */
+
+/**
+ * @typedef {Object} BuildOptions
+ * @property {number} [maxStates] - State limit for NFABuilder
+ * @property {string[]} [pipeline] - Pipeline stage IDs (default PIPELINES.NFA)
+ * @property {(progress: {states: number, queued: number}) => void} [onProgress]
+ */
+
+/**
+ * A task for runTask(): build a request and run a pipeline on it, or check
+ * a request against `other` for equivalence. Tasks are plain data.
+ *
+ * @typedef {Object} BuildTask
+ * @property {string} [task] - A BUILD_TASKS value (default PIPELINE)
+ * @property {BuildRequest} request
+ * @property {BuildRequest} [other] - Compared against `request`
+ * @property {number} [maxStates]
+ * @property {string[]} [pipeline]
+ */
+
+// ============================================
+// Synchronous Build
+// ============================================
+
+/**
+ * Build the NFA described by a request.
+ * @param {BuildRequest} request
+ * @param {BuildOptions} [options]
+ * @returns {import('./nfa.js').NFA}
+ */
+export function buildNFAFromRequest(request, options = {}) {
+  switch (request.kind) {
+    case BUILD_KINDS.CODE: {
+      // symbols is already expanded to an array by parseNFAConfig
+      const config = parseNFAConfig(request.code);
+      const builder = new NFABuilder(config, {
+        maxStates: options.maxStates,
+        symbols: config.symbols,
+        onProgress: options.onProgress,
+      });
+      return builder.build();
+    }
+
+    case BUILD_KINDS.REGEX: {
+      const ast = new RegexParser(request.pattern, { tokens: hasNamedSymbols(request.symbols) }).parse();
+      return new RegexToNFABuilder(request.symbols).build(ast);
+    }
+
+    case BUILD_KINDS.IMPORT:
+      return importAutomaton(request.text, request.format);
+
+    case BUILD_KINDS.NFA:
+      return NFA.deserialize(request.nfa);
+
+    case BUILD_KINDS.COMBINE: {
+      const base = buildNFAFromRequest(request.base, options);
+      if (Object.hasOwn(UNARY_OPERATIONS, request.op)) return UNARY_OPERATIONS[request.op](base);
+      if (Object.hasOwn(BINARY_OPERATIONS, request.op)) {
+        const other = buildNFAFromRequest(request.other, options);
+        return BINARY_OPERATIONS[request.op](...alignAlphabets(base, other));
+      }
+      throw new Error(`Unknown operation: ${request.op}`);
+    }
+
+    default:
+      throw new Error(`Unknown build request kind: ${request.kind}`);
+  }
+}
+
+/**
+ * Build the NFA for a request and compute its pipeline. Subset requests
+ * start the pipeline from the subset expansion of their view.
+ * @param {BuildRequest} request
+ * @param {BuildOptions} [options]
+ * @returns {ReturnType<typeof serializePipeline>} Rebuild with deserializePipeline()
+ */
+export function runBuild(request, options = {}) {
+  let view;
+  if (request.kind === BUILD_KINDS.SUBSET) {
+    // Views with explicit epsilon transitions (e.g. "Raw") hide the effective
+    // transitions, so the subset construction needs their epsilon closure.
+    view = deserializePipeline(request.view)[0].withEpsilonClosure().withSubsetExpansion();
+  } else {
+    view = NFAView.fromNFA(buildNFAFromRequest(request, options));
+  }
+  return serializePipeline(buildPipelineViews(view, options.pipeline ?? PIPELINES.NFA));
+}
+
+/**
+ * Check whether two requests build NFAs with the same language. The NFAs
+ * may list their symbols in different orders (or have different alphabets).
+ * @param {BuildRequest} request
+ * @param {BuildRequest} other
+ * @param {BuildOptions} [options]
+ * @returns {ReturnType<typeof checkEquivalence>}
+ */
+export function runCompare(request, other, options = {}) {
+  return checkEquivalence(
+    ...alignAlphabets(buildNFAFromRequest(request, options), buildNFAFromRequest(other, options)));
+}
+
+/**
+ * Run a task.
+ * @param {BuildTask} task
+ * @param {BuildOptions['onProgress']} [onProgress]
+ * @returns {ReturnType<typeof runBuild>|ReturnType<typeof runCompare>}
+ */
+export function runTask(task, onProgress) {
+  const { request, other, maxStates, pipeline } = task;
+  switch (task.task ?? BUILD_TASKS.PIPELINE) {
+    case BUILD_TASKS.PIPELINE:
+      return runBuild(request, { maxStates, pipeline, onProgress });
+    case BUILD_TASKS.COMPARE:
+      return runCompare(request, other, { maxStates, onProgress });
+    default:
+      throw new Error(`Unknown build task: ${task.task}`);
+  }
+}
+
+// ============================================
+// Worker Runner
+// ============================================
+
+/**
+ * Runs build tasks in a dedicated worker, one at a time.
+ *
+ * Starting a build cancels the one in progress. Cancelling or timing out
+ * terminates the worker, since user code may never yield; a fresh worker is
+ * started for the next build. If workers are unavailable the build runs
+ * synchronously instead.
+ */
+export class BuildRunner {
+  constructor() {
+    this._worker = null;
+    this._nextId = 0;
+    this._active = null;
+    this._useWorker = typeof Worker !== 'undefined';
+  }
+
+  /**
+   * @returns {boolean} True if a build is in progress
+   */
+  isRunning() {
+    return this._active !== null;
+  }
+
+  /**
+   * Start a build.
+   * @param {BuildRequest} request
+   * @param {Object} [options]
+   * @param {number} [options.maxStates] - State limit for NFABuilder
+   * @param {string[]} [options.pipeline] - Pipeline stage IDs
+   * @param {number} [options.timeoutMs] - Wall-clock limit; 0 or absent for none
+   * @param {(progress: {states: number, queued: number}) => void} [options.onProgress]
+   * @returns {Promise<ReturnType<typeof serializePipeline>>} Rejects with
+   *   `{cancelled: true}` set on the error if cancel() was called
+   */
+  run(request, options = {}) {
+    const { maxStates, pipeline } = options;
+    return this._start({ task: BUILD_TASKS.PIPELINE, request, maxStates, pipeline }, options);
+  }
+
+  /**
+   * Start checking two requests for equivalence (see runCompare()).
+   * @param {BuildRequest} request
+   * @param {BuildRequest} other
+   * @param {Object} [options] - As for run(), without a pipeline
+   * @returns {Promise<ReturnType<typeof checkEquivalence>>}
+   */
+  compare(request, other, options = {}) {
+    return this._start({ task: BUILD_TASKS.COMPARE, request, other, maxStates: options.maxStates }, options);
+  }
+
+  /**
+   * Start a task, cancelling the one in progress.
+   * @param {BuildTask} task
+   * @param {Object} options - As for run()
+   * @private
+   */
+  _start(task, options) {
+    this.cancel();
+
+    if (!this._useWorker) {
+      return Promise.resolve().then(() => runTask(task, options.onProgress));
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = ++this._nextId;
+      const active = { id, task, options, resolve, reject, timer: null };
+      this._active = active;
+
+      if (options.timeoutMs > 0) {
+        active.timer = setTimeout(() => {
+          this._stopWorker();
+          this._finish(active, null,
+            new Error(`Build timed out after ${options.timeoutMs / 1000}s. Check your functions for infinite loops.`));
+        }, options.timeoutMs);
+      }
+
+      this._getWorker().postMessage({ id, ...task });
+    });
+  }
+
+  /**
+   * Cancel the build in progress, if any.
+   */
+  cancel() {
+    const active = this._active;
+    if (!active) return;
+
+    this._stopWorker();
+    const error = new Error('Build cancelled.');
+    error.cancelled = true;
+    this._finish(active, null, error);
+  }
+
+  /**
+   * Get the worker, starting one if needed.
+   * @private
+   */
+  _getWorker() {
+    if (!this._worker) {
+      this._worker = new Worker(new URL('./build_worker.js', import.meta.url), { type: 'module' });
+      this._worker.onmessage = (e) => this._handleMessage(e.data);
+      this._worker.onerror = (e) => this._handleWorkerError(e);
+    }
+    return this._worker;
+  }
+
+  /**
+   * Terminate the current worker.
+   * @private
+   */
+  _stopWorker() {
+    if (this._worker) {
+      this._worker.terminate();
+      this._worker = null;
+    }
+  }
+
+  /**
+   * Settle a build's promise and clear it if it is still the active one.
+   * @private
+   */
+  _finish(active, result, error) {
+    clearTimeout(active.timer);
+    if (this._active === active) this._active = null;
+    if (error) {
+      active.reject(error);
+    } else {
+      active.resolve(result);
+    }
+  }
+
+  /**
+   * @param {{id: number, type: 'progress'|'result'|'error', progress?: Object, result?: Object, message?: string}} data
+   * @private
+   */
+  _handleMessage(data) {
+    const active = this._active;
+    if (!active || data.id !== active.id) return;
+
+    switch (data.type) {
+      case 'progress':
+        active.options.onProgress?.(data.progress);
+        break;
+      case 'result':
+        this._finish(active, data.result, null);
+        break;
+      case 'error':
+        this._finish(active, null, new Error(data.message));
+        break;
+    }
+  }
+
+  /**
+   * The worker script failed to load or run (e.g. module workers are not
+   * supported). Fall back to building on the main thread from now on.
+   * @private
+   */
+  _handleWorkerError(event) {
+    event.preventDefault?.();
+    console.warn('Build worker failed; building on the main thread instead.', event.message ?? event);
+    this._stopWorker();
+    this._useWorker = false;
+
+    const active = this._active;
+    if (!active) return;
+    try {
+      this._finish(active, runTask(active.task, active.options.onProgress), null);
+    } catch (e) {
+      this._finish(active, null, e);
+    }
+  }
+}
@@ -0,0 +1,25 @@
+/**
+ * Build Worker
+ *
+ * Module worker entry point for BuildRunner (see build_service.js).
+ *
+ * Receives `{id, ...task}` (see BuildTask) and posts back messages tagged
+ * with the same `id`:
+ * - `{type: 'progress', progress: {states, queued}}` during exploration
+ * - `{type: 'result', result}` with runTask() output
+ * - `{type: 'error', message}` if the task throws
+ *
+ * @module build_worker
+ */
+
+import { runTask } from './build_service.js';
+
+self.onmessage = (e) => {
+  const { id, ...task } = e.data;
+  try {
+    const result = runTask(task, (progress) => self.postMessage({ id, type: 'progress', progress }));
+    self.postMessage({ id, type: 'result', result });
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: err?.message ?? String(err) });
+  }
+};
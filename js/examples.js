@@ -95,6 +95,96 @@ const RAW_EXAMPLES = {
       }
     }
   },
+  'ack-protocol': {
+    label: 'Ack/nak protocol',
+    fn: function () {
+      // Sessions of a simple protocol: each message is acknowledged, or
+      // rejected and resent at most twice. Symbols are named tokens; write
+      // test input as space-separated names, e.g. "open send nak send ack close".
+      symbols = ['open', 'send', 'ack', 'nak', 'close'];
+
+      // State is the connection phase and the number of retries so far.
+      startState = { phase: 'closed', retries: 0 };
+
+      function transition(state, symbol) {
+        const { phase, retries } = state;
+        if (phase === 'closed' && symbol === 'open') return { phase: 'idle', retries: 0 };
+        if (phase === 'idle' && symbol === 'send') return { phase: 'sent', retries };
+        if (phase === 'idle' && symbol === 'close') return { phase: 'closed', retries: 0 };
+        if (phase === 'sent' && symbol === 'ack') return { phase: 'idle', retries: 0 };
+        if (phase === 'sent' && symbol === 'nak' && retries < 2) return { phase: 'idle', retries: retries + 1 };
+        return undefined;
+      }
+
+      function accept(state) {
+        return state.phase === 'closed';
+      }
+    }
+  },
+  'gray-code': {
+    label: 'Binary to Gray code (transducer)',
+    fn: function () {
+      // A Mealy machine converting binary numbers to Gray code: each output
+      // bit is the input bit XOR the previous input bit. Transitions return
+      // emit(state, output); the test panel shows the output.
+      symbols = /[01]/;
+
+      // State is the previous input bit.
+      startState = 0;
+
+      function transition(state, symbol) {
+        return emit(symbol, state ^ symbol);
+      }
+
+      function accept(state) {
+        return true;
+      }
+    }
+  },
+  'an-bn': {
+    label: 'a^n b^n (pushdown)',
+    fn: function () {
+      // A pushdown automaton for a^n b^n. Setting startStack enables
+      // pushdown mode: transition also receives the stack top and returns
+      // { state, push, pop } stack actions. Configurations are explored up
+      // to maxStackDepth. The graph shows the control states with their
+      // stack actions; "Unroll" shows the configurations instead.
+      symbols = /[ab]/;
+
+      startState = 'as';
+      startStack = [];
+      maxStackDepth = 6;
+
+      // Accept when every a has been matched by a b.
+      acceptBy = 'empty';
+
+      function transition(state, symbol, top) {
+        if (state === 'as' && symbol === 'a') return { state: 'as', push: 'A' };
+        if (symbol === 'b' && top === 'A') return { state: 'bs', pop: true };
+      }
+    }
+  },
+  'infinitely-many-a': {
+    label: 'Infinitely many a\'s (Büchi)',
+    fn: function () {
+      // A Büchi automaton: it reads infinite words, and accepts those with
+      // a run that visits accepting states infinitely often. Test infinite
+      // words as u(v)^ω, e.g. "b(ab)^ω" (accepted) or "a(b)^ω" (rejected).
+      symbols = /[ab]/;
+      acceptance = 'buchi';
+
+      // State is the last symbol read.
+      startState = 'b';
+
+      function transition(state, symbol) {
+        return symbol;
+      }
+
+      function accept(state) {
+        return state === 'a';
+      }
+    }
+  },
 };
 
 export const EXAMPLES = Object.fromEntries(
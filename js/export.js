@@ -0,0 +1,171 @@
+/**
+ * Automaton Export
+ *
+ * Serializes the canonical states of an NFAView into text formats:
+ * - Graphviz DOT, with comma-separated symbols as edge labels (a `,` or
+ *   `\\` within a symbol is escaped with a backslash)
+ * - A JSON interchange format (see {@link ExportedAutomaton})
+ *
+ * Image snapshots (SVG/PNG) are produced by NFAVisualizer, since they
+ * depend on the rendered layout.
+ *
+ * @module export
+ */
+
+/** Identifier stored in the `format` field of exported JSON */
+export const EXPORT_FORMAT = 'nfa-visualizer';
+
+/** Version of the JSON interchange format */
+export const EXPORT_VERSION = 1;
+
+/**
+ * JSON interchange format for a single automaton.
+ *
+ * States are referenced by their display IDs (e.g. "q3", "q3'" or "q'0"),
+ * which are unique within one export.
+ *
+ * @typedef {Object} ExportedAutomaton
+ * @property {string} format - Always EXPORT_FORMAT
+ * @property {number} version - Always EXPORT_VERSION
+ * @property {Array} symbols - The alphabet, in symbol index order
+ * @property {Array<{id: string, label: string, sources: string[]}>} states
+ *   Canonical states. `label` is the state's value label; `sources` lists the
+ *   display IDs of the source-view states it represents (merged or subset states).
+ * @property {string[]} start - IDs of start states
+ * @property {string[]} accept - IDs of accepting states
+ * @property {Array<{from: string, to: string, symbols: Array}>} transitions
+ *   One entry per (from, to) pair, with symbols in alphabet order
+ * @property {Array<{from: string, to: string}>} epsilon - Epsilon transitions
+ */
+
+/**
+ * Get the canonical, non-deleted state IDs of a view in ascending order.
+ * @param {import('./nfa_view.js').NFAView} view
+ * @returns {number[]}
+ */
+function getExportedStateIds(view) {
+  return [...view.mergedSources.keys()].sort((a, b) => a - b);
+}
+
+/**
+ * Get the source-view display IDs for a state.
+ * @param {import('./nfa_view.js').NFAView} view
+ * @param {number} stateId
+ * @returns {string[]}
+ */
+function getSourceIdStrings(view, stateId) {
+  const prefix = view.getSourceStateIdPrefix() ?? '';
+  const resolved = view.getResolvedSourceIds(stateId);
+  const ids = Array.isArray(resolved) ? resolved : [resolved];
+  return ids.map(id => `${prefix}${id}`);
+}
+
+/**
+ * Export a view in the JSON interchange format.
+ * @param {import('./nfa_view.js').NFAView} view
+ * @returns {ExportedAutomaton}
+ */
+export function exportJSON(view) {
+  const stateIds = getExportedStateIds(view);
+  const name = (id) => view.getStateIdString(id);
+
+  const states = stateIds.map(id => ({
+    id: name(id),
+    label: view.nfa.stateLabels[id] ?? '',
+    sources: getSourceIdStrings(view, id),
+  }));
+
+  const transitions = [];
+  const epsilon = [];
+  for (const from of stateIds) {
+    const byTarget = view.getTransitionsFrom(from);
+    for (const to of [...byTarget.keys()].sort((a, b) => a - b)) {
+      transitions.push({ from: name(from), to: name(to), symbols: byTarget.get(to) });
+    }
+    for (const to of [...view.getEpsilonTransitionsFrom(from)].sort((a, b) => a - b)) {
+      epsilon.push({ from: name(from), to: name(to) });
+    }
+  }
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    symbols: [...view.nfa.symbols],
+    states,
+    start: stateIds.filter(id => view.isStart(id)).map(name),
+    accept: stateIds.filter(id => view.isAccepting(id)).map(name),
+    transitions,
+    epsilon,
+  };
+}
+
+/**
+ * Quote a string as a DOT ID.
+ * @param {string} str
+ * @returns {string}
+ */
+function dotQuote(str) {
+  return `"${String(str).replace(/[\\"]/g, '\\$&').replace(/\n/g, '\\n')}"`;
+}
+
+/**
+ * Join symbols into a DOT edge label: comma-separated, with `,` and `\\`
+ * inside a symbol escaped by a backslash so the label can be split again.
+ * @param {Array<string|number>} symbols
+ * @returns {string}
+ */
+function dotSymbolLabel(symbols) {
+  return symbols.map(s => String(s).replace(/[\\,]/g, '\\$&')).join(',');
+}
+
+/**
+ * Export a view as a Graphviz DOT digraph.
+ *
+ * Accepting states are drawn as double circles, start states get an arrow
+ * from an invisible point node, and epsilon transitions are dashed.
+ * State labels are included as tooltips. The output can be read back by
+ * importAutomaton() (see import.js).
+ *
+ * @param {import('./nfa_view.js').NFAView} view
+ * @param {{ name?: string }} [options]
+ * @returns {string}
+ */
+export function exportDot(view, options = {}) {
+  const graphName = options.name ?? 'nfa';
+  const stateIds = getExportedStateIds(view);
+  const name = (id) => dotQuote(view.getStateIdString(id));
+
+  const lines = [
+    `digraph ${dotQuote(graphName)} {`,
+    '  rankdir=LR;',
+    '  node [shape=circle];',
+  ];
+
+  for (const id of stateIds) {
+    const attrs = [];
+    if (view.isAccepting(id)) attrs.push('shape=doublecircle');
+    const label = view.nfa.stateLabels[id];
+    if (label) attrs.push(`tooltip=${dotQuote(label)}`);
+    lines.push(attrs.length ? `  ${name(id)} [${attrs.join(', ')}];` : `  ${name(id)};`);
+  }
+
+  const startIds = stateIds.filter(id => view.isStart(id));
+  startIds.forEach((id, i) => {
+    lines.push(`  __start${i} [shape=point];`);
+    lines.push(`  __start${i} -> ${name(id)};`);
+  });
+
+  for (const from of stateIds) {
+    const byTarget = view.getTransitionsFrom(from);
+    for (const to of [...byTarget.keys()].sort((a, b) => a - b)) {
+      const label = dotSymbolLabel(byTarget.get(to));
+      lines.push(`  ${name(from)} -> ${name(to)} [label=${dotQuote(label)}];`);
+    }
+    for (const to of [...view.getEpsilonTransitionsFrom(from)].sort((a, b) => a - b)) {
+      lines.push(`  ${name(from)} -> ${name(to)} [label="ε", style=dashed];`);
+    }
+  }
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,640 @@
+/**
+ * Automaton Import
+ *
+ * Constructs NFAs directly from explicit automaton descriptions, without
+ * NFABuilder's state-space exploration. Supported formats:
+ * - JSON: the interchange format written by exportJSON() (see export.js)
+ * - DOT: a subset of Graphviz digraphs, as written by exportDot()
+ * - CSV: a transition table with one row per state and one column per symbol
+ *
+ * State names from the source become the state labels of the NFA.
+ *
+ * @module import
+ */
+
+import { NFA } from './nfa.js';
+import { EXPORT_FORMAT, EXPORT_VERSION } from './export.js';
+
+/** Import format identifiers */
+export const IMPORT_FORMATS = {
+  AUTO: 'auto',
+  JSON: 'json',
+  DOT: 'dot',
+  CSV: 'csv'
+};
+
+/** Column headers / edge labels that denote epsilon transitions */
+const EPSILON_NAMES = new Set(['ε', 'eps', 'epsilon', 'λ']);
+
+// ============================================
+// Automaton Description
+// ============================================
+
+/**
+ * Format-independent automaton description collected by the parsers.
+ * States and symbols are kept in order of first appearance.
+ */
+class AutomatonDescription {
+  /**
+   * @param {string} formatName - Used as a prefix in error messages
+   */
+  constructor(formatName) {
+    this.formatName = formatName;
+    /** @type {Map<string, string>} State name -> label */
+    this.states = new Map();
+    /** @type {string[]} */
+    this.symbols = [];
+    /** @type {Set<string>} */
+    this.start = new Set();
+    /** @type {Set<string>} */
+    this.accept = new Set();
+    /** @type {Array<{from: string, to: string, symbol: string}>} */
+    this.transitions = [];
+    /** @type {Array<{from: string, to: string}>} */
+    this.epsilon = [];
+  }
+
+  /**
+   * Declare a state (no-op if it already exists).
+   * @param {string} name
+   * @param {string} [label] - Defaults to the name
+   */
+  addState(name, label) {
+    if (!this.states.has(name)) {
+      this.states.set(name, label || name);
+    }
+  }
+
+  /** @param {string} symbol */
+  addSymbol(symbol) {
+    if (!this.symbols.includes(symbol)) this.symbols.push(symbol);
+  }
+
+  addTransition(from, to, symbol) {
+    this.addState(from);
+    this.addState(to);
+    this.addSymbol(symbol);
+    this.transitions.push({ from, to, symbol });
+  }
+
+  addEpsilon(from, to) {
+    this.addState(from);
+    this.addState(to);
+    this.epsilon.push({ from, to });
+  }
+
+  /**
+   * Create an Error prefixed with the format name.
+   * @param {string} message
+   * @returns {Error}
+   */
+  error(message) {
+    return new Error(`${this.formatName} import: ${message}`);
+  }
+
+  /**
+   * Construct the NFA.
+   * @returns {NFA}
+   */
+  build() {
+    if (this.states.size === 0) {
+      throw this.error('no states defined');
+    }
+    if (this.start.size === 0) {
+      throw this.error('no start state defined');
+    }
+
+    const nfa = new NFA([...this.symbols]);
+    const ids = new Map();
+    for (const [name, label] of this.states) {
+      ids.set(name, nfa.addState(label));
+    }
+
+    const idOf = (name) => {
+      if (!ids.has(name)) throw this.error(`unknown state "${name}"`);
+      return ids.get(name);
+    };
+
+    for (const name of this.start) nfa.addStart(idOf(name));
+    for (const name of this.accept) nfa.addAccept(idOf(name));
+    for (const { from, to, symbol } of this.transitions) {
+      nfa.addTransition(idOf(from), idOf(to), nfa.getSymbolIndex(symbol));
+    }
+    for (const { from, to } of this.epsilon) {
+      nfa.addEpsilonTransition(idOf(from), idOf(to));
+    }
+    return nfa;
+  }
+}
+
+// ============================================
+// Entry Point
+// ============================================
+
+/**
+ * Guess the format of an automaton description.
+ * @param {string} text
+ * @returns {'json'|'dot'|'csv'}
+ */
+export function detectImportFormat(text) {
+  const trimmed = text.trimStart();
+  if (trimmed.startsWith('{')) return IMPORT_FORMATS.JSON;
+  if (/\bdigraph\b[^{]*\{/i.test(text)) return IMPORT_FORMATS.DOT;
+  return IMPORT_FORMATS.CSV;
+}
+
+/**
+ * Parse an automaton description into an NFA.
+ * @param {string} text
+ * @param {string} [format] - One of IMPORT_FORMATS (default: auto-detect)
+ * @returns {NFA}
+ */
+export function importAutomaton(text, format = IMPORT_FORMATS.AUTO) {
+  const resolved = format === IMPORT_FORMATS.AUTO ? detectImportFormat(text) : format;
+  switch (resolved) {
+    case IMPORT_FORMATS.JSON:
+      return parseJSONAutomaton(text).build();
+    case IMPORT_FORMATS.DOT:
+      return parseDotAutomaton(text).build();
+    case IMPORT_FORMATS.CSV:
+      return parseCSVAutomaton(text).build();
+    default:
+      throw new Error(`Unknown import format: ${format}`);
+  }
+}
+
+// ============================================
+// JSON
+// ============================================
+
+/**
+ * Parse the JSON interchange format.
+ *
+ * Only `start` and `transitions` are required. `symbols` fixes the alphabet
+ * order (otherwise symbols are taken from transitions), and `states` may be
+ * a list of names or of `{id, label}` objects. Each transition has either a
+ * `symbols` array or a single `symbol`.
+ *
+ * @param {string} text
+ * @returns {AutomatonDescription}
+ */
+function parseJSONAutomaton(text) {
+  const desc = new AutomatonDescription('JSON');
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw desc.error(e.message);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw desc.error('expected an object');
+  }
+  if (data.format === EXPORT_FORMAT && data.version > EXPORT_VERSION) {
+    throw desc.error(`unsupported version ${data.version}`);
+  }
+
+  const asList = (value, field) => {
+    if (value === undefined) return [];
+    if (!Array.isArray(value)) throw desc.error(`"${field}" must be an array`);
+    return value;
+  };
+  const asName = (value, field) => {
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      throw desc.error(`invalid state in "${field}": ${JSON.stringify(value)}`);
+    }
+    return String(value);
+  };
+
+  const declaredSymbols = data.symbols !== undefined;
+  for (const symbol of asList(data.symbols, 'symbols')) {
+    desc.addSymbol(String(symbol));
+  }
+
+  for (const state of asList(data.states, 'states')) {
+    if (state && typeof state === 'object') {
+      desc.addState(asName(state.id, 'states'), state.label ? String(state.label) : undefined);
+    } else {
+      desc.addState(asName(state, 'states'));
+    }
+  }
+
+  for (const t of asList(data.transitions, 'transitions')) {
+    const from = asName(t?.from, 'transitions');
+    const to = asName(t?.to, 'transitions');
+    const symbols = Array.isArray(t.symbols) ? t.symbols : [t.symbol];
+    for (const symbol of symbols) {
+      if (symbol === undefined || symbol === null) {
+        throw desc.error(`transition ${from} -> ${to} has no symbol`);
+      }
+      if (declaredSymbols && !desc.symbols.includes(String(symbol))) {
+        throw desc.error(`transition ${from} -> ${to} uses undeclared symbol "${symbol}"`);
+      }
+      desc.addTransition(from, to, String(symbol));
+    }
+  }
+
+  for (const t of asList(data.epsilon, 'epsilon')) {
+    desc.addEpsilon(asName(t?.from, 'epsilon'), asName(t?.to, 'epsilon'));
+  }
+
+  // Without a state list, states are implied by the other fields.
+  const declaredStates = data.states !== undefined;
+  const markState = (value, field, set) => {
+    const name = asName(value, field);
+    if (!declaredStates) desc.addState(name);
+    set.add(name);
+  };
+  const start = Array.isArray(data.start) ? data.start : [data.start].filter(s => s !== undefined);
+  for (const name of start) markState(name, 'start', desc.start);
+  for (const name of asList(data.accept, 'accept')) markState(name, 'accept', desc.accept);
+
+  return desc;
+}
+
+// ============================================
+// DOT
+// ============================================
+
+/**
+ * Tokenize DOT source.
+ * @param {string} text
+ * @param {AutomatonDescription} desc - For error reporting
+ * @returns {Array<{type: 'id'|'punct', value: string, line: number}>}
+ */
+function tokenizeDot(text, desc) {
+  const tokens = [];
+  let line = 1;
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (ch === '\n') {
+      line++;
+      i++;
+    } else if (/\s/.test(ch)) {
+      i++;
+    } else if (text.startsWith('//', i) || (ch === '#' && (i === 0 || text[i - 1] === '\n'))) {
+      while (i < text.length && text[i] !== '\n') i++;
+    } else if (text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      if (end === -1) throw desc.error(`line ${line}: unterminated comment`);
+      line += (text.slice(i, end).match(/\n/g) || []).length;
+      i = end + 2;
+    } else if (ch === '"') {
+      let value = '';
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\' && i + 1 < text.length) {
+          const next = text[i + 1];
+          value += next === '"' || next === '\\' ? next : next === 'n' ? '\n' : `\\${next}`;
+          i += 2;
+        } else {
+          if (text[i] === '\n') line++;
+          value += text[i++];
+        }
+      }
+      if (i >= text.length) throw desc.error(`line ${line}: unterminated string`);
+      i++;
+      tokens.push({ type: 'id', value, line });
+    } else if (text.startsWith('->', i)) {
+      tokens.push({ type: 'punct', value: '->', line });
+      i += 2;
+    } else if (text.startsWith('--', i)) {
+      throw desc.error(`line ${line}: undirected edges are not supported`);
+    } else if ('{}[]=;,:'.includes(ch)) {
+      tokens.push({ type: 'punct', value: ch, line });
+      i++;
+    } else if (ch === '<') {
+      throw desc.error(`line ${line}: HTML strings are not supported`);
+    } else {
+      const match = /^(-?(\.\d+|\d+(\.\d*)?)|[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*)/.exec(text.slice(i));
+      if (!match) throw desc.error(`line ${line}: unexpected character "${ch}"`);
+      tokens.push({ type: 'id', value: match[0], line });
+      i += match[0].length;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Split a DOT edge label into symbols at commas. As written by exportDot(),
+ * a backslash makes the next character (e.g. `,` or `\\`) part of the symbol.
+ * @param {string} label
+ * @returns {string[]} Trimmed symbols
+ */
+function splitDotLabel(label) {
+  const symbols = [];
+  let symbol = '';
+  const flush = () => {
+    symbols.push(symbol.trim());
+    symbol = '';
+  };
+
+  for (let i = 0; i < label.length; i++) {
+    if (label[i] === '\\' && i + 1 < label.length) {
+      symbol += label[++i];
+    } else if (label[i] === ',') {
+      flush();
+    } else {
+      symbol += label[i];
+    }
+  }
+  flush();
+  return symbols;
+}
+
+/**
+ * Parse a subset of Graphviz DOT.
+ *
+ * Supported: a single `digraph` with node, edge and attribute statements,
+ * `node [...]` defaults (including the common `node [shape=doublecircle]; a b;`
+ * idiom) and anonymous or named subgraphs. Accepting states have
+ * `shape=doublecircle` (or `peripheries=2`). Start states are targets of
+ * edges from invisible nodes (`shape=point`, `none` or `plaintext`).
+ * Edge labels are comma-separated symbols, where a backslash escapes the
+ * next character; `ε` marks an epsilon edge.
+ *
+ * @param {string} text
+ * @returns {AutomatonDescription}
+ */
+function parseDotAutomaton(text) {
+  const desc = new AutomatonDescription('DOT');
+  const tokens = tokenizeDot(text, desc);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const lineOf = () => (tokens[pos] ?? tokens[tokens.length - 1])?.line ?? 1;
+  const isPunct = (value) => tokens[pos]?.type === 'punct' && tokens[pos].value === value;
+  const isKeyword = (value) => tokens[pos]?.type === 'id' && tokens[pos].value.toLowerCase() === value;
+  const expect = (value) => {
+    if (!isPunct(value)) {
+      throw desc.error(`line ${lineOf()}: expected "${value}" but found ${peek() ? `"${peek().value}"` : 'end of input'}`);
+    }
+    pos++;
+  };
+  const expectId = () => {
+    if (peek()?.type !== 'id') {
+      throw desc.error(`line ${lineOf()}: expected an identifier but found ${peek() ? `"${peek().value}"` : 'end of input'}`);
+    }
+    return tokens[pos++].value;
+  };
+
+  const parseAttrList = () => {
+    const attrs = {};
+    while (isPunct('[')) {
+      pos++;
+      while (!isPunct(']')) {
+        const key = expectId();
+        expect('=');
+        attrs[key] = expectId();
+        if (isPunct(',') || isPunct(';')) pos++;
+      }
+      pos++;
+    }
+    return attrs;
+  };
+
+  // Node name -> attributes (with defaults applied at first mention)
+  const nodes = new Map();
+  const edges = [];
+
+  const touchNode = (name, defaults, attrs = {}) => {
+    if (!nodes.has(name)) nodes.set(name, { ...defaults });
+    Object.assign(nodes.get(name), attrs);
+  };
+
+  const parseNodeId = () => {
+    const name = expectId();
+    if (isPunct(':')) {
+      throw desc.error(`line ${lineOf()}: ports are not supported`);
+    }
+    return name;
+  };
+
+  const parseStatements = (nodeDefaults, edgeDefaults) => {
+    while (peek() && !isPunct('}')) {
+      if (isPunct(';')) {
+        pos++;
+        continue;
+      }
+
+      if (isKeyword('subgraph') || isPunct('{')) {
+        if (isKeyword('subgraph')) {
+          pos++;
+          if (peek()?.type === 'id') pos++;
+        }
+        expect('{');
+        parseStatements({ ...nodeDefaults }, { ...edgeDefaults });
+        expect('}');
+        continue;
+      }
+
+      if (isKeyword('graph') || isKeyword('node') || isKeyword('edge')) {
+        const kind = tokens[pos++].value.toLowerCase();
+        const attrs = parseAttrList();
+        if (kind === 'node') Object.assign(nodeDefaults, attrs);
+        if (kind === 'edge') Object.assign(edgeDefaults, attrs);
+        continue;
+      }
+
+      const line = lineOf();
+      const first = parseNodeId();
+
+      // Graph attribute (e.g. rankdir=LR)
+      if (isPunct('=')) {
+        pos++;
+        expectId();
+        continue;
+      }
+
+      const chain = [first];
+      while (isPunct('->')) {
+        pos++;
+        if (isKeyword('subgraph') || isPunct('{')) {
+          throw desc.error(`line ${lineOf()}: subgraphs as edge endpoints are not supported`);
+        }
+        chain.push(parseNodeId());
+      }
+      const attrs = parseAttrList();
+
+      if (chain.length === 1) {
+        touchNode(first, nodeDefaults, attrs);
+      } else {
+        for (const name of chain) touchNode(name, nodeDefaults);
+        for (let i = 0; i + 1 < chain.length; i++) {
+          edges.push({ from: chain[i], to: chain[i + 1], attrs: { ...edgeDefaults, ...attrs }, line });
+        }
+      }
+    }
+  };
+
+  if (isKeyword('strict')) pos++;
+  if (isKeyword('graph')) {
+    throw desc.error('undirected graphs are not supported; use digraph');
+  }
+  if (!isKeyword('digraph')) {
+    throw desc.error(`line ${lineOf()}: expected "digraph"`);
+  }
+  pos++;
+  if (peek()?.type === 'id') pos++;
+  expect('{');
+  parseStatements({}, {});
+  expect('}');
+  if (pos < tokens.length) {
+    throw desc.error(`line ${lineOf()}: unexpected content after the graph`);
+  }
+
+  const isInvisible = (name) => ['point', 'none', 'plaintext'].includes(nodes.get(name).shape);
+
+  for (const [name, attrs] of nodes) {
+    if (isInvisible(name)) continue;
+    desc.addState(name, attrs.tooltip);
+    if (attrs.shape === 'doublecircle' || attrs.peripheries === '2') desc.accept.add(name);
+  }
+
+  for (const { from, to, attrs, line } of edges) {
+    if (isInvisible(to)) {
+      throw desc.error(`line ${line}: edge into invisible node "${to}"`);
+    }
+    if (isInvisible(from)) {
+      desc.start.add(to);
+      continue;
+    }
+    if (attrs.label === undefined) {
+      throw desc.error(`line ${line}: edge ${from} -> ${to} has no label`);
+    }
+    for (const symbol of splitDotLabel(attrs.label)) {
+      if (!symbol) continue;
+      if (EPSILON_NAMES.has(symbol)) {
+        desc.addEpsilon(from, to);
+      } else {
+        desc.addTransition(from, to, symbol);
+      }
+    }
+  }
+
+  return desc;
+}
+
+// ============================================
+// CSV
+// ============================================
+
+/**
+ * Split one CSV line into cells, honoring double-quoted cells.
+ * @param {string} line
+ * @param {string} delimiter
+ * @returns {string[]}
+ */
+function splitCSVLine(line, delimiter) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell);
+  return cells.map(c => c.trim());
+}
+
+/**
+ * Parse a CSV (or tab-separated) transition table.
+ *
+ * The header row names the symbols (its first cell is ignored); a column
+ * named `ε` holds epsilon targets. Each following row starts with a state
+ * name prefixed by `->` (start) and/or `*` (accept), e.g. `->*q0`. Cells
+ * list target states separated by spaces, `;` or `|` (or commas inside a
+ * quoted cell), optionally in braces. `-`, `∅` or an empty cell means no
+ * transition. Blank lines and lines starting with `#` are ignored.
+ *
+ * @param {string} text
+ * @returns {AutomatonDescription}
+ */
+function parseCSVAutomaton(text) {
+  const desc = new AutomatonDescription('CSV');
+
+  const lines = text.split(/\r?\n/)
+    .map((content, index) => ({ content, lineNumber: index + 1 }))
+    .filter(({ content }) => content.trim() && !content.trimStart().startsWith('#'));
+  if (lines.length === 0) throw desc.error('empty table');
+
+  const delimiter = lines[0].content.includes('\t') ? '\t' : ',';
+  const header = splitCSVLine(lines[0].content, delimiter).slice(1);
+  if (header.length === 0) throw desc.error('header row has no symbol columns');
+
+  const seen = new Set();
+  for (const symbol of header) {
+    if (!symbol) throw desc.error('empty symbol in header row');
+    if (seen.has(symbol)) throw desc.error(`duplicate column "${symbol}"`);
+    seen.add(symbol);
+    if (!EPSILON_NAMES.has(symbol)) desc.addSymbol(symbol);
+  }
+
+  const rows = lines.slice(1).map(({ content, lineNumber }) => {
+    const cells = splitCSVLine(content, delimiter);
+    if (cells.length > header.length + 1) {
+      throw desc.error(`line ${lineNumber}: expected at most ${header.length + 1} cells, found ${cells.length}`);
+    }
+
+    let name = cells[0];
+    let isStart = false;
+    let isAccept = false;
+    for (;;) {
+      if (name.startsWith('->')) {
+        isStart = true;
+        name = name.slice(2).trimStart();
+      } else if (name.startsWith('→')) {
+        isStart = true;
+        name = name.slice(1).trimStart();
+      } else if (name.startsWith('*')) {
+        isAccept = true;
+        name = name.slice(1).trimStart();
+      } else {
+        break;
+      }
+    }
+    if (!name) throw desc.error(`line ${lineNumber}: missing state name`);
+
+    desc.addState(name);
+    if (isStart) desc.start.add(name);
+    if (isAccept) desc.accept.add(name);
+    return { name, cells: cells.slice(1) };
+  });
+
+  for (const { name, cells } of rows) {
+    cells.forEach((cell, column) => {
+      const targets = cell.split(/[\s,;|{}]+/).filter(t => t && t !== '-' && t !== '∅');
+      const symbol = header[column];
+      for (const target of targets) {
+        if (EPSILON_NAMES.has(symbol)) {
+          desc.addEpsilon(name, target);
+        } else {
+          desc.addTransition(name, target, symbol);
+        }
+      }
+    });
+  }
+
+  return desc;
+}
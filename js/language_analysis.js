@@ -0,0 +1,234 @@
+/**
+ * Language Analysis
+ *
+ * Counts the accepted strings of each length and classifies the language
+ * as empty, finite or infinite, with the growth rate of infinite languages.
+ *
+ * Everything is computed on a deterministic view: there every accepted
+ * string has exactly one accepting path, so counting paths counts strings.
+ * Counts are BigInts, since they grow exponentially for most languages.
+ *
+ * @module language_analysis
+ */
+
+import { findStronglyConnectedComponents } from './util.js';
+
+/** Language sizes */
+export const LANGUAGE_SIZE = {
+  EMPTY: 'empty',
+  FINITE: 'finite',
+  INFINITE: 'infinite'
+};
+
+/** Growth rates of infinite languages */
+export const GROWTH = {
+  POLYNOMIAL: 'polynomial',
+  EXPONENTIAL: 'exponential'
+};
+
+/**
+ * @typedef {Object} LanguageAnalysis
+ * @property {bigint[]} counts - counts[k] = number of accepted strings of length k
+ * @property {string} size - A LANGUAGE_SIZE value
+ * @property {bigint|null} total - Number of accepted strings, for finite languages
+ * @property {{type: string, degree: number|null}|null} growth - For infinite
+ *   languages: a GROWTH value, and for polynomial growth the degree d such
+ *   that there are Θ(n^d) accepted strings of length n (for lengths n where
+ *   there are any)
+ */
+
+// ============================================
+// Counting Graph
+// ============================================
+
+/**
+ * A deterministic automaton over local indices 0..n-1, reduced to the
+ * states on some accepting path.
+ *
+ * @typedef {Object} CountingGraph
+ * @property {number} start - Local index of the start state (-1: empty language)
+ * @property {boolean[]} accept
+ * @property {Map<number, number>[]} edges - edges[p].get(q) = number of symbols from p to q
+ */
+
+/**
+ * Get a deterministic view with the same language: the view itself if it
+ * is already deterministic, otherwise its subset expansion.
+ * @param {import('./nfa_view.js').NFAView} view
+ * @returns {import('./nfa_view.js').NFAView}
+ */
+export function getDeterministicView(view) {
+  if (view.isDeterministic()) return view;
+  return view.withEpsilonClosure().withSubsetExpansion();
+}
+
+/**
+ * Build the counting graph of a deterministic view.
+ * @param {import('./nfa_view.js').NFAView} view
+ * @returns {CountingGraph}
+ */
+function getCountingGraph(view) {
+  const states = [...view.mergedSources.keys()];
+  const localId = new Map(states.map((id, i) => [id, i]));
+  const n = states.length;
+
+  // Flags live on the source states of merged states.
+  const start = new Set();
+  for (const id of view.nfa.startStates) {
+    const canonical = view.getCanonical(id);
+    if (canonical !== -1) start.add(localId.get(canonical));
+  }
+  const accept = states.map(id => view.mergedSources.get(id).some(s => view.isAccepting(s)));
+  const edges = states.map(id => {
+    const counts = new Map();
+    for (const [to, symbols] of view.getTransitionsFrom(id)) {
+      counts.set(localId.get(to), symbols.length);
+    }
+    return counts;
+  });
+
+  // Keep states that are reachable and can reach acceptance.
+  const reachable = new Uint8Array(n);
+  const queue = [...start];
+  queue.forEach(p => { reachable[p] = 1; });
+  while (queue.length > 0) {
+    for (const q of edges[queue.pop()].keys()) {
+      if (!reachable[q]) {
+        reachable[q] = 1;
+        queue.push(q);
+      }
+    }
+  }
+  const predecessors = states.map(() => []);
+  edges.forEach((targets, p) => {
+    for (const q of targets.keys()) predecessors[q].push(p);
+  });
+  const live = new Uint8Array(n);
+  const liveQueue = [];
+  accept.forEach((isAccepting, p) => {
+    if (isAccepting) {
+      live[p] = 1;
+      liveQueue.push(p);
+    }
+  });
+  while (liveQueue.length > 0) {
+    for (const p of predecessors[liveQueue.pop()]) {
+      if (!live[p]) {
+        live[p] = 1;
+        liveQueue.push(p);
+      }
+    }
+  }
+
+  const useful = (p) => reachable[p] && live[p];
+  const usefulStart = [...start].filter(useful);
+  return {
+    start: usefulStart.length > 0 ? usefulStart[0] : -1,
+    accept: accept.map((isAccepting, p) => isAccepting && !!useful(p)),
+    edges: edges.map((targets, p) => useful(p)
+      ? new Map([...targets].filter(([q]) => useful(q)))
+      : new Map()),
+  };
+}
+
+/**
+ * Count the accepting paths of each length, up to `maxLength`.
+ * @param {CountingGraph} graph
+ * @param {number} maxLength
+ * @returns {bigint[]}
+ */
+function countPaths(graph, maxLength) {
+  const counts = [];
+  if (graph.start === -1) {
+    for (let k = 0; k <= maxLength; k++) counts.push(0n);
+    return counts;
+  }
+
+  let current = new Map([[graph.start, 1n]]);
+  for (let k = 0; k <= maxLength; k++) {
+    let accepted = 0n;
+    const next = new Map();
+    for (const [p, paths] of current) {
+      if (graph.accept[p]) accepted += paths;
+      for (const [q, multiplicity] of graph.edges[p]) {
+        next.set(q, (next.get(q) ?? 0n) + paths * BigInt(multiplicity));
+      }
+    }
+    counts.push(accepted);
+    current = next;
+  }
+  return counts;
+}
+
+// ============================================
+// Analysis
+// ============================================
+
+/**
+ * Count the distinct accepted strings of each length.
+ * @param {import('./nfa_view.js').NFAView} view
+ * @param {number} maxLength
+ * @returns {bigint[]} counts[k] for k = 0..maxLength
+ */
+export function countAcceptedByLength(view, maxLength) {
+  return countPaths(getCountingGraph(getDeterministicView(view)), maxLength);
+}
+
+/**
+ * Count accepted strings per length and classify the language.
+ *
+ * The language is infinite iff a cycle lies on some accepting path. It
+ * grows exponentially iff some strongly connected component has more than
+ * one cycle (more edges than states); otherwise the number of strings of
+ * length n is polynomial, with degree one less than the largest number of
+ * cyclic components along a path.
+ *
+ * @param {import('./nfa_view.js').NFAView} view
+ * @param {{ maxLength?: number }} [options]
+ * @returns {LanguageAnalysis}
+ */
+export function analyzeLanguage(view, options = {}) {
+  const maxLength = options.maxLength ?? 10;
+  const graph = getCountingGraph(getDeterministicView(view));
+  const counts = countPaths(graph, maxLength);
+
+  if (graph.start === -1) {
+    return { counts, size: LANGUAGE_SIZE.EMPTY, total: 0n, growth: null };
+  }
+
+  const n = graph.accept.length;
+  const components = findStronglyConnectedComponents(n, p => graph.edges[p].keys());
+  const componentOf = new Int32Array(n);
+  components.forEach((members, c) => members.forEach(p => { componentOf[p] = c; }));
+
+  // Components come sinks first, so successors are scored before their sources.
+  let exponential = false;
+  const cyclicDepth = new Int32Array(components.length);
+  components.forEach((members, c) => {
+    let internalEdges = 0;
+    let deepest = 0;
+    for (const p of members) {
+      for (const [q, multiplicity] of graph.edges[p]) {
+        if (componentOf[q] === c) {
+          internalEdges += multiplicity;
+        } else {
+          deepest = Math.max(deepest, cyclicDepth[componentOf[q]]);
+        }
+      }
+    }
+    if (internalEdges > members.length) exponential = true;
+    cyclicDepth[c] = deepest + (internalEdges > 0 ? 1 : 0);
+  });
+
+  const depth = cyclicDepth[componentOf[graph.start]];
+  if (depth === 0) {
+    // Acyclic: every accepted string is shorter than the number of states.
+    const total = countPaths(graph, n - 1).reduce((sum, count) => sum + count, 0n);
+    return { counts, size: LANGUAGE_SIZE.FINITE, total, growth: null };
+  }
+
+  const growth = exponential
+    ? { type: GROWTH.EXPONENTIAL, degree: null }
+    : { type: GROWTH.POLYNOMIAL, degree: depth - 1 };
+  return { counts, size: LANGUAGE_SIZE.INFINITE, total: null, growth };
+}
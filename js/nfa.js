@@ -33,6 +33,20 @@ export const RunStatus = Object.freeze({
  * }} RunHighlights
  */
 
+/**
+ * A single step of a concrete execution (see NFA.traceInput()).
+ * Step 0 has `symbol === null` and describes the (epsilon-closed) start set.
+ *
+ * @typedef {{
+ *   symbol: string|null,
+ *   activeStates: number[],
+ *   takenEdges: string[],
+ *   takenEpsilonEdges: string[],
+ *   diedStates: number[],
+ *   isAccepting: boolean,
+ * }} TraceStep
+ */
+
 // ============================================
 // State Transformation
 // ============================================
@@ -173,11 +187,33 @@ export class NFA {
     this.stateLabels = [];
     /** @type {Map<number, Set<number>>} Epsilon transitions: fromState -> Set<toState> */
     this.epsilonTransitions = new Map();
+    /** @type {Map<string, string[]>} Mealy outputs: "from,symbolIndex,to" -> outputs ('' for none) */
+    this.transitionOutputs = new Map();
+    /** @type {Map<number, string>} Moore outputs: state -> output */
+    this.stateOutputs = new Map();
+    /** @type {Map<string, string[]>} Epsilon transition labels: "from,to" -> outputs (not transduced) */
+    this.epsilonOutputs = new Map();
 
     /** @type {Map<number, Set<number>>|null} Cached epsilon closure for all states (internal) */
     this._epsilonClosure = null;
   }
 
+  /**
+   * Create a single-state NFA accepting every string over `symbols`.
+   * @param {Array} symbols
+   * @returns {NFA}
+   */
+  static universal(symbols) {
+    const nfa = new NFA(symbols);
+    const id = nfa.addState();
+    nfa.addStart(id);
+    nfa.addAccept(id);
+    for (let symbolIndex = 0; symbolIndex < symbols.length; symbolIndex++) {
+      nfa.addTransition(id, id, symbolIndex);
+    }
+    return nfa;
+  }
+
   _assertValidStateId(stateId, label) {
     if (!Number.isInteger(stateId) || stateId < 0 || stateId >= this.numStates()) {
       throw new RangeError(`Invalid ${label} state: ${stateId}`);
@@ -186,7 +222,7 @@ export class NFA {
 
   /**
    * Create a deep copy of this NFA.
-   * Copies transitions, start/accept sets, labels, and epsilon transitions.
+   * Copies transitions, start/accept sets, labels, epsilon transitions and outputs.
    * Cached analyses (dead states / epsilon closure) are not copied.
    * @returns {NFA}
    */
@@ -204,9 +240,81 @@ export class NFA {
       cloned.epsilonTransitions.set(fromId, new Set(targets));
     }
 
+    for (const [key, outputs] of this.transitionOutputs) {
+      cloned.transitionOutputs.set(key, [...outputs]);
+    }
+    cloned.stateOutputs = new Map(this.stateOutputs);
+    for (const [key, outputs] of this.epsilonOutputs) {
+      cloned.epsilonOutputs.set(key, [...outputs]);
+    }
+
     return cloned;
   }
 
+  /**
+   * Convert this NFA into plain data (arrays only), suitable for
+   * postMessage() and JSON. Cached analyses are not included.
+   * @returns {{
+   *   symbols: Array,
+   *   transitions: Array<Array<number[]|null>>,
+   *   startStates: number[],
+   *   acceptStates: number[],
+   *   stateLabels: string[],
+   *   epsilonTransitions: Array<[number, number[]]>,
+   *   dfaStateSources?: number[][],
+   *   transitionOutputs?: Array<[string, string[]]>,
+   *   stateOutputs?: Array<[number, string]>,
+   *   epsilonOutputs?: Array<[string, string[]]>,
+   *   pushdown?: {control: Object, controlOf: number[], acceptBy: string, maxStackDepth: number, depthLimitReached: boolean},
+   *   acceptance?: string,
+   * }}
+   */
+  serialize() {
+    const data = {
+      symbols: [...this.symbols],
+      transitions: this._transitions.map(row => Array.from(row, targets => targets ? [...targets] : null)),
+      startStates: [...this.startStates],
+      acceptStates: [...this.acceptStates],
+      stateLabels: [...this.stateLabels],
+      epsilonTransitions: [...this.epsilonTransitions].map(([fromId, targets]) => [fromId, [...targets]]),
+    };
+    if (this.dfaStateSources) data.dfaStateSources = this.dfaStateSources;
+    if (this.transitionOutputs.size > 0) data.transitionOutputs = [...this.transitionOutputs];
+    if (this.stateOutputs.size > 0) data.stateOutputs = [...this.stateOutputs];
+    if (this.epsilonOutputs.size > 0) data.epsilonOutputs = [...this.epsilonOutputs];
+    if (this.pushdown) data.pushdown = { ...this.pushdown, control: this.pushdown.control.serialize() };
+    if (this.acceptance) data.acceptance = this.acceptance;
+    return data;
+  }
+
+  /**
+   * Reconstruct an NFA from the output of serialize().
+   * @param {ReturnType<NFA['serialize']>} data
+   * @returns {NFA}
+   */
+  static deserialize(data) {
+    const nfa = new NFA(data.symbols);
+    nfa._transitions = data.transitions.map(row => {
+      const stateTransitions = [];
+      row.forEach((targets, symbolIndex) => {
+        if (targets) stateTransitions[symbolIndex] = targets;
+      });
+      return stateTransitions;
+    });
+    nfa.startStates = new Set(data.startStates);
+    nfa.acceptStates = new Set(data.acceptStates);
+    nfa.stateLabels = data.stateLabels;
+    nfa.epsilonTransitions = new Map(
+      data.epsilonTransitions.map(([fromId, targets]) => [fromId, new Set(targets)]));
+    if (data.dfaStateSources) nfa.dfaStateSources = data.dfaStateSources;
+    if (data.transitionOutputs) nfa.transitionOutputs = new Map(data.transitionOutputs);
+    if (data.stateOutputs) nfa.stateOutputs = new Map(data.stateOutputs);
+    if (data.epsilonOutputs) nfa.epsilonOutputs = new Map(data.epsilonOutputs);
+    if (data.pushdown) nfa.pushdown = { ...data.pushdown, control: NFA.deserialize(data.pushdown.control) };
+    if (data.acceptance) nfa.acceptance = data.acceptance;
+    return nfa;
+  }
+
   _computeAllEpsilonClosures() {
     const numStates = this.numStates();
     const closures = new Map();
@@ -327,6 +435,108 @@ export class NFA {
     return true;
   }
 
+  /**
+   * Record an output emitted when taking a transition (Mealy output).
+   * A transition may have several outputs, taken nondeterministically;
+   * '' stands for emitting nothing.
+   * @param {number} fromState
+   * @param {number} toState
+   * @param {number} symbolIndex
+   * @param {string} output
+   * @returns {boolean} True if the output was newly added
+   */
+  addTransitionOutput(fromState, toState, symbolIndex, output) {
+    const key = `${fromState},${symbolIndex},${toState}`;
+    const outputs = this.transitionOutputs.get(key);
+    if (!outputs) {
+      this.transitionOutputs.set(key, [output]);
+      return true;
+    }
+    if (outputs.includes(output)) return false;
+    outputs.push(output);
+    return true;
+  }
+
+  /**
+   * Get the outputs of a transition. Transitions without recorded outputs
+   * emit nothing and give [].
+   * @param {number} fromState
+   * @param {number} symbolIndex
+   * @param {number} toState
+   * @returns {string[]}
+   */
+  getTransitionOutputs(fromState, symbolIndex, toState) {
+    return this.transitionOutputs.get(`${fromState},${symbolIndex},${toState}`) ?? [];
+  }
+
+  /**
+   * Record an output on an epsilon transition. These label the edge (e.g.
+   * with a stack action) and are not emitted by transduce().
+   * @param {number} fromState
+   * @param {number} toState
+   * @param {string} output
+   * @returns {boolean} True if the output was newly added
+   */
+  addEpsilonOutput(fromState, toState, output) {
+    const key = `${fromState},${toState}`;
+    const outputs = this.epsilonOutputs.get(key);
+    if (!outputs) {
+      this.epsilonOutputs.set(key, [output]);
+      return true;
+    }
+    if (outputs.includes(output)) return false;
+    outputs.push(output);
+    return true;
+  }
+
+  /**
+   * Get the outputs of an epsilon transition ([] if none were recorded).
+   * @param {number} fromState
+   * @param {number} toState
+   * @returns {string[]}
+   */
+  getEpsilonOutputs(fromState, toState) {
+    return this.epsilonOutputs.get(`${fromState},${toState}`) ?? [];
+  }
+
+  /**
+   * Set the output emitted on entering a state (Moore output).
+   * @param {number} stateId
+   * @param {string} output
+   */
+  setStateOutput(stateId, output) {
+    this._assertValidStateId(stateId, 'output');
+    this.stateOutputs.set(stateId, output);
+  }
+
+  /**
+   * @param {number} stateId
+   * @returns {string|undefined}
+   */
+  getStateOutput(stateId) {
+    return this.stateOutputs.get(stateId);
+  }
+
+  /**
+   * Get the distinct output tokens of the transitions and states (the
+   * output alphabet), in order of first appearance.
+   * @returns {string[]}
+   */
+  getOutputSymbols() {
+    const symbols = new Set();
+    for (const outputs of this.transitionOutputs.values()) {
+      outputs.forEach(output => symbols.add(output));
+    }
+    this.stateOutputs.forEach(output => symbols.add(output));
+    symbols.delete('');
+    return [...symbols];
+  }
+
+  /** Whether this NFA is a transducer (has transition or state outputs) */
+  hasOutputs() {
+    return this.transitionOutputs.size > 0 || this.stateOutputs.size > 0;
+  }
+
   /** Get all states reachable from a state on a given symbol index */
   getTransitions(stateId, symbolIndex) {
     const stateTransitions = this._transitions[stateId];
@@ -348,6 +558,8 @@ export class NFA {
 
   /**
    * Enforce epsilon transitions by computing closures and adding necessary transitions/states.
+   * Transducer outputs are kept; with Moore outputs, states take over the
+   * transitions of their closure rather than transitions reaching into it.
    */
   enforceEpsilonTransitions() {
     if (this.epsilonTransitions.size === 0) return; // No epsilon transitions
@@ -357,22 +569,55 @@ export class NFA {
       this._computeAllEpsilonClosures();
     }
 
-    // Expand start states
-    for (const startId of [...this.startStates]) {
-      for (const closureState of this.getEpsilonClosure(startId)) {
-        this.addStart(closureState);
+    const numStates = this.numStates();
+    const hasOutputs = this.transitionOutputs.size > 0;
+    const outputsOf = (from, symbolIndex, to) => {
+      const outputs = this.getTransitionOutputs(from, symbolIndex, to);
+      return outputs.length ? outputs : [''];
+    };
+    // Add a transition standing for `via` (epsilon transitions emit
+    // nothing, so it keeps the outputs of `via`).
+    const addShortcut = (fromId, toId, symbolIndex, via) => {
+      const added = this.addTransition(fromId, toId, symbolIndex);
+      if (!hasOutputs) return;
+      const outputs = new Set(added ? [] : outputsOf(fromId, symbolIndex, toId));
+      outputsOf(...via).forEach(output => outputs.add(output));
+      if (outputs.size > 1 || !outputs.has('')) {
+        outputs.forEach(output => this.addTransitionOutput(fromId, toId, symbolIndex, output));
       }
-    }
+    };
 
-    // Add transitions to epsilon closure states
-    const numStates = this.numStates();
-    for (let fromId = 0; fromId < numStates; fromId++) {
-      for (let symbolIndex = 0; symbolIndex < this.symbols.length; symbolIndex++) {
-        // Snapshot transitions to avoid iterating over newly added ones
-        const targets = [...this.getTransitions(fromId, symbolIndex)];
-        for (const toId of targets) {
-          for (const closureState of this.getEpsilonClosure(toId)) {
-            this.addTransition(fromId, closureState, symbolIndex);
+    if (this.stateOutputs.size > 0) {
+      // Moore outputs are emitted on the state a symbol enters, so keep
+      // entering that state: it takes over the transitions of its closure.
+      for (let fromId = 0; fromId < numStates; fromId++) {
+        for (const closureState of this.getEpsilonClosure(fromId)) {
+          if (closureState === fromId) continue;
+          for (let symbolIndex = 0; symbolIndex < this.symbols.length; symbolIndex++) {
+            for (const toId of [...this.getTransitions(closureState, symbolIndex)]) {
+              addShortcut(fromId, toId, symbolIndex, [closureState, symbolIndex, toId]);
+            }
+          }
+        }
+      }
+    } else {
+      // Expand start states
+      for (const startId of [...this.startStates]) {
+        for (const closureState of this.getEpsilonClosure(startId)) {
+          this.addStart(closureState);
+        }
+      }
+
+      // Add transitions to epsilon closure states
+      for (let fromId = 0; fromId < numStates; fromId++) {
+        for (let symbolIndex = 0; symbolIndex < this.symbols.length; symbolIndex++) {
+          // Snapshot transitions to avoid iterating over newly added ones
+          const targets = [...this.getTransitions(fromId, symbolIndex)];
+          for (const toId of targets) {
+            for (const closureState of this.getEpsilonClosure(toId)) {
+              if (closureState === toId) continue;
+              addShortcut(fromId, closureState, symbolIndex, [fromId, symbolIndex, toId]);
+            }
           }
         }
       }
@@ -431,6 +676,156 @@ export class NFA {
     return this.runAgainst(inputNFA, { maxSteps }).status === RunStatus.MATCH;
   }
 
+  /**
+   * Execute the NFA on a concrete input, recording every step.
+   *
+   * Unlike runAgainst(), which collapses the whole search into one set of
+   * highlights, this tracks the active state set after each symbol so that
+   * the execution can be replayed forwards and backwards.
+   *
+   * - Active sets are always epsilon-closed.
+   * - `diedStates` are states active before the step with no transition on
+   *   the consumed symbol.
+   * - Symbols outside the alphabet have no transitions (every state dies).
+   *
+   * @param {string[]} inputSymbols
+   * @returns {TraceStep[]} One entry per input symbol, plus the initial step.
+   */
+  traceInput(inputSymbols) {
+    // Epsilon-close `stateIds`, recording the epsilon edges followed.
+    const closeWithEdges = (stateIds) => {
+      const closed = new Set(stateIds);
+      const epsilonEdges = new Set();
+      if (this.epsilonTransitions.size === 0) return { closed, epsilonEdges };
+
+      const stack = [...closed];
+      while (stack.length > 0) {
+        const from = stack.pop();
+        const targets = this.epsilonTransitions.get(from);
+        if (!targets) continue;
+        for (const to of targets) {
+          epsilonEdges.add(`${from}-${to}`);
+          if (!closed.has(to)) {
+            closed.add(to);
+            stack.push(to);
+          }
+        }
+      }
+      return { closed, epsilonEdges };
+    };
+
+    const makeStep = (symbol, closed, takenEdges, epsilonEdges, diedStates) => {
+      const activeStates = [...closed].sort((x, y) => x - y);
+      return {
+        symbol,
+        activeStates,
+        takenEdges: [...takenEdges],
+        takenEpsilonEdges: [...epsilonEdges],
+        diedStates: [...diedStates].sort((x, y) => x - y),
+        isAccepting: activeStates.some(id => this.isAccepting(id)),
+      };
+    };
+
+    const initial = closeWithEdges(this.startStates);
+    const steps = [makeStep(null, initial.closed, [], initial.epsilonEdges, [])];
+
+    let active = steps[0].activeStates;
+    for (const symbol of inputSymbols) {
+      const symIdx = this.getSymbolIndex(symbol);
+      const targets = new Set();
+      const takenEdges = new Set();
+      const diedStates = [];
+
+      for (const from of active) {
+        const next = symIdx === undefined ? [] : this.getTransitions(from, symIdx);
+        if (next.length === 0) {
+          diedStates.push(from);
+          continue;
+        }
+        for (const to of next) {
+          targets.add(to);
+          takenEdges.add(`${from}-${to}`);
+        }
+      }
+
+      const { closed, epsilonEdges } = closeWithEdges(targets);
+      const step = makeStep(symbol, closed, takenEdges, epsilonEdges, diedStates);
+      steps.push(step);
+      active = step.activeStates;
+    }
+
+    return steps;
+  }
+
+  /**
+   * Run this NFA as a transducer on a concrete input and collect the outputs
+   * of its accepting runs.
+   *
+   * - A run emits the Moore output of its start state, then for each symbol
+   *   the output of the transition taken and the Moore output of the state
+   *   entered.
+   * - Epsilon transitions emit nothing.
+   * - Runs with the same state and output so far are explored once; at most
+   *   `maxRuns` are kept per step, and `truncated` reports whether any were
+   *   dropped.
+   *
+   * @param {string[]} inputSymbols
+   * @param {{ maxRuns?: number }} [options]
+   * @returns {{ outputs: string[][], truncated: boolean }} Distinct output
+   *   token sequences, shortest first
+   */
+  transduce(inputSymbols, options = {}) {
+    const maxRuns = options.maxRuns ?? 1000;
+    let truncated = false;
+
+    const emit = (output, token) => token ? [...output, token] : output;
+
+    // Add a run and the runs following epsilon transitions from it.
+    const addRun = (runs, stateId, output) => {
+      const key = `${stateId}:${JSON.stringify(output)}`;
+      if (runs.has(key)) return;
+      if (runs.size >= maxRuns) {
+        truncated = true;
+        return;
+      }
+      runs.set(key, { stateId, output });
+      for (const to of this.epsilonTransitions.get(stateId) ?? []) {
+        addRun(runs, to, output);
+      }
+    };
+
+    let runs = new Map();
+    for (const startId of this.startStates) {
+      addRun(runs, startId, emit([], this.getStateOutput(startId)));
+    }
+
+    for (const symbol of inputSymbols) {
+      const symIdx = this.getSymbolIndex(symbol);
+      const next = new Map();
+      if (symIdx !== undefined) {
+        for (const { stateId, output } of runs.values()) {
+          for (const to of this.getTransitions(stateId, symIdx)) {
+            const outputs = this.getTransitionOutputs(stateId, symIdx, to);
+            for (const token of outputs.length ? outputs : ['']) {
+              addRun(next, to, emit(emit(output, token), this.getStateOutput(to)));
+            }
+          }
+        }
+      }
+      runs = next;
+    }
+
+    const outputs = new Map();
+    for (const { stateId, output } of runs.values()) {
+      if (this.isAccepting(stateId)) outputs.set(JSON.stringify(output), output);
+    }
+    return {
+      outputs: [...outputs.values()].sort((x, y) =>
+        x.length - y.length || x.join(' ').localeCompare(y.join(' '))),
+      truncated,
+    };
+  }
+
   /**
    * Run this NFA "against" another NFA by checking whether their languages intersect.
    *
@@ -561,6 +956,267 @@ export class NFA {
     };
   }
 
+  /**
+   * Find the shortest string accepted by this NFA (and, if given, also by `other`).
+   *
+   * This is a breadth-first version of the runAgainst() product search which
+   * records how each pair was reached, so that the witness string and its exact
+   * path through this NFA can be reconstructed. Pairs are expanded in discovery
+   * order and symbols in alphabet order, so the witness is the shortlex-minimal
+   * accepted string.
+   *
+   * @param {NFA|null} [other] - Automaton to intersect with (null: this NFA alone)
+   * @param {{ maxSteps?: number }} [options]
+   * @returns {{
+   *   status: typeof RunStatus[keyof typeof RunStatus],
+   *   witness: string[]|null,
+   *   highlights: RunHighlights|null,
+   * }} `witness` and `highlights` (the witness path in this NFA) are only set on MATCH.
+   */
+  findShortestAccepted(other = null, options = {}) {
+    const maxSteps = options.maxSteps ?? 5_000;
+
+    const a = this;
+    const b = other ?? NFA.universal(this.symbols);
+
+    if (!arraysAreEqual(a.symbols, b.symbols)) {
+      throw new Error('findShortestAccepted() requires identical alphabets');
+    }
+
+    const closeUnion = (nfa, stateIds) => {
+      const closed = new Set();
+      for (const s of stateIds) {
+        for (const t of nfa.getEpsilonClosure(s)) closed.add(t);
+      }
+      return closed;
+    };
+
+    // parents.get(key) = null for start pairs, otherwise
+    // { prevKey, symIdx, aTarget } where aTarget is the raw symbol-transition
+    // target in `a` (before epsilon-closure).
+    const bNum = b.numStates();
+    const parents = new Map();
+    const queue = [];
+    let queueHead = 0;
+    const enqueue = (aStates, bStates, parent) => {
+      for (const p of aStates) {
+        for (const q of bStates) {
+          const key = p * bNum + q;
+          if (parents.has(key)) continue;
+          parents.set(key, parent);
+          queue.push(key);
+        }
+      }
+    };
+
+    enqueue(closeUnion(a, a.startStates), closeUnion(b, b.startStates), null);
+
+    let foundKey = null;
+    let steps = 0;
+    while (queueHead < queue.length && steps < maxSteps) {
+      steps++;
+      const key = queue[queueHead++];
+      const p = Math.floor(key / bNum);
+      const q = key % bNum;
+
+      if (a.isAccepting(p) && b.isAccepting(q)) {
+        foundKey = key;
+        break;
+      }
+
+      for (let symIdx = 0; symIdx < a.symbols.length; symIdx++) {
+        const aTargets = a.getTransitions(p, symIdx);
+        const bTargets = b.getTransitions(q, symIdx);
+        if (aTargets.length === 0 || bTargets.length === 0) continue;
+
+        const bClosed = closeUnion(b, bTargets);
+        // Expand each `a` target separately so the raw target is known.
+        for (const aTarget of aTargets) {
+          enqueue(a.getEpsilonClosure(aTarget), bClosed, { prevKey: key, symIdx, aTarget });
+        }
+      }
+    }
+
+    if (foundKey === null) {
+      const status = queueHead < queue.length ? RunStatus.LIMIT_MAX_STEPS : RunStatus.NO_MATCH;
+      return { status, witness: null, highlights: null };
+    }
+
+    // Walk back to a start pair, collecting the path in `a`.
+    const witness = [];
+    const visitedStates = new Set();
+    const visitedEdges = new Set();
+    const visitedEpsilonEdges = new Set();
+
+    const addEpsilonPath = (sources, target) => {
+      const path = a._findEpsilonPath(sources, target);
+      for (let i = 0; i < path.length; i++) {
+        visitedStates.add(path[i]);
+        if (i > 0) visitedEpsilonEdges.add(`${path[i - 1]}-${path[i]}`);
+      }
+    };
+
+    let key = foundKey;
+    while (true) {
+      const p = Math.floor(key / bNum);
+      const parent = parents.get(key);
+      if (parent === null) {
+        addEpsilonPath(a.startStates, p);
+        break;
+      }
+      const from = Math.floor(parent.prevKey / bNum);
+      witness.push(a.symbols[parent.symIdx]);
+      visitedEdges.add(`${from}-${parent.aTarget}`);
+      addEpsilonPath([parent.aTarget], p);
+      key = parent.prevKey;
+    }
+    witness.reverse();
+
+    return {
+      status: RunStatus.MATCH,
+      witness,
+      highlights: {
+        visitedStates: [...visitedStates].sort((x, y) => x - y),
+        visitedEdges: [...visitedEdges],
+        visitedEpsilonEdges: [...visitedEpsilonEdges],
+        finalStates: [Math.floor(foundKey / bNum)],
+      },
+    };
+  }
+
+  /**
+   * Find a path of epsilon transitions from any of `sources` to `target`.
+   * @private
+   * @param {Iterable<number>} sources
+   * @param {number} target - Must be in the epsilon-closure of `sources`
+   * @returns {number[]} States along the path, from a source to `target`
+   */
+  _findEpsilonPath(sources, target) {
+    const parents = new Map();
+    const queue = [];
+    for (const s of sources) {
+      if (s === target) return [target];
+      parents.set(s, -1);
+      queue.push(s);
+    }
+
+    for (let head = 0; head < queue.length; head++) {
+      const from = queue[head];
+      for (const to of this.epsilonTransitions.get(from) ?? []) {
+        if (parents.has(to)) continue;
+        parents.set(to, from);
+        if (to === target) {
+          const path = [to];
+          for (let s = from; s !== -1; s = parents.get(s)) path.push(s);
+          return path.reverse();
+        }
+        queue.push(to);
+      }
+    }
+
+    throw new Error(`State ${target} is not epsilon-reachable`);
+  }
+
+  /**
+   * Enumerate the accepted strings in shortlex order: by length, then
+   * lexicographically by alphabet order.
+   *
+   * Each length is searched depth-first over epsilon-closed state sets.
+   * Unreachable and dead states are dropped up front, and a prefix is only
+   * extended if it can still be completed to an accepted string of the
+   * current length, so no time is spent in branches that yield nothing.
+   * The iterator ends after `maxLength`, or once no longer string can be
+   * accepted.
+   *
+   * @param {{ minLength?: number, maxLength?: number }} [options]
+   * @yields {string[]} Accepted strings, as arrays of symbols
+   */
+  *enumerateAccepted(options = {}) {
+    const minLength = options.minLength ?? 0;
+    const maxLength = options.maxLength ?? Infinity;
+    const numSymbols = this.symbols.length;
+
+    // Only states on some accepting path matter.
+    const reachable = this.getReachableStates();
+    const live = this.reverse().getReachableStates();
+    const close = (stateIds) => {
+      const closed = new Set();
+      for (const s of stateIds) {
+        for (const t of this.getEpsilonClosure(s)) {
+          if (reachable.has(t) && live.has(t)) closed.add(t);
+        }
+      }
+      return [...closed];
+    };
+
+    // successors.get(s)[symIdx] = closed targets of a useful state s.
+    const successors = new Map();
+    for (const s of reachable) {
+      if (!live.has(s)) continue;
+      const bySymbol = [];
+      for (let symIdx = 0; symIdx < numSymbols; symIdx++) {
+        bySymbol.push(close(this.getTransitions(s, symIdx)));
+      }
+      successors.set(s, bySymbol);
+    }
+    const step = (stateIds, symIdx) => {
+      const targets = new Set();
+      for (const s of stateIds) {
+        for (const t of successors.get(s)[symIdx]) targets.add(t);
+      }
+      return [...targets];
+    };
+
+    // finishers[k] = useful states with a k-symbol path to acceptance.
+    // Sets are epsilon-closed, so epsilon moves need no extra handling here.
+    const finishers = [new Set([...successors.keys()].filter(s => this.isAccepting(s)))];
+    const canFinish = (stateIds, k) => {
+      while (finishers.length <= k) {
+        const previous = finishers.at(-1);
+        const next = new Set();
+        for (const [s, bySymbol] of successors) {
+          if (bySymbol.some(targets => targets.some(t => previous.has(t)))) next.add(s);
+        }
+        finishers.push(next);
+      }
+      return stateIds.some(s => finishers[k].has(s));
+    };
+
+    const start = close(this.startStates);
+    // States reachable by strings of the current length. Every one of them
+    // can still reach acceptance, so longer strings exist while it is non-empty.
+    let frontier = start;
+    for (let length = 0; length <= maxLength && frontier.length > 0; length++) {
+      if (length >= minLength && canFinish(start, length)) {
+        const word = [];
+        const stack = [{ states: start, symIdx: 0 }];
+        while (stack.length > 0) {
+          const top = stack[stack.length - 1];
+          if (word.length === length) {
+            yield word.map(i => this.symbols[i]);
+          }
+          if (word.length === length || top.symIdx === numSymbols) {
+            stack.pop();
+            word.pop();
+            continue;
+          }
+          const symIdx = top.symIdx++;
+          const next = step(top.states, symIdx);
+          if (canFinish(next, length - word.length - 1)) {
+            word.push(symIdx);
+            stack.push({ states: next, symIdx: 0 });
+          }
+        }
+      }
+
+      const nextFrontier = new Set();
+      for (let symIdx = 0; symIdx < numSymbols; symIdx++) {
+        for (const t of step(frontier, symIdx)) nextFrontier.add(t);
+      }
+      frontier = [...nextFrontier];
+    }
+  }
+
   /** Get all transitions for visualization (converts indices back to symbols) */
   getAllTransitions() {
     const result = [];
@@ -601,6 +1257,7 @@ export class NFA {
   /**
    * Create a reversed NFA where all transitions are flipped.
    * Start states become accept states and vice versa.
+   * Transition, epsilon and state outputs are kept.
    * @returns {NFA} A new NFA with reversed transitions
    */
   reverse() {
@@ -638,6 +1295,18 @@ export class NFA {
       }
     }
 
+    // Outputs stay on their (flipped) transitions and states, so the
+    // reversed transducer emits the reversed output of the reversed input.
+    for (const [key, outputs] of this.transitionOutputs) {
+      const [fromId, symbolIndex, toId] = key.split(',');
+      reversed.transitionOutputs.set(`${toId},${symbolIndex},${fromId}`, [...outputs]);
+    }
+    for (const [key, outputs] of this.epsilonOutputs) {
+      const [fromId, toId] = key.split(',');
+      reversed.epsilonOutputs.set(`${toId},${fromId}`, [...outputs]);
+    }
+    reversed.stateOutputs = new Map(this.stateOutputs);
+
     return reversed;
   }
 
@@ -711,11 +1380,16 @@ export class NFA {
   }
 
   /**
-   * Find equivalent states using partition refinement (Hopcroft-style).
+   * Find equivalent states using partition refinement.
    * Two states are equivalent if they have:
    * 1. Same acceptance status
    * 2. For each symbol, transitions to equivalent sets of states
    *
+   * Deterministic machines are minimized with Hopcroft's O(n log n)
+   * algorithm; otherwise the partition is refined by comparing transition
+   * signatures until it is stable. Both produce the same partition.
+   * Transducer outputs are not compared.
+   *
    * @param {StateTransformation} [transform] - Optional existing transformation to build upon
    * @returns {StateTransformation} Transformation that merges equivalent states
    */
@@ -739,8 +1413,36 @@ export class NFA {
       return transform;
     }
 
-    // partition[state] = partition ID (-1 for deleted states)
-    const partition = new Int32Array(numStates).fill(-1);
+    const partition = this._hopcroftPartition(activeStates) ?? this._signaturePartition(activeStates);
+
+    // Build remap: each state maps to the smallest state ID in its partition
+    const remap = new Int32Array(transform.remap);
+    const canonicalState = new Map();
+
+    for (const s of activeStates) {
+      const partId = partition[s];
+      if (!canonicalState.has(partId) || s < canonicalState.get(partId)) {
+        canonicalState.set(partId, s);
+      }
+    }
+
+    for (const s of activeStates) {
+      remap[s] = canonicalState.get(partition[s]);
+    }
+
+    return new StateTransformation(remap);
+  }
+
+  /**
+   * Partition states by repeatedly splitting on transition signatures.
+   * Works for any NFA, but takes a quadratic number of rounds in the worst case.
+   *
+   * @param {number[]} activeStates - States to partition; others are ignored
+   * @returns {Int32Array} partition[state] = partition ID (-1 for ignored states)
+   * @private
+   */
+  _signaturePartition(activeStates) {
+    const partition = new Int32Array(this._transitions.length).fill(-1);
     let nextPartitionId = 0;
 
     // Initial partition: group by acceptance status
@@ -792,22 +1494,176 @@ export class NFA {
       }
     }
 
-    // Build remap: each state maps to the smallest state ID in its partition
-    const remap = new Int32Array(transform.remap);
-    const canonicalState = new Map();
+    return partition;
+  }
 
-    for (const s of activeStates) {
-      const partId = partition[s];
-      if (!canonicalState.has(partId) || s < canonicalState.get(partId)) {
-        canonicalState.set(partId, s);
+  /**
+   * Partition states with Hopcroft's algorithm.
+   *
+   * Missing transitions go to an implicit sink state that starts in its own
+   * block, so a missing transition is distinguished from one to a dead
+   * state, exactly as in _signaturePartition().
+   *
+   * @param {number[]} activeStates - States to partition; others are ignored
+   * @returns {Int32Array|null} partition[state] = partition ID (-1 for
+   *   ignored states), or null if some state has two targets for a symbol
+   * @private
+   */
+  _hopcroftPartition(activeStates) {
+    const numSymbols = this.symbols.length;
+
+    // Local IDs: active states are 0..n-2 and the sink is n-1.
+    const localId = new Int32Array(this._transitions.length).fill(-1);
+    activeStates.forEach((s, i) => localId[s] = i);
+    const n = activeStates.length + 1;
+    const sink = n - 1;
+
+    // delta[i * numSymbols + symIdx] = target
+    const delta = new Int32Array(n * numSymbols).fill(sink);
+    for (let i = 0; i < activeStates.length; i++) {
+      const stateTransitions = this._transitions[activeStates[i]];
+      if (!stateTransitions) continue;
+      for (let symIdx = 0; symIdx < numSymbols; symIdx++) {
+        const targets = stateTransitions[symIdx];
+        if (!targets) continue;
+        let target = sink;
+        for (const t of targets) {
+          const local = localId[t];
+          if (local === -1) continue;
+          if (target !== sink && target !== local) return null;
+          target = local;
+        }
+        delta[i * numSymbols + symIdx] = target;
       }
     }
 
-    for (const s of activeStates) {
-      remap[s] = canonicalState.get(partition[s]);
+    // Inverse transitions: the predecessors of t on symIdx are
+    // preds[predStart[symIdx * n + t] .. predStart[symIdx * n + t + 1]).
+    const predStart = new Int32Array(numSymbols * n + 1);
+    for (let i = 0; i < n; i++) {
+      for (let symIdx = 0; symIdx < numSymbols; symIdx++) {
+        predStart[symIdx * n + delta[i * numSymbols + symIdx] + 1]++;
+      }
+    }
+    for (let j = 1; j < predStart.length; j++) predStart[j] += predStart[j - 1];
+    const preds = new Int32Array(n * numSymbols);
+    const fill = predStart.slice(0, -1);
+    for (let i = 0; i < n; i++) {
+      for (let symIdx = 0; symIdx < numSymbols; symIdx++) {
+        preds[fill[symIdx * n + delta[i * numSymbols + symIdx]]++] = i;
+      }
     }
 
-    return new StateTransformation(remap);
+    // Blocks are contiguous ranges [blockStart, blockEnd) of `elements`.
+    // Marked states are moved to the front of their block.
+    const elements = new Int32Array(n);
+    const location = new Int32Array(n);
+    const blockOf = new Int32Array(n);
+    const blockStart = new Int32Array(n);
+    const blockEnd = new Int32Array(n);
+    const marked = new Int32Array(n);
+    let numBlocks = 0;
+
+    const initialBlocks = [[], [], [sink]];
+    for (let i = 0; i < activeStates.length; i++) {
+      initialBlocks[this.acceptStates.has(activeStates[i]) ? 1 : 0].push(i);
+    }
+    let pos = 0;
+    for (const members of initialBlocks) {
+      if (members.length === 0) continue;
+      blockStart[numBlocks] = pos;
+      for (const i of members) {
+        elements[pos] = i;
+        location[i] = pos++;
+        blockOf[i] = numBlocks;
+      }
+      blockEnd[numBlocks++] = pos;
+    }
+
+    // Splitters are (block, symbol) pairs. Initially every block but the
+    // largest is a splitter.
+    const pending = new Uint8Array(n * numSymbols);
+    const worklist = [];
+    const addSplitter = (block, symIdx) => {
+      pending[block * numSymbols + symIdx] = 1;
+      worklist.push(block, symIdx);
+    };
+    const size = (block) => blockEnd[block] - blockStart[block];
+    let largest = 0;
+    for (let b = 1; b < numBlocks; b++) {
+      if (size(b) > size(largest)) largest = b;
+    }
+    for (let b = 0; b < numBlocks; b++) {
+      if (b === largest) continue;
+      for (let symIdx = 0; symIdx < numSymbols; symIdx++) addSplitter(b, symIdx);
+    }
+
+    const splitPreds = [];
+    const touched = [];
+    while (worklist.length > 0) {
+      const symIdx = worklist.pop();
+      const splitter = worklist.pop();
+      pending[splitter * numSymbols + symIdx] = 0;
+
+      // Collect predecessors first: marking reorders elements.
+      splitPreds.length = 0;
+      for (let p = blockStart[splitter]; p < blockEnd[splitter]; p++) {
+        const t = elements[p];
+        for (let q = predStart[symIdx * n + t]; q < predStart[symIdx * n + t + 1]; q++) {
+          splitPreds.push(preds[q]);
+        }
+      }
+
+      touched.length = 0;
+      for (const s of splitPreds) {
+        const block = blockOf[s];
+        const markedEnd = blockStart[block] + marked[block];
+        if (location[s] < markedEnd) continue;
+        if (marked[block] === 0) touched.push(block);
+        const other = elements[markedEnd];
+        elements[location[s]] = other;
+        location[other] = location[s];
+        elements[markedEnd] = s;
+        location[s] = markedEnd;
+        marked[block]++;
+      }
+
+      for (const block of touched) {
+        const markedCount = marked[block];
+        marked[block] = 0;
+        if (markedCount === size(block)) continue;
+
+        // The smaller part becomes the new block.
+        const newBlock = numBlocks++;
+        const mid = blockStart[block] + markedCount;
+        if (markedCount <= size(block) - markedCount) {
+          blockStart[newBlock] = blockStart[block];
+          blockEnd[newBlock] = mid;
+          blockStart[block] = mid;
+        } else {
+          blockStart[newBlock] = mid;
+          blockEnd[newBlock] = blockEnd[block];
+          blockEnd[block] = mid;
+        }
+        for (let p = blockStart[newBlock]; p < blockEnd[newBlock]; p++) {
+          blockOf[elements[p]] = newBlock;
+        }
+
+        for (let c = 0; c < numSymbols; c++) {
+          if (pending[block * numSymbols + c]) {
+            addSplitter(newBlock, c);
+          } else {
+            addSplitter(size(newBlock) <= size(block) ? newBlock : block, c);
+          }
+        }
+      }
+    }
+
+    const partition = new Int32Array(this._transitions.length).fill(-1);
+    for (let i = 0; i < activeStates.length; i++) {
+      partition[activeStates[i]] = blockOf[i];
+    }
+    return partition;
   }
 
   /**
@@ -2,7 +2,8 @@
  * NFA Builder and Parsing Utilities
  *
  * This module provides:
- * - NFABuilder for constructing NFAs from JavaScript function definitions
+ * - NFABuilder for constructing NFAs (transducers, bounded pushdown automata,
+ *   Büchi automata) from JavaScript function definitions
  * - Helper functions for parsing user code
  * - Symbol class expansion utilities
  *
@@ -19,6 +20,24 @@ import { NFA, DEFAULT_SYMBOL_CLASS } from './nfa.js';
 /** Default maximum number of states before throwing an error */
 const DEFAULT_MAX_STATES = 1000;
 
+/** Number of explored states between onProgress calls */
+const PROGRESS_INTERVAL = 100;
+
+/** Default maximum stack depth explored in pushdown mode */
+const DEFAULT_MAX_STACK_DEPTH = 16;
+
+/** Acceptance conditions: of finite words, or of infinite words (Büchi) */
+export const ACCEPTANCE = Object.freeze({
+  FINITE: 'finite',
+  BUCHI: 'buchi',
+});
+
+/** Acceptance conditions for pushdown automata */
+export const ACCEPT_BY = Object.freeze({
+  FINAL: 'final',
+  EMPTY: 'empty',
+});
+
 /**
  * Full set of symbols the app can use.
  * Includes digits, letters, and common punctuation.
@@ -46,20 +65,40 @@ export class NFABuilder {
   /**
    * @param {Object} config - NFA configuration
    * @param {any} config.startState - Initial state value (or array for multiple)
-   * @param {Function} config.transition - (state, symbol) => nextState(s)
+   * @param {Function} config.transition - (state, symbol) => nextState(s). A
+   *   next state may be given as `emit(state, output)` to emit an output on
+   *   the transition (Mealy output)
    * @param {Function} config.accept - (state) => boolean
    * @param {Function} [config.epsilon] - (state) => nextState(s) for epsilon transitions
+   * @param {Function} [config.output] - (state) => output emitted on entering the state (Moore output)
+   * @param {Array} [config.startStack] - Initial stack (bottom first). Enables
+   *   pushdown mode, where transition and epsilon also receive the stack top
+   *   and may return `{ state, pop, push }` stack actions
+   * @param {string} [config.acceptBy] - Pushdown acceptance: 'final' (accept(state), the default) or 'empty' stack
+   * @param {number} [config.maxStackDepth] - Deepest stack explored in pushdown mode
+   * @param {string} [config.acceptance] - 'finite' (the default) or 'buchi',
+   *   reading accept(state) as Büchi acceptance of infinite words. The
+   *   built NFA records it as `nfa.acceptance`
    * @param {Object} options - Builder options
    * @param {number} options.maxStates - Maximum states before error
    * @param {Array} options.symbols - Array of symbols to explore
+   * @param {(progress: {states: number, queued: number}) => void} [options.onProgress]
+   *   Called periodically during exploration with the number of states
+   *   discovered so far and the number waiting to be explored
    */
   constructor(config, options = {}) {
     this.startState = config.startState;
     this.transitionFn = config.transition;
     this.acceptFn = config.accept;
     this.epsilonFn = config.epsilon || null;
+    this.outputFn = config.output || null;
+    this.startStack = config.startStack;
+    this.acceptBy = config.acceptBy ?? ACCEPT_BY.FINAL;
+    this.maxStackDepth = config.maxStackDepth ?? DEFAULT_MAX_STACK_DEPTH;
+    this.acceptance = config.acceptance ?? ACCEPTANCE.FINITE;
     this.maxStates = options.maxStates || DEFAULT_MAX_STATES;
     this.symbols = options.symbols || expandSymbolClass(DEFAULT_SYMBOL_CLASS);
+    this.onProgress = options.onProgress || null;
   }
 
   /**
@@ -68,6 +107,17 @@ export class NFABuilder {
    * @throws {Error} If state limit is exceeded or state is invalid
    */
   build() {
+    const nfa = this.startStack !== undefined ? this._buildPushdown() : this._buildStates();
+    if (this.acceptance === ACCEPTANCE.BUCHI) nfa.acceptance = ACCEPTANCE.BUCHI;
+    return nfa;
+  }
+
+  /**
+   * Build the NFA by exploring the states reachable from the start states.
+   * @returns {NFA}
+   * @private
+   */
+  _buildStates() {
     const nfa = new NFA(this.symbols);
 
     // Maps for state serialization (user values <-> NFA IDs)
@@ -77,6 +127,7 @@ export class NFABuilder {
     const wrappedAccept = this._wrapAcceptFn(this.acceptFn);
     const wrappedTransition = this._wrapTransitionFn(this.transitionFn);
     const wrappedEpsilon = this.epsilonFn ? this._wrapEpsilonFn(this.epsilonFn) : null;
+    const wrappedOutput = this.outputFn ? this._wrapOutputFn(this.outputFn) : null;
 
     // Cache epsilon targets (stateStr -> string[])
     // Ensures user epsilon function is called at most once per state
@@ -108,6 +159,11 @@ export class NFABuilder {
         nfa.addAccept(id);
       }
 
+      const output = wrappedOutput ? wrappedOutput(stateStr) : null;
+      if (output !== null) {
+        nfa.setStateOutput(id, output);
+      }
+
       return id;
     };
 
@@ -132,16 +188,25 @@ export class NFABuilder {
       if (visited.has(currentId)) continue;
       visited.add(currentId);
 
+      if (this.onProgress && visited.size % PROGRESS_INTERVAL === 0) {
+        this.onProgress({ states: nfa.numStates(), queued: queue.length - queueHead });
+      }
+
       const stateStr = nfa.stateLabels[currentId];
 
       // Try all configured symbols (using index for efficient storage)
       for (let symbolIndex = 0; symbolIndex < this.symbols.length; symbolIndex++) {
         const symbol = this.symbols[symbolIndex];
-        const nextStateStrs = wrappedTransition(stateStr, symbol);
+        const nextStates = wrappedTransition(stateStr, symbol);
+        // Once a target has an output, targets without one emit nothing ('').
+        const hasOutputs = nextStates.some(next => next.output !== null);
 
-        for (const nextStateStr of nextStateStrs) {
+        for (const { stateStr: nextStateStr, output } of nextStates) {
           const nextId = addState(nextStateStr);
           nfa.addTransition(currentId, nextId, symbolIndex);
+          if (hasOutputs) {
+            nfa.addTransitionOutput(currentId, nextId, symbolIndex, output ?? '');
+          }
 
           if (!visited.has(nextId)) {
             queue.push(nextId);
@@ -168,22 +233,202 @@ export class NFABuilder {
     return nfa;
   }
 
+  /**
+   * Build a pushdown automaton by exploring its configurations (control
+   * state and stack) up to the maximum stack depth. Each configuration is
+   * a state of the returned NFA, so the NFA accepts exactly the words with
+   * an accepting run within the depth.
+   *
+   * `nfa.pushdown.control` holds the control states, with transitions
+   * labelled by their stack actions (as transition and epsilon outputs).
+   * Accepting by empty stack, the accepting control states are those
+   * reached with an empty stack (within the depth).
+   * `nfa.pushdown.controlOf` maps each configuration to its control state.
+   * `nfa.pushdown.depthLimitReached` reports whether some transition was
+   * cut off by the depth limit.
+   *
+   * @returns {NFA}
+   * @throws {Error} If state limit is exceeded or state is invalid
+   * @private
+   */
+  _buildPushdown() {
+    const nfa = new NFA(this.symbols);
+    const control = new NFA(this.symbols);
+    let depthLimitReached = false;
+
+    const acceptsByFinal = this.acceptBy === ACCEPT_BY.FINAL;
+    const wrappedAccept = acceptsByFinal ? this._wrapAcceptFn(this.acceptFn) : null;
+    const wrappedTransition = this._wrapStackActionFn(this.transitionFn, 'Transition');
+    const wrappedEpsilon = this.epsilonFn ? this._wrapStackActionFn(this.epsilonFn, 'Epsilon') : null;
+
+    // Control states (user state strings)
+    const controlIds = new Map();
+    const addControlState = (stateStr) => {
+      if (controlIds.has(stateStr)) return controlIds.get(stateStr);
+      const id = control.addState(stateStr);
+      controlIds.set(stateStr, id);
+      if (wrappedAccept && wrappedAccept(stateStr)) control.addAccept(id);
+      return id;
+    };
+
+    // Configurations: stack is an array of serialized symbols, top last
+    const configs = [];
+    const configIds = new Map();
+    const addConfig = (stateStr, stack) => {
+      const key = JSON.stringify([stateStr, stack]);
+      if (configIds.has(key)) return configIds.get(key);
+
+      if (nfa.numStates() >= this.maxStates) {
+        throw new Error(`NFA exceeded maximum state limit (${this.maxStates}). Consider simplifying your state machine.`);
+      }
+
+      const controlId = addControlState(stateStr);
+      const id = nfa.addState(`${stateStr} [${stack.join(',')}]`);
+      configIds.set(key, id);
+      configs.push({ stateStr, stack, controlId });
+
+      if (acceptsByFinal ? control.isAccepting(controlId) : stack.length === 0) {
+        nfa.addAccept(id);
+        // By empty stack, this marks the control states reached with one.
+        control.addAccept(controlId);
+      }
+      return id;
+    };
+
+    // Apply a stack action, returning null if the result is too deep.
+    const applyAction = (stack, { pop, push }, stateStr) => {
+      if (pop && stack.length === 0) {
+        throw new Error(`Cannot pop the empty stack in state ${stateStr}`);
+      }
+      const next = [...(pop ? stack.slice(0, -1) : stack), ...push];
+      if (next.length > this.maxStackDepth) {
+        depthLimitReached = true;
+        return null;
+      }
+      return next;
+    };
+
+    const queue = [];
+    let queueHead = 0;
+    const startStack = this.startStack.map(symbol => this._serializeState(symbol));
+    if (startStack.length > this.maxStackDepth) {
+      throw new Error(`Start stack is deeper than maxStackDepth (${this.maxStackDepth})`);
+    }
+    for (const startState of this._normalizeToArray(this.startState)) {
+      const id = addConfig(this._serializeState(startState), startStack);
+      nfa.addStart(id);
+      control.addStart(configs[id].controlId);
+      queue.push(id);
+    }
+
+    const visited = new Set();
+
+    while (queueHead < queue.length) {
+      const currentId = queue[queueHead++];
+      if (visited.has(currentId)) continue;
+      visited.add(currentId);
+
+      if (this.onProgress && visited.size % PROGRESS_INTERVAL === 0) {
+        this.onProgress({ states: nfa.numStates(), queued: queue.length - queueHead });
+      }
+
+      const { stateStr, stack, controlId } = configs[currentId];
+      const top = stack.length ? stack[stack.length - 1] : undefined;
+
+      const follow = (action, addEdge) => {
+        const nextStack = applyAction(stack, action, stateStr);
+        if (nextStack === null) return;
+        const nextId = addConfig(action.stateStr, nextStack);
+        addEdge(nextId, configs[nextId].controlId);
+        if (!visited.has(nextId)) queue.push(nextId);
+      };
+
+      for (let symbolIndex = 0; symbolIndex < this.symbols.length; symbolIndex++) {
+        for (const action of wrappedTransition(stateStr, top, this.symbols[symbolIndex])) {
+          follow(action, (nextId, nextControlId) => {
+            nfa.addTransition(currentId, nextId, symbolIndex);
+            control.addTransition(controlId, nextControlId, symbolIndex);
+            control.addTransitionOutput(controlId, nextControlId, symbolIndex, formatStackAction(action, top));
+          });
+        }
+      }
+
+      if (!wrappedEpsilon) continue;
+      for (const action of wrappedEpsilon(stateStr, top)) {
+        follow(action, (nextId, nextControlId) => {
+          nfa.addEpsilonTransition(currentId, nextId);
+          control.addEpsilonTransition(controlId, nextControlId);
+          control.addEpsilonOutput(controlId, nextControlId, formatStackAction(action, top));
+        });
+      }
+    }
+
+    nfa.pushdown = {
+      control,
+      controlOf: configs.map(config => config.controlId),
+      acceptBy: this.acceptBy,
+      maxStackDepth: this.maxStackDepth,
+      depthLimitReached,
+    };
+    return nfa;
+  }
+
+  /**
+   * Wrap a pushdown transition or epsilon function to handle errors and
+   * normalize its results to stack actions. The function is called with the
+   * state, the symbol (transitions only) and the stack top.
+   * @private
+   * @param {Function} fn
+   * @param {string} name - 'Transition' or 'Epsilon', for error messages
+   * @returns {(stateStr: string, top: string|undefined, symbol?: string) =>
+   *   Array<{stateStr: string, pop: boolean, push: string[]}>}
+   */
+  _wrapStackActionFn(fn, name) {
+    return (stateStr, top, symbol) => {
+      const stateValue = this._deserializeState(stateStr);
+      const topValue = top === undefined ? undefined : this._deserializeState(top);
+      try {
+        let result;
+        if (symbol === undefined) {
+          result = fn(stateValue, topValue);
+        } else {
+          const userSymbol = symbol.length === 1 && symbol >= '0' && symbol <= '9' ? Number(symbol) : symbol;
+          result = fn(stateValue, userSymbol, topValue);
+        }
+        return this._normalizeToArray(result)
+          .map(s => isStackAction(s) ? s : { state: s })
+          .filter(s => s.state !== undefined)
+          .map(s => ({
+            stateStr: this._serializeState(s.state),
+            pop: !!s.pop,
+            push: this._normalizeToArray(s.push).map(symbol => this._serializeState(symbol)),
+          }));
+      } catch (err) {
+        const args = symbol === undefined ? stateStr : `${stateStr}, ${symbol}`;
+        throw new Error(
+          `${name} function threw for (${args}): ${err?.message || err}`);
+      }
+    };
+  }
+
   /**
    * Wrap the transition function to handle errors and normalize output.
    * Converts digit strings to Numbers for user-facing API compatibility.
    * @private
+   * @returns {(stateStr: string, symbol: string) => Array<{stateStr: string, output: string|null}>}
    */
   _wrapTransitionFn(fn) {
     return (stateStr, symbol) => {
       const stateValue = this._deserializeState(stateStr);
       // Convert digit strings to numbers for user function
-      const userSymbol = symbol >= '0' && symbol <= '9' ? Number(symbol) : symbol;
+      const userSymbol = symbol.length === 1 && symbol >= '0' && symbol <= '9' ? Number(symbol) : symbol;
       try {
         const result = fn(stateValue, userSymbol);
-        const nextStates = this._normalizeToArray(result);
+        const nextStates = this._normalizeToArray(result)
+          .map(s => s instanceof OutputPair ? s : { state: s, output: null });
         return nextStates
-          .filter(s => s !== undefined)
-          .map(s => this._serializeState(s));
+          .filter(s => s.state !== undefined)
+          .map(s => ({ stateStr: this._serializeState(s.state), output: this._normalizeOutput(s.output) }));
       } catch (err) {
         throw new Error(
           `Transition function threw for (${stateStr}, ${symbol}): ${err?.message || err}`);
@@ -227,6 +472,34 @@ export class NFABuilder {
     };
   }
 
+  /**
+   * Wrap the output function to handle errors and normalize output
+   * @private
+   */
+  _wrapOutputFn(fn) {
+    return (stateStr) => {
+      const stateValue = this._deserializeState(stateStr);
+      try {
+        return this._normalizeOutput(fn(stateValue));
+      } catch (err) {
+        throw new Error(
+          `Output function threw for ${stateStr}: ${err?.message || err}`);
+      }
+    };
+  }
+
+  /**
+   * Normalize an output symbol to a string, or null for no output
+   * @private
+   */
+  _normalizeOutput(output) {
+    if (output === undefined || output === null || output === '') return null;
+    if (typeof output !== 'string' && typeof output !== 'number') {
+      throw new Error(`Output must be a string or number, got ${typeof output}`);
+    }
+    return String(output);
+  }
+
   /** Normalize a value to an array */
   _normalizeToArray(value) {
     if (value === undefined) return [];
@@ -254,6 +527,61 @@ export class NFABuilder {
   }
 }
 
+/** A next state with the output emitted on the way there (see emit()) */
+class OutputPair {
+  constructor(state, output) {
+    this.state = state;
+    this.output = output;
+  }
+}
+
+/**
+ * Mark a next state returned by a transition function with the output
+ * emitted on the transition (Mealy output). Code run by parseNFAConfig()
+ * has this as `emit`.
+ *
+ * @param {any} state
+ * @param {string|number} output
+ * @returns {OutputPair}
+ */
+export function emit(state, output) {
+  return new OutputPair(state, output);
+}
+
+/**
+ * Check whether a pushdown transition result is a `{ state, pop, push }`
+ * stack action rather than a state. Actions are plain objects with a state
+ * and a pop or push key, and no other keys.
+ *
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isStackAction(value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) return false;
+  const keys = Object.keys(value);
+  return 'state' in value && ('pop' in value || 'push' in value) &&
+    keys.every(key => key === 'state' || key === 'pop' || key === 'push');
+}
+
+/**
+ * Describe a stack action for edge labels, e.g. "pop A, push B C" ('' if
+ * the stack is unchanged). String stack symbols are shown unquoted.
+ *
+ * @param {{pop: boolean, push: string[]}} action - Serialized stack symbols
+ * @param {string|undefined} top - The serialized stack top before the action
+ * @returns {string}
+ */
+function formatStackAction({ pop, push }, top) {
+  const show = (symbol) => {
+    const value = JSON.parse(symbol);
+    return typeof value === 'string' ? value : symbol;
+  };
+  const parts = [];
+  if (pop) parts.push(`pop ${show(top)}`);
+  if (push.length) parts.push(`push ${push.map(show).join(' ')}`);
+  return parts.join(', ');
+}
+
 // ============================================
 // Symbol Class Expansion
 // ============================================
@@ -306,6 +634,100 @@ export function expandSymbolClass(charClass) {
   }
 }
 
+// ============================================
+// Named Symbols
+// ============================================
+
+/**
+ * Validate a list of named symbols (e.g. `['open', 'close', 'ack']`).
+ * Names may not contain whitespace or commas, since those separate symbols
+ * in symbol lists, test input and token-mode regexes.
+ *
+ * @param {Array<string|number>} names
+ * @returns {string[]} The names as strings
+ * @throws {Error} If the list is empty or a name is invalid or repeated
+ */
+export function validateSymbolNames(names) {
+  if (!names.length) {
+    throw new Error('Symbol list cannot be empty');
+  }
+  const seen = new Set();
+  return names.map(name => {
+    if (typeof name !== 'string' && typeof name !== 'number') {
+      throw new Error(`Symbol names must be strings, got ${typeof name}`);
+    }
+    const str = String(name);
+    if (!str || /[\s,]/.test(str)) {
+      throw new Error(`Invalid symbol name "${str}": names must be non-empty with no whitespace or commas`);
+    }
+    if (seen.has(str)) {
+      throw new Error(`Duplicate symbol "${str}"`);
+    }
+    seen.add(str);
+    return str;
+  });
+}
+
+/**
+ * Check whether a symbols field holds a list of names rather than a
+ * character class. Lists are separated by commas or whitespace, which never
+ * appear in ALL_SYMBOLS. A single name needs a trailing comma (`open,`).
+ *
+ * @param {string} str
+ * @returns {boolean}
+ */
+export function isSymbolList(str) {
+  return /[\s,]/.test(str.trim());
+}
+
+/**
+ * Expand a symbols field: either a comma/whitespace separated list of names,
+ * or a regex character class (see expandSymbolClass).
+ *
+ * @param {string} str - e.g. "1-9" or "open, close, ack"
+ * @returns {string[]}
+ */
+export function expandSymbols(str) {
+  if (str && isSymbolList(str)) {
+    return validateSymbolNames(str.split(/[\s,]+/).filter(Boolean));
+  }
+  return expandSymbolClass(str);
+}
+
+/**
+ * Check whether an alphabet has multi-character symbols. Input strings over
+ * such alphabets are written as whitespace-separated tokens.
+ *
+ * @param {Array<string|number>} symbols
+ * @returns {boolean}
+ */
+export function hasNamedSymbols(symbols) {
+  return symbols.some(s => String(s).length > 1);
+}
+
+/**
+ * Split an input string into symbols: whitespace-separated tokens for
+ * alphabets with named symbols, otherwise one symbol per character.
+ *
+ * @param {string} str
+ * @param {Array<string|number>} symbols - The alphabet
+ * @returns {string[]}
+ */
+export function splitSymbolString(str, symbols) {
+  return hasNamedSymbols(symbols) ? str.split(/\s+/).filter(Boolean) : [...str];
+}
+
+/**
+ * Inverse of splitSymbolString().
+ *
+ * @param {Array<string|number>} sequence
+ * @param {Array<string|number>} symbols - The alphabet
+ * @returns {string}
+ */
+export function joinSymbolString(sequence, symbols) {
+  return sequence.join(hasNamedSymbols(symbols) ? ' ' : '');
+}
+
 // ============================================
 // Code Parsing Utilities
 // ============================================
@@ -314,29 +736,40 @@ export function expandSymbolClass(charClass) {
  * Parse and compile user-provided JavaScript code into an NFA config object.
  *
  * The code should define:
- * - symbols: regex character class string or RegExp
+ * - symbols: regex character class string, RegExp, or an array of named symbols
  * - startState: initial state value
- * - transition(state, symbol): returns next state(s)
+ * - transition(state, symbol): returns next state(s), which may be marked
+ *   with an output as `emit(state, output)`
  * - accept(state): returns true if accepting
  * - epsilon(state): (optional) returns epsilon-reachable state(s)
+ * - output(state): (optional) returns the output emitted on entering the state
+ * - startStack: (optional) initial stack, enabling pushdown mode
+ * - acceptBy: (optional) 'final' or 'empty', pushdown acceptance
+ * - maxStackDepth: (optional) deepest stack explored in pushdown mode
+ * - acceptance: (optional) 'finite' or 'buchi', reading accept(state) as
+ *   Büchi acceptance of infinite words
  *
  * @param {string} code - User's JavaScript code
- * @returns {{symbols: string[], startState: any, transition: Function, accept: Function, epsilon?: Function}}
+ * @returns {{symbols: string[], startState: any, transition: Function, accept: Function, epsilon?: Function, output?: Function}}
  * @throws {Error} If code is invalid or missing required definitions
  */
 export function parseNFAConfig(code) {
   // Wrap code in IIFE to isolate scope and prevent global pollution
   const wrappedCode = `
     return (function() {
-      var symbols, startState, transition, accept, epsilon;
+      var symbols, startState, transition, accept, epsilon, output;
+      var startStack, acceptBy, maxStackDepth, acceptance;
       ${code}
-      return { symbols, startState, transition, accept, epsilon };
+      return {
+        symbols, startState, transition, accept, epsilon, output,
+        startStack, acceptBy, maxStackDepth, acceptance,
+      };
     })();
   `;
 
   try {
-    const fn = new Function(wrappedCode);
-    const result = fn();
+    const fn = new Function('emit', wrappedCode);
+    const result = fn(emit);
 
     // Validate required definitions
     if (result.startState === undefined) {
@@ -345,13 +778,40 @@ export function parseNFAConfig(code) {
     if (typeof result.transition !== 'function') {
       throw new Error('transition must be a function');
     }
-    if (typeof result.accept !== 'function') {
+    if (result.startStack !== undefined) {
+      if (!Array.isArray(result.startStack)) {
+        throw new Error('startStack must be an array');
+      }
+      if (result.acceptBy !== undefined && !Object.values(ACCEPT_BY).includes(result.acceptBy)) {
+        throw new Error(`acceptBy must be '${ACCEPT_BY.FINAL}' or '${ACCEPT_BY.EMPTY}'`);
+      }
+      if (result.maxStackDepth !== undefined &&
+        !(Number.isInteger(result.maxStackDepth) && result.maxStackDepth >= 0)) {
+        throw new Error('maxStackDepth must be a non-negative integer');
+      }
+    } else if (result.acceptBy !== undefined || result.maxStackDepth !== undefined) {
+      throw new Error('acceptBy and maxStackDepth require startStack');
+    }
+    if (result.acceptance !== undefined) {
+      if (!Object.values(ACCEPTANCE).includes(result.acceptance)) {
+        throw new Error(`acceptance must be '${ACCEPTANCE.FINITE}' or '${ACCEPTANCE.BUCHI}'`);
+      }
+      if (result.acceptance === ACCEPTANCE.BUCHI && result.startStack !== undefined) {
+        throw new Error('Büchi acceptance is not supported in pushdown mode');
+      }
+    }
+    // accept is optional when a pushdown automaton accepts by empty stack
+    if (typeof result.accept !== 'function' &&
+      !(result.acceptBy === ACCEPT_BY.EMPTY && result.accept === undefined)) {
       throw new Error('accept must be a function');
     }
     // epsilon is optional, but must be a function if defined
     if (result.epsilon !== undefined && typeof result.epsilon !== 'function') {
       throw new Error('epsilon must be a function');
     }
+    if (result.output !== undefined && typeof result.output !== 'function') {
+      throw new Error('output must be a function');
+    }
 
     // symbols is required
     if (result.symbols === undefined) {
@@ -361,9 +821,11 @@ export function parseNFAConfig(code) {
     if (result.symbols instanceof RegExp) {
       result.symbols = expandSymbolRegex(result.symbols);
     } else if (typeof result.symbols === 'string') {
-      result.symbols = expandSymbolClass(result.symbols);
+      result.symbols = expandSymbols(result.symbols);
+    } else if (Array.isArray(result.symbols)) {
+      result.symbols = validateSymbolNames(result.symbols);
     } else {
-      throw new Error('symbols must be a string or RegExp');
+      throw new Error('symbols must be a string, RegExp or array');
     }
 
     return result;
@@ -375,14 +837,15 @@ export function parseNFAConfig(code) {
 /**
  * Build unified code string from split input components
  *
- * @param {string} symbolsCode - The symbols expression
+ * @param {string} symbolsCode - The symbols character class, or a list of names (see isSymbolList)
  * @param {string} startStateCode - The startState expression
  * @param {string} transitionBody - Body of the transition function
  * @param {string} acceptBody - Body of the accept function
  * @param {string} [epsilonBody] - Body of the epsilon function (optional)
+ * @param {string} [outputBody] - Body of the output function (optional)
  * @returns {string} Complete code string
  */
-export function buildCodeFromSplit(symbolsCode, startStateCode, transitionBody, acceptBody, epsilonBody) {
+export function buildCodeFromSplit(symbolsCode, startStateCode, transitionBody, acceptBody, epsilonBody, outputBody) {
   const indentedTransition = transitionBody
     .split('\n')
     .map(line => '  ' + line)
@@ -393,7 +856,13 @@ export function buildCodeFromSplit(symbolsCode, startStateCode, transitionBody,
     .map(line => '  ' + line)
     .join('\n');
 
-  let code = `symbols = /[${symbolsCode}]/;
+  let symbolsExpr = `/[${symbolsCode}]/`;
+  if (isSymbolList(symbolsCode)) {
+    const names = symbolsCode.split(/[\s,]+/).filter(Boolean);
+    symbolsExpr = `[${names.map(name => `'${name.replace(/['\\]/g, '\\$&')}'`).join(', ')}]`;
+  }
+
+  let code = `symbols = ${symbolsExpr};
 
 startState = ${startStateCode};
 
@@ -419,6 +888,19 @@ ${indentedEpsilon}
 }`;
   }
 
+  if (outputBody && outputBody.trim()) {
+    const indentedOutput = outputBody
+      .split('\n')
+      .map(line => '  ' + line)
+      .join('\n');
+
+    code += `
+
+function output(state) {
+${indentedOutput}
+}`;
+  }
+
   return code;
 }
 
@@ -431,12 +913,12 @@ ${indentedEpsilon}
  * 3. Serialize startState back to code
  *
  * @param {string} code - Unified code string
- * @returns {{symbols: string, startState: string, transitionBody: string, acceptBody: string, epsilonBody: string}}
+ * @returns {{symbols: string, startState: string, transitionBody: string, acceptBody: string, epsilonBody: string, outputBody: string}}
  */
 export function parseSplitFromCode(code) {
   try {
     // Execute the code to get the actual objects
-    // epsilon is optional, so check if it's defined after execution
+    // epsilon and output are optional, so check if they're defined after execution
     const parsed = new Function(`
       ${code};
       return {
@@ -444,12 +926,16 @@ export function parseSplitFromCode(code) {
         startState,
         transition,
         accept,
-        epsilon: typeof epsilon !== 'undefined' ? epsilon : undefined
+        epsilon: typeof epsilon !== 'undefined' ? epsilon : undefined,
+        output: typeof output !== 'undefined' ? output : undefined
       };
     `)();
 
     let symbols = parsed.symbols;
-    if (symbols instanceof RegExp) {
+    if (Array.isArray(symbols)) {
+      // A single name needs the trailing comma to read back as a list.
+      symbols = symbols.length === 1 ? `${symbols[0]},` : symbols.join(', ');
+    } else if (symbols instanceof RegExp) {
       symbols = symbols.source;
       if (symbols.startsWith('[') && symbols.endsWith(']')) {
         symbols = symbols.slice(1, -1);
@@ -461,7 +947,8 @@ export function parseSplitFromCode(code) {
       startState: canonicalJSON(parsed.startState),
       transitionBody: extractFunctionBody(parsed.transition),
       acceptBody: extractFunctionBody(parsed.accept),
-      epsilonBody: parsed.epsilon ? extractFunctionBody(parsed.epsilon) : ''
+      epsilonBody: parsed.epsilon ? extractFunctionBody(parsed.epsilon) : '',
+      outputBody: parsed.output ? extractFunctionBody(parsed.output) : ''
     };
   } catch (e) {
     console.error('Failed to parse unified code:', e);
@@ -471,7 +958,8 @@ export function parseSplitFromCode(code) {
       startState: '0',
       transitionBody: 'return undefined;',
       acceptBody: 'return false;',
-      epsilonBody: ''
+      epsilonBody: '',
+      outputBody: ''
     };
   }
 }
@@ -0,0 +1,393 @@
+/**
+ * Language Operations on NFAs
+ *
+ * This module provides:
+ * - Determinization and complementation over the NFA's own alphabet
+ * - Closure operations: union, intersection, difference, concatenation, star
+ * - The product automaton behind intersection, with the pair of each state
+ * - Language equivalence checking with a shortest counterexample
+ * - Alphabet alignment, so automata built separately can be combined
+ *
+ * All operations return new NFAs and never mutate their inputs. Binary
+ * operations require both operands to share the same alphabet ordering;
+ * use alignAlphabets() first for operands defined independently.
+ *
+ * @module nfa_operations
+ */
+
+import { NFA } from './nfa.js';
+import { NFAView } from './nfa_view.js';
+import { DFABuilder } from './dfa_builder.js';
+import { arraysAreEqual } from './util.js';
+
+/**
+ * Assert that two NFAs share the exact same alphabet ordering.
+ * @param {NFA} a
+ * @param {NFA} b
+ * @param {string} operation - Name used in the error message
+ */
+function assertSameAlphabet(a, b, operation) {
+  if (!arraysAreEqual(a.symbols, b.symbols)) {
+    throw new Error(`${operation}() requires identical alphabets`);
+  }
+}
+
+/** Default maximum number of product states for intersection() */
+const DEFAULT_MAX_PRODUCT_STATES = 1000;
+
+/**
+ * Copy all states and transitions of `source` into `target`.
+ * Start and accept states are not copied.
+ *
+ * @param {NFA} target
+ * @param {NFA} source
+ * @param {string} labelPrefix - Prepended to each copied state label
+ * @returns {number} Offset of the copied state IDs in `target`
+ */
+function copyStates(target, source, labelPrefix) {
+  const offset = target.numStates();
+  for (const label of source.stateLabels) {
+    target.addState(`${labelPrefix}${label}`);
+  }
+  for (const { from, to, symbol } of source.getAllTransitions()) {
+    target.addTransition(from + offset, to + offset, target.getSymbolIndex(symbol));
+  }
+  for (const [from, targets] of source.epsilonTransitions) {
+    for (const to of targets) {
+      target.addEpsilonTransition(from + offset, to + offset);
+    }
+  }
+  return offset;
+}
+
+/**
+ * Rebuild an NFA over a different ordering (or a superset) of its alphabet.
+ * Transitions are mapped by symbol, so the language is unchanged. Outputs
+ * are not copied.
+ *
+ * @param {NFA} nfa
+ * @param {Array} symbols - Must contain every symbol of `nfa.symbols`
+ * @returns {NFA} `nfa` itself if the alphabets are identical
+ */
+export function withAlphabet(nfa, symbols) {
+  if (arraysAreEqual(nfa.symbols, symbols)) return nfa;
+
+  const result = new NFA([...symbols]);
+  const missing = nfa.symbols.filter(symbol => result.getSymbolIndex(symbol) === undefined);
+  if (missing.length) {
+    throw new Error(`withAlphabet() is missing symbols: ${missing.join(', ')}`);
+  }
+  copyStates(result, nfa, '');
+  for (const s of nfa.startStates) result.addStart(s);
+  for (const s of nfa.acceptStates) result.addAccept(s);
+  return result;
+}
+
+/**
+ * Rebuild two NFAs over a shared alphabet: the symbols of `a`, in order,
+ * followed by the symbols only `b` has.
+ *
+ * @param {NFA} a
+ * @param {NFA} b
+ * @returns {[NFA, NFA]}
+ */
+export function alignAlphabets(a, b) {
+  const aSymbols = new Set(a.symbols);
+  const symbols = [...a.symbols, ...b.symbols.filter(symbol => !aSymbols.has(symbol))];
+  return [withAlphabet(a, symbols), withAlphabet(b, symbols)];
+}
+
+/**
+ * Convert an NFA into an equivalent DFA using subset construction.
+ * Epsilon transitions are closed first.
+ *
+ * @param {NFA} nfa
+ * @param {{ maxStates?: number }} [options] - Passed to DFABuilder.build()
+ * @returns {NFA} A deterministic (possibly partial) NFA
+ */
+export function determinize(nfa, options = {}) {
+  const view = NFAView.fromNFA(nfa).withEpsilonClosure();
+  return DFABuilder.build(view, options);
+}
+
+/**
+ * Build an NFA accepting exactly the strings over `nfa.symbols` that `nfa` rejects.
+ *
+ * The NFA is determinized, completed with a trap state (only added if some
+ * transition is missing), and then has its accepting states flipped.
+ *
+ * @param {NFA} nfa
+ * @param {{ maxStates?: number }} [options] - Passed to DFABuilder.build()
+ * @returns {NFA}
+ */
+export function complement(nfa, options = {}) {
+  const dfa = determinize(nfa, options);
+  const numStates = dfa.numStates();
+
+  let trapId = -1;
+  for (let stateId = 0; stateId < numStates; stateId++) {
+    for (let symbolIndex = 0; symbolIndex < dfa.symbols.length; symbolIndex++) {
+      if (dfa.getTransitions(stateId, symbolIndex).length > 0) continue;
+      if (trapId === -1) {
+        trapId = dfa.addState('∅');
+        for (let i = 0; i < dfa.symbols.length; i++) {
+          dfa.addTransition(trapId, trapId, i);
+        }
+      }
+      dfa.addTransition(stateId, trapId, symbolIndex);
+    }
+  }
+
+  const flipped = new Set();
+  for (let stateId = 0; stateId < dfa.numStates(); stateId++) {
+    if (!dfa.isAccepting(stateId)) flipped.add(stateId);
+  }
+  dfa.acceptStates = flipped;
+
+  return dfa;
+}
+
+/**
+ * Build an NFA accepting L(a) ∪ L(b).
+ * Both operands are copied side by side; their start and accept states are kept.
+ *
+ * @param {NFA} a
+ * @param {NFA} b
+ * @returns {NFA}
+ */
+export function union(a, b) {
+  assertSameAlphabet(a, b, 'union');
+
+  const result = new NFA([...a.symbols]);
+  for (const [operand, prefix] of [[a, 'A:'], [b, 'B:']]) {
+    const offset = copyStates(result, operand, prefix);
+    for (const s of operand.startStates) result.addStart(s + offset);
+    for (const s of operand.acceptStates) result.addAccept(s + offset);
+  }
+  return result;
+}
+
+/**
+ * Build an NFA accepting L(a) ∩ L(b) using the product construction.
+ *
+ * Only pairs reachable from the start pairs are created. As in
+ * NFA.runAgainst(), pairs are epsilon-expanded so the result has no
+ * epsilon transitions. Pair states are labelled `(labelA, labelB)`.
+ *
+ * @param {NFA} a
+ * @param {NFA} b
+ * @param {{ maxStates?: number }} [options]
+ * @returns {NFA}
+ */
+export function intersection(a, b, options = {}) {
+  assertSameAlphabet(a, b, 'intersection');
+  return product(a, b, options).nfa;
+}
+
+/**
+ * Build the reachable product automaton of two NFAs, as for intersection(),
+ * keeping track of the pair each state stands for.
+ *
+ * @param {NFA} a
+ * @param {NFA} b
+ * @param {{ maxStates?: number }} [options]
+ * @returns {{nfa: NFA, pairs: Array<[number, number]>}} `pairs[id]` is the
+ *   state of `a` and the state of `b` that product state `id` pairs up
+ */
+export function product(a, b, options = {}) {
+  assertSameAlphabet(a, b, 'product');
+  const maxStates = options.maxStates ?? DEFAULT_MAX_PRODUCT_STATES;
+
+  const result = new NFA([...a.symbols]);
+  const pairs = [];
+
+  const closeUnion = (nfa, stateIds) => {
+    const closed = new Set();
+    for (const s of stateIds) {
+      for (const t of nfa.getEpsilonClosure(s)) closed.add(t);
+    }
+    return closed;
+  };
+
+  // Product pair key -> result state ID
+  const bNum = b.numStates();
+  const pairToId = new Map();
+  const worklist = [];
+  let worklistHead = 0;
+  const getPairId = (p, q) => {
+    const key = p * bNum + q;
+    let id = pairToId.get(key);
+    if (id !== undefined) return id;
+
+    if (result.numStates() >= maxStates) {
+      throw new Error(`product: Aborting product construction; exceeded maxStates=${maxStates}.`);
+    }
+    id = result.addState(`(${a.stateLabels[p]}, ${b.stateLabels[q]})`);
+    pairs[id] = [p, q];
+    if (a.isAccepting(p) && b.isAccepting(q)) result.addAccept(id);
+    pairToId.set(key, id);
+    worklist.push([p, q, id]);
+    return id;
+  };
+
+  for (const p of closeUnion(a, a.startStates)) {
+    for (const q of closeUnion(b, b.startStates)) {
+      result.addStart(getPairId(p, q));
+    }
+  }
+
+  while (worklistHead < worklist.length) {
+    const [p, q, fromId] = worklist[worklistHead++];
+    for (let symIdx = 0; symIdx < a.symbols.length; symIdx++) {
+      const aTargets = a.getTransitions(p, symIdx);
+      const bTargets = b.getTransitions(q, symIdx);
+      if (aTargets.length === 0 || bTargets.length === 0) continue;
+
+      const bClosed = closeUnion(b, bTargets);
+      for (const p2 of closeUnion(a, aTargets)) {
+        for (const q2 of bClosed) {
+          result.addTransition(fromId, getPairId(p2, q2), symIdx);
+        }
+      }
+    }
+  }
+
+  return { nfa: result, pairs };
+}
+
+/**
+ * Build the reachable product of the automaton shown by a view with another
+ * NFA (e.g. a test pattern), as a view of its own. States are named like
+ * `(q3, r2)`: the view's state ID, and the other NFA's state ID with
+ * `otherPrefix`.
+ *
+ * @param {NFAView} view
+ * @param {NFA} other
+ * @param {{ maxStates?: number, otherPrefix?: string, layoutState?: any }} [options]
+ * @returns {{view: NFAView, pairs: Array<[number, number]>}} `pairs[id]` is
+ *   the view state and the `other` state of product state `id`
+ */
+export function productView(view, other, options = {}) {
+  const { nfa, pairs } = product(view.toNFA(), other, options);
+  const otherPrefix = options.otherPrefix ?? '';
+  const stateNames = pairs.map(([p, q]) => `(${view.getStateIdString(p)}, ${otherPrefix}${q})`);
+  return {
+    view: NFAView.fromNFA(nfa, { stateNames, layoutState: options.layoutState }),
+    pairs,
+  };
+}
+
+/**
+ * Build an NFA accepting L(a) \ L(b), i.e. `a ∩ ¬b`.
+ *
+ * @param {NFA} a
+ * @param {NFA} b
+ * @param {{ maxStates?: number }} [options] - Limit for both the complement and the product
+ * @returns {NFA}
+ */
+export function difference(a, b, options = {}) {
+  assertSameAlphabet(a, b, 'difference');
+  return intersection(a, complement(b, options), options);
+}
+
+/**
+ * Build an NFA accepting L(a)·L(b).
+ * Every accept state of `a` gets an epsilon transition to every start state of `b`.
+ *
+ * @param {NFA} a
+ * @param {NFA} b
+ * @returns {NFA}
+ */
+export function concatenation(a, b) {
+  assertSameAlphabet(a, b, 'concatenation');
+
+  const result = new NFA([...a.symbols]);
+  const offsetA = copyStates(result, a, 'A:');
+  const offsetB = copyStates(result, b, 'B:');
+
+  for (const s of a.startStates) result.addStart(s + offsetA);
+  for (const s of b.acceptStates) result.addAccept(s + offsetB);
+  for (const from of a.acceptStates) {
+    for (const to of b.startStates) {
+      result.addEpsilonTransition(from + offsetA, to + offsetB);
+    }
+  }
+  return result;
+}
+
+/**
+ * Build an NFA accepting L(a)* (Kleene star).
+ *
+ * A new accepting start state is added with an epsilon transition into `a`,
+ * and every accept state of `a` loops back to it with an epsilon transition.
+ *
+ * @param {NFA} a
+ * @returns {NFA}
+ */
+export function star(a) {
+  const result = new NFA([...a.symbols]);
+  const hub = result.addState('*');
+  const offset = copyStates(result, a, '');
+
+  result.addStart(hub);
+  result.addAccept(hub);
+  for (const s of a.startStates) result.addEpsilonTransition(hub, s + offset);
+  for (const s of a.acceptStates) result.addEpsilonTransition(s + offset, hub);
+  return result;
+}
+
+/**
+ * Check whether two NFAs accept the same language.
+ *
+ * The languages differ iff `a ∩ ¬b` or `b ∩ ¬a` is non-empty. Both products
+ * are searched exhaustively, and the shorter (shortlex) witness is returned
+ * as the counterexample.
+ *
+ * @param {NFA} a
+ * @param {NFA} b
+ * @param {{ maxStates?: number }} [options] - Passed to DFABuilder.build()
+ * @returns {{
+ *   equivalent: boolean,
+ *   counterexample: string[]|null,
+ *   acceptedBy: 'first'|'second'|null,
+ * }} `acceptedBy` names the automaton that accepts the counterexample.
+ */
+export function checkEquivalence(a, b, options = {}) {
+  assertSameAlphabet(a, b, 'checkEquivalence');
+
+  const findDifference = (x, y) => {
+    const notY = complement(y, options);
+    // The product is finite, so bound the search by its size to make it exhaustive.
+    const maxSteps = x.numStates() * notY.numStates() + 1;
+    return x.findShortestAccepted(notY, { maxSteps }).witness;
+  };
+
+  const onlyA = findDifference(a, b);
+  const onlyB = findDifference(b, a);
+
+  if (!onlyA && !onlyB) {
+    return { equivalent: true, counterexample: null, acceptedBy: null };
+  }
+
+  const useA = onlyA && (!onlyB || compareShortlex(onlyA, onlyB, a.symbols) <= 0);
+  return {
+    equivalent: false,
+    counterexample: useA ? onlyA : onlyB,
+    acceptedBy: useA ? 'first' : 'second',
+  };
+}
+
+/**
+ * Compare two strings (symbol arrays) in shortlex order.
+ * @param {string[]} x
+ * @param {string[]} y
+ * @param {Array} symbols - Alphabet defining the symbol order
+ * @returns {number} Negative if x < y, positive if x > y, 0 if equal
+ */
+function compareShortlex(x, y, symbols) {
+  if (x.length !== y.length) return x.length - y.length;
+  for (let i = 0; i < x.length; i++) {
+    if (x[i] !== y[i]) return symbols.indexOf(x[i]) - symbols.indexOf(y[i]);
+  }
+  return 0;
+}
@@ -10,8 +10,21 @@
  * @module nfa_view
  */
 
-import { StateTransformation } from './nfa.js';
+import { NFA, StateTransformation } from './nfa.js';
 import { DFABuilder } from './dfa_builder.js';
+import { SIMULATION, reduceBySimulation } from './simulation.js';
+import { findStronglyConnectedComponents } from './util.js';
+
+/**
+ * The automaton shown by a view, over local state indices 0..n-1.
+ *
+ * @typedef {Object} LocalAutomaton
+ * @property {number[]} states - Canonical view state ID of each local index
+ * @property {number[][][]} succ - succ[symbolIndex][p] = targets of p
+ * @property {number[][][]} pred - pred[symbolIndex][p] = sources of p
+ * @property {boolean[]} start
+ * @property {boolean[]} accept
+ */
 
 /**
  * A view of an NFA with a transformation applied
@@ -24,6 +37,8 @@ export class NFAView {
    *   layoutState?: any,
    *   stateIdPrefix?: string,
    *   sourceView?: NFAView,
+   *   reversed?: boolean,
+   *   stateNames?: string[],
    * }} [options]
    * @returns {NFAView}
    */
@@ -33,6 +48,8 @@ export class NFAView {
       layoutState: options.layoutState,
       stateIdPrefix: options.stateIdPrefix,
       sourceView: options.sourceView,
+      reversed: options.reversed,
+      stateNames: options.stateNames,
     });
   }
 
@@ -43,6 +60,8 @@ export class NFAView {
    *   layoutState?: any,
    *   stateIdPrefix?: string,
    *   sourceView?: NFAView,
+   *   reversed?: boolean,
+   *   stateNames?: string[],
    * }} [options]
    */
   constructor(nfa, options = {}) {
@@ -59,10 +78,20 @@ export class NFAView {
     // Derived views inherit this by default.
     this._stateIdPrefix = options.stateIdPrefix ?? null;
 
+    // Whether this view accepts the reverse of the source view's language.
+    // Every other derivation preserves the language.
+    this._reversed = options.reversed ?? false;
+
+    // Names shown instead of prefixed state IDs (e.g. product pairs).
+    // Not kept by derived views.
+    this._stateNames = options.stateNames ?? null;
+
     // Compute merged sources once
     this.mergedSources = this._computeMergedSources();
 
     this._deadStates = this.nfa.getDeadStates();
+    // Computed on demand by getTrapStates()
+    this._trapStates = null;
   }
 
   /**
@@ -82,17 +111,20 @@ export class NFAView {
 
   /**
    * Derive a view where epsilon transitions have been enforced on a cloned NFA.
-   * The resulting view has an identity transform.
+   * The resulting view keeps this view's transform (which can only delete
+   * states, since merging requires an epsilon-free NFA).
    * @returns {NFAView}
    */
   withEpsilonClosure() {
     if (this.nfa.epsilonTransitions.size === 0) return this;
     const cloned = this.nfa.clone();
     cloned.enforceEpsilonTransitions();
-    return NFAView.fromNFA(cloned, {
+    return new NFAView(cloned, {
+      transform: this.transform,
       layoutState: this.layoutState,
       stateIdPrefix: this._stateIdPrefix,
       sourceView: this._sourceView,
+      reversed: this._reversed,
     });
   }
 
@@ -111,14 +143,17 @@ export class NFAView {
       transform: nextTransform,
       stateIdPrefix: this._stateIdPrefix,
       sourceView: this._sourceView,
+      reversed: this._reversed,
     });
   }
 
   /**
-   * Derive a view with equivalent states merged.
+   * Derive a view with equivalent states merged. Equivalence does not
+   * compare outputs, so transducers are left as they are.
    * @returns {NFAView}
    */
   withEquivalentStatesMerged() {
+    if (this.nfa.hasOutputs()) return this;
     const mergedTransform = this.nfa.getEquivalentStateRemap(this.transform);
     if (this._hasSameTransform(mergedTransform)) return this;
     return new NFAView(this.nfa, {
@@ -126,9 +161,221 @@ export class NFAView {
       transform: mergedTransform,
       stateIdPrefix: this._stateIdPrefix,
       sourceView: this._sourceView,
+      reversed: this._reversed,
+    });
+  }
+
+  /**
+   * Derive a view reduced by forward simulation (see simulation.js).
+   * The resulting view is over a new NFA with the same state IDs.
+   * @returns {NFAView}
+   */
+  withForwardSimulationReduction() {
+    return this._withSimulationReduction(SIMULATION.FORWARD);
+  }
+
+  /**
+   * Derive a view reduced by backward simulation (see simulation.js).
+   * The resulting view is over a new NFA with the same state IDs.
+   * @returns {NFAView}
+   */
+  withBackwardSimulationReduction() {
+    return this._withSimulationReduction(SIMULATION.BACKWARD);
+  }
+
+  /**
+   * Simulations do not compare outputs, so transducers are left as they are.
+   * @private
+   * @param {string} direction - A SIMULATION value
+   */
+  _withSimulationReduction(direction) {
+    if (this.nfa.hasOutputs()) return this;
+    const reduced = reduceBySimulation(this, direction);
+    if (!reduced) return this;
+    return new NFAView(reduced.nfa, {
+      layoutState: this.layoutState,
+      transform: reduced.transform,
+      stateIdPrefix: this._stateIdPrefix,
+      sourceView: this._sourceView,
+      reversed: this._reversed,
+    });
+  }
+
+  /**
+   * Derive a view with the states that can't be reached from a start state
+   * deleted.
+   * @returns {NFAView}
+   */
+  withUnreachableStatesTrimmed() {
+    const reachable = new Set();
+    const stack = [];
+    for (const id of this.nfa.startStates) {
+      const canonical = this.getCanonical(id);
+      if (canonical !== -1 && !reachable.has(canonical)) {
+        reachable.add(canonical);
+        stack.push(canonical);
+      }
+    }
+    while (stack.length > 0) {
+      const id = stack.pop();
+      const targets = [...this.getTransitionsFrom(id).keys(), ...this.getEpsilonTransitionsFrom(id)];
+      for (const to of targets) {
+        if (!reachable.has(to)) {
+          reachable.add(to);
+          stack.push(to);
+        }
+      }
+    }
+
+    const numStates = this.transform.numStates;
+    const unreachable = [];
+    for (let id = 0; id < numStates; id++) {
+      const canonical = this.getCanonical(id);
+      if (canonical !== -1 && !reachable.has(canonical)) unreachable.push(id);
+    }
+    if (unreachable.length === 0) return this;
+
+    return new NFAView(this.nfa, {
+      layoutState: this.layoutState,
+      transform: this.transform.compose(StateTransformation.deletion(numStates, unreachable)),
+      stateIdPrefix: this._stateIdPrefix,
+      sourceView: this._sourceView,
+      reversed: this._reversed,
     });
   }
 
+  /**
+   * Derive a view accepting the reversed language: every transition is
+   * flipped, and start and accepting states swap roles.
+   * The resulting view is over a new NFA with the same state IDs.
+   * @returns {NFAView}
+   */
+  withReversal() {
+    const reversed = this.toNFA().reverse();
+    if (this.nfa.dfaStateSources) reversed.dfaStateSources = this.nfa.dfaStateSources;
+    return new NFAView(reversed, {
+      layoutState: this.layoutState,
+      transform: this.transform,
+      stateIdPrefix: this._stateIdPrefix,
+      sourceView: this._sourceView,
+      reversed: !this._reversed,
+    });
+  }
+
+  /**
+   * Derive a view where every state has a transition on every symbol, by
+   * sending the missing ones to a single trap state: an existing one (see
+   * getTrapStates()), or else an added non-accepting state labelled 'trap'.
+   * The resulting view is over a new NFA with the same state IDs, plus the
+   * trap (if one was added).
+   * @returns {NFAView}
+   */
+  withSinkCompletion() {
+    const missing = this._getMissingTransitions();
+    if (missing.length === 0) return this;
+
+    const nfa = this.toNFA();
+    let trap = Math.min(...this.getTrapStates());
+    if (trap === Infinity) {
+      trap = nfa.addState('trap');
+      nfa.symbols.forEach((_, symIdx) => nfa.addTransition(trap, trap, symIdx));
+    }
+    for (const [id, symIdx] of missing) nfa.addTransition(id, trap, symIdx);
+
+    const remap = new Int32Array(nfa.numStates());
+    remap.set(this.transform.remap);
+    if (trap >= this.transform.numStates) remap[trap] = trap;
+
+    return new NFAView(nfa, {
+      layoutState: this.layoutState,
+      transform: new StateTransformation(remap),
+      stateIdPrefix: this._stateIdPrefix,
+      sourceView: this._sourceView,
+      reversed: this._reversed,
+    });
+  }
+
+  /**
+   * Find the symbols that canonical states have no transitions on.
+   * @private
+   * @returns {Array<[number, number]>} [stateId, symbolIndex] pairs
+   */
+  _getMissingTransitions() {
+    const missing = [];
+    for (const id of this.mergedSources.keys()) {
+      const present = new Set();
+      for (const targetSymbols of this.getTransitionsFrom(id).values()) {
+        targetSymbols.forEach(symbol => present.add(symbol));
+      }
+      this.nfa.symbols.forEach((symbol, symIdx) => {
+        if (!present.has(symbol)) missing.push([id, symIdx]);
+      });
+    }
+    return missing;
+  }
+
+  /**
+   * Derive a DFA using subset construction, applying epsilon closure first
+   * if the view has explicit epsilon transitions.
+   * @returns {NFAView}
+   */
+  withDeterminization() {
+    const view = this.nfa.epsilonTransitions.size > 0 ? this.withEpsilonClosure() : this;
+    return view.withSubsetExpansion();
+  }
+
+  /**
+   * Derive the minimal DFA: determinize (unless already deterministic),
+   * then trim unreachable and dead states and merge equivalent states.
+   * @returns {NFAView}
+   */
+  withMinimization() {
+    const dfa = this.isDeterministic() ? this : this.withDeterminization();
+    return dfa
+      .withUnreachableStatesTrimmed()
+      .withDeadStatesPruned()
+      .withEquivalentStatesMerged();
+  }
+
+  /**
+   * Copy the automaton shown by this view into a new NFA with the same
+   * state IDs. Only canonical states keep transitions, start/accept flags
+   * and (transducer) outputs.
+   * @returns {NFA}
+   */
+  toNFA() {
+    const source = this.nfa;
+    const nfa = new NFA([...source.symbols]);
+    source.stateLabels.forEach(label => nfa.addState(label));
+
+    if (source.dfaStateSources) nfa.dfaStateSources = source.dfaStateSources;
+
+    const local = this.getLocalAutomaton();
+    local.states.forEach((id, p) => {
+      if (local.start[p]) nfa.addStart(id);
+      if (local.accept[p]) nfa.addAccept(id);
+      local.succ.forEach((bySource, symIdx) => {
+        for (const q of bySource[p]) nfa.addTransition(id, local.states[q], symIdx);
+      });
+      for (const to of this.getEpsilonTransitionsFrom(id)) {
+        nfa.addEpsilonTransition(id, to);
+      }
+
+      for (const [to, bySymbol] of this.getTransitionOutputsFrom(id)) {
+        for (const [symbol, outputs] of bySymbol) {
+          const symIdx = nfa.getSymbolIndex(symbol);
+          outputs.forEach(output => nfa.addTransitionOutput(id, to, symIdx, output));
+        }
+      }
+      for (const [to, outputs] of this.getEpsilonOutputsFrom(id)) {
+        outputs.forEach(output => nfa.addEpsilonOutput(id, to, output));
+      }
+      const stateOutput = source.getStateOutput(id);
+      if (stateOutput !== undefined) nfa.setStateOutput(id, stateOutput);
+    });
+    return nfa;
+  }
+
   /**
    * Derive a DFA view using subset construction.
    * The resulting view has an identity transform and a primed state ID prefix.
@@ -146,10 +393,17 @@ export class NFAView {
     const dfa = DFABuilder.build(this);
     const rawView = this._sourceView;
 
+    // Subsets of an already derived DFA's states resolve to raw state IDs.
+    if (this._isDerived()) {
+      dfa.dfaStateSources = dfa.dfaStateSources.map(ids =>
+        [...new Set(ids.flatMap(id => this.getResolvedSourceIds(id)))].sort((a, b) => a - b));
+    }
+
     return NFAView.fromNFA(dfa, {
       // DFA layout should be independent from the source NFA layout.
       layoutState: null,
       sourceView: rawView,
+      reversed: this._reversed,
       stateIdPrefix: `${rawView.getStateIdPrefix()}'`,
     });
   }
@@ -158,6 +412,23 @@ export class NFAView {
     return this._stateIdPrefix;
   }
 
+  /**
+   * Get the original (raw) view this view was derived from.
+   * @returns {NFAView}
+   */
+  getSourceView() {
+    return this._sourceView;
+  }
+
+  /**
+   * Whether this view accepts the reverse of its source view's language.
+   * Views with the same source view and reversal accept the same language.
+   * @returns {boolean}
+   */
+  isReversed() {
+    return this._reversed;
+  }
+
   getSourceStateIdPrefix() {
     return this._sourceView._stateIdPrefix;
   }
@@ -169,9 +440,8 @@ export class NFAView {
    * @returns {string}
    */
   getStateIdString(stateId) {
-    const prefix = this.getStateIdPrefix() ?? '';
     const suffix = this.isMergedState(stateId) ? "'" : '';
-    return `${prefix}${stateId}${suffix}`;
+    return `${this.getStateIdStringNoMerge(stateId)}${suffix}`;
   }
 
   /**
@@ -182,6 +452,7 @@ export class NFAView {
    * @returns {string}
    */
   getStateIdStringNoMerge(stateId) {
+    if (this._stateNames) return this._stateNames[stateId];
     const prefix = this.getStateIdPrefix() ?? '';
     return `${prefix}${stateId}`;
   }
@@ -206,8 +477,13 @@ export class NFAView {
   }
 
   /**
-   * Get stats for this view
-   * @returns {{total: number, start: number, accept: number, live: number, dead: number}}
+   * Get stats for this view.
+   * `partial` counts the states other than traps (see getTrapStates()), and
+   * `complete` the states once completed with a single trap state.
+   * @returns {{
+   *   total: number, start: number, accept: number, live: number, dead: number,
+   *   partial: number, complete: number,
+   * }}
    */
   getStats() {
     let total = 0;
@@ -227,7 +503,39 @@ export class NFAView {
       }
     }
 
-    return { total, start, accept, live: total - dead, dead };
+    const traps = this.getTrapStates();
+    const partial = total - traps.size;
+    const needsTrap = this._getMissingTransitions().length > 0 ||
+      [...this.mergedSources.keys()].some(id =>
+        !traps.has(id) && [...this.getTransitionsFrom(id).keys()].some(to => traps.has(to)));
+
+    return {
+      total, start, accept, live: total - dead, dead,
+      partial, complete: partial + (needsTrap ? 1 : 0),
+    };
+  }
+
+  /**
+   * Get the trap states: canonical states that are not accepting, and whose
+   * transitions on every symbol lead only back to themselves. These are the
+   * states a partial DFA leaves out.
+   * @returns {Set<number>}
+   */
+  getTrapStates() {
+    if (!this._trapStates) {
+      const numSymbols = this.nfa.symbols.length;
+      this._trapStates = new Set();
+      for (const id of this.mergedSources.keys()) {
+        if (this.isAccepting(id)) continue;
+        const transitions = this.getTransitionsFrom(id);
+        const epsilonTargets = this.getEpsilonTransitionsFrom(id);
+        if (transitions.size === 1 && transitions.get(id)?.length === numSymbols &&
+          [...epsilonTargets].every(to => to === id)) {
+          this._trapStates.add(id);
+        }
+      }
+    }
+    return this._trapStates;
   }
 
   /**
@@ -306,6 +614,17 @@ export class NFAView {
     return true;
   }
 
+  /**
+   * Enumerate the strings accepted by this view in shortlex order.
+   * Stages that change the language (reversal) derive a new NFA, so this
+   * is the language of `nfa`.
+   * @param {{ minLength?: number, maxLength?: number }} [options]
+   * @returns {Generator<string[]>}
+   */
+  enumerateAccepted(options = {}) {
+    return this.nfa.enumerateAccepted(options);
+  }
+
   /**
    * Get transitions from a state, mapped through the transform
    * @param {number} stateId - State ID
@@ -341,6 +660,102 @@ export class NFAView {
     return result;
   }
 
+  /**
+   * Get the transducer outputs of the transitions from a state, mapped
+   * through the transform like getTransitionsFrom(). Transitions without
+   * outputs are left out.
+   * @param {number} stateId - State ID
+   * @returns {Map<number, Map<string, string[]>>} Map of canonical target -> symbol -> outputs
+   */
+  getTransitionOutputsFrom(stateId) {
+    const result = new Map();
+    if (this.nfa.transitionOutputs.size === 0) return result;
+
+    this.nfa.symbols.forEach((symbol, symIdx) => {
+      for (const to of this.nfa.getTransitions(stateId, symIdx)) {
+        const canonical = this.transform.remap[to];
+        const outputs = this.nfa.getTransitionOutputs(stateId, symIdx, to);
+        if (canonical === -1 || outputs.length === 0) continue;
+
+        if (!result.has(canonical)) result.set(canonical, new Map());
+        const bySymbol = result.get(canonical);
+        const merged = new Set([...(bySymbol.get(symbol) ?? []), ...outputs]);
+        bySymbol.set(symbol, [...merged]);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Get the output emitted on entering a state (Moore output).
+   * @param {number} stateId - State ID
+   * @returns {string|undefined}
+   */
+  getStateOutput(stateId) {
+    return this.nfa.getStateOutput(stateId);
+  }
+
+  /**
+   * Get the automaton shown by this view as adjacency lists over its
+   * canonical states (in ascending ID order). Epsilon transitions are not
+   * included.
+   * @returns {LocalAutomaton}
+   */
+  getLocalAutomaton() {
+    const nfa = this.nfa;
+    const states = [...this.mergedSources.keys()].sort((a, b) => a - b);
+    const localId = new Map(states.map((id, i) => [id, i]));
+    const numSymbols = nfa.symbols.length;
+
+    const succ = Array.from({ length: numSymbols }, () => states.map(() => []));
+    const pred = Array.from({ length: numSymbols }, () => states.map(() => []));
+    states.forEach((id, p) => {
+      for (let symIdx = 0; symIdx < numSymbols; symIdx++) {
+        const targets = new Set();
+        for (const to of nfa.getTransitions(id, symIdx)) {
+          const canonical = this.getCanonical(to);
+          if (canonical !== -1) targets.add(localId.get(canonical));
+        }
+        for (const q of targets) {
+          succ[symIdx][p].push(q);
+          pred[symIdx][q].push(p);
+        }
+      }
+    });
+
+    // Start and accept flags live on the source states of merged states.
+    const flags = (ids) => {
+      const result = states.map(() => false);
+      for (const id of ids) {
+        const canonical = this.getCanonical(id);
+        if (canonical !== -1) result[localId.get(canonical)] = true;
+      }
+      return result;
+    };
+
+    return { states, succ, pred, start: flags(nfa.startStates), accept: flags(nfa.acceptStates) };
+  }
+
+  /**
+   * Get the strongly connected components of the graph shown by this view,
+   * following both symbol and epsilon transitions.
+   * @returns {number[][]} Canonical state IDs of each component (ascending),
+   *   in topological order: edges only lead to the same or later components
+   */
+  getStronglyConnectedComponents() {
+    const states = [...this.mergedSources.keys()].sort((a, b) => a - b);
+    const localId = new Map(states.map((id, i) => [id, i]));
+    const successors = states.map(id => [
+      ...this.getTransitionsFrom(id).keys(),
+      ...this.getEpsilonTransitionsFrom(id),
+    ].map(to => localId.get(to)));
+
+    // Tarjan finds sinks first.
+    return findStronglyConnectedComponents(states.length, p => successors[p])
+      .reverse()
+      .map(members => members.map(p => states[p]).sort((a, b) => a - b));
+  }
+
   /**
    * Get state information for visualization
    */
@@ -380,6 +795,28 @@ export class NFAView {
     return epsilonTargets;
   }
 
+  /**
+   * Get the outputs of the epsilon transitions from a state, mapped through
+   * the transform like getEpsilonTransitionsFrom(). Transitions without
+   * outputs are left out.
+   * @param {number} stateId - Canonical state ID
+   * @returns {Map<number, string[]>} Map of canonical target -> outputs
+   */
+  getEpsilonOutputsFrom(stateId) {
+    const result = new Map();
+    if (this.nfa.epsilonOutputs.size === 0) return result;
+
+    for (const sourceId of this.mergedSources.get(stateId) || []) {
+      for (const to of this.nfa.epsilonTransitions.get(sourceId) ?? []) {
+        const canonical = this.transform.remap[to];
+        const outputs = this.nfa.getEpsilonOutputs(sourceId, to);
+        if (canonical === -1 || outputs.length === 0) continue;
+        result.set(canonical, [...new Set([...(result.get(canonical) ?? []), ...outputs])]);
+      }
+    }
+    return result;
+  }
+
   _isDerived() {
     return this.getSourceStateIdPrefix() !== this.getStateIdPrefix();
   }
@@ -433,7 +870,8 @@ export class NFAView {
     const sourceNfa = sourceView.nfa;
     const sourceIds = this.getResolvedSourceIds(stateId);
 
-    if (!Array.isArray(sourceIds)) {
+    // States with no sources (e.g. an added trap) show their own label.
+    if (!Array.isArray(sourceIds) || sourceIds.length === 0) {
       const label = this.nfa.stateLabels[stateId] || '';
       return label || this.getStateIdString(stateId);
     }
@@ -0,0 +1,181 @@
+/**
+ * Permalink Encoding
+ *
+ * Encodes the editor state into a URL fragment of the form `#s=<data>`,
+ * where `<data>` is the JSON state compressed with raw DEFLATE
+ * (CompressionStream) and encoded as base64url.
+ *
+ * @module permalink
+ */
+
+/** Fragment prefix identifying a permalink */
+export const PERMALINK_PREFIX = '#s=';
+
+/** Version of the encoded state format */
+export const PERMALINK_VERSION = 1;
+
+/**
+ * Editor state stored in a permalink.
+ *
+ * @typedef {Object} PermalinkState
+ * @property {string} mode - Input mode ('split', 'unified', 'regex', 'import')
+ * @property {Object<string, string>} editors - Editor contents by editor key
+ * @property {Object<string, string>} options - Other inputs by key (e.g. import format)
+ * @property {string} testInput
+ * @property {string} stepInput
+ * @property {string} layout - Named layout key
+ * @property {{
+ *   active: string, nfa: number, dfa: number,
+ *   stages?: {nfa: string[], dfa: string[]},
+ * }} pipeline - Slider positions, and the stage IDs of configured pipelines
+ */
+
+// ============================================
+// Base64url
+// ============================================
+
+/**
+ * Encode bytes as unpadded base64url.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function bytesToBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode unpadded base64url into bytes.
+ * @param {string} str
+ * @returns {Uint8Array}
+ */
+export function base64UrlToBytes(str) {
+  if (!/^[A-Za-z0-9_-]*$/.test(str)) {
+    throw new Error('Invalid permalink: not base64url');
+  }
+  const binary = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// ============================================
+// State Validation
+// ============================================
+
+/**
+ * Validate decoded permalink data and fill in defaults.
+ * @param {any} data - Parsed JSON
+ * @returns {PermalinkState}
+ */
+export function normalizePermalinkState(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Invalid permalink: expected an object');
+  }
+  if (data.v !== PERMALINK_VERSION) {
+    throw new Error(`Invalid permalink: unsupported version ${data.v}`);
+  }
+  if (typeof data.mode !== 'string') {
+    throw new Error('Invalid permalink: missing mode');
+  }
+
+  const stringMap = (value, field) => {
+    if (value === undefined) return {};
+    if (!value || typeof value !== 'object' || Array.isArray(value) ||
+      !Object.values(value).every(v => typeof v === 'string')) {
+      throw new Error(`Invalid permalink: "${field}" must map names to strings`);
+    }
+    return { ...value };
+  };
+  const string = (value) => typeof value === 'string' ? value : '';
+  const index = (value) => Number.isInteger(value) && value >= 0 ? value : 0;
+
+  const pipeline = data.pipeline ?? {};
+  const stageList = (value) => Array.isArray(value) && value.every(v => typeof v === 'string');
+  const stages = pipeline.stages;
+  return {
+    mode: data.mode,
+    editors: stringMap(data.editors, 'editors'),
+    options: stringMap(data.options, 'options'),
+    testInput: string(data.testInput),
+    stepInput: string(data.stepInput),
+    layout: string(data.layout),
+    pipeline: {
+      active: pipeline.active === 'dfa' ? 'dfa' : 'nfa',
+      nfa: index(pipeline.nfa),
+      dfa: index(pipeline.dfa),
+      // Stage IDs are checked against the stage registry by the app.
+      ...(stageList(stages?.nfa) && stageList(stages?.dfa) && {
+        stages: { nfa: [...stages.nfa], dfa: [...stages.dfa] },
+      }),
+    },
+  };
+}
+
+// ============================================
+// Encoding / Decoding
+// ============================================
+
+/**
+ * Run bytes through a compression or decompression stream.
+ * @param {Uint8Array} bytes
+ * @param {TransformStream} stream
+ * @returns {Promise<Uint8Array>}
+ */
+async function pipeBytes(bytes, stream) {
+  const output = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+/**
+ * Check whether a URL fragment holds a permalink.
+ * @param {string} hash - e.g. `location.hash`
+ * @returns {boolean}
+ */
+export function isPermalink(hash) {
+  return typeof hash === 'string' && hash.startsWith(PERMALINK_PREFIX);
+}
+
+/**
+ * Encode editor state as a URL fragment.
+ * @param {PermalinkState} state
+ * @returns {Promise<string>} Fragment including the `#s=` prefix
+ */
+export async function encodePermalink(state) {
+  const json = JSON.stringify({ v: PERMALINK_VERSION, ...state });
+  const compressed = await pipeBytes(new TextEncoder().encode(json), new CompressionStream('deflate-raw'));
+  return PERMALINK_PREFIX + bytesToBase64Url(compressed);
+}
+
+/**
+ * Decode a URL fragment produced by encodePermalink().
+ * @param {string} hash
+ * @returns {Promise<PermalinkState>}
+ */
+export async function decodePermalink(hash) {
+  if (!isPermalink(hash)) {
+    throw new Error('Invalid permalink: missing #s= prefix');
+  }
+
+  const bytes = base64UrlToBytes(hash.slice(PERMALINK_PREFIX.length));
+  let json;
+  try {
+    const decompressed = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+    json = new TextDecoder().decode(decompressed);
+  } catch (e) {
+    throw new Error(`Invalid permalink: could not decompress (${e.message})`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (e) {
+    throw new Error('Invalid permalink: malformed data');
+  }
+  return normalizePermalinkState(data);
+}
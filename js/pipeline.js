@@ -0,0 +1,285 @@
+/**
+ * View Pipeline
+ *
+ * Defines the pipeline stages (ε-closure, pruning, merging, simulation
+ * reduction, ...) and builds the sequence of NFAViews for a pipeline.
+ * Pipelines can be serialized to plain data so they can be computed in a
+ * worker and rebuilt on the main thread without repeating the expensive
+ * stage computations.
+ *
+ * @module pipeline
+ */
+
+import { NFA, StateTransformation } from './nfa.js';
+import { NFAView } from './nfa_view.js';
+
+// Pipeline Stage IDs
+export const STAGES = {
+  RAW: 'raw',
+  EPSILON: 'epsilon',
+  PRUNE: 'prune',
+  TRIM: 'trim',
+  MERGE: 'merge',
+  FORWARD_SIM: 'forward-sim',
+  BACKWARD_SIM: 'backward-sim',
+  REVERSE: 'reverse',
+  COMPLETE: 'complete',
+  MINIMIZE: 'minimize',
+  DETERMINIZE: 'determinize',
+  EXPAND: 'expand'
+};
+
+// Default Pipeline Definitions
+export const PIPELINES = {
+  NFA: [STAGES.RAW, STAGES.EPSILON, STAGES.PRUNE, STAGES.MERGE, STAGES.FORWARD_SIM, STAGES.BACKWARD_SIM],
+  DFA: [STAGES.EXPAND, STAGES.PRUNE, STAGES.MERGE],
+  // Brzozowski's minimization: determinizing the reverse twice
+  BRZOZOWSKI: [STAGES.RAW, STAGES.REVERSE, STAGES.DETERMINIZE, STAGES.REVERSE, STAGES.DETERMINIZE]
+};
+
+// Pipeline presets offered in the editor
+export const PIPELINE_PRESETS = {
+  default: { label: 'Default', nfa: PIPELINES.NFA, dfa: PIPELINES.DFA },
+  // At the last step, the DFA pipeline minimizes by partition refinement
+  // instead, as a cross-check.
+  brzozowski: { label: 'Brzozowski Minimization', nfa: PIPELINES.BRZOZOWSKI, dfa: PIPELINES.DFA },
+};
+
+// ============================================
+// Stage Registry
+// ============================================
+
+/**
+ * A pipeline stage: a derivation from the previous stage's view.
+ *
+ * @typedef {Object} StageDefinition
+ * @property {string} label - Display label
+ * @property {(view: NFAView) => NFAView} derive
+ * @property {boolean} [base] - Only valid as the first stage of a pipeline,
+ *   where it stands for the view the pipeline starts from
+ * @property {boolean} [requiresEpsilonFree] - The input must not have
+ *   epsilon transitions
+ * @property {boolean} [removesEpsilons] - The output has no epsilon transitions
+ */
+
+/** @type {Map<string, StageDefinition>} */
+const STAGE_REGISTRY = new Map();
+
+/**
+ * Register a pipeline stage (replacing any stage with the same ID).
+ * @param {string} id
+ * @param {StageDefinition} definition
+ */
+export function registerStage(id, definition) {
+  STAGE_REGISTRY.set(id, definition);
+}
+
+/**
+ * @param {string} id
+ * @returns {StageDefinition|undefined}
+ */
+export function getStage(id) {
+  return STAGE_REGISTRY.get(id);
+}
+
+/**
+ * Display label of a stage.
+ * @param {string} id
+ * @returns {string}
+ */
+export function getStageLabel(id) {
+  return STAGE_REGISTRY.get(id)?.label ?? id;
+}
+
+/**
+ * IDs of the registered stages that can be added after the first stage.
+ * @returns {string[]}
+ */
+export function getAddableStages() {
+  return [...STAGE_REGISTRY].filter(([, stage]) => !stage.base).map(([id]) => id);
+}
+
+registerStage(STAGES.RAW, {
+  label: 'Raw',
+  // Base view for the raw NFA (explicit epsilon edges come from the NFA itself)
+  derive: view => view,
+  base: true,
+});
+registerStage(STAGES.EXPAND, {
+  label: 'Subset Expansion',
+  // Base view for the DFA pipeline (subset expansion)
+  derive: view => view,
+  base: true,
+  removesEpsilons: true,
+});
+registerStage(STAGES.EPSILON, {
+  label: 'ε-Closure',
+  derive: view => view.withEpsilonClosure(),
+  removesEpsilons: true,
+});
+registerStage(STAGES.PRUNE, {
+  label: 'Pruned States',
+  derive: view => view.withDeadStatesPruned(),
+});
+registerStage(STAGES.TRIM, {
+  label: 'Trimmed Unreachable',
+  derive: view => view.withUnreachableStatesTrimmed(),
+});
+registerStage(STAGES.MERGE, {
+  label: 'Merged States',
+  derive: view => view.withEquivalentStatesMerged(),
+  requiresEpsilonFree: true,
+});
+registerStage(STAGES.FORWARD_SIM, {
+  label: 'Forward Simulation',
+  derive: view => view.withForwardSimulationReduction(),
+  requiresEpsilonFree: true,
+});
+registerStage(STAGES.BACKWARD_SIM, {
+  label: 'Backward Simulation',
+  derive: view => view.withBackwardSimulationReduction(),
+  requiresEpsilonFree: true,
+});
+registerStage(STAGES.REVERSE, {
+  label: 'Reversed',
+  derive: view => view.withReversal(),
+});
+registerStage(STAGES.COMPLETE, {
+  label: 'Completed',
+  derive: view => view.withSinkCompletion(),
+});
+registerStage(STAGES.DETERMINIZE, {
+  label: 'Determinized',
+  derive: view => view.withDeterminization(),
+  removesEpsilons: true,
+});
+registerStage(STAGES.MINIMIZE, {
+  label: 'Minimized',
+  derive: view => view.withMinimization(),
+  removesEpsilons: true,
+});
+
+// ============================================
+// Building Pipelines
+// ============================================
+
+/**
+ * Check that a list of stages forms a valid pipeline.
+ * @param {string[]} stages - Array of stage IDs
+ * @param {string} base - The required first stage (e.g. STAGES.RAW)
+ * @returns {string|null} A description of the problem, or null if valid
+ */
+export function validatePipeline(stages, base) {
+  if (stages[0] !== base) {
+    return `A pipeline must start with ${getStageLabel(base)}.`;
+  }
+
+  // Only a base stage that removes them guarantees there are no epsilons.
+  let epsilonFree = !!getStage(base)?.removesEpsilons;
+  for (const id of stages.slice(1)) {
+    const stage = getStage(id);
+    if (!stage) return `Unknown pipeline stage: ${id}`;
+    if (stage.base) return `${stage.label} can only be the first stage.`;
+    if (stage.requiresEpsilonFree && !epsilonFree) {
+      return `${stage.label} needs an automaton without ε-transitions: add ${getStageLabel(STAGES.EPSILON)} before it.`;
+    }
+    if (stage.removesEpsilons) epsilonFree = true;
+  }
+  return null;
+}
+
+/**
+ * Build a pipeline of views starting from a base view.
+ * @param {NFAView} view - The base view
+ * @param {string[]} stages - Array of stage IDs
+ * @returns {NFAView[]} Array of views corresponding to the stages
+ */
+export function buildPipelineViews(view, stages) {
+  const views = [];
+
+  for (const id of stages) {
+    const stage = getStage(id);
+    if (stage) {
+      view = stage.derive(view);
+    } else {
+      console.warn(`Unknown pipeline stage: ${id}`);
+    }
+    views.push(view);
+  }
+
+  return views;
+}
+
+/**
+ * Convert pipeline views into plain data.
+ * Each distinct NFA and view is serialized once and referred to by index.
+ *
+ * @param {NFAView[]} views - Views sharing one source view
+ * @returns {{
+ *   nfas: Array<ReturnType<NFA['serialize']>>,
+ *   views: Array<{nfa: number, remap: Int32Array, derived?: boolean, reversed?: boolean}>,
+ *   stages: number[],
+ * }} `stages[i]` is the index into `views` for pipeline step i.
+ *   `derived` marks views with the primed state ID prefix of a subset expansion.
+ */
+export function serializePipeline(views) {
+  const nfaIndex = new Map();
+  const nfas = [];
+  const indexOfNFA = (nfa) => {
+    if (!nfaIndex.has(nfa)) {
+      nfaIndex.set(nfa, nfas.length);
+      nfas.push(nfa.serialize());
+    }
+    return nfaIndex.get(nfa);
+  };
+
+  // The source view's NFA always comes first.
+  indexOfNFA(views[0].getSourceView().nfa);
+
+  const viewIndex = new Map();
+  const viewData = [];
+  const stages = views.map(view => {
+    if (!viewIndex.has(view)) {
+      viewIndex.set(view, viewData.length);
+      const data = { nfa: indexOfNFA(view.nfa), remap: view.transform.remap };
+      if (view.getStateIdPrefix() !== view.getSourceStateIdPrefix()) data.derived = true;
+      if (view.isReversed()) data.reversed = true;
+      viewData.push(data);
+    }
+    return viewIndex.get(view);
+  });
+
+  return { nfas, views: viewData, stages };
+}
+
+/**
+ * Rebuild pipeline views from serializePipeline() output.
+ * @param {ReturnType<typeof serializePipeline>} data
+ * @param {{ layoutState?: any, stateIdPrefix?: string, sourceView?: NFAView }} [options] -
+ *   Applied to every view (derived views get a primed prefix and no layout
+ *   state). `sourceView` reuses an existing view of the source NFA, e.g. to
+ *   attach a DFA pipeline built elsewhere to the NFA pipeline it came from
+ * @returns {NFAView[]}
+ */
+export function deserializePipeline(data, options = {}) {
+  const { sourceView: existingSourceView, ...viewOptions } = options;
+  const nfas = data.nfas.map((nfaData, i) =>
+    i === 0 && existingSourceView ? existingSourceView.nfa : NFA.deserialize(nfaData));
+  const sourceView = existingSourceView ?? NFAView.fromNFA(nfas[0], viewOptions);
+
+  const derivedPrefix = `${viewOptions.stateIdPrefix ?? ''}'`;
+
+  const views = data.views.map(({ nfa, remap, derived = false, reversed = false }) => {
+    const transform = new StateTransformation(Int32Array.from(remap));
+    if (nfa === 0 && transform.isIdentity() && !derived && !reversed) return sourceView;
+    return new NFAView(nfas[nfa], {
+      ...viewOptions,
+      transform,
+      sourceView,
+      reversed,
+      // Like withSubsetExpansion(), derived views don't share the source layout.
+      ...(derived && { stateIdPrefix: derivedPrefix, layoutState: null }),
+    });
+  });
+  return data.stages.map(index => views[index]);
+}
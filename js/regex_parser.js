@@ -1,9 +1,26 @@
 /**
  * Regex Parser and NFA Builder
  * Adapted from Interactive-Sudoku-Solver
+ *
+ * Supported syntax, from loosest to tightest binding:
+ * - `A|B` alternation
+ * - `A&B` intersection (strings matched by both)
+ * - `AB` concatenation
+ * - `~A` complement (strings over the alphabet not matched by A);
+ *   applies to the following quantified atom, so `~a*` is `~(a*)`
+ * - `A*`, `A+`, `A?`, `A{n}`, `A{n,}`, `A{n,m}` quantifiers
+ * - Atoms: literals, `.`, `[...]`/`[^...]` classes, `(...)` and `(?:...)` groups
+ * - Escapes: `\d`, `\w`, `\s` (and negated `\D`, `\W`, `\S`), or a
+ *   backslash before any other non-alphanumeric character to match it literally
+ *
+ * In token mode (for alphabets of named symbols), literals are symbol names
+ * separated by whitespace, e.g. `open (ack|nak)* close` or `[^open, close]`.
+ * Classes list names instead of ranges, and `\` escapes any character
+ * within a name.
  */
 
 import { NFA } from './nfa.js';
+import { complement, intersection } from './nfa_operations.js';
 
 export class RegexAstNode {
   static Charset = class {
@@ -24,6 +41,17 @@ export class RegexAstNode {
       this.options = options;
     }
   }
+  static Intersect = class {
+    constructor(options, sources = []) {
+      this.options = options;
+      this.sources = sources;   // {text, position} of each operand, for errors
+    }
+  }
+  static Complement = class {
+    constructor(child) {
+      this.child = child;
+    }
+  }
 
   // Quantifier: {n}, {n,}, {n,m}, and also *, +, ?
   static Quantifier = class {
@@ -36,12 +64,26 @@ export class RegexAstNode {
 }
 
 export class RegexParser {
-  static SEQUENCE_TERMINATORS = "|)";
+  static SEQUENCE_TERMINATORS = "|)&";
   static QUANTIFIERS = "*+?{";
+  // Characters that end a symbol name in token mode (besides whitespace)
+  static TOKEN_DELIMITERS = "()[]{}|&~*+?.,";
+
+  // Predefined classes for \d, \w and \s. Uppercase escapes negate them.
+  static ESCAPE_CLASSES = {
+    d: '0123456789',
+    w: '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ_',
+    s: ' \t\n\r\f\v',
+  };
 
-  constructor(pattern) {
+  /**
+   * @param {string} pattern
+   * @param {{tokens?: boolean}} [options] - `tokens` enables token mode
+   */
+  constructor(pattern, options = {}) {
     this.pattern = pattern;
     this.pos = 0;
+    this.tokens = !!options.tokens;
   }
 
   parse() {
@@ -53,25 +95,51 @@ export class RegexParser {
   }
 
   _parseExpression() {
-    const node = this._parseSequence();
+    const node = this._parseIntersection();
     const alternatives = [node];
     while (this._peek() === '|') {
       this._next();
-      alternatives.push(this._parseSequence());
+      alternatives.push(this._parseIntersection());
     }
     if (alternatives.length === 1) return node;
     return new RegexAstNode.Alternate(alternatives);
   }
 
+  _parseIntersection() {
+    const sources = [];
+    const parseOperand = () => {
+      this._skipWhitespace();
+      const position = this.pos;
+      const operand = this._parseSequence();
+      sources.push({ text: this.pattern.substring(position, this.pos).trim(), position });
+      return operand;
+    };
+
+    const node = parseOperand();
+    const operands = [node];
+    while (this._peek() === '&') {
+      this._next();
+      operands.push(parseOperand());
+    }
+    if (operands.length === 1) return node;
+    return new RegexAstNode.Intersect(operands, sources);
+  }
+
   _parseSequence() {
     const parts = [];
     while (!this._isEOF() && !RegexParser.SEQUENCE_TERMINATORS.includes(this._peek())) {
-      parts.push(this._parseQuantified());
+      parts.push(this._parseComplement());
     }
     if (parts.length === 1) return parts[0];
     return new RegexAstNode.Concat(parts);
   }
 
+  _parseComplement() {
+    if (this._peek() !== '~') return this._parseQuantified();
+    this._next();
+    return new RegexAstNode.Complement(this._parseComplement());
+  }
+
   _parseQuantified() {
     let node = this._parsePrimary();
     while (!this._isEOF()) {
@@ -132,10 +200,18 @@ export class RegexParser {
   _parsePrimary() {
     const ch = this._peek();
     if (ch === '(') {
+      const startPos = this.pos;
       this._next();
+      if (this._peek() === '?') {
+        // Groups never capture, so (?:...) is the same as (...).
+        if (this.pattern[this.pos + 1] !== ':') {
+          throw new Error(`Unsupported group syntax '${this.pattern.substring(startPos, this.pos + 2)}' at position ${startPos}`);
+        }
+        this.pos += 2;
+      }
       const expr = this._parseExpression();
       if (this._peek() !== ')') {
-        throw new Error(`Unclosed group at position ${this.pos}`);
+        throw new Error(`Unclosed group at position ${startPos}`);
       }
       this._next();
       return expr;
@@ -143,12 +219,23 @@ export class RegexParser {
     if (ch === '[') {
       return this._parseCharClass();
     }
+    if (this.tokens && ch !== undefined && ch !== '.' &&
+        !RegexParser.QUANTIFIERS.includes(ch) && !RegexParser.SEQUENCE_TERMINATORS.includes(ch)) {
+      const startPos = this.pos;
+      const name = this._parseToken();
+      return new RegexAstNode.Charset([name], false, this.pattern.substring(startPos, this.pos));
+    }
+    if (ch === '\\') {
+      const startPos = this.pos;
+      const { chars, negated } = this._parseEscape();
+      return new RegexAstNode.Charset(chars, negated, this.pattern.substring(startPos, this.pos));
+    }
     if (ch === '.') {
       this._next();
       return new RegexAstNode.Charset([], true, '.');  // Negated empty = all symbols
     }
     if (ch === undefined) {
-      throw new Error('Unexpected end of pattern');
+      throw new Error(`Unexpected end of pattern at position ${this.pos}`);
     }
     if (RegexParser.QUANTIFIERS.includes(ch) || RegexParser.SEQUENCE_TERMINATORS.includes(ch)) {
       throw new Error(`Unexpected token '${ch}' at position ${this.pos}`);
@@ -157,6 +244,46 @@ export class RegexParser {
     return new RegexAstNode.Charset([ch], false, ch);
   }
 
+  /**
+   * Parse a backslash escape.
+   * @returns {{chars: string[], negated: boolean, isClass: boolean}}
+   */
+  _parseEscape() {
+    const startPos = this.pos;
+    this._expect('\\');
+    const ch = this._next();
+    if (ch === undefined) {
+      throw new Error(`Incomplete escape at position ${startPos}`);
+    }
+
+    const classChars = RegexParser.ESCAPE_CLASSES[ch.toLowerCase()];
+    if (classChars) {
+      return { chars: [...classChars], negated: ch !== ch.toLowerCase(), isClass: true };
+    }
+    if (/[A-Za-z0-9]/.test(ch)) {
+      throw new Error(`Unknown escape '\\${ch}' at position ${startPos}`);
+    }
+    return { chars: [ch], negated: false, isClass: false };
+  }
+
+  /**
+   * Parse one member of a character class: a character, an escaped
+   * character or a predefined class.
+   * @returns {{chars: string[], single: boolean}} `single` is true if the
+   *   member is one character, so it can be used as a range endpoint
+   */
+  _parseClassMember() {
+    const startPos = this.pos;
+    if (this._peek() !== '\\') {
+      return { chars: [this._next()], single: true };
+    }
+    const { chars, negated, isClass } = this._parseEscape();
+    if (negated) {
+      throw new Error(`Negated class '${this.pattern.substring(startPos, this.pos)}' is not supported inside [...] at position ${startPos}`);
+    }
+    return { chars, single: !isClass };
+  }
+
   _parseCharClass() {
     const startPos = this.pos;
     this._expect('[');
@@ -166,30 +293,72 @@ export class RegexParser {
     }
     const chars = new Set();
     while (!this._isEOF() && this._peek() !== ']') {
-      const start = this._next();
-      if (this._peek() === '-') {
+      if (this.tokens) {
+        if (this._peek() === ',') {
+          this._next();
+        } else {
+          chars.add(this._parseToken());
+        }
+        continue;
+      }
+      const memberPos = this.pos;
+      const start = this._parseClassMember();
+      // A '-' before the closing ']' is a literal.
+      if (this._peek() === '-' && this.pattern[this.pos + 1] !== ']' && this.pos + 1 < this.pattern.length) {
         this._next();
-        const end = this._next();
-        const startCode = start.charCodeAt(0);
-        const endCode = end.charCodeAt(0);
+        const end = this._parseClassMember();
+        if (!start.single || !end.single) {
+          throw new Error(`Invalid character range '${this.pattern.substring(memberPos, this.pos)}' at position ${memberPos}`);
+        }
+        const startCode = start.chars[0].charCodeAt(0);
+        const endCode = end.chars[0].charCodeAt(0);
         if (endCode < startCode) {
-          throw new Error('Invalid character range in class');
+          throw new Error(`Invalid character range '${this.pattern.substring(memberPos, this.pos)}' at position ${memberPos}`);
         }
         for (let code = startCode; code <= endCode; code++) {
           chars.add(String.fromCharCode(code));
         }
       } else {
-        chars.add(start);
+        start.chars.forEach(c => chars.add(c));
       }
     }
+    if (this._isEOF()) {
+      throw new Error(`Unclosed character class at position ${startPos}`);
+    }
     this._expect(']');
     if (!chars.size) {
-      throw new Error('Empty character class');
+      throw new Error(`Empty character class at position ${startPos}`);
     }
     const raw = this.pattern.substring(startPos, this.pos);
     return new RegexAstNode.Charset([...chars], isNegated, raw);
   }
 
+  /**
+   * Parse a symbol name in token mode.
+   * @returns {string}
+   */
+  _parseToken() {
+    const startPos = this.pos;
+    let name = '';
+    while (this.pos < this.pattern.length) {
+      const ch = this.pattern[this.pos];
+      if (/\s/.test(ch) || RegexParser.TOKEN_DELIMITERS.includes(ch)) break;
+      this.pos++;
+      if (ch === '\\') {
+        if (this.pos >= this.pattern.length) {
+          throw new Error(`Incomplete escape at position ${this.pos - 1}`);
+        }
+        name += this.pattern[this.pos++];
+      } else {
+        name += ch;
+      }
+    }
+    if (!name) {
+      throw new Error(`Expected a symbol name at position ${startPos}`);
+    }
+    return name;
+  }
+
   _expect(ch) {
     if (this._next() !== ch) {
       throw new Error(`Expected '${ch}' at position ${this.pos - 1}`);
@@ -197,6 +366,7 @@ export class RegexParser {
   }
 
   _peek() {
+    this._skipWhitespace();
     return this.pattern[this.pos];
   }
 
@@ -206,20 +376,36 @@ export class RegexParser {
   }
 
   _isEOF() {
+    this._skipWhitespace();
     return this.pos >= this.pattern.length;
   }
+
+  // Whitespace only separates symbol names in token mode.
+  _skipWhitespace() {
+    if (!this.tokens) return;
+    while (this.pos < this.pattern.length && /\s/.test(this.pattern[this.pos])) {
+      this.pos++;
+    }
+  }
 }
 
 export class RegexToNFABuilder {
   ENTER = '';
   EXIT = '↵';
 
+  // Default state limit for the automata built for `&` and `~`
+  static DEFAULT_MAX_OPERATION_STATES = 20000;
+
   /**
    * @param {string[]} symbols - The alphabet symbols
+   * @param {{maxOperationStates?: number}} [options] - `maxOperationStates`
+   *   limits the product and subset constructions behind `&` and `~`
    */
-  constructor(symbols) {
+  constructor(symbols, options = {}) {
     this._nfa = new NFA(symbols);
     this._symbols = symbols;
+    this._maxOperationStates =
+      options.maxOperationStates ?? RegexToNFABuilder.DEFAULT_MAX_OPERATION_STATES;
     // Map symbol string to index
     this._symbolToIndex = new Map(symbols.map((s, i) => [s, i]));
     this._counts = new Map();
@@ -278,6 +464,10 @@ export class RegexToNFABuilder {
         return this._buildConcat(node.parts);
       case RegexAstNode.Alternate:
         return this._buildAlternate(node.options);
+      case RegexAstNode.Intersect:
+        return this._buildIntersect(node.options, node.sources);
+      case RegexAstNode.Complement:
+        return this._buildComplement(node.child);
       case RegexAstNode.Quantifier:
         return this._buildQuantifier(node.child, node.min, node.max);
       default:
@@ -351,6 +541,65 @@ export class RegexToNFABuilder {
     return this._newFragment(startId, acceptId);
   }
 
+  // Intersection and complement have no Thompson-style construction, so the
+  // operands are built as standalone NFAs, combined with nfa_operations and
+  // the result is copied in as a fragment.
+
+  _buildIntersect(options, sources) {
+    const maxStates = this._maxOperationStates;
+    let result = this._buildSubNFA(options[0]);
+    for (let i = 1; i < options.length; i++) {
+      const operand = this._buildSubNFA(options[i]);
+      try {
+        result = intersection(result, operand, { maxStates });
+      } catch (e) {
+        const source = sources[i];
+        if (!source) throw e;
+        throw new Error(
+          `Intersection with '&' operand '${source.text}' at position ${source.position} ` +
+          `exceeds ${maxStates} states`);
+      }
+    }
+    return this._embedNFA(result, 'AND', '∩');
+  }
+
+  _buildComplement(child) {
+    const nfa = complement(this._buildSubNFA(child), { maxStates: this._maxOperationStates });
+    return this._embedNFA(nfa, 'NOT', '¬');
+  }
+
+  _buildSubNFA(node) {
+    return new RegexToNFABuilder(this._symbols, {
+      maxOperationStates: this._maxOperationStates,
+    }).build(node);
+  }
+
+  _embedNFA(nfa, label, stateLabel) {
+    const startId = this._nfa.addState(this._genName(this.ENTER + label));
+    const offset = this._nfa.numStates();
+    for (let i = 0; i < nfa.numStates(); i++) {
+      this._nfa.addState(this._genName(stateLabel));
+    }
+    const acceptId = this._nfa.addState(this._genName(this.EXIT + label));
+
+    for (const { from, to, symbol } of nfa.getAllTransitions()) {
+      this._nfa.addTransition(from + offset, to + offset, this._symbolToIndex.get(symbol));
+    }
+    for (const [from, targets] of nfa.epsilonTransitions) {
+      for (const to of targets) {
+        this._nfa.addEpsilonTransition(from + offset, to + offset);
+      }
+    }
+    for (const id of nfa.startStates) {
+      this._nfa.addEpsilonTransition(startId, id + offset);
+    }
+    for (const id of nfa.acceptStates) {
+      this._nfa.addEpsilonTransition(id + offset, acceptId);
+    }
+
+    return this._newFragment(startId, acceptId);
+  }
+
   _buildQuantifier(child, min, max) {
     // Start with an empty fragment if min is 0, otherwise build first required copy.
     let result = min === 0 ? this._buildEmpty() : this._buildNode(child);
@@ -372,9 +621,13 @@ export class RegexToNFABuilder {
       // Bounded: append (max - min) optional copies.
       for (let i = min; i < max; i++) {
         const inner = this._buildNode(child);
+        // Skip to a fresh state: the copy's accept state may have outgoing
+        // edges (e.g. a trailing star) that must not be reachable by skipping.
+        const join = this._buildEmpty();
         this._nfa.addEpsilonTransition(result.acceptId, inner.startId);
-        this._nfa.addEpsilonTransition(result.acceptId, inner.acceptId);  // Skip (optional)
-        result = this._newFragment(result.startId, inner.acceptId);
+        this._nfa.addEpsilonTransition(inner.acceptId, join.startId);
+        this._nfa.addEpsilonTransition(result.acceptId, join.startId);  // Skip (optional)
+        result = this._newFragment(result.startId, join.acceptId);
       }
     }
 
@@ -0,0 +1,176 @@
+/**
+ * Random Sampling
+ *
+ * Draws accepted or rejected strings of a given length uniformly at random.
+ * The view is determinized so that every string has exactly one path. For
+ * each state and remaining length, the sampler counts the accepted
+ * completions, then builds a string one symbol at a time, picking each
+ * symbol with probability proportional to the completions it leaves.
+ * Missing transitions go to an implicit sink state, so rejected strings
+ * are sampled the same way from the complementary counts.
+ *
+ * Samples come from a seeded PRNG, so a seed always reproduces them.
+ *
+ * @module sampler
+ */
+
+import { getDeterministicView } from './language_analysis.js';
+import { createRandom } from './util.js';
+
+/**
+ * Draw a uniformly random BigInt in [0, bound).
+ * @param {() => number} random - Returns random 32-bit unsigned integers
+ * @param {bigint} bound - Must be positive
+ * @returns {bigint}
+ */
+function randomBelow(random, bound) {
+  const bits = (bound - 1n).toString(2).length;
+  const words = Math.ceil(bits / 32);
+  const excess = BigInt(words * 32 - bits);
+
+  // Draw just enough bits and retry when out of range (at most half the time).
+  while (true) {
+    let value = 0n;
+    for (let i = 0; i < words; i++) {
+      value = (value << 32n) | BigInt(random());
+    }
+    value >>= excess;
+    if (value < bound) return value;
+  }
+}
+
+/**
+ * Uniform sampler over the strings of one length accepted (or rejected) by
+ * a view. Completion counts are cached, so a sampler can be reused for many
+ * samples and lengths.
+ */
+export class StringSampler {
+  /**
+   * @param {import('./nfa_view.js').NFAView} view
+   */
+  constructor(view) {
+    const dfa = getDeterministicView(view);
+    const states = [...dfa.mergedSources.keys()];
+    const localId = new Map(states.map((id, i) => [id, i]));
+    const sink = states.length;
+
+    this.symbols = dfa.nfa.symbols;
+
+    // next[p * numSymbols + symIdx] = local target (the sink if missing).
+    const numSymbols = this.symbols.length;
+    this._next = new Int32Array((sink + 1) * numSymbols).fill(sink);
+    states.forEach((id, p) => {
+      for (const [to, symbols] of dfa.getTransitionsFrom(id)) {
+        for (const symbol of symbols) {
+          this._next[p * numSymbols + dfa.nfa.getSymbolIndex(symbol)] = localId.get(to);
+        }
+      }
+    });
+
+    // Flags live on the source states of merged states.
+    this._accepting = states.map(id => dfa.mergedSources.get(id).some(s => dfa.isAccepting(s)));
+    this._accepting.push(false);
+
+    const start = [...dfa.nfa.startStates].map(id => dfa.getCanonical(id)).find(id => id !== -1);
+    this._start = start === undefined ? sink : localId.get(start);
+
+    // _completions[k][p] = accepted strings of length k from local state p.
+    this._completions = [this._accepting.map(isAccepting => (isAccepting ? 1n : 0n))];
+  }
+
+  /**
+   * Accepted completions of each state for a remaining length.
+   * @private
+   * @param {number} length
+   * @returns {bigint[]}
+   */
+  _getCompletions(length) {
+    const numSymbols = this.symbols.length;
+    while (this._completions.length <= length) {
+      const previous = this._completions[this._completions.length - 1];
+      this._completions.push(previous.map((_, p) => {
+        let total = 0n;
+        for (let symIdx = 0; symIdx < numSymbols; symIdx++) {
+          total += previous[this._next[p * numSymbols + symIdx]];
+        }
+        return total;
+      }));
+    }
+    return this._completions[length];
+  }
+
+  /**
+   * Count the strings of a length that are accepted (or rejected).
+   * @param {number} length
+   * @param {boolean} [accepted=true]
+   * @returns {bigint}
+   */
+  count(length, accepted = true) {
+    const count = this._getCompletions(length)[this._start];
+    return accepted ? count : BigInt(this.symbols.length) ** BigInt(length) - count;
+  }
+
+  /**
+   * Draw one string of a length uniformly among those accepted (or rejected).
+   * @param {number} length
+   * @param {() => number} random - Returns random 32-bit unsigned integers
+   * @param {boolean} [accepted=true]
+   * @returns {string[]|null} The string as symbols, or null if there are none
+   */
+  sample(length, random, accepted = true) {
+    const numSymbols = this.symbols.length;
+    const powers = [1n];
+    if (!accepted) {
+      for (let k = 1; k <= length; k++) powers.push(powers[k - 1] * BigInt(numSymbols));
+    }
+    // Completions of state p with k symbols left that end in the wanted verdict.
+    const completions = (k, p) => {
+      const count = this._getCompletions(k)[p];
+      return accepted ? count : powers[k] - count;
+    };
+
+    let state = this._start;
+    let remaining = completions(length, state);
+    if (remaining === 0n) return null;
+
+    const string = [];
+    for (let k = length; k > 0; k--) {
+      // Pick the symbol whose block of completions contains the draw.
+      let draw = randomBelow(random, remaining);
+      for (let symIdx = 0; symIdx < numSymbols; symIdx++) {
+        const next = this._next[state * numSymbols + symIdx];
+        const count = completions(k - 1, next);
+        if (draw < count) {
+          string.push(this.symbols[symIdx]);
+          state = next;
+          remaining = count;
+          break;
+        }
+        draw -= count;
+      }
+    }
+    return string;
+  }
+}
+
+/**
+ * Draw independent uniform samples of accepted (or rejected) strings.
+ *
+ * @param {import('./nfa_view.js').NFAView} view
+ * @param {{ length: number, count?: number, accepted?: boolean, seed?: number }} options
+ * @returns {string[][]} `count` strings (with repetition), or none if no
+ *   string of that length has the wanted verdict
+ */
+export function sampleStrings(view, options) {
+  const { length, count = 10, accepted = true, seed = 1 } = options;
+  const sampler = new StringSampler(view);
+  const random = createRandom(seed);
+
+  const samples = [];
+  for (let i = 0; i < count; i++) {
+    const string = sampler.sample(length, random, accepted);
+    if (string === null) break;
+    samples.push(string);
+  }
+  return samples;
+}
@@ -0,0 +1,270 @@
+/**
+ * Simulation-Based Reduction
+ *
+ * Computes forward and backward simulation preorders on the canonical states
+ * of an NFAView and reduces the automaton with them:
+ * - q forward-simulates p if q is accepting whenever p is, and every
+ *   transition p -a-> p' is matched by some q -a-> q' where q' simulates p'.
+ * - Backward simulation is the same on the reversed automaton, with start
+ *   states in place of accepting states.
+ *
+ * A reduction quotients by simulation equivalence (states that simulate
+ * each other are merged), then prunes "little brother" transitions: a
+ * transition is dropped if a sibling transition leads to (forward) or comes
+ * from (backward) a state that strictly simulates its own. Both steps
+ * preserve the language. States that are no longer reachable or can no
+ * longer reach an accepting state are deleted.
+ *
+ * @module simulation
+ */
+
+import { NFA, StateTransformation } from './nfa.js';
+
+/** Simulation directions */
+export const SIMULATION = {
+  FORWARD: 'forward',
+  BACKWARD: 'backward'
+};
+
+// ============================================
+// Bitsets
+// ============================================
+
+function createBitset(n) {
+  return new Uint32Array((n + 31) >>> 5);
+}
+
+function hasBit(bits, i) {
+  return (bits[i >>> 5] & (1 << (i & 31))) !== 0;
+}
+
+function setBit(bits, i) {
+  bits[i >>> 5] |= 1 << (i & 31);
+}
+
+/**
+ * bits &= mask
+ * @returns {boolean} True if bits changed
+ */
+function intersectInto(bits, mask) {
+  let changed = false;
+  for (let w = 0; w < bits.length; w++) {
+    const next = bits[w] & mask[w];
+    if (next !== bits[w]) {
+      bits[w] = next;
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+// ============================================
+// Simulation Preorder
+// ============================================
+
+/**
+ * Compute the forward simulation preorder of an automaton given by its
+ * successor and predecessor lists (swap them for backward simulation).
+ *
+ * @param {number} n - Number of states
+ * @param {number[][][]} succ - succ[symbolIndex][p]
+ * @param {number[][][]} pred - pred[symbolIndex][p]
+ * @param {boolean[]} final - States that must be matched by final states
+ * @returns {Uint32Array[]} sim[p] = bitset of states q that simulate p
+ */
+export function computeSimulation(n, succ, pred, final) {
+  // Initially q simulates p unless p is final and q is not.
+  const sim = [];
+  for (let p = 0; p < n; p++) {
+    const bits = createBitset(n);
+    for (let q = 0; q < n; q++) {
+      if (!final[p] || final[q]) setBit(bits, q);
+    }
+    sim.push(bits);
+  }
+
+  // Refine until stable: q can only simulate p if, for each p -a-> p',
+  // q has an a-successor that simulates p'. That is, q must be in
+  // pre_a(sim[p']) = {q : q -a-> q' for some q' in sim[p']}.
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (let symIdx = 0; symIdx < succ.length; symIdx++) {
+      const preCache = new Map();
+      const preOf = (target) => {
+        if (!preCache.has(target)) {
+          const bits = createBitset(n);
+          for (let q2 = 0; q2 < n; q2++) {
+            if (!hasBit(sim[target], q2)) continue;
+            for (const q of pred[symIdx][q2]) setBit(bits, q);
+          }
+          preCache.set(target, bits);
+        }
+        return preCache.get(target);
+      };
+
+      for (let p = 0; p < n; p++) {
+        for (const target of succ[symIdx][p]) {
+          if (intersectInto(sim[p], preOf(target))) {
+            changed = true;
+            // sim[p] shrank, so cached sets built from it are stale.
+            preCache.delete(p);
+          }
+        }
+      }
+    }
+  }
+
+  return sim;
+}
+
+// ============================================
+// Reduction
+// ============================================
+
+/**
+ * Reduce a view's automaton using forward or backward simulation.
+ *
+ * The reduced NFA keeps the state IDs of the view's NFA: each class of
+ * simulation-equivalent states is represented by its smallest ID, and the
+ * other states are left without transitions.
+ *
+ * @param {import('./nfa_view.js').NFAView} view - A view without epsilon transitions
+ * @param {string} direction - A SIMULATION value
+ * @returns {{nfa: NFA, transform: StateTransformation}|null} The reduced NFA
+ *   and the transform mapping the view's states onto it, or null if no
+ *   reduction is possible
+ */
+export function reduceBySimulation(view, direction) {
+  if (view.nfa.epsilonTransitions.size > 0) {
+    throw new Error('Cannot compute simulations on NFA with epsilon transitions');
+  }
+
+  const local = view.getLocalAutomaton();
+  const n = local.states.length;
+  if (n === 0) return null;
+
+  const forward = direction === SIMULATION.FORWARD;
+  const sim = forward
+    ? computeSimulation(n, local.succ, local.pred, local.accept)
+    : computeSimulation(n, local.pred, local.succ, local.start);
+  const simulates = (q, p) => hasBit(sim[p], q);
+  const strictlySimulates = (q, p) => simulates(q, p) && !simulates(p, q);
+
+  // Quotient: each state maps to the first state of its equivalence class.
+  const rep = new Int32Array(n).fill(-1);
+  let merged = false;
+  for (let p = 0; p < n; p++) {
+    if (rep[p] !== -1) continue;
+    rep[p] = p;
+    for (let q = p + 1; q < n; q++) {
+      if (rep[q] === -1 && simulates(q, p) && simulates(p, q)) {
+        rep[q] = p;
+        merged = true;
+      }
+    }
+  }
+  const reps = [...new Set(rep)];
+
+  // Quotient transitions between representatives, as edge sets per symbol.
+  const numSymbols = local.succ.length;
+  const edges = Array.from({ length: numSymbols }, () => new Map(reps.map(r => [r, new Set()])));
+  for (let symIdx = 0; symIdx < numSymbols; symIdx++) {
+    for (let p = 0; p < n; p++) {
+      for (const q of local.succ[symIdx][p]) edges[symIdx].get(rep[p]).add(rep[q]);
+    }
+  }
+  const start = new Set(reps.filter(r => local.start.some((s, p) => s && rep[p] === r)));
+  const accept = new Set(reps.filter(r => local.accept.some((s, p) => s && rep[p] === r)));
+
+  // Prune little brothers: keep only the maximal elements of each sibling set.
+  let pruned = false;
+  const dominated = (set, p) => [...set].some(q => strictlySimulates(q, p));
+  const pruneSet = (set) => {
+    const drop = [...set].filter(p => dominated(set, p));
+    drop.forEach(p => set.delete(p));
+    if (drop.length > 0) pruned = true;
+  };
+
+  if (forward) {
+    for (const bySource of edges) {
+      for (const targets of bySource.values()) pruneSet(targets);
+    }
+    pruneSet(start);
+  } else {
+    for (const bySource of edges) {
+      const sources = new Map(reps.map(r => [r, new Set()]));
+      for (const [from, targets] of bySource) {
+        for (const to of targets) sources.get(to).add(from);
+      }
+      for (const [to, froms] of sources) {
+        for (const from of froms) {
+          if (dominated(froms, from)) {
+            bySource.get(from).delete(to);
+            pruned = true;
+          }
+        }
+      }
+    }
+    pruneSet(accept);
+  }
+
+  // Trim: keep representatives that are reachable and can reach acceptance.
+  const reachable = new Set(start);
+  const queue = [...start];
+  while (queue.length > 0) {
+    const p = queue.pop();
+    for (const bySource of edges) {
+      for (const q of bySource.get(p)) {
+        if (!reachable.has(q)) {
+          reachable.add(q);
+          queue.push(q);
+        }
+      }
+    }
+  }
+  const live = new Set(accept);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const r of reps) {
+      if (live.has(r)) continue;
+      if (edges.some(bySource => [...bySource.get(r)].some(q => live.has(q)))) {
+        live.add(r);
+        grew = true;
+      }
+    }
+  }
+  const useful = new Set(reps.filter(r => reachable.has(r) && live.has(r)));
+  const trimmed = useful.size < reps.length;
+
+  if (!merged && !pruned && !trimmed) return null;
+
+  // Build the reduced NFA over the original state IDs.
+  const source = view.nfa;
+  const nfa = new NFA([...source.symbols]);
+  source.stateLabels.forEach(label => nfa.addState(label));
+  if (source.dfaStateSources) nfa.dfaStateSources = source.dfaStateSources;
+
+  const idOf = (p) => local.states[p];
+  for (const r of useful) {
+    if (start.has(r)) nfa.addStart(idOf(r));
+    if (accept.has(r)) nfa.addAccept(idOf(r));
+    for (let symIdx = 0; symIdx < numSymbols; symIdx++) {
+      for (const q of edges[symIdx].get(r)) {
+        if (useful.has(q)) nfa.addTransition(idOf(r), idOf(q), symIdx);
+      }
+    }
+  }
+
+  // Compose the view's transform with the quotient and trim.
+  const localId = new Map(local.states.map((id, p) => [id, p]));
+  const remap = new Int32Array(view.transform.remap.length);
+  for (let id = 0; id < remap.length; id++) {
+    const canonical = view.getCanonical(id);
+    const r = canonical === -1 ? -1 : rep[localId.get(canonical)];
+    remap[id] = r !== -1 && useful.has(r) ? idOf(r) : -1;
+  }
+
+  return { nfa, transform: new StateTransformation(remap) };
+}
@@ -0,0 +1,489 @@
+/**
+ * Automaton to Regex Conversion
+ *
+ * Converts the canonical states of an NFAView into a regular expression
+ * using state elimination on a generalized NFA (GNFA), whose edges are
+ * labelled with regexes:
+ * 1. Add a fresh start state with ε-edges to every start state, and a fresh
+ *    final state with ε-edges from every accepting state.
+ * 2. Eliminate the original states one at a time. Removing k replaces each
+ *    path i → k → j with an edge i → j labelled R(i,k) R(k,k)* R(k,j).
+ * 3. The label of the remaining start → final edge is the result.
+ *
+ * Expressions are simplified as they are built (e.g. ∅ and ε are absorbed,
+ * alternatives of single symbols become classes, common prefixes are
+ * factored out and `xx*` becomes `x+`).
+ * The output uses the syntax of RegexParser, in token mode for alphabets of
+ * named symbols, so it can be converted back into an NFA.
+ *
+ * @module state_elimination
+ */
+
+import { hasNamedSymbols } from './nfa_builder.js';
+
+/** GNFA start state ID in elimination steps */
+export const GNFA_START = 'start';
+
+/** GNFA final state ID in elimination steps */
+export const GNFA_FINAL = 'final';
+
+// ============================================
+// Expressions
+// ============================================
+
+// Expressions are immutable objects with a `type` and a structural `key`
+// used to detect duplicates. Symbols are stored as alphabet indices.
+
+const EMPTY = { type: 'empty', key: '∅' };
+const EPSILON = { type: 'epsilon', key: 'ε' };
+
+/**
+ * @param {number[]} indices - Sorted, non-empty symbol indices
+ */
+function symbolSet(indices) {
+  return { type: 'set', indices, key: `[${indices.join(',')}]` };
+}
+
+function isNullable(expr) {
+  switch (expr.type) {
+    case 'epsilon':
+    case 'star':
+      return true;
+    case 'plus':
+      return isNullable(expr.child);
+    case 'union':
+      return expr.parts.some(isNullable);
+    case 'concat':
+      return expr.parts.every(isNullable);
+    default:
+      return false;
+  }
+}
+
+/** The sequence an expression matches, as a list of concatenated parts. */
+function sequenceOf(expr) {
+  return expr.type === 'concat' ? expr.parts : [expr];
+}
+
+/** True if `parts` ends with `suffix` (compared by key). */
+function endsWith(parts, suffix) {
+  if (suffix.length > parts.length) return false;
+  const offset = parts.length - suffix.length;
+  return suffix.every((part, i) => parts[offset + i].key === part.key);
+}
+
+/**
+ * Add an alternative, factoring it with an existing one that has the same
+ * first part (xA|xB = x(A|B)) or, failing that, the same last part.
+ */
+function addAlternative(alternatives, part) {
+  const sequence = sequenceOf(part);
+  for (let i = 0; i < alternatives.length; i++) {
+    const other = sequenceOf(alternatives[i]);
+    if (alternatives[i].key === part.key) return;
+    if (other[0].key === sequence[0].key) {
+      alternatives[i] = makeConcat(sequence[0], makeUnion(concatOf(other.slice(1)), concatOf(sequence.slice(1))));
+      return;
+    }
+    if (other[other.length - 1].key === sequence[sequence.length - 1].key) {
+      alternatives[i] = makeConcat(
+        makeUnion(concatOf(other.slice(0, -1)), concatOf(sequence.slice(0, -1))),
+        sequence[sequence.length - 1]);
+      return;
+    }
+  }
+  alternatives.push(part);
+}
+
+/** True if `part` matches nothing that `other` (x* or x+) does not: x ⊆ x+ ⊆ x*. */
+function isSubsumedBy(part, other) {
+  if (other.type !== 'star' && other.type !== 'plus') return false;
+  if (part.key === other.child.key) return true;
+  return part.type === 'plus' && other.type === 'star' && part.child.key === other.child.key;
+}
+
+function makeUnion(a, b) {
+  const alternatives = [];
+  let hasEpsilon = false;
+
+  for (const part of [a, b].flatMap(e => e.type === 'union' ? e.parts : [e])) {
+    if (part.type === 'empty') continue;
+    if (part.type === 'epsilon') {
+      hasEpsilon = true;
+      continue;
+    }
+    addAlternative(alternatives, part);
+  }
+
+  // Single-symbol alternatives are merged into one class.
+  const parts = [];
+  let indices = null;
+  for (const part of alternatives) {
+    if (alternatives.some(other => isSubsumedBy(part, other))) continue;
+    if (part.type === 'set') {
+      indices = [...new Set([...(indices ?? []), ...part.indices])].sort((x, y) => x - y);
+    } else if (hasEpsilon && part.type === 'plus') {
+      // ε|x+ = x*
+      parts.push(makeStar(part.child));
+    } else {
+      parts.push(part);
+    }
+  }
+  if (indices) parts.unshift(symbolSet(indices));
+  // ε is redundant if another alternative already matches it.
+  if (hasEpsilon && !parts.some(isNullable)) parts.unshift(EPSILON);
+
+  if (parts.length === 0) return EMPTY;
+  return unionOf(parts);
+}
+
+/**
+ * @param {Object[]} parts - Simplified alternatives; ε can only be first
+ */
+function unionOf(parts) {
+  if (parts.length === 1) return parts[0];
+  return { type: 'union', parts, key: `(${parts.map(p => p.key).join('|')})` };
+}
+
+function makeConcat(...exprs) {
+  const parts = [];
+  for (const part of exprs.flatMap(sequenceOf)) {
+    if (part.type === 'empty') return EMPTY;
+    if (part.type === 'epsilon') continue;
+    pushConcatPart(parts, part);
+  }
+  return concatOf(parts);
+}
+
+function concatOf(parts) {
+  if (parts.length === 0) return EPSILON;
+  if (parts.length === 1) return parts[0];
+  return { type: 'concat', parts, key: `(${parts.map(p => p.key).join(' ')})` };
+}
+
+/**
+ * Append a part to a concatenation, rewriting the end of the sequence:
+ * - x* x* = x*, x+ x* = x* x+ = x+, x+ x+ = x x+
+ * - x x* = x* x = x+ (for sequences x)
+ * - x (y x)* = (x y)* x, so that it can combine with what follows
+ */
+function pushConcatPart(parts, part) {
+  const prev = parts[parts.length - 1];
+
+  if (part.type === 'star' || part.type === 'plus') {
+    const sameChild = (prev?.type === 'star' || prev?.type === 'plus') && prev.child.key === part.child.key;
+    if (sameChild && part.type === 'star') return;
+    if (sameChild && prev.type === 'star') {
+      parts[parts.length - 1] = part;
+      return;
+    }
+    if (sameChild) {
+      parts.pop();
+      sequenceOf(part.child).forEach(p => pushConcatPart(parts, p));
+      parts.push(part);
+      return;
+    }
+  }
+
+  if (part.type === 'star') {
+    const sequence = sequenceOf(part.child);
+    for (let k = sequence.length; k >= 1; k--) {
+      const suffix = sequence.slice(sequence.length - k);
+      if (!endsWith(parts, suffix)) continue;
+      parts.splice(parts.length - k, k);
+      if (k === sequence.length) {
+        pushConcatPart(parts, makePlus(part.child));
+      } else {
+        parts.push(makeStar(concatOf([...suffix, ...sequence.slice(0, sequence.length - k)])));
+        suffix.forEach(p => pushConcatPart(parts, p));
+      }
+      return;
+    }
+  }
+
+  parts.push(part);
+
+  // x* x = x+
+  for (let i = parts.length - 2; i >= 0; i--) {
+    if (parts[i].type !== 'star') continue;
+    const sequence = sequenceOf(parts[i].child);
+    if (parts.length - 1 - i === sequence.length && endsWith(parts, sequence)) {
+      const child = parts[i].child;
+      parts.splice(i);
+      pushConcatPart(parts, makePlus(child));
+    }
+    break;
+  }
+}
+
+function makePlus(expr) {
+  if (expr.type === 'empty' || expr.type === 'epsilon') return expr;
+  if (expr.type === 'star' || expr.type === 'plus') return expr;
+  return { type: 'plus', child: expr, key: `${expr.key}+` };
+}
+
+function makeStar(expr) {
+  if (expr.type === 'empty' || expr.type === 'epsilon') return EPSILON;
+  if (expr.type === 'star') return expr;
+  // (x+)* = x*
+  if (expr.type === 'plus') return makeStar(expr.child);
+  // (ε|x)* = x*
+  if (expr.type === 'union' && expr.parts[0] === EPSILON) {
+    return makeStar(unionOf(expr.parts.slice(1)));
+  }
+  return { type: 'star', child: expr, key: `${expr.key}*` };
+}
+
+// ============================================
+// Printing
+// ============================================
+
+// Characters with special meaning in RegexParser outside classes.
+const CHAR_METACHARACTERS = new Set('\\|&~()[]{}*+?.');
+
+// Characters that end a symbol name in token mode.
+const TOKEN_METACHARACTERS = new Set('\\()[]{}|&~*+?.,');
+
+/** Operator precedence levels for parenthesization */
+const PRECEDENCE = { union: 0, concat: 1, atom: 2 };
+
+/**
+ * Prints expressions over an alphabet in RegexParser syntax.
+ */
+class RegexPrinter {
+  /**
+   * @param {Array<string|number>} symbols - The alphabet
+   */
+  constructor(symbols) {
+    this.symbols = symbols.map(String);
+    this.tokens = hasNamedSymbols(symbols);
+  }
+
+  print(expr) {
+    return this._print(expr, PRECEDENCE.union);
+  }
+
+  _print(expr, level) {
+    switch (expr.type) {
+      case 'empty':
+        // Complement of everything
+        return '~.*';
+      case 'epsilon':
+        return '()';
+      case 'set':
+        return this._printSet(expr.indices);
+      case 'star':
+        return `${this._print(expr.child, PRECEDENCE.atom)}*`;
+      case 'plus':
+        return `${this._print(expr.child, PRECEDENCE.atom)}+`;
+      case 'union':
+        return this._printUnion(expr, level);
+      case 'concat':
+        return this._wrap(this._printConcat(expr.parts), level > PRECEDENCE.concat);
+    }
+    throw new Error(`Unknown expression type: ${expr.type}`);
+  }
+
+  _wrap(str, parenthesize) {
+    return parenthesize ? `(${str})` : str;
+  }
+
+  _printUnion(expr, level) {
+    if (expr.parts[0] === EPSILON) {
+      return `${this._print(unionOf(expr.parts.slice(1)), PRECEDENCE.atom)}?`;
+    }
+    const str = expr.parts.map(p => this._print(p, PRECEDENCE.concat)).join('|');
+    return this._wrap(str, level > PRECEDENCE.union);
+  }
+
+  _printConcat(parts) {
+    return parts.map(p => this._print(p, PRECEDENCE.concat)).join(this.tokens ? ' ' : '');
+  }
+
+  _printSymbol(index, metacharacters) {
+    return [...this.symbols[index]].map(c => metacharacters.has(c) ? `\\${c}` : c).join('');
+  }
+
+  _printSet(indices) {
+    if (indices.length === 1) return this._printLiteral(indices[0]);
+    if (indices.length === this.symbols.length) return '.';
+
+    // Use a negated class if it is shorter.
+    const included = new Set(indices);
+    const excluded = this.symbols.map((_, i) => i).filter(i => !included.has(i));
+    const negated = excluded.length < indices.length;
+    return `[${negated ? '^' : ''}${this._printClassMembers(negated ? excluded : indices)}]`;
+  }
+
+  _printLiteral(index) {
+    return this._printSymbol(index, this.tokens ? TOKEN_METACHARACTERS : CHAR_METACHARACTERS);
+  }
+
+  _printClassMembers(indices) {
+    if (this.tokens) {
+      return indices.map(i => this._printSymbol(i, TOKEN_METACHARACTERS)).join(' ');
+    }
+
+    // Collapse runs of 3+ consecutive characters into ranges.
+    const escape = (c) => /[A-Za-z0-9]/.test(c) ? c : `\\${c}`;
+    const chars = indices.map(i => this.symbols[i]).sort((a, b) => a.charCodeAt(0) - b.charCodeAt(0));
+    let result = '';
+    for (let i = 0; i < chars.length;) {
+      let j = i;
+      while (j + 1 < chars.length && chars[j + 1].charCodeAt(0) === chars[j].charCodeAt(0) + 1) j++;
+      result += j - i >= 2 ? `${escape(chars[i])}-${escape(chars[j])}` : chars.slice(i, j + 1).map(escape).join('');
+      i = j + 1;
+    }
+    return result;
+  }
+}
+
+// ============================================
+// State Elimination
+// ============================================
+
+/**
+ * One step of the elimination, as a GNFA snapshot.
+ *
+ * @typedef {Object} EliminationStep
+ * @property {number|null} eliminated - State removed in this step (null for the initial GNFA)
+ * @property {number[]} remaining - Original states still in the GNFA
+ * @property {Array<{from: number|string, to: number|string, label: string, updated: boolean}>} edges
+ *   GNFA edges; GNFA_START and GNFA_FINAL identify the added states.
+ *   `updated` is set on edges created or extended by this step.
+ */
+
+/** Default limit on the size of intermediate expressions */
+const DEFAULT_MAX_LENGTH = 20000;
+
+/**
+ * Build the GNFA for a view's canonical states.
+ * @param {import('./nfa_view.js').NFAView} view
+ * @returns {{states: number[], edges: Map<any, Map<any, Object>>}}
+ */
+function buildGNFA(view) {
+  const nfa = view.nfa;
+  const states = [...view.mergedSources.keys()].sort((a, b) => a - b);
+  const edges = new Map([[GNFA_START, new Map()], ...states.map(id => [id, new Map()])]);
+  const addEdge = (from, to, expr) => {
+    const row = edges.get(from);
+    row.set(to, makeUnion(row.get(to) ?? EMPTY, expr));
+  };
+
+  for (const from of states) {
+    for (const [to, symbols] of view.getTransitionsFrom(from)) {
+      addEdge(from, to, symbolSet(symbols.map(s => nfa.getSymbolIndex(s)).sort((a, b) => a - b)));
+    }
+    for (const to of view.getEpsilonTransitionsFrom(from)) {
+      addEdge(from, to, EPSILON);
+    }
+  }
+
+  // Start and accept flags live on the source states of merged states.
+  const canonicalOf = (ids) => new Set([...ids].map(id => view.getCanonical(id)).filter(c => c !== -1));
+  for (const id of canonicalOf(nfa.startStates)) addEdge(GNFA_START, id, EPSILON);
+  for (const id of canonicalOf(nfa.acceptStates)) addEdge(id, GNFA_FINAL, EPSILON);
+
+  return { states, edges };
+}
+
+/**
+ * Choose the next state to eliminate: the one creating the fewest new
+ * edges (in-degree × out-degree, ignoring self-loops), lowest ID first.
+ */
+function chooseState(remaining, edges) {
+  const inDegree = new Map([...remaining].map(id => [id, 0]));
+  for (const [from, row] of edges) {
+    for (const to of row.keys()) {
+      if (to !== from && inDegree.has(to)) inDegree.set(to, inDegree.get(to) + 1);
+    }
+  }
+
+  let best = null;
+  let bestCost = Infinity;
+  for (const id of remaining) {
+    const row = edges.get(id);
+    const outDegree = row.size - (row.has(id) ? 1 : 0);
+    const cost = inDegree.get(id) * outDegree;
+    if (cost < bestCost) {
+      best = id;
+      bestCost = cost;
+    }
+  }
+  return best;
+}
+
+/**
+ * Convert a view to a regex by state elimination.
+ *
+ * The regex can be exponentially larger than the automaton, so conversion
+ * fails once an intermediate expression exceeds `options.maxLength`.
+ *
+ * @param {import('./nfa_view.js').NFAView} view
+ * @param {{maxLength?: number}} [options]
+ * @returns {{regex: string, steps: EliminationStep[]}} `steps[0]` is the
+ *   initial GNFA, followed by one step per eliminated state
+ */
+export function eliminateStates(view, options = {}) {
+  const maxLength = options.maxLength ?? DEFAULT_MAX_LENGTH;
+  const printer = new RegexPrinter(view.nfa.symbols);
+  const { states, edges } = buildGNFA(view);
+  const remaining = new Set(states);
+
+  // Most edges are unchanged between steps; print each expression once.
+  const labels = new Map();
+  const labelOf = (expr) => {
+    if (!labels.has(expr)) labels.set(expr, printer.print(expr));
+    return labels.get(expr);
+  };
+
+  const snapshot = (eliminated, updated) => {
+    const stepEdges = [];
+    for (const [from, row] of edges) {
+      for (const [to, expr] of row) {
+        stepEdges.push({ from, to, label: labelOf(expr), updated: updated.get(from)?.has(to) ?? false });
+      }
+    }
+    return { eliminated, remaining: [...remaining], edges: stepEdges };
+  };
+
+  const steps = [snapshot(null, new Map())];
+  while (remaining.size > 0) {
+    const k = chooseState(remaining, edges);
+    const row = edges.get(k);
+    const loop = makeStar(row.get(k) ?? EMPTY);
+    const updated = new Map();
+
+    for (const [from, fromRow] of edges) {
+      if (from === k || !fromRow.has(k)) continue;
+      const into = fromRow.get(k);
+      fromRow.delete(k);
+      for (const [to, out] of row) {
+        if (to === k) continue;
+        const expr = makeUnion(fromRow.get(to) ?? EMPTY, makeConcat(into, loop, out));
+        if (expr.key.length > maxLength) {
+          throw new Error(`Regex too large: exceeded ${maxLength} characters after eliminating ${steps.length} of ${states.length} states.`);
+        }
+        fromRow.set(to, expr);
+        if (!updated.has(from)) updated.set(from, new Set());
+        updated.get(from).add(to);
+      }
+    }
+    edges.delete(k);
+    remaining.delete(k);
+    steps.push(snapshot(k, updated));
+  }
+
+  const result = edges.get(GNFA_START).get(GNFA_FINAL) ?? EMPTY;
+  return { regex: labelOf(result), steps };
+}
+
+/**
+ * Convert a view to a regex by state elimination.
+ * @param {import('./nfa_view.js').NFAView} view
+ * @param {{maxLength?: number}} [options]
+ * @returns {string}
+ */
+export function viewToRegex(view, options = {}) {
+  return eliminateStates(view, options).regex;
+}
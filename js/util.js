@@ -87,3 +87,88 @@ export function arraysAreEqual(a, b) {
   }
   return true;
 }
+
+/**
+ * Find the strongly connected components of a directed graph (Tarjan's
+ * algorithm, iterative so deep graphs don't overflow the stack).
+ *
+ * Components are returned in reverse topological order: every edge leaving
+ * a component points to a component earlier in the list.
+ *
+ * @param {number} numNodes - Nodes are 0..numNodes-1
+ * @param {(node: number) => Iterable<number>} successorsOf
+ * @returns {number[][]} The nodes of each component
+ */
+export function findStronglyConnectedComponents(numNodes, successorsOf) {
+  const index = new Int32Array(numNodes).fill(-1);
+  const lowLink = new Int32Array(numNodes);
+  const onStack = new Uint8Array(numNodes);
+  const stack = [];
+  const components = [];
+  let nextIndex = 0;
+
+  for (let root = 0; root < numNodes; root++) {
+    if (index[root] !== -1) continue;
+
+    // Each frame is a node and an iterator over its remaining successors.
+    const frames = [];
+    const visit = (node) => {
+      index[node] = lowLink[node] = nextIndex++;
+      stack.push(node);
+      onStack[node] = 1;
+      frames.push({ node, successors: successorsOf(node)[Symbol.iterator]() });
+    };
+    visit(root);
+
+    while (frames.length > 0) {
+      const frame = frames[frames.length - 1];
+      const next = frame.successors.next();
+      if (!next.done) {
+        const to = next.value;
+        if (index[to] === -1) {
+          visit(to);
+        } else if (onStack[to]) {
+          lowLink[frame.node] = Math.min(lowLink[frame.node], index[to]);
+        }
+        continue;
+      }
+
+      frames.pop();
+      const node = frame.node;
+      if (frames.length > 0) {
+        const parent = frames[frames.length - 1].node;
+        lowLink[parent] = Math.min(lowLink[parent], lowLink[node]);
+      }
+      if (lowLink[node] === index[node]) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack[member] = 0;
+          component.push(member);
+        } while (member !== node);
+        components.push(component);
+      }
+    }
+  }
+
+  return components;
+}
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32). The same
+ * seed always produces the same sequence.
+ *
+ * @param {number} seed - Any number; only its low 32 bits are used
+ * @returns {() => number} Returns uniformly random 32-bit unsigned integers
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return (t ^ (t >>> 14)) >>> 0;
+  };
+}
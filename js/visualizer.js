@@ -6,10 +6,17 @@
  * - Visual distinction for start/accept/dead states
  * - State selection with outgoing edge highlighting
  * - Trace highlighting for test execution
+ * - Step highlighting for concrete input execution
+ * - GNFA overlay for the state elimination walkthrough
+ * - Strongly connected components as colored groups, or condensed into
+ *   single nodes that expand on click
+ * - SVG/PNG snapshots of the rendered graph
  *
  * @module visualizer
  */
 
+import { GNFA_START, GNFA_FINAL } from './state_elimination.js';
+
 // ============================================
 // Configuration
 // ============================================
@@ -35,9 +42,23 @@ const COLORS = {
   epsilon: '#a78bfa', // Light purple for epsilon
   highlight: '#fbbf24',
   highlightDim: '#b08a1a',
+  died: '#f87171',
   primary: '#6c9eff'
 };
 
+/** Colors of strongly connected components, assigned in topological order */
+const COMPONENT_COLORS = ['#f472b6', '#38bdf8', '#facc15', '#34d399', '#fb923c', '#a78bfa', '#f87171', '#2dd4bf'];
+
+/** How strongly connected components are shown */
+export const COMPONENT_DISPLAY = {
+  OFF: 'off',
+  COLORED: 'colored',
+  CONDENSED: 'condensed'
+};
+
+/** Label of epsilon edges (and the key of their outputs) */
+const EPSILON_LABEL = 'ε';
+
 /** Font stack for canvas text */
 const FONT_FAMILY = '-apple-system, BlinkMacSystemFont, sans-serif';
 
@@ -142,6 +163,15 @@ const CYTOSCAPE_STYLE = [
       'outline-style': 'solid',
     }
   },
+  // State that died on the last step: red dashed outline.
+  {
+    selector: 'node.died',
+    style: {
+      'border-color': COLORS.died,
+      'border-width': 4,
+      'border-style': 'dashed'
+    }
+  },
   // Selected state overrides any border color.
   {
     selector: 'node.selected',
@@ -238,6 +268,103 @@ const CYTOSCAPE_STYLE = [
       'height': 50
     }
   },
+
+  // ========== COMPONENT STYLES ==========
+  // States of a strongly connected component share a colored halo.
+  {
+    selector: 'node.scc',
+    style: {
+      'underlay-color': 'data(componentColor)',
+      'underlay-opacity': 0.35,
+      'underlay-padding': 8,
+      'underlay-shape': 'ellipse'
+    }
+  },
+  // A collapsed component
+  {
+    selector: 'node.scc-node',
+    style: {
+      'shape': 'round-rectangle',
+      'width': 80,
+      'height': 40,
+      'underlay-color': 'data(componentColor)',
+      'underlay-opacity': 0.35,
+      'underlay-padding': 6,
+      'underlay-shape': 'round-rectangle'
+    }
+  },
+  // An expanded component, drawn around its states
+  {
+    selector: 'node.scc-group',
+    style: {
+      'shape': 'round-rectangle',
+      'background-color': 'data(componentColor)',
+      'background-opacity': 0.12,
+      'border-color': 'data(componentColor)',
+      'border-style': 'dashed',
+      'border-width': 2,
+      'padding': 16,
+      'text-valign': 'top',
+      'font-size': '10px',
+      'color': COLORS.textMuted
+    }
+  },
+
+  // ========== STATE ELIMINATION STYLES ==========
+  // Original edges are replaced by GNFA edges during the walkthrough.
+  {
+    selector: 'edge.gnfa-replaced',
+    style: {
+      'display': 'none'
+    }
+  },
+  {
+    selector: 'node.eliminated',
+    style: {
+      'opacity': 0.25
+    }
+  },
+  // The state removed by the current step.
+  {
+    selector: 'node.eliminated-now',
+    style: {
+      'opacity': 0.5,
+      'border-color': COLORS.died,
+      'border-width': 4,
+      'border-style': 'dashed'
+    }
+  },
+  // Added GNFA start/final states
+  {
+    selector: 'node.gnfa',
+    style: {
+      'shape': 'round-rectangle',
+      'width': 44,
+      'height': 24,
+      'font-size': '10px',
+      'background-color': COLORS.background,
+      'border-color': COLORS.epsilon,
+      'border-style': 'dashed',
+      'border-width': 2
+    }
+  },
+  // GNFA edges are labelled with (possibly long) regexes.
+  {
+    selector: 'edge.gnfa',
+    style: {
+      'text-wrap': 'ellipsis',
+      'text-max-width': '180px'
+    }
+  },
+  // Edges created or extended by the current step.
+  {
+    selector: 'edge.gnfa-updated',
+    style: {
+      'line-color': COLORS.highlight,
+      'target-arrow-color': COLORS.highlight,
+      'width': 3
+    }
+  },
 ];
 
 
@@ -249,6 +376,8 @@ const CYTOSCAPE_STYLE = [
 /**
  * Compress a list of symbols into a compact regex-like character class string.
  * Consecutive characters are collapsed into ranges (e.g., 1,2,3,5,7,8,9 → 1-357-9)
+ * If any symbol is a multi-character name, symbols are comma-separated instead
+ * (e.g., open,ack).
  *
  * @param {Array<string|number>} symbols - Array of symbols (must be sorted by symbol index)
  * @returns {string} Compact label
@@ -260,6 +389,7 @@ export function compactSymbolLabel(symbols) {
   // Symbols are already in index order from NFA iteration.
   // Convert to strings for range detection.
   const strs = symbols.map(String);
+  if (strs.some(s => s.length > 1)) return strs.join(',');
 
   // Build ranges for single characters
   const result = [];
@@ -305,6 +435,48 @@ export function compactSymbolLabel(symbols) {
   return result.join('');
 }
 
+/**
+ * Label transducer transitions as `symbols/output`. Symbols with the same
+ * outputs share one compact label; several outputs are separated by `|`
+ * and the empty output is shown as ε. Symbols without outputs are labelled
+ * as in compactSymbolLabel().
+ *
+ * @param {Array<string|number>} symbols - Array of symbols (must be sorted by symbol index)
+ * @param {Map<string, string[]>} outputs - Outputs by symbol
+ * @returns {string} Label
+ */
+export function transducerSymbolLabel(symbols, outputs) {
+  if (outputs.size === 0) return compactSymbolLabel(symbols);
+
+  const groups = new Map();
+  for (const symbol of symbols) {
+    const symbolOutputs = outputs.get(symbol);
+    const key = symbolOutputs
+      ? `/${[...symbolOutputs].sort().map(output => output || 'ε').join('|')}`
+      : '';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(symbol);
+  }
+  return [...groups].map(([key, group]) => compactSymbolLabel(group) + key).join(', ');
+}
+
+// ============================================
+// SVG Export Helpers
+// ============================================
+
+/**
+ * Escape text for use in XML content or attribute values.
+ * @param {any} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 // ============================================
 // Named Layout Configurations
 // ============================================
@@ -346,6 +518,18 @@ export class NFAVisualizer {
     this.container = container;
     this.cy = null;
     this.view = null;
+    // Set when the view folds another automaton (see render()).
+    this.folding = null;
+
+    this.componentDisplay = COMPONENT_DISPLAY.OFF;
+    // Condensed display: components the user expanded, and the component
+    // (index into view.getStronglyConnectedComponents()) of each state
+    // currently drawn as part of a collapsed node.
+    this.expandedComponents = new Set();
+    this.collapsedComponentOf = new Map();
+
+    // Whether trap states (see NFAView.getTrapStates()) and their edges are drawn.
+    this.showTrapStates = true;
   }
 
   shouldSkipDagreLayout(nodeCount, edgeCount) {
@@ -432,6 +616,8 @@ export class NFAVisualizer {
    */
   captureLayout(layoutState) {
     if (!layoutState || !this.cy) return;
+    // Condensed positions don't apply to the full graph.
+    if (this.componentDisplay === COMPONENT_DISPLAY.CONDENSED) return;
 
     // Positions keyed by Cytoscape node id (string), no parsing.
     const positions = new Map();
@@ -451,13 +637,23 @@ export class NFAVisualizer {
    * Render the NFA visualization
    * @param {NFAView} view - The NFA view to render
    * @param {any} [layoutState] - Optional opaque layout state (visualizer-owned)
+   * @param {{view: NFAView, statesOf: (id: number) => number[]}|null} [folding] - Set
+   *   when the view stands for another view whose states it folds together
+   *   (as a pushdown automaton's control states fold its configurations):
+   *   highlights then refer to states of `folding.view`, each drawn as the
+   *   states `statesOf(id)`.
    */
-  render(view, layoutState = null) {
+  render(view, layoutState = null, folding = null) {
+    if (view !== this.view) this.expandedComponents.clear();
     this.view = view;
+    this.folding = folding;
     const elements = this.buildElements();
 
-    // Prefer explicit layoutState param, then view.layoutState.
-    const state = layoutState || view.layoutState || null;
+    // Prefer explicit layoutState param, then view.layoutState. The
+    // condensed graph is laid out afresh on every render.
+    const state = this.componentDisplay === COMPONENT_DISPLAY.CONDENSED
+      ? null
+      : layoutState || view.layoutState || null;
 
     // Destroy existing instance
     if (this.cy) {
@@ -511,6 +707,72 @@ export class NFAVisualizer {
     }
   }
 
+  /**
+   * Change how strongly connected components are shown, re-rendering the
+   * current view. Highlights and selection must be re-applied by the caller.
+   * @param {string} mode - A COMPONENT_DISPLAY value
+   */
+  setComponentDisplay(mode) {
+    if (mode === this.componentDisplay) return;
+    if (this.view?.layoutState) this.captureLayout(this.view.layoutState);
+    this.componentDisplay = mode;
+    this.expandedComponents.clear();
+    if (this.view) this.render(this.view, null, this.folding);
+  }
+
+  /**
+   * Show or hide trap states and their edges, re-rendering the current view.
+   * Highlights and selection must be re-applied by the caller.
+   * @param {boolean} visible
+   */
+  setTrapStatesVisible(visible) {
+    if (visible === this.showTrapStates) return;
+    if (this.view?.layoutState) this.captureLayout(this.view.layoutState);
+    this.showTrapStates = visible;
+    if (this.view) this.render(this.view, null, this.folding);
+  }
+
+  /**
+   * Expand a collapsed component of the condensed graph, or collapse an
+   * expanded one.
+   * @param {number} component - Index into view.getStronglyConnectedComponents()
+   */
+  toggleComponent(component) {
+    if (!this.expandedComponents.delete(component)) {
+      this.expandedComponents.add(component);
+    }
+    this.render(this.view, null, this.folding);
+    if (this.onGraphChange) {
+      this.onGraphChange();
+    }
+  }
+
+  /**
+   * Get the Cytoscape node ID that shows a state: its own node, or the node
+   * of its collapsed component.
+   * @param {number} stateId - Canonical state ID
+   * @returns {string}
+   */
+  nodeIdOf(stateId) {
+    const component = this.collapsedComponentOf.get(stateId);
+    return component === undefined ? `s${stateId}` : `scc${component}`;
+  }
+
+  /**
+   * Get the Cytoscape edge ID that shows a transition. Transitions to or
+   * from a collapsed component share one edge per pair of nodes.
+   * @param {string} prefix - 'e' for symbol edges, 'eps' for epsilon edges
+   * @param {number} from - Canonical state ID
+   * @param {number} to - Canonical state ID
+   * @returns {string}
+   */
+  edgeIdOf(prefix, from, to) {
+    if (!this.collapsedComponentOf.has(from) && !this.collapsedComponentOf.has(to)) {
+      return `${prefix}${from}-${to}`;
+    }
+    return `${prefix}${this.nodeIdOf(from)}-${this.nodeIdOf(to)}`;
+  }
+
   /**
    * Ensure tooltip element exists
    */
@@ -553,6 +815,11 @@ export class NFAVisualizer {
     // Handle click on node for selection
     this.cy.on('tap', 'node', (event) => {
       const node = event.target;
+      if (node.hasClass('gnfa')) return;
+      if (node.hasClass('scc-node') || node.hasClass('scc-group')) {
+        this.toggleComponent(node.data('component'));
+        return;
+      }
       const stateId = parseInt(node.id().slice(1), 10);
       this.selectState(stateId);
       // Notify external handler if set
@@ -572,6 +839,17 @@ export class NFAVisualizer {
     });
   }
 
+  /**
+   * Canonical states drawing a state that highlights (or the app) refer to:
+   * with a folding (see render()), a state of the folded view.
+   * @param {number} stateId
+   * @returns {number[]} Canonical state IDs (none if it is not shown)
+   */
+  canonicalsOf(stateId) {
+    const ids = this.folding ? this.folding.statesOf(stateId) : [stateId];
+    return [...new Set(ids.map(id => this.view.getCanonical(id)))].filter(c => c !== -1);
+  }
+
   /**
    * Select a state and highlight its outgoing transitions
    * @param {number} stateId
@@ -583,11 +861,12 @@ export class NFAVisualizer {
     this.cy.elements().removeClass('selected selected-outgoing');
 
     // Select the node
-    this.cy.$(`#s${stateId}`).addClass('selected');
+    const nodeId = this.nodeIdOf(stateId);
+    this.cy.$(`#${nodeId}`).addClass('selected');
 
     // Highlight outgoing edges
     this.cy.edges().forEach(edge => {
-      if (edge.source().id() === `s${stateId}`) {
+      if (edge.source().id() === nodeId) {
         edge.addClass('selected-outgoing');
       }
     });
@@ -607,89 +886,164 @@ export class NFAVisualizer {
    *
    * Renders ALL states but hides non-canonical ones with CSS.
    * This preserves positions when toggling merge on/off.
+   *
+   * Strongly connected components of more than one state are colored
+   * (COMPONENT_DISPLAY.COLORED), or drawn as a single node until expanded,
+   * and then as a compound node around their states (CONDENSED).
    */
   buildElements() {
     const elements = [];
     const view = this.view;
     const states = view.getStateInfo();
+    const condensed = this.componentDisplay === COMPONENT_DISPLAY.CONDENSED;
+
+    // Component and color of each state in a nontrivial component
+    const componentOf = new Map();
+    const groups = [];
+    if (this.componentDisplay !== COMPONENT_DISPLAY.OFF) {
+      view.getStronglyConnectedComponents().forEach((members, component) => {
+        if (members.length < 2) return;
+        const color = COMPONENT_COLORS[groups.length % COMPONENT_COLORS.length];
+        groups.push({ component, members, color });
+        for (const id of members) componentOf.set(id, { component, color });
+      });
+    }
+    this.collapsedComponentOf = new Map();
+    if (condensed) {
+      for (const { component, members } of groups) {
+        if (this.expandedComponents.has(component)) continue;
+        for (const id of members) this.collapsedComponentOf.set(id, component);
+      }
+    }
 
     const deadStateIds = new Set();
+    const hiddenTraps = this.showTrapStates ? new Set() : view.getTrapStates();
 
-    // Add ALL state nodes, hiding non-canonical ones
+    // Add ALL state nodes, hiding non-canonical ones (and traps, if asked)
     for (const state of states) {
       if (state.isDead) deadStateIds.add(state.id);
+      if (this.collapsedComponentOf.has(state.id)) continue;
 
       const isCanonical = view.isCanonical(state.id);
       const classes = [];
       if (state.isStart) classes.push('start');
       if (state.isAccept) classes.push('accept');
       if (state.isDead) classes.push('dead');
-      if (!isCanonical) {
+      if (!isCanonical || hiddenTraps.has(state.id)) {
         classes.push('hidden');
       } else if (view.isMergedState(state.id)) {
         classes.push('combined');
       }
 
-      elements.push({
-        data: {
-          id: `s${state.id}`,
-          label: this.view.getStateIdString(state.id),
-          fullLabel: this.getFullStateLabel(state.id)
-        },
-        classes: classes.join(' ')
-      });
+      const stateOutput = view.getStateOutput(state.id);
+      const data = {
+        id: `s${state.id}`,
+        label: this.view.getStateIdString(state.id) + (stateOutput === undefined ? '' : `/${stateOutput}`),
+        fullLabel: this.getFullStateLabel(state.id)
+      };
+      const group = isCanonical ? componentOf.get(state.id) : undefined;
+      if (group && condensed) {
+        data.parent = `scc${group.component}`;
+      } else if (group) {
+        classes.push('scc');
+        data.componentColor = group.color;
+      }
+
+      elements.push({ data, classes: classes.join(' ') });
+    }
+
+    // Components: a node standing for the collapsed ones, a compound
+    // node around the states of the expanded ones
+    if (condensed) {
+      const stateById = new Map(states.map(state => [state.id, state]));
+      for (const { component, members, color } of groups) {
+        const data = {
+          id: `scc${component}`,
+          label: `${members.length} states`,
+          fullLabel: members.map(id => view.getStateIdString(id)).join(', '),
+          component,
+          componentColor: color
+        };
+        if (this.expandedComponents.has(component)) {
+          elements.push({ data: { ...data, label: '' }, classes: 'scc-group' });
+          continue;
+        }
+
+        const memberStates = members.map(id => stateById.get(id));
+        const classes = ['scc-node'];
+        if (memberStates.some(state => state.isStart)) classes.push('start');
+        if (memberStates.some(state => state.isAccept)) classes.push('accept');
+        if (memberStates.every(state => state.isDead)) classes.push('dead');
+        elements.push({ data, classes: classes.join(' ') });
+      }
     }
 
-    // Add edges for each canonical state
+    // Collect edges for each canonical state, joining those that share a
+    // collapsed component
+    const edges = new Map();
+    const addEdge = (prefix, from, to, symbols, outputs = new Map()) => {
+      if (hiddenTraps.has(from) || hiddenTraps.has(to)) return;
+      const source = this.nodeIdOf(from);
+      const target = this.nodeIdOf(to);
+      // Edges within a collapsed component are not shown.
+      if (source === target && this.collapsedComponentOf.has(from)) return;
+
+      const id = this.edgeIdOf(prefix, from, to);
+      const isDead = deadStateIds.has(from) || deadStateIds.has(to);
+      const edge = edges.get(id);
+      if (edge) {
+        symbols.forEach(symbol => edge.symbols.add(symbol));
+        for (const [symbol, symbolOutputs] of outputs) {
+          edge.outputs.set(symbol, [...new Set([...(edge.outputs.get(symbol) ?? []), ...symbolOutputs])]);
+        }
+        edge.isDead &&= isDead;
+      } else {
+        edges.set(id, { prefix, source, target, symbols: new Set(symbols), outputs: new Map(outputs), isDead });
+      }
+    };
+
     for (const state of states) {
       if (!view.isCanonical(state.id)) continue;
 
       // Regular transitions
       const transitions = view.getTransitionsFrom(state.id);
+      const outputs = view.getTransitionOutputsFrom(state.id);
       for (const [to, symbols] of transitions) {
-        const isLoop = state.id === to;
-        const isDead = deadStateIds.has(state.id) || deadStateIds.has(to);
-        const label = compactSymbolLabel(symbols);
-
-        const classes = [];
-        if (isLoop) classes.push('loop');
-        if (isDead) classes.push('dead');
-
-        elements.push({
-          data: {
-            id: `e${state.id}-${to}`,
-            source: `s${state.id}`,
-            target: `s${to}`,
-            label: label
-          },
-          classes: classes.join(' ')
-        });
+        addEdge('e', state.id, to, symbols, outputs.get(to));
       }
 
       // Epsilon transitions
       if (view.nfa.epsilonTransitions.size > 0) {
         const epsilonTargets = view.getEpsilonTransitionsFrom(state.id);
+        const epsilonOutputs = view.getEpsilonOutputsFrom(state.id);
         for (const to of epsilonTargets) {
-          const isLoop = state.id === to;
-          const isDead = deadStateIds.has(state.id) || deadStateIds.has(to);
-
-          const classes = ['epsilon'];
-          if (isLoop) classes.push('loop');
-          if (isDead) classes.push('dead');
-
-          elements.push({
-            data: {
-              id: `eps${state.id}-${to}`,
-              source: `s${state.id}`,
-              target: `s${to}`,
-              label: 'ε'
-            },
-            classes: classes.join(' ')
-          });
+          const outputs = epsilonOutputs.get(to);
+          addEdge('eps', state.id, to, [], outputs ? new Map([[EPSILON_LABEL, outputs]]) : undefined);
         }
       }
     }
 
+    const symbolOrder = (a, b) => view.nfa.symbols.indexOf(a) - view.nfa.symbols.indexOf(b);
+    for (const [id, { prefix, source, target, symbols, outputs, isDead }] of edges) {
+      const isEpsilon = prefix === 'eps';
+      const classes = [];
+      if (isEpsilon) classes.push('epsilon');
+      if (source === target) classes.push('loop');
+      if (isDead) classes.push('dead');
+
+      elements.push({
+        data: {
+          id,
+          source,
+          target,
+          label: isEpsilon
+            ? transducerSymbolLabel([EPSILON_LABEL], outputs)
+            : transducerSymbolLabel([...symbols].sort(symbolOrder), outputs)
+        },
+        classes: classes.join(' ')
+      });
+    }
+
     return elements;
   }
 
@@ -807,43 +1161,36 @@ export class NFAVisualizer {
    * @returns {{visitedStates: Set<number>, visitedEdges: Set<string>, visitedEpsilonEdges: Set<string>, finalStates: Set<number>}}
    */
   calculateExecutionHighlights(highlights) {
-    const view = this.view;
-
-    const canonicalizeState = (id) => view.getCanonical(id);
+    // A folded state may be drawn as several states; its edges are then
+    // drawn between each of them.
     const canonicalizeEdgeKey = (edgeKey) => {
       const dash = edgeKey.indexOf('-');
-      if (dash === -1) return null;
+      if (dash === -1) return [];
       const from = Number(edgeKey.slice(0, dash));
       const to = Number(edgeKey.slice(dash + 1));
-      if (!Number.isFinite(from) || !Number.isFinite(to)) return null;
-      const fromC = canonicalizeState(from);
-      const toC = canonicalizeState(to);
-      if (fromC === -1 || toC === -1) return null;
-      return `${fromC}-${toC}`;
+      if (!Number.isFinite(from) || !Number.isFinite(to)) return [];
+      const toC = this.canonicalsOf(to);
+      return this.canonicalsOf(from).flatMap(fromC => toC.map(c => `${fromC}-${c}`));
     };
 
     const visitedStates = new Set();
     for (const id of highlights.visitedStates ?? []) {
-      const c = canonicalizeState(id);
-      if (c !== -1) visitedStates.add(c);
+      this.canonicalsOf(id).forEach(c => visitedStates.add(c));
     }
 
     const finalStates = new Set();
     for (const id of highlights.finalStates ?? []) {
-      const c = canonicalizeState(id);
-      if (c !== -1) finalStates.add(c);
+      this.canonicalsOf(id).forEach(c => finalStates.add(c));
     }
 
     const visitedEdges = new Set();
     for (const key of highlights.visitedEdges ?? []) {
-      const ck = canonicalizeEdgeKey(key);
-      if (ck) visitedEdges.add(ck);
+      canonicalizeEdgeKey(key).forEach(ck => visitedEdges.add(ck));
     }
 
     const visitedEpsilonEdges = new Set();
     for (const key of highlights.visitedEpsilonEdges ?? []) {
-      const ck = canonicalizeEdgeKey(key);
-      if (ck) visitedEpsilonEdges.add(ck);
+      canonicalizeEdgeKey(key).forEach(ck => visitedEpsilonEdges.add(ck));
     }
 
     return { visitedStates, visitedEdges, visitedEpsilonEdges, finalStates };
@@ -857,7 +1204,7 @@ export class NFAVisualizer {
     if (!this.cy) return;
 
     // Clear previous highlights (selection is independent)
-    this.cy.elements().removeClass('highlighted highlighted-final');
+    this.cy.elements().removeClass('highlighted highlighted-final died');
 
     const { visitedStates, visitedEdges, visitedEpsilonEdges, finalStates } = this.calculateExecutionHighlights(highlights);
 
@@ -865,7 +1212,7 @@ export class NFAVisualizer {
     this.cy.batch(() => {
       // Highlight visited states
       for (const stateId of visitedStates) {
-        const node = this.cy.$(`#s${stateId}`);
+        const node = this.cy.$(`#${this.nodeIdOf(stateId)}`);
         if (finalStates.has(stateId)) {
           node.addClass('highlighted-final');
         } else {
@@ -875,12 +1222,50 @@ export class NFAVisualizer {
 
       // Highlight visited edges
       for (const edgeKey of visitedEdges) {
-        this.cy.$(`#e${edgeKey}`).addClass('highlighted');
+        const [from, to] = edgeKey.split('-').map(Number);
+        this.cy.$(`#${this.edgeIdOf('e', from, to)}`).addClass('highlighted');
       }
 
       // Highlight visited epsilon edges
       for (const edgeKey of visitedEpsilonEdges) {
-        this.cy.$(`#eps${edgeKey}`).addClass('highlighted');
+        const [from, to] = edgeKey.split('-').map(Number);
+        this.cy.$(`#${this.edgeIdOf('eps', from, to)}`).addClass('highlighted');
+      }
+    });
+  }
+
+  /**
+   * Highlight a single step of a concrete execution.
+   *
+   * Active states are highlighted (accepting ones as final), along with the
+   * edges just taken. States that died on this step are marked separately.
+   *
+   * @param {import('./nfa.js').TraceStep} step
+   */
+  highlightStep(step) {
+    if (!this.cy) return;
+
+    const activeStates = step.activeStates;
+    this.highlightExecution({
+      visitedStates: activeStates,
+      visitedEdges: step.takenEdges,
+      visitedEpsilonEdges: step.takenEpsilonEdges,
+      finalStates: activeStates.filter(id => (this.folding?.view ?? this.view).isAccepting(id)),
+    });
+
+    // A node can stand for both dying and surviving states (merged sources,
+    // or a collapsed component); it only counts as died if none of them are
+    // still active.
+    const activeNodes = new Set(activeStates
+      .flatMap(id => this.canonicalsOf(id))
+      .map(c => this.nodeIdOf(c)));
+
+    this.cy.batch(() => {
+      for (const id of step.diedStates) {
+        for (const c of this.canonicalsOf(id)) {
+          if (activeNodes.has(this.nodeIdOf(c))) continue;
+          this.cy.$(`#${this.nodeIdOf(c)}`).addClass('died');
+        }
       }
     });
   }
@@ -890,10 +1275,85 @@ export class NFAVisualizer {
    */
   clearHighlight() {
     if (this.cy) {
-      this.cy.elements().removeClass('highlighted highlighted-final');
+      this.cy.elements().removeClass('highlighted highlighted-final died');
     }
   }
 
+  // ============================================
+  // State Elimination Walkthrough
+  // ============================================
+
+  /**
+   * Show one step of a state elimination (see state_elimination.js) over
+   * the rendered view: the original edges are replaced by the step's GNFA
+   * edges, eliminated states are faded, and the added start/final states
+   * are placed to the left and right of the graph.
+   *
+   * @param {import('./state_elimination.js').EliminationStep} step
+   */
+  showElimination(step) {
+    if (!this.cy) return;
+
+    this.clearElimination();
+    this.clearHighlight();
+
+    const nodeId = (id) => {
+      if (id === GNFA_START) return 'gnfa-start';
+      if (id === GNFA_FINAL) return 'gnfa-final';
+      return `s${id}`;
+    };
+
+    const stateNodes = this.cy.nodes(':visible');
+    const bb = stateNodes.boundingBox();
+    const midY = stateNodes.empty() ? 0 : (bb.y1 + bb.y2) / 2;
+    const x1 = stateNodes.empty() ? 0 : bb.x1;
+    const x2 = stateNodes.empty() ? 0 : bb.x2;
+    const remaining = new Set(step.remaining);
+
+    this.cy.batch(() => {
+      this.cy.edges().addClass('gnfa-replaced');
+      stateNodes.forEach(node => {
+        const id = parseInt(node.id().slice(1), 10);
+        if (!remaining.has(id)) node.addClass('eliminated');
+      });
+      if (step.eliminated !== null) {
+        this.cy.$(`#${nodeId(step.eliminated)}`).addClass('eliminated-now');
+      }
+
+      this.cy.add([
+        { group: 'nodes', data: { id: 'gnfa-start', label: 'start' }, position: { x: x1 - 100, y: midY }, classes: 'gnfa' },
+        { group: 'nodes', data: { id: 'gnfa-final', label: 'final' }, position: { x: x2 + 100, y: midY }, classes: 'gnfa' },
+      ]);
+
+      for (const edge of step.edges) {
+        const classes = ['gnfa'];
+        if (edge.from === edge.to) classes.push('loop');
+        if (edge.updated) classes.push('gnfa-updated');
+        this.cy.add({
+          group: 'edges',
+          data: {
+            id: `g-${nodeId(edge.from)}-${nodeId(edge.to)}`,
+            source: nodeId(edge.from),
+            target: nodeId(edge.to),
+            label: edge.label,
+          },
+          classes: classes.join(' '),
+        });
+      }
+    });
+  }
+
+  /**
+   * Remove the state elimination overlay, restoring the view's graph.
+   */
+  clearElimination() {
+    if (!this.cy) return;
+    this.cy.batch(() => {
+      this.cy.elements('.gnfa').remove();
+      this.cy.elements().removeClass('gnfa-replaced eliminated eliminated-now');
+    });
+  }
+
   /**
    * Fit the graph to the container
    */
@@ -903,6 +1363,151 @@ export class NFAVisualizer {
     }
   }
 
+  // ============================================
+  // Image Export
+  // ============================================
+
+  /**
+   * Render the visible graph as a standalone SVG document.
+   *
+   * Geometry (node positions, edge endpoints and bezier control points) and
+   * colors are read from the rendered Cytoscape elements, so the snapshot
+   * matches the canvas including the current layout and highlighting.
+   *
+   * @returns {string|null} SVG markup, or null if nothing is rendered
+   */
+  toSVG() {
+    if (!this.cy) return null;
+
+    const nodes = this.cy.nodes(':visible');
+    const edges = this.cy.edges(':visible');
+    const bb = this.cy.elements(':visible').boundingBox({ includeLabels: true });
+    const pad = 20;
+    const width = Math.ceil(bb.w + 2 * pad);
+    const height = Math.ceil(bb.h + 2 * pad);
+    const fmt = (n) => Number(n.toFixed(2));
+    const pt = (p) => `${fmt(p.x)},${fmt(p.y)}`;
+
+    const parts = [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+      `viewBox="${fmt(bb.x1 - pad)} ${fmt(bb.y1 - pad)} ${width} ${height}" ` +
+      `font-family="${escapeXml(FONT_FAMILY)}">`,
+      `<rect x="${fmt(bb.x1 - pad)}" y="${fmt(bb.y1 - pad)}" width="${width}" height="${height}" fill="${COLORS.background}"/>`,
+    ];
+
+    // Expanded components go behind their states and edges.
+    nodes.filter('.scc-group').forEach(group => {
+      const box = group.boundingBox({ includeLabels: false });
+      const color = group.data('componentColor');
+      parts.push(
+        `<rect x="${fmt(box.x1)}" y="${fmt(box.y1)}" width="${fmt(box.w)}" height="${fmt(box.h)}" rx="6" ` +
+        `fill="${color}" fill-opacity="${group.numericStyle('background-opacity')}" stroke="${color}" ` +
+        `stroke-width="${group.numericStyle('border-width')}" stroke-dasharray="5,3"/>`);
+    });
+
+    edges.forEach(edge => {
+      const color = edge.style('line-color');
+      const strokeWidth = edge.numericStyle('width');
+      const dash = edge.style('line-style') === 'dashed' ? ` stroke-dasharray="6,4"` : '';
+      const start = edge.sourceEndpoint();
+      const end = edge.targetEndpoint();
+      const controls = edge.controlPoints() || [];
+
+      let d = `M${pt(start)} L${pt(end)}`;
+      if (controls.length === 1) {
+        d = `M${pt(start)} Q${pt(controls[0])} ${pt(end)}`;
+      } else if (controls.length >= 2) {
+        d = `M${pt(start)} C${pt(controls[0])} ${pt(controls[controls.length - 1])} ${pt(end)}`;
+      }
+      parts.push(`<path d="${d}" fill="none" stroke="${color}" stroke-width="${strokeWidth}"${dash}/>`);
+
+      // Arrowhead pointing along the final curve segment
+      const from = controls.length ? controls[controls.length - 1] : start;
+      const angle = Math.atan2(end.y - from.y, end.x - from.x);
+      const size = 6 + 2 * strokeWidth;
+      const corner = (offset) => ({
+        x: end.x - size * Math.cos(angle + offset),
+        y: end.y - size * Math.sin(angle + offset),
+      });
+      parts.push(`<polygon points="${pt(end)} ${pt(corner(0.45))} ${pt(corner(-0.45))}" fill="${color}"/>`);
+
+      const label = edge.data('label');
+      if (!label) return;
+      const mid = edge.midpoint();
+      const fontSize = edge.numericStyle('font-size');
+      let rotation = 0;
+      if (edge.source().id() !== edge.target().id() && edge.style('text-rotation') === 'autorotate') {
+        rotation = Math.atan2(end.y - start.y, end.x - start.x) * 180 / Math.PI;
+        if (rotation > 90) rotation -= 180;
+        if (rotation < -90) rotation += 180;
+      }
+      const textWidth = String(label).length * fontSize * 0.6 + 6;
+      const italic = edge.style('font-style') === 'italic' ? ' font-style="italic"' : '';
+      parts.push(
+        `<g transform="translate(${pt(mid)}) rotate(${fmt(rotation)})">` +
+        `<rect x="${fmt(-textWidth / 2)}" y="${fmt(-fontSize / 2 - 3)}" width="${fmt(textWidth)}" ` +
+        `height="${fmt(fontSize + 6)}" fill="${COLORS.background}"/>` +
+        `<text text-anchor="middle" dominant-baseline="central" font-size="${fontSize}"${italic} ` +
+        `fill="${edge.style('color')}">${escapeXml(label)}</text></g>`);
+    });
+
+    nodes.not('.scc-group').forEach(node => {
+      const { x, y } = node.position();
+      const rx = node.width() / 2;
+      const ry = node.height() / 2;
+      const borderWidth = node.numericStyle('border-width');
+      const borderStyle = node.style('border-style');
+      const dash = borderStyle === 'dashed' ? ` stroke-dasharray="5,3"` : '';
+      const fill = node.style('background-color');
+      const stroke = node.style('border-color');
+
+      const shape = (inset, attrs) => {
+        if (node.hasClass('combined')) {
+          const pts = [[x, y - ry + inset], [x + rx - inset, y], [x, y + ry - inset], [x - rx + inset, y]];
+          return `<polygon points="${pts.map(([px, py]) => `${fmt(px)},${fmt(py)}`).join(' ')}" ${attrs}/>`;
+        }
+        if (node.hasClass('scc-node')) {
+          return `<rect x="${fmt(x - rx + inset)}" y="${fmt(y - ry + inset)}" width="${fmt(2 * (rx - inset))}" ` +
+            `height="${fmt(2 * (ry - inset))}" rx="6" ${attrs}/>`;
+        }
+        return `<ellipse cx="${fmt(x)}" cy="${fmt(y)}" rx="${fmt(rx - inset)}" ry="${fmt(ry - inset)}" ${attrs}/>`;
+      };
+
+      // Component halo
+      if (node.hasClass('scc') || node.hasClass('scc-node')) {
+        const spread = node.numericStyle('underlay-padding');
+        parts.push(shape(-spread,
+          `fill="${node.data('componentColor')}" fill-opacity="${node.numericStyle('underlay-opacity')}"`));
+      }
+
+      if (borderStyle === 'double') {
+        // Two thin rings, like the canvas' double border
+        const ring = Math.max(1, borderWidth / 3);
+        parts.push(shape(0, `fill="${fill}" stroke="${stroke}" stroke-width="${fmt(ring)}"`));
+        parts.push(shape(borderWidth - ring, `fill="none" stroke="${stroke}" stroke-width="${fmt(ring)}"`));
+      } else {
+        parts.push(shape(0, `fill="${fill}" stroke="${stroke}" stroke-width="${borderWidth}"${dash}`));
+      }
+
+      parts.push(
+        `<text x="${fmt(x)}" y="${fmt(y)}" text-anchor="middle" dominant-baseline="central" ` +
+        `font-size="${node.numericStyle('font-size')}" fill="${node.style('color')}">` +
+        `${escapeXml(node.data('label'))}</text>`);
+    });
+
+    parts.push('</svg>');
+    return parts.join('\n') + '\n';
+  }
+
+  /**
+   * Render the full graph as a PNG image at twice the screen resolution.
+   * @returns {Promise<Blob>|null} PNG blob, or null if nothing is rendered
+   */
+  toPNG() {
+    if (!this.cy) return null;
+    return this.cy.png({ output: 'blob-promise', full: true, scale: 2, bg: COLORS.background });
+  }
+
   /**
    * Destroy the Cytoscape instance
    */
@@ -0,0 +1,115 @@
+/**
+ * Tests for ambiguity.js - degree of ambiguity and accepting run counts
+ */
+
+import { test, describe, assert } from './test_utils.js';
+import { NFA } from '../js/nfa.js';
+import { NFAView } from '../js/nfa_view.js';
+import { RegexParser, RegexToNFABuilder } from '../js/regex_parser.js';
+import { analyzeAmbiguity, countAcceptingRuns, AMBIGUITY } from '../js/ambiguity.js';
+
+/**
+ * Raw view of a regex over {a, b}.
+ * @param {string} pattern
+ */
+function regexView(pattern) {
+  return NFAView.fromNFA(new RegexToNFABuilder(['a', 'b']).build(new RegexParser(pattern).parse()));
+}
+
+/**
+ * View of an ε-free NFA over {a, b, c} from [from, symbol, to] edges.
+ */
+function edgeView(numStates, start, accept, edges) {
+  const nfa = new NFA(['a', 'b', 'c']);
+  for (let i = 0; i < numStates; i++) nfa.addState();
+  start.forEach(id => nfa.addStart(id));
+  accept.forEach(id => nfa.addAccept(id));
+  for (const [from, symbol, to] of edges) nfa.addTransition(from, to, nfa.getSymbolIndex(symbol));
+  return NFAView.fromNFA(nfa);
+}
+
+describe('analyzeAmbiguity()', () => {
+  test('recognizes unambiguous automata', () => {
+    const result = analyzeAmbiguity(regexView('(a|b)*abb'));
+    assert.strictEqual(result.type, AMBIGUITY.UNAMBIGUOUS);
+    assert.strictEqual(result.highlights, null);
+  });
+
+  test('recognizes finite ambiguity and where runs diverge', () => {
+    // Two runs on "a": 0 -> 1 and 0 -> 2.
+    const result = analyzeAmbiguity(edgeView(3, [0], [1, 2], [[0, 'a', 1], [0, 'a', 2]]));
+    assert.strictEqual(result.type, AMBIGUITY.FINITE);
+    assert.deepStrictEqual(result.highlights.visitedStates, [1, 2]);
+  });
+
+  test('ignores ambiguity outside accepting paths', () => {
+    // State 2 duplicates the run through 1, but is dead.
+    const result = analyzeAmbiguity(edgeView(3, [0], [1], [[0, 'a', 1], [0, 'a', 2], [2, 'a', 2]]));
+    assert.strictEqual(result.type, AMBIGUITY.UNAMBIGUOUS);
+  });
+
+  test('recognizes polynomial ambiguity and its degree', () => {
+    for (const [pattern, degree] of [['a*a*', 1], ['(a|b)*a(a|b)*', 1], ['a*a*a*', 2]]) {
+      const result = analyzeAmbiguity(regexView(pattern));
+      assert.strictEqual(result.type, AMBIGUITY.POLYNOMIAL, pattern);
+      assert.strictEqual(result.degree, degree, pattern);
+    }
+  });
+
+  test('highlights the cycles of an IDA pair', () => {
+    // 0 -a-> 0, 0 -a-> 1, 1 -a-> 1: "a^n" has n + 1 runs.
+    const result = analyzeAmbiguity(edgeView(2, [0], [1], [[0, 'a', 0], [0, 'a', 1], [1, 'a', 1]]));
+    assert.strictEqual(result.type, AMBIGUITY.POLYNOMIAL);
+    assert.deepStrictEqual(result.highlights.visitedStates, [0, 1]);
+    assert.deepStrictEqual(result.highlights.visitedEdges.sort(), ['0-0', '0-1', '1-1']);
+  });
+
+  test('chains IDA pairs joined by a path', () => {
+    // (0, 1) on a-loops, then 1 -b-> 2, then (2, 3) on c-loops: a^n b c^n
+    // has n^2 runs.
+    const view = edgeView(4, [0], [3], [
+      [0, 'a', 0], [0, 'a', 1], [1, 'a', 1], [1, 'b', 2], [2, 'c', 2], [2, 'c', 3], [3, 'c', 3],
+    ]);
+    const result = analyzeAmbiguity(view);
+    assert.strictEqual(result.type, AMBIGUITY.POLYNOMIAL);
+    assert.strictEqual(result.degree, 2);
+
+    const runs = (n) => countAcceptingRuns(view, [...Array(n).fill('a'), 'b', ...Array(n).fill('c')]).at(-1);
+    assert.deepStrictEqual([runs(2), runs(4), runs(8)], [4n, 16n, 64n]);
+  });
+
+  test('recognizes exponential ambiguity and its two cycles', () => {
+    for (const pattern of ['(a|a)*', '(aa|a)*']) {
+      assert.strictEqual(analyzeAmbiguity(regexView(pattern)).type, AMBIGUITY.EXPONENTIAL, pattern);
+    }
+
+    // Two different a-cycles through 0: 0 -a-> 0 and 0 -a-> 1 -a-> 0.
+    const result = analyzeAmbiguity(edgeView(2, [0], [0], [[0, 'a', 0], [0, 'a', 1], [1, 'a', 0]]));
+    assert.strictEqual(result.type, AMBIGUITY.EXPONENTIAL);
+    assert.deepStrictEqual(result.highlights.visitedEdges.sort(), ['0-0', '0-1', '1-0']);
+  });
+
+  test('stops at the step limit', () => {
+    assert.throws(() => analyzeAmbiguity(regexView('(a|a)*'), { maxSteps: 5 }), /stopped after 5 steps/);
+  });
+});
+
+describe('countAcceptingRuns()', () => {
+  test('counts runs on each prefix', () => {
+    // a*a*: "a^n" has n + 1 runs.
+    const view = edgeView(2, [0], [0, 1], [[0, 'a', 0], [0, 'a', 1], [1, 'a', 1]]);
+    assert.deepStrictEqual(countAcceptingRuns(view, ['a', 'a', 'a']), [1n, 2n, 3n, 4n]);
+    assert.deepStrictEqual(countAcceptingRuns(view, ['a', 'b']), [1n, 2n, 0n]);
+  });
+
+  test('grows exponentially for exponentially ambiguous automata', () => {
+    const view = edgeView(2, [0], [0], [[0, 'a', 0], [0, 'a', 1], [1, 'a', 0]]);
+    // Fibonacci numbers: the runs on a^n are compositions of n into 1s and 2s.
+    assert.deepStrictEqual(countAcceptingRuns(view, Array(6).fill('a')), [1n, 1n, 2n, 3n, 5n, 8n, 13n]);
+  });
+
+  test('follows epsilon transitions', () => {
+    const runs = countAcceptingRuns(regexView('(a|b)*abb'), ['a', 'b', 'b']);
+    assert.deepStrictEqual(runs, [0n, 0n, 0n, 1n]);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Tests for buchi.js - accepting lassos and infinite words u(v)^ω
+ */
+
+import { test, describe, assert } from './test_utils.js';
+import { NFA } from '../js/nfa.js';
+import { NFAView } from '../js/nfa_view.js';
+import { NFABuilder, parseNFAConfig, ACCEPTANCE } from '../js/nfa_builder.js';
+import { findAcceptingLasso, acceptsLassoWord, parseLassoWord } from '../js/buchi.js';
+
+/**
+ * View of an NFA over {a, b} from [from, symbol, to] edges (symbol null
+ * for epsilon).
+ */
+function edgeView(numStates, start, accept, edges) {
+  const nfa = new NFA(['a', 'b']);
+  for (let i = 0; i < numStates; i++) nfa.addState();
+  start.forEach(id => nfa.addStart(id));
+  accept.forEach(id => nfa.addAccept(id));
+  for (const [from, symbol, to] of edges) {
+    if (symbol === null) {
+      nfa.addEpsilonTransition(from, to);
+    } else {
+      nfa.addTransition(from, to, nfa.getSymbolIndex(symbol));
+    }
+  }
+  return NFAView.fromNFA(nfa);
+}
+
+// Infinitely many a's: the state is the last symbol read (0 for b).
+const infinitelyManyA = () => edgeView(2, [0], [1], [
+  [0, 'a', 1], [0, 'b', 0], [1, 'a', 1], [1, 'b', 0],
+]);
+
+describe('findAcceptingLasso()', () => {
+  test('finds a shortest-prefix lasso and its run', () => {
+    // 0 -b-> 1 -a-> 2 -b-> 1, with 2 accepting.
+    const lasso = findAcceptingLasso(edgeView(3, [0], [2], [[0, 'b', 1], [1, 'a', 2], [2, 'b', 1]]));
+    assert.deepStrictEqual(lasso.prefix, ['b', 'a']);
+    assert.deepStrictEqual(lasso.loop, ['b', 'a']);
+    assert.deepStrictEqual(lasso.highlights.finalStates, [2]);
+    assert.deepStrictEqual(lasso.highlights.visitedEdges.sort(), ['0-1', '1-2', '2-1']);
+  });
+
+  test('returns null when no accepting state is on a reachable cycle', () => {
+    // The accepting state 1 has no cycle; the cycle at 2 is unreachable.
+    assert.strictEqual(findAcceptingLasso(edgeView(3, [0], [1, 2], [[0, 'a', 1], [2, 'a', 2]])), null);
+  });
+
+  test('ignores cycles made only of epsilon transitions', () => {
+    assert.strictEqual(findAcceptingLasso(edgeView(2, [0], [1], [[0, 'a', 1], [1, null, 1]])), null);
+
+    const lasso = findAcceptingLasso(edgeView(2, [0], [0], [[0, null, 1], [1, 'b', 0]]));
+    assert.deepStrictEqual(lasso.loop, ['b']);
+    assert.deepStrictEqual(lasso.highlights.visitedEpsilonEdges, ['0-1']);
+  });
+});
+
+describe('acceptsLassoWord()', () => {
+  test('accepts words visiting accepting states infinitely often', () => {
+    const view = infinitelyManyA();
+    assert.ok(acceptsLassoWord(view, [], ['a']));
+    assert.ok(acceptsLassoWord(view, ['b', 'b'], ['b', 'a']));
+    assert.strictEqual(acceptsLassoWord(view, ['a', 'a'], ['b']), null);
+  });
+
+  test('returns the accepting run', () => {
+    const run = acceptsLassoWord(infinitelyManyA(), ['b'], ['a', 'b']);
+    assert.deepStrictEqual(run.prefix, ['b', 'a']);
+    assert.deepStrictEqual(run.loop, ['b', 'a']);
+    assert.deepStrictEqual(run.highlights.finalStates, [1]);
+  });
+
+  test('follows epsilon transitions but not epsilon-only cycles', () => {
+    // 0 -a-> 1 -ε-> 2 -a-> 1, with 2 accepting: only a^ω is accepted.
+    const view = edgeView(3, [0], [2], [[0, 'a', 1], [1, null, 2], [2, 'a', 1], [2, null, 2]]);
+    assert.ok(acceptsLassoWord(view, [], ['a']));
+    assert.strictEqual(acceptsLassoWord(view, ['a'], ['b']), null);
+  });
+
+  test('rejects an empty loop', () => {
+    assert.throws(() => acceptsLassoWord(infinitelyManyA(), ['a'], []), /cannot be empty/);
+  });
+});
+
+describe('parseLassoWord()', () => {
+  test('parses u(v)^ω and its shorthands', () => {
+    assert.deepStrictEqual(parseLassoWord('ab(ba)^ω', ['a', 'b']), { prefix: ['a', 'b'], loop: ['b', 'a'] });
+    assert.deepStrictEqual(parseLassoWord(' (a)w ', ['a', 'b']), { prefix: [], loop: ['a'] });
+    assert.deepStrictEqual(parseLassoWord('open (send ack)^ω', ['open', 'send', 'ack']),
+      { prefix: ['open'], loop: ['send', 'ack'] });
+  });
+
+  test('rejects malformed words', () => {
+    assert.throws(() => parseLassoWord('ab', ['a', 'b']), /u\(v\)\^ω/);
+    assert.throws(() => parseLassoWord('a()^ω', ['a', 'b']), /cannot be empty/);
+    assert.throws(() => parseLassoWord('a(c)^ω', ['a', 'b']), /Not in the alphabet: 'c'/);
+  });
+});
+
+describe('Büchi automata from code', () => {
+  const code = (acceptance) => `
+    symbols = /[ab]/;
+    acceptance = ${JSON.stringify(acceptance)};
+    startState = 'b';
+    function transition(state, symbol) { return symbol; }
+    function accept(state) { return state === 'a'; }
+  `;
+
+  test('records Büchi acceptance on the built NFA', () => {
+    const config = parseNFAConfig(code('buchi'));
+    const nfa = new NFABuilder(config, { symbols: config.symbols }).build();
+    assert.strictEqual(nfa.acceptance, ACCEPTANCE.BUCHI);
+    assert.strictEqual(NFA.deserialize(nfa.serialize()).acceptance, ACCEPTANCE.BUCHI);
+
+    const lasso = findAcceptingLasso(NFAView.fromNFA(nfa));
+    assert.deepStrictEqual([...lasso.prefix, ...lasso.loop], ['a', 'a']);
+  });
+
+  test('validates acceptance', () => {
+    assert.throws(() => parseNFAConfig(code('muller')), /acceptance must be 'finite' or 'buchi'/);
+    assert.throws(() => parseNFAConfig(code('buchi') + 'startStack = [];'), /not supported in pushdown mode/);
+
+    const config = parseNFAConfig(code('finite'));
+    assert.strictEqual(new NFABuilder(config, { symbols: config.symbols }).build().acceptance, undefined);
+  });
+});
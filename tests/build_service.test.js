@@ -0,0 +1,189 @@
+/**
+ * Tests for build_service.js - building pipelines from editor requests
+ */
+
+import { test, describe, assert } from './test_utils.js';
+import {
+  BUILD_KINDS, BUILD_TASKS, BuildRunner, buildNFAFromRequest, runBuild, runCompare,
+} from '../js/build_service.js';
+import { deserializePipeline, serializePipeline, PIPELINES, STAGES } from '../js/pipeline.js';
+
+const CODE = `
+  symbols = /[ab]/;
+  startState = 0;
+  function transition(state, symbol) { return symbol === 'a' ? (state + 1) % 3 : state; }
+  function accept(state) { return state === 0; }
+`;
+
+// The harness runs tests synchronously, so resolve async results up front.
+// Node has no Worker, so the runner builds on the main thread.
+const runnerResult = await new BuildRunner().run({ kind: BUILD_KINDS.REGEX, pattern: 'ab*', symbols: ['a', 'b'] });
+const runnerError = await new BuildRunner().run({ kind: BUILD_KINDS.REGEX, pattern: '(', symbols: ['a'] })
+  .then(() => null, e => e);
+const runnerCompare = await new BuildRunner().compare(
+  { kind: BUILD_KINDS.REGEX, pattern: 'a*', symbols: ['a'] },
+  { kind: BUILD_KINDS.REGEX, pattern: '(aa)*', symbols: ['a'] });
+
+// Load the worker entry point against a stub worker global.
+const workerSelf = { postMessage: null, onmessage: null };
+globalThis.self = workerSelf;
+await import('../js/build_worker.js');
+delete globalThis.self;
+
+/** Deliver a message to the worker, returning the messages it posts. */
+function postToWorker(data) {
+  const messages = [];
+  workerSelf.postMessage = (message) => messages.push(message);
+  globalThis.self = workerSelf;
+  try {
+    workerSelf.onmessage({ data });
+  } finally {
+    delete globalThis.self;
+  }
+  return messages;
+}
+
+describe('buildNFAFromRequest()', () => {
+  test('builds from code', () => {
+    const nfa = buildNFAFromRequest({ kind: BUILD_KINDS.CODE, code: CODE });
+    assert.strictEqual(nfa.numStates(), 3);
+    assert(nfa.matches([['a'], ['b'], ['a'], ['a']]));
+  });
+
+  test('passes maxStates and onProgress to the builder', () => {
+    const code = `
+      symbols = /a/;
+      startState = 0;
+      function transition(state) { return state + 1; }
+      function accept() { return false; }
+    `;
+    const progress = [];
+    assert.throws(
+      () => buildNFAFromRequest({ kind: BUILD_KINDS.CODE, code }, { maxStates: 150, onProgress: p => progress.push(p) }),
+      /maximum state limit \(150\)/);
+    assert.strictEqual(progress.length, 1);
+  });
+
+  test('builds from a regex', () => {
+    const nfa = buildNFAFromRequest({ kind: BUILD_KINDS.REGEX, pattern: 'ab', symbols: ['a', 'b'] });
+    assert(nfa.matches([['a'], ['b']]));
+    assert(!nfa.matches([['a']]));
+  });
+
+  test('builds from an import', () => {
+    const text = 'digraph { s [shape=point]; s -> 0; 0 -> 1 [label="a"]; 1 [shape=doublecircle]; }';
+    const nfa = buildNFAFromRequest({ kind: BUILD_KINDS.IMPORT, text, format: 'dot' });
+    assert(nfa.matches([['a']]));
+  });
+
+  test('builds from a serialized NFA', () => {
+    const nfa = buildNFAFromRequest({ kind: BUILD_KINDS.CODE, code: CODE });
+    const copy = buildNFAFromRequest({ kind: BUILD_KINDS.NFA, nfa: structuredClone(nfa.serialize()) });
+    assert.deepStrictEqual(copy.serialize(), nfa.serialize());
+  });
+
+  test('combines requests', () => {
+    const base = { kind: BUILD_KINDS.REGEX, pattern: 'a*', symbols: ['a', 'b'] };
+    const other = { kind: BUILD_KINDS.REGEX, pattern: 'b', symbols: ['a', 'b'] };
+    const union = buildNFAFromRequest({ kind: BUILD_KINDS.COMBINE, op: 'union', base, other });
+    assert(union.matches([['a'], ['a']]) && union.matches([['b']]));
+
+    // Unary operations ignore `other`.
+    const complement = buildNFAFromRequest({ kind: BUILD_KINDS.COMBINE, op: 'complement', base });
+    assert(complement.matches([['b']]));
+    assert(!complement.matches([['a']]));
+
+    assert.throws(() => buildNFAFromRequest({ kind: BUILD_KINDS.COMBINE, op: 'toString', base }),
+      /Unknown operation: toString/);
+  });
+
+  test('rejects unknown kinds', () => {
+    assert.throws(() => buildNFAFromRequest({ kind: 'bogus' }), /Unknown build request kind: bogus/);
+  });
+});
+
+describe('runBuild()', () => {
+  test('returns a serialized NFA pipeline', () => {
+    const views = deserializePipeline(runBuild({ kind: BUILD_KINDS.CODE, code: CODE }));
+    assert.strictEqual(views.length, PIPELINES.NFA.length);
+    assert.strictEqual(views[0].getStats().total, 3);
+  });
+
+  test('runs a configured pipeline', () => {
+    const request = { kind: BUILD_KINDS.CODE, code: CODE };
+    const views = deserializePipeline(runBuild(request, { pipeline: [STAGES.RAW, STAGES.REVERSE] }));
+    assert.strictEqual(views.length, 2);
+    assert(views[1].isReversed());
+  });
+
+  test('runs a DFA pipeline on the subset expansion of a view', () => {
+    const nfaViews = deserializePipeline(runBuild({ kind: BUILD_KINDS.REGEX, pattern: '(a|b)*abb', symbols: ['a', 'b'] }));
+    const request = { kind: BUILD_KINDS.SUBSET, view: serializePipeline([nfaViews[0]]) };
+    const views = deserializePipeline(runBuild(request, { pipeline: PIPELINES.DFA }));
+
+    const expected = nfaViews[0].withEpsilonClosure().withSubsetExpansion();
+    assert.strictEqual(views[0].getStats().total, expected.getStats().total);
+    assert(views.every(view => view.isDeterministic()));
+    assert.strictEqual(views.at(-1).getStats().total, 4);
+  });
+});
+
+describe('runCompare()', () => {
+  test('reports equivalence and counterexamples', () => {
+    const regex = (pattern) => ({ kind: BUILD_KINDS.REGEX, pattern, symbols: ['a', 'b'] });
+    assert(runCompare(regex('a|b'), regex('[ab]')).equivalent);
+    assert.deepStrictEqual(runCompare(regex('a*'), regex('a')),
+      { equivalent: false, counterexample: [], acceptedBy: 'first' });
+  });
+
+  test('compares definitions with differently ordered alphabets', () => {
+    const regex = (pattern, symbols) => ({ kind: BUILD_KINDS.REGEX, pattern, symbols });
+    assert(runCompare(regex('ab*', ['a', 'b']), regex('ab*', ['b', 'a'])).equivalent);
+    assert.deepStrictEqual(runCompare(regex('ab*', ['a', 'b']), regex('ab*|c', ['c', 'b', 'a'])),
+      { equivalent: false, counterexample: ['c'], acceptedBy: 'second' });
+
+    const union = buildNFAFromRequest({
+      kind: BUILD_KINDS.COMBINE, op: 'union', base: regex('a', ['a', 'b']), other: regex('b', ['b', 'a']),
+    });
+    assert(union.matches([['a']]) && union.matches([['b']]));
+  });
+});
+
+describe('BuildRunner', () => {
+  test('falls back to building synchronously without workers', () => {
+    const views = deserializePipeline(runnerResult);
+    assert(views[0].nfa.matches([['a'], ['b'], ['b']]));
+  });
+
+  test('rejects with the build error', () => {
+    assert(runnerError instanceof Error);
+    assert(!runnerError.cancelled);
+  });
+
+  test('compares requests', () => {
+    assert.deepStrictEqual(runnerCompare, { equivalent: false, counterexample: ['a'], acceptedBy: 'first' });
+  });
+});
+
+describe('build_worker', () => {
+  test('posts the built pipeline', () => {
+    const messages = postToWorker({ id: 7, request: { kind: BUILD_KINDS.CODE, code: CODE }, pipeline: [STAGES.RAW] });
+    assert.strictEqual(messages.length, 1);
+    const { id, type, result } = messages[0];
+    assert.deepStrictEqual([id, type], [7, 'result']);
+    assert.strictEqual(deserializePipeline(result)[0].getStats().total, 3);
+  });
+
+  test('runs compare tasks', () => {
+    const request = { kind: BUILD_KINDS.REGEX, pattern: 'a', symbols: ['a'] };
+    const messages = postToWorker({ id: 9, task: BUILD_TASKS.COMPARE, request, other: request });
+    assert.deepStrictEqual(messages, [
+      { id: 9, type: 'result', result: { equivalent: true, counterexample: null, acceptedBy: null } },
+    ]);
+  });
+
+  test('posts build errors', () => {
+    const messages = postToWorker({ id: 8, request: { kind: BUILD_KINDS.REGEX, pattern: '(', symbols: ['a'] } });
+    assert.deepStrictEqual(messages.map(m => [m.id, m.type]), [[8, 'error']]);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Tests for export.js - DOT and JSON export of views
+ */
+
+import { test, describe, assert } from './test_utils.js';
+import { NFA } from '../js/nfa.js';
+import { NFAView } from '../js/nfa_view.js';
+import { exportDot, exportJSON, EXPORT_FORMAT, EXPORT_VERSION } from '../js/export.js';
+
+/**
+ * q0 -a,b-> q1 (accept), q0 -ε-> q2, q2 -b-> q1
+ * @returns {NFA}
+ */
+function createTestNFA() {
+  const nfa = new NFA(['a', 'b']);
+  nfa.addState('start');
+  nfa.addState('end');
+  nfa.addState('mid');
+  nfa.addStart(0);
+  nfa.addAccept(1);
+  nfa.addTransition(0, 1, 0);
+  nfa.addTransition(0, 1, 1);
+  nfa.addTransition(2, 1, 1);
+  nfa.addEpsilonTransition(0, 2);
+  return nfa;
+}
+
+describe('exportJSON()', () => {
+  test('exports states, start/accept sets and transitions', () => {
+    const view = NFAView.fromNFA(createTestNFA(), { stateIdPrefix: 'q' });
+    const json = exportJSON(view);
+
+    assert.strictEqual(json.format, EXPORT_FORMAT);
+    assert.strictEqual(json.version, EXPORT_VERSION);
+    assert.deepStrictEqual(json.symbols, ['a', 'b']);
+    assert.deepStrictEqual(json.states.map(s => s.id), ['q0', 'q1', 'q2']);
+    assert.deepStrictEqual(json.states[0], { id: 'q0', label: 'start', sources: ['q0'] });
+    assert.deepStrictEqual(json.start, ['q0']);
+    assert.deepStrictEqual(json.accept, ['q1']);
+    assert.deepStrictEqual(json.transitions, [
+      { from: 'q0', to: 'q1', symbols: ['a', 'b'] },
+      { from: 'q2', to: 'q1', symbols: ['b'] },
+    ]);
+    assert.deepStrictEqual(json.epsilon, [{ from: 'q0', to: 'q2' }]);
+  });
+
+  test('lists merged sources and omits deleted states', () => {
+    const nfa = new NFA(['a']);
+    for (let i = 0; i < 4; i++) nfa.addState();
+    nfa.addStart(0);
+    nfa.addAccept(1);
+    nfa.addAccept(2);
+    nfa.addTransition(0, 1, 0);
+    nfa.addTransition(0, 2, 0);
+    nfa.addTransition(1, 1, 0);
+    nfa.addTransition(2, 2, 0);
+    nfa.addTransition(0, 3, 0); // q3 is dead
+
+    const view = NFAView.fromNFA(nfa, { stateIdPrefix: 'q' })
+      .withDeadStatesPruned()
+      .withEquivalentStatesMerged();
+    const json = exportJSON(view);
+
+    assert.deepStrictEqual(json.states.map(s => s.id), ['q0', "q1'"]);
+    assert.deepStrictEqual(json.states[1].sources, ['q1', 'q2']);
+    assert.deepStrictEqual(json.transitions, [
+      { from: 'q0', to: "q1'", symbols: ['a'] },
+      { from: "q1'", to: "q1'", symbols: ['a'] },
+    ]);
+  });
+
+  test('resolves subset states to source view IDs', () => {
+    const view = NFAView.fromNFA(createTestNFA(), { stateIdPrefix: 'q' })
+      .withEpsilonClosure()
+      .withSubsetExpansion();
+    const json = exportJSON(view);
+
+    assert.deepStrictEqual(json.states[0].sources, ['q0', 'q2']);
+    assert(json.states.every(s => s.id.startsWith("q'")));
+  });
+});
+
+describe('exportDot()', () => {
+  test('emits a digraph with start arrows, accept shapes and dashed epsilons', () => {
+    const view = NFAView.fromNFA(createTestNFA(), { stateIdPrefix: 'q' });
+    const dot = exportDot(view, { name: 'test' });
+
+    assert(dot.startsWith('digraph "test" {\n'));
+    assert(dot.trimEnd().endsWith('}'));
+    assert(dot.includes('"q1" [shape=doublecircle, tooltip="end"];'));
+    assert(dot.includes('__start0 -> "q0";'));
+    assert(dot.includes('"q0" -> "q1" [label="a,b"];'));
+    assert(dot.includes('"q0" -> "q2" [label="ε", style=dashed];'));
+  });
+
+  test('escapes quotes and backslashes', () => {
+    const nfa = new NFA(['a']);
+    nfa.addState('{"x":"a\\\\b"}');
+    const dot = exportDot(NFAView.fromNFA(nfa));
+
+    assert(dot.includes('tooltip="{\\"x\\":\\"a\\\\\\\\b\\"}"'));
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Tests for import.js - building NFAs from JSON, DOT and CSV descriptions
+ */
+
+import { test, describe, assert } from './test_utils.js';
+import { NFA } from '../js/nfa.js';
+import { NFAView } from '../js/nfa_view.js';
+import { RegexParser, RegexToNFABuilder } from '../js/regex_parser.js';
+import { exportDot, exportJSON } from '../js/export.js';
+import { importAutomaton, detectImportFormat, IMPORT_FORMATS } from '../js/import.js';
+import { checkEquivalence } from '../js/nfa_operations.js';
+
+/**
+ * Check acceptance of a plain string (one symbol per character).
+ * @param {import('../js/nfa.js').NFA} nfa
+ * @param {string} input
+ * @returns {boolean}
+ */
+function accepts(nfa, input) {
+  return nfa.matches(input.split('').map(c => [c]));
+}
+
+describe('detectImportFormat()', () => {
+  test('recognizes each format', () => {
+    assert.strictEqual(detectImportFormat('  {"start": "a"}'), IMPORT_FORMATS.JSON);
+    assert.strictEqual(detectImportFormat('// comment\ndigraph G { a -> b }'), IMPORT_FORMATS.DOT);
+    assert.strictEqual(detectImportFormat('state,a,b\n->q0,q1,'), IMPORT_FORMATS.CSV);
+  });
+});
+
+describe('importAutomaton() JSON', () => {
+  test('builds states, transitions and epsilons', () => {
+    const nfa = importAutomaton(JSON.stringify({
+      symbols: ['a', 'b'],
+      start: 'p',
+      accept: ['r'],
+      transitions: [
+        { from: 'p', to: 'q', symbols: ['a'] },
+        { from: 'q', to: 'r', symbol: 'b' },
+      ],
+      epsilon: [{ from: 'p', to: 'q' }],
+    }));
+
+    assert.deepStrictEqual(nfa.symbols, ['a', 'b']);
+    assert.deepStrictEqual(nfa.stateLabels, ['p', 'q', 'r']);
+    assert(accepts(nfa, 'ab'));
+    assert(accepts(nfa, 'b'));
+    assert(!accepts(nfa, 'a'));
+  });
+
+  test('round-trips exportJSON() output', () => {
+    const original = new RegexToNFABuilder(['a', 'b']).build(new RegexParser('(a|b)*abb').parse());
+    const view = NFAView.fromNFA(original, { stateIdPrefix: 'q' });
+    const imported = importAutomaton(JSON.stringify(exportJSON(view)));
+
+    assert.strictEqual(imported.numStates(), original.numStates());
+    assert.deepStrictEqual(imported.stateLabels, original.stateLabels);
+    assert(checkEquivalence(original, imported).equivalent);
+  });
+
+  test('rejects undeclared symbols and missing start states', () => {
+    assert.throws(
+      () => importAutomaton('{"symbols": ["a"], "start": "p", "transitions": [{"from": "p", "to": "p", "symbol": "b"}]}'),
+      /JSON import: .*undeclared symbol "b"/);
+    assert.throws(() => importAutomaton('{"states": ["p"]}'), /no start state/);
+    assert.throws(() => importAutomaton('{"start": "p",}'), /JSON import/);
+  });
+});
+
+describe('importAutomaton() DOT', () => {
+  test('reads start arrows, accept shapes and comma-separated labels', () => {
+    const nfa = importAutomaton(`
+      digraph G {
+        rankdir=LR;
+        init [shape=point];
+        q1 [shape=doublecircle];
+        init -> q0;
+        q0 -> q0 [label="a,b"];
+        q0 -> q1 [label="b"];
+      }`);
+
+    assert.deepStrictEqual(nfa.symbols, ['a', 'b']);
+    assert.deepStrictEqual(nfa.stateLabels, ['q1', 'q0']);
+    assert(accepts(nfa, 'ab'));
+    assert(!accepts(nfa, 'ba'));
+  });
+
+  test('applies node defaults and supports epsilon edges', () => {
+    const nfa = importAutomaton(`
+      digraph {
+        node [shape=doublecircle]; done;
+        node [shape=circle];
+        "" [shape=none];
+        "" -> s;
+        s -> done [label="ε"];
+        s -> s [label=x];
+      }`);
+
+    assert.strictEqual(nfa.epsilonTransitions.size, 1);
+    assert(nfa.matches([]));
+    assert(nfa.matches([['x'], ['x']]));
+  });
+
+  test('round-trips exportDot() output', () => {
+    const original = new RegexToNFABuilder(['a', 'b']).build(new RegexParser('a(b|ab)*').parse());
+    const view = NFAView.fromNFA(original, { stateIdPrefix: 'q' });
+    const imported = importAutomaton(exportDot(view));
+
+    assert(checkEquivalence(original, imported).equivalent);
+  });
+
+  test('round-trips symbols containing commas and backslashes', () => {
+    const original = new NFA(['a,b', 'c\\', 'd']);
+    const [s0, s1] = [original.addState('s0'), original.addState('s1')];
+    original.addStart(s0);
+    original.addAccept(s1);
+    original.addTransition(s0, s1, 0);
+    original.addTransition(s0, s1, 1);
+    original.addTransition(s1, s1, 2);
+
+    const dot = exportDot(NFAView.fromNFA(original, { stateIdPrefix: 'q' }));
+    assert(dot.includes('"q0" -> "q1" [label="a\\\\,b,c\\\\\\\\"];'), dot);
+    const imported = importAutomaton(dot);
+    assert.deepStrictEqual(imported.symbols, ['a,b', 'c\\', 'd']);
+    assert(checkEquivalence(original, imported).equivalent);
+  });
+
+  test('reports unlabeled edges with their line', () => {
+    assert.throws(
+      () => importAutomaton('digraph {\n  s [shape=point]; s -> a;\n  a -> b;\n}'),
+      /DOT import: line 3: edge a -> b has no label/);
+  });
+});
+
+describe('importAutomaton() CSV', () => {
+  test('reads start/accept markers, multiple targets and epsilon column', () => {
+    const nfa = importAutomaton([
+      'state,0,1,ε',
+      '->q0,q0 q1,q0,',
+      'q1,-,q2,',
+      '*q2,,,q0',
+    ].join('\n'));
+
+    assert.deepStrictEqual(nfa.symbols, ['0', '1']);
+    assert(nfa.isStart(0));
+    assert(nfa.isAccepting(2));
+    assert(accepts(nfa, '01'));
+    assert(accepts(nfa, '1101'));
+    assert(!accepts(nfa, '10'));
+  });
+
+  test('accepts tab-separated tables and quoted cells', () => {
+    const nfa = importAutomaton('\ta\tb\n->*p\t"p,q"\t∅\n*q\t\tp');
+    assert.deepStrictEqual(nfa.getTransitions(0, 0), [0, 1]);
+    assert(accepts(nfa, 'ab'));
+  });
+
+  test('rejects rows with too many cells', () => {
+    assert.throws(() => importAutomaton('s,a\n->p,p,p'), /CSV import: line 2/);
+  });
+});
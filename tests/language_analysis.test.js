@@ -0,0 +1,120 @@
+/**
+ * Tests for language_analysis.js - string counts, finiteness and growth
+ */
+
+import { test, describe, assert } from './test_utils.js';
+import { NFA } from '../js/nfa.js';
+import { NFAView } from '../js/nfa_view.js';
+import { NFABuilder } from '../js/nfa_builder.js';
+import { RegexParser, RegexToNFABuilder } from '../js/regex_parser.js';
+import { buildPipelineViews, PIPELINES } from '../js/pipeline.js';
+import { findStronglyConnectedComponents } from '../js/util.js';
+import {
+  analyzeLanguage, countAcceptedByLength, LANGUAGE_SIZE, GROWTH
+} from '../js/language_analysis.js';
+
+/**
+ * Raw view of a regex over {a, b}.
+ * @param {string} pattern
+ */
+function regexView(pattern) {
+  return NFAView.fromNFA(new RegexToNFABuilder(['a', 'b']).build(new RegexParser(pattern).parse()));
+}
+
+describe('countAcceptedByLength()', () => {
+  test('counts binary numbers divisible by 3', () => {
+    const nfa = new NFABuilder({
+      startState: 0,
+      transition: (state, symbol) => (state * 2 + symbol) % 3,
+      accept: (state) => state === 0,
+    }, { symbols: ['0', '1'] }).build();
+
+    // (2^n + 2) / 3 for even n, (2^n + 1) / 3 for odd n.
+    assert.deepStrictEqual(countAcceptedByLength(NFAView.fromNFA(nfa), 6), [1n, 1n, 2n, 3n, 6n, 11n, 22n]);
+  });
+
+  test('counts each string once despite nondeterminism', () => {
+    assert.deepStrictEqual(countAcceptedByLength(regexView('a|a|(a|b)*'), 2), [1n, 2n, 4n]);
+    assert.deepStrictEqual(countAcceptedByLength(regexView('(a|b)*a(a|b)'), 4), [0n, 0n, 2n, 4n, 8n]);
+  });
+
+  test('returns BigInt counts beyond the safe integer range', () => {
+    const counts = countAcceptedByLength(regexView('(a|b)*'), 64);
+    assert.strictEqual(counts[64], 2n ** 64n);
+  });
+});
+
+describe('analyzeLanguage()', () => {
+  test('classifies empty and finite languages', () => {
+    const empty = analyzeLanguage(regexView('~.*'));
+    assert.strictEqual(empty.size, LANGUAGE_SIZE.EMPTY);
+    assert.strictEqual(empty.total, 0n);
+
+    const finite = analyzeLanguage(regexView('b|a{2,3}|()'), { maxLength: 4 });
+    assert.strictEqual(finite.size, LANGUAGE_SIZE.FINITE);
+    assert.strictEqual(finite.total, 4n);
+    assert.deepStrictEqual(finite.counts, [1n, 1n, 1n, 1n, 0n]);
+    assert.strictEqual(finite.growth, null);
+  });
+
+  test('ignores cycles that are not on an accepting path', () => {
+    // 0 -a-> 1 (accepting), 0 -b-> 2 which loops on itself and is dead.
+    const nfa = new NFA(['a', 'b']);
+    for (let i = 0; i < 3; i++) nfa.addState();
+    nfa.addStart(0);
+    nfa.addAccept(1);
+    nfa.addTransition(0, 1, 0);
+    nfa.addTransition(0, 2, 1);
+    nfa.addTransition(2, 2, 0);
+
+    const result = analyzeLanguage(NFAView.fromNFA(nfa));
+    assert.strictEqual(result.size, LANGUAGE_SIZE.FINITE);
+    assert.strictEqual(result.total, 1n);
+  });
+
+  test('reports polynomial growth with its degree', () => {
+    const cases = [['(aa)*', 0], ['a*|b*', 0], ['a*b*', 1], ['a*b*a*', 2]];
+    for (const [pattern, degree] of cases) {
+      const result = analyzeLanguage(regexView(pattern));
+      assert.strictEqual(result.size, LANGUAGE_SIZE.INFINITE, pattern);
+      assert.deepStrictEqual(result.growth, { type: GROWTH.POLYNOMIAL, degree }, pattern);
+    }
+  });
+
+  test('reports exponential growth', () => {
+    for (const pattern of ['(a|b)*abb', '~a', '(ab|a)*']) {
+      const result = analyzeLanguage(regexView(pattern));
+      assert.strictEqual(result.size, LANGUAGE_SIZE.INFINITE, pattern);
+      assert.strictEqual(result.growth.type, GROWTH.EXPONENTIAL, pattern);
+    }
+  });
+
+  test('gives the same result for every pipeline stage', () => {
+    const views = buildPipelineViews(regexView('((a|b)(a|b))*&.*ab.*'), PIPELINES.NFA);
+    const results = views.map(view => analyzeLanguage(view, { maxLength: 6 }));
+    for (const result of results) {
+      assert.deepStrictEqual(result, results[0]);
+    }
+    assert.deepStrictEqual(results[0].counts, [0n, 0n, 1n, 0n, 11n, 0n, 57n]);
+  });
+});
+
+describe('findStronglyConnectedComponents()', () => {
+  test('returns components in reverse topological order', () => {
+    // 0 <-> 1 -> 2 -> 3 -> 2, and 4 alone
+    const edges = [[1], [0, 2], [3], [2], []];
+    const components = findStronglyConnectedComponents(5, node => edges[node]);
+    const sorted = components.map(c => [...c].sort());
+
+    assert.strictEqual(sorted.length, 3);
+    assert(sorted.findIndex(c => c.includes(2)) < sorted.findIndex(c => c.includes(0)));
+    assert.deepStrictEqual(sorted.map(c => c.join()).sort(), ['0,1', '2,3', '4']);
+  });
+
+  test('handles long chains without recursion', () => {
+    const n = 100000;
+    const components = findStronglyConnectedComponents(n, node => (node + 1 < n ? [node + 1] : [0]));
+    assert.strictEqual(components.length, 1);
+    assert.strictEqual(components[0].length, n);
+  });
+});
@@ -166,6 +166,15 @@ describe('NFA', () => {
     });
   });
 
+  describe('universal()', () => {
+    test('accepts every string over the alphabet', () => {
+      const nfa = NFA.universal(['a', 'b']);
+      assert.strictEqual(nfa.numStates(), 1);
+      assert(nfa.matches([]));
+      assert(nfa.matches([['a'], ['b'], ['a']]));
+    });
+  });
+
   describe('clone()', () => {
     test('deep-copies transitions and epsilon transitions', () => {
       const nfa = new NFA(['a']);
@@ -195,6 +204,30 @@ describe('NFA', () => {
     });
   });
 
+  describe('serialize() / deserialize()', () => {
+    test('round-trips through JSON', () => {
+      const nfa = new NFA(['a', 'b']);
+      const s0 = nfa.addState('s0');
+      const s1 = nfa.addState('s1');
+      nfa.addStart(s0);
+      nfa.addAccept(s1);
+      nfa.addTransition(s0, s1, 1);
+      nfa.addTransition(s1, s1, 0);
+      nfa.addEpsilonTransition(s0, s1);
+      nfa.dfaStateSources = [[0], [1, 2]];
+
+      const restored = NFA.deserialize(JSON.parse(JSON.stringify(nfa.serialize())));
+      assert.deepStrictEqual(restored.stateLabels, nfa.stateLabels);
+      assert.deepStrictEqual(restored.getAllTransitions(), nfa.getAllTransitions());
+      assert.deepStrictEqual(restored.getTransitions(s0, 0), []);
+      assert.deepStrictEqual([...restored.startStates], [s0]);
+      assert.deepStrictEqual([...restored.acceptStates], [s1]);
+      assert(restored.epsilonTransitions.get(s0).has(s1));
+      assert.deepStrictEqual(restored.dfaStateSources, nfa.dfaStateSources);
+      assert(restored.matches([['b'], ['a']]));
+    });
+  });
+
   describe('addState()', () => {
     test('adds state with default label', () => {
       const nfa = new NFA(['a']);
@@ -607,6 +640,85 @@ describe('getEquivalentStateRemap()', () => {
 
     assert(transform.isDeleted(s2));
   });
+
+  test('merges equivalent states of a deterministic machine', () => {
+    // (ab)* with a redundant copy of the start state: s0 -a-> s1 -b-> s2 -a-> s1
+    const nfa = new NFA(['a', 'b']);
+    const [s0, s1, s2] = [nfa.addState(), nfa.addState(), nfa.addState()];
+    nfa.addStart(s0);
+    nfa.addAccept(s0);
+    nfa.addAccept(s2);
+    nfa.addTransition(s0, s1, 0);
+    nfa.addTransition(s1, s2, 1);
+    nfa.addTransition(s2, s1, 0);
+
+    const transform = nfa.getEquivalentStateRemap();
+    assert.strictEqual(transform.getCanonical(s2), s0);
+    assert.strictEqual(transform.getCanonical(s1), s1);
+  });
+
+  test('does not merge a missing transition with one to a dead state', () => {
+    const nfa = new NFA(['a']);
+    const [s0, s1, dead] = [nfa.addState(), nfa.addState(), nfa.addState()];
+    nfa.addStart(s0);
+    nfa.addTransition(s1, dead, 0);
+
+    const transform = nfa.getEquivalentStateRemap();
+    assert.notStrictEqual(transform.getCanonical(s0), transform.getCanonical(s1));
+  });
+
+  test('Hopcroft and signature refinement agree on partial DFAs', () => {
+    let seed = 7;
+    const random = (n) => {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      return seed % n;
+    };
+    const sameBlocks = (p, q, states) =>
+      states.every(x => states.every(y => (p[x] === p[y]) === (q[x] === q[y])));
+
+    for (let round = 0; round < 100; round++) {
+      const numStates = 1 + random(20);
+      const numSymbols = 1 + random(3);
+      const nfa = new NFA(['a', 'b', 'c'].slice(0, numSymbols));
+      for (let i = 0; i < numStates; i++) nfa.addState();
+      nfa.addStart(0);
+      for (let i = 0; i < numStates; i++) {
+        if (random(3) === 0) nfa.addAccept(i);
+        for (let a = 0; a < numSymbols; a++) {
+          if (random(4) !== 0) nfa.addTransition(i, random(numStates), a);
+        }
+      }
+      // Every other round, ignore some states (as if pruned).
+      const states = [...Array(numStates).keys()].filter(() => round % 2 === 0 || random(4) !== 0);
+
+      const hopcroft = nfa._hopcroftPartition(states);
+      assert(sameBlocks(hopcroft, nfa._signaturePartition(states), states), `round ${round}`);
+    }
+  });
+
+  test('falls back to signature refinement for nondeterministic machines', () => {
+    const nfa = new NFA(['a']);
+    const [s0, s1, s2] = [nfa.addState(), nfa.addState(), nfa.addState()];
+    nfa.addTransition(s0, s1, 0);
+    nfa.addTransition(s0, s2, 0);
+
+    assert.strictEqual(nfa._hopcroftPartition([s0, s1, s2]), null);
+    // Ignoring one target makes it deterministic.
+    assert.notStrictEqual(nfa._hopcroftPartition([s0, s1]), null);
+  });
+
+  test('minimizes long deterministic cycles', () => {
+    // Counting modulo n: every state is distinguishable.
+    const n = 2000;
+    const nfa = new NFA(['a']);
+    for (let i = 0; i < n; i++) nfa.addState();
+    nfa.addStart(0);
+    nfa.addAccept(n - 1);
+    for (let i = 0; i < n; i++) nfa.addTransition(i, (i + 1) % n, 0);
+
+    const transform = nfa.getEquivalentStateRemap();
+    assert(transform.isIdentity());
+  });
 });
 
 describe('enforceEpsilonTransitions()', () => {
@@ -783,5 +895,272 @@ describe('runAgainst()', () => {
   });
 });
 
+describe('traceInput()', () => {
+  // 0 --a--> {0, 1}, 1 --b--> 2 (accept)
+  const createNFA = () => {
+    const nfa = new NFA(['a', 'b']);
+    const s0 = nfa.addState();
+    const s1 = nfa.addState();
+    const s2 = nfa.addState();
+    nfa.addStart(s0);
+    nfa.addAccept(s2);
+    nfa.addTransition(s0, s0, 0);
+    nfa.addTransition(s0, s1, 0);
+    nfa.addTransition(s1, s2, 1);
+    return nfa;
+  };
+
+  test('returns an initial step plus one step per symbol', () => {
+    const steps = createNFA().traceInput(['a', 'b']);
+    assert.strictEqual(steps.length, 3);
+    assert.strictEqual(steps[0].symbol, null);
+    assert.deepStrictEqual(steps[0].activeStates, [0]);
+    assert.strictEqual(steps[1].symbol, 'a');
+    assert.deepStrictEqual(steps[1].activeStates, [0, 1]);
+    assert.strictEqual(steps[2].symbol, 'b');
+    assert.deepStrictEqual(steps[2].activeStates, [2]);
+  });
+
+  test('records taken edges and died states', () => {
+    const steps = createNFA().traceInput(['a', 'b']);
+    assert.deepStrictEqual(steps[1].takenEdges.sort(), ['0-0', '0-1']);
+    assert.deepStrictEqual(steps[1].diedStates, []);
+    // State 0 has no 'b' transition, so it dies.
+    assert.deepStrictEqual(steps[2].takenEdges, ['1-2']);
+    assert.deepStrictEqual(steps[2].diedStates, [0]);
+  });
+
+  test('reports acceptance per step', () => {
+    const steps = createNFA().traceInput(['a', 'b', 'b']);
+    assert.deepStrictEqual(steps.map(s => s.isAccepting), [false, false, true, false]);
+    assert.deepStrictEqual(steps[3].activeStates, []);
+    assert.deepStrictEqual(steps[3].diedStates, [2]);
+  });
+
+  test('epsilon-closes active sets and records epsilon edges', () => {
+    // 0 --ε--> 1 --a--> 2 --ε--> 3
+    const nfa = new NFA(['a']);
+    for (let i = 0; i < 4; i++) nfa.addState();
+    nfa.addStart(0);
+    nfa.addAccept(3);
+    nfa.addEpsilonTransition(0, 1);
+    nfa.addTransition(1, 2, 0);
+    nfa.addEpsilonTransition(2, 3);
+
+    const steps = nfa.traceInput(['a']);
+    assert.deepStrictEqual(steps[0].activeStates, [0, 1]);
+    assert.deepStrictEqual(steps[0].takenEpsilonEdges, ['0-1']);
+    assert.deepStrictEqual(steps[1].activeStates, [2, 3]);
+    assert.deepStrictEqual(steps[1].takenEpsilonEdges, ['2-3']);
+    // State 0 only reaches 'a' via the closure, so it dies on its own.
+    assert.deepStrictEqual(steps[1].diedStates, [0]);
+    assert(steps[1].isAccepting);
+  });
+
+  test('symbols outside the alphabet kill every active state', () => {
+    const steps = createNFA().traceInput(['z']);
+    assert.deepStrictEqual(steps[1].activeStates, []);
+    assert.deepStrictEqual(steps[1].diedStates, [0]);
+  });
+});
+
+describe('transduce()', () => {
+  // 0 --a/x--> 1, 0 --a/y--> 1, 1 --b--> 2 (accept, Moore output "!")
+  const createTransducer = () => {
+    const nfa = new NFA(['a', 'b']);
+    for (let i = 0; i < 3; i++) nfa.addState();
+    nfa.addStart(0);
+    nfa.addAccept(2);
+    nfa.addTransition(0, 1, 0);
+    nfa.addTransitionOutput(0, 1, 0, 'x');
+    nfa.addTransitionOutput(0, 1, 0, 'y');
+    nfa.addTransition(1, 2, 1);
+    nfa.setStateOutput(2, '!');
+    return nfa;
+  };
+
+  test('collects the outputs of accepting runs', () => {
+    const nfa = createTransducer();
+    assert(nfa.hasOutputs());
+    assert.deepStrictEqual(nfa.transduce(['a', 'b']), { outputs: [['x', '!'], ['y', '!']], truncated: false });
+    assert.deepStrictEqual(nfa.transduce(['a']).outputs, []);
+  });
+
+  test('lists the output alphabet', () => {
+    assert.deepStrictEqual(createTransducer().getOutputSymbols(), ['x', 'y', '!']);
+    assert.deepStrictEqual(new NFA(['a']).getOutputSymbols(), []);
+  });
+
+  test('emits the Moore output of start states and nothing on epsilon transitions', () => {
+    // 0 (">") --ε--> 1 --a--> 2 (accept)
+    const nfa = new NFA(['a']);
+    for (let i = 0; i < 3; i++) nfa.addState();
+    nfa.addStart(0);
+    nfa.addAccept(2);
+    nfa.setStateOutput(0, '>');
+    nfa.setStateOutput(1, 'unused');
+    nfa.addEpsilonTransition(0, 1);
+    nfa.addTransition(1, 2, 0);
+    assert.deepStrictEqual(nfa.transduce(['a']).outputs, [['>']]);
+  });
+
+  test('reports truncation at the run limit', () => {
+    // Every a doubles the number of outputs.
+    const nfa = new NFA(['a']);
+    nfa.addState();
+    nfa.addStart(0);
+    nfa.addAccept(0);
+    nfa.addTransition(0, 0, 0);
+    nfa.addTransitionOutput(0, 0, 0, '0');
+    nfa.addTransitionOutput(0, 0, 0, '1');
+    assert.strictEqual(nfa.transduce(['a', 'a', 'a']).outputs.length, 8);
+    const { outputs, truncated } = nfa.transduce(['a', 'a', 'a'], { maxRuns: 5 });
+    assert.strictEqual(outputs.length, 5);
+    assert(truncated);
+  });
+
+  test('outputs survive clone, serialization and epsilon enforcement', () => {
+    const nfa = createTransducer();
+    for (const copy of [nfa.clone(), NFA.deserialize(JSON.parse(JSON.stringify(nfa.serialize())))]) {
+      assert.deepStrictEqual(copy.transduce(['a', 'b']), nfa.transduce(['a', 'b']));
+    }
+
+    // 0 --a/x--> 1 --ε--> 2 (accept); 0 --a--> 2
+    const withEpsilon = new NFA(['a']);
+    for (let i = 0; i < 3; i++) withEpsilon.addState();
+    withEpsilon.addStart(0);
+    withEpsilon.addAccept(2);
+    withEpsilon.addTransition(0, 1, 0);
+    withEpsilon.addTransitionOutput(0, 1, 0, 'x');
+    withEpsilon.addTransition(0, 2, 0);
+    withEpsilon.addEpsilonTransition(1, 2);
+    const expected = withEpsilon.transduce(['a']);
+    assert.deepStrictEqual(expected.outputs, [[], ['x']]);
+    withEpsilon.enforceEpsilonTransitions();
+    assert.deepStrictEqual(withEpsilon.transduce(['a']), expected);
+  });
+});
+
+describe('findShortestAccepted()', () => {
+  // Binary numbers divisible by 3 (leading zeros allowed).
+  const createMod3 = () => {
+    const nfa = new NFA(['0', '1']);
+    for (let i = 0; i < 3; i++) nfa.addState();
+    nfa.addStart(0);
+    nfa.addAccept(0);
+    for (let r = 0; r < 3; r++) {
+      nfa.addTransition(r, (2 * r) % 3, 0);
+      nfa.addTransition(r, (2 * r + 1) % 3, 1);
+    }
+    return nfa;
+  };
+
+  const buildRegex = (pattern, symbols) =>
+    new RegexToNFABuilder(symbols).build(new RegexParser(pattern).parse());
+
+  test('returns the empty witness when the start state accepts', () => {
+    const result = createMod3().findShortestAccepted();
+    assert.strictEqual(result.status, RunStatus.MATCH);
+    assert.deepStrictEqual(result.witness, []);
+    assert.deepStrictEqual(result.highlights.visitedStates, [0]);
+  });
 
+  test('returns the shortlex-minimal witness of the intersection', () => {
+    const nfa = createMod3();
+    // Shortest non-empty multiple of 3 starting with 1: "11".
+    const result = nfa.findShortestAccepted(buildRegex('1.*', nfa.symbols));
+    assert.strictEqual(result.status, RunStatus.MATCH);
+    assert.deepStrictEqual(result.witness, ['1', '1']);
+    assert.deepStrictEqual(result.highlights.visitedStates, [0, 1]);
+    assert.deepStrictEqual(result.highlights.visitedEdges.sort(), ['0-1', '1-0']);
+    assert.deepStrictEqual(result.highlights.finalStates, [0]);
+  });
+
+  test('returns NO_MATCH without a witness when the intersection is empty', () => {
+    const nfa = createMod3();
+    const result = nfa.findShortestAccepted(buildRegex('10', nfa.symbols));
+    assert.strictEqual(result.status, RunStatus.NO_MATCH);
+    assert.strictEqual(result.witness, null);
+    assert.strictEqual(result.highlights, null);
+  });
+
+  test('reports the step limit', () => {
+    const nfa = createMod3();
+    const result = nfa.findShortestAccepted(buildRegex('1111', nfa.symbols), { maxSteps: 2 });
+    assert.strictEqual(result.status, RunStatus.LIMIT_MAX_STEPS);
+  });
+
+  test('includes the epsilon edges on the witness path', () => {
+    // 0 --ε--> 1 --a--> 2 --ε--> 3 (accept)
+    const nfa = new NFA(['a']);
+    for (let i = 0; i < 4; i++) nfa.addState();
+    nfa.addStart(0);
+    nfa.addAccept(3);
+    nfa.addEpsilonTransition(0, 1);
+    nfa.addTransition(1, 2, 0);
+    nfa.addEpsilonTransition(2, 3);
+
+    const result = nfa.findShortestAccepted();
+    assert.deepStrictEqual(result.witness, ['a']);
+    assert.deepStrictEqual(result.highlights.visitedStates, [0, 1, 2, 3]);
+    assert.deepStrictEqual(result.highlights.visitedEdges, ['1-2']);
+    assert.deepStrictEqual(result.highlights.visitedEpsilonEdges.sort(), ['0-1', '2-3']);
+  });
+});
 
+describe('enumerateAccepted()', () => {
+  const buildRegex = (pattern, symbols = ['a', 'b']) =>
+    new RegexToNFABuilder(symbols).build(new RegexParser(pattern).parse());
+  const list = (nfa, options, limit = 1000) => {
+    const strings = [];
+    for (const string of nfa.enumerateAccepted(options)) {
+      strings.push(string.join(''));
+      if (strings.length === limit) break;
+    }
+    return strings;
+  };
+
+  test('lists strings in shortlex order', () => {
+    assert.deepStrictEqual(list(buildRegex('(a|b)*abb'), {}, 6),
+      ['abb', 'aabb', 'babb', 'aaabb', 'ababb', 'baabb']);
+    assert.deepStrictEqual(list(buildRegex('b|a{2,3}|()')), ['', 'b', 'aa', 'aaa']);
+  });
+
+  test('agrees with matches() on every string up to a length', () => {
+    for (const pattern of ['(ab|a)*b?', '~(.*aa.*)', '((a|b)(a|b))*&.*ab.*']) {
+      const nfa = buildRegex(pattern);
+      const expected = [];
+      for (let length = 0; length <= 6; length++) {
+        for (let bits = 0; bits < (1 << length); bits++) {
+          const string = [...Array(length)].map((_, i) => ((bits >> (length - 1 - i)) & 1 ? 'b' : 'a'));
+          if (nfa.matches(string.map(c => [c]))) expected.push(string.join(''));
+        }
+      }
+      assert.deepStrictEqual(list(nfa, { maxLength: 6 }), expected, pattern);
+    }
+  });
+
+  test('applies length bounds', () => {
+    assert.deepStrictEqual(list(buildRegex('a*b'), { minLength: 3, maxLength: 4 }), ['aab', 'aaab']);
+    assert.deepStrictEqual(list(buildRegex('(aa)*'), { minLength: 3 }, 2), ['aaaa', 'aaaaaa']);
+  });
+
+  test('follows epsilon transitions and ignores dead cycles', () => {
+    // 0 -ε-> 1 -a-> 2 (accepting), and 0 -b-> 3 which loops forever.
+    const nfa = new NFA(['a', 'b']);
+    for (let i = 0; i < 4; i++) nfa.addState();
+    nfa.addStart(0);
+    nfa.addAccept(2);
+    nfa.addEpsilonTransition(0, 1);
+    nfa.addTransition(1, 2, 0);
+    nfa.addTransition(0, 3, 1);
+    nfa.addTransition(3, 3, 0);
+
+    // The iterator must end rather than search the dead loop forever.
+    assert.deepStrictEqual(list(nfa), ['a']);
+  });
+
+  test('yields nothing for the empty language', () => {
+    assert.deepStrictEqual(list(buildRegex('~.*')), []);
+  });
+});
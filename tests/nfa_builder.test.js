@@ -9,7 +9,12 @@ import {
   expandSymbolRegex,
   parseNFAConfig,
   buildCodeFromSplit,
-  parseSplitFromCode
+  parseSplitFromCode,
+  validateSymbolNames,
+  expandSymbols,
+  splitSymbolString,
+  joinSymbolString,
+  emit
 } from '../js/nfa_builder.js';
 import { NFA } from '../js/nfa.js';
 
@@ -278,6 +283,77 @@ describe('buildCodeFromSplit', () => {
   });
 });
 
+// =============================================================================
+// Named Symbol Tests
+// =============================================================================
+
+describe('named symbols', () => {
+  test('validateSymbolNames accepts names and stringifies numbers', () => {
+    assert.deepStrictEqual(validateSymbolNames(['open', 'close', 10]), ['open', 'close', '10']);
+  });
+
+  test('validateSymbolNames rejects empty, duplicate and separator-containing names', () => {
+    assert.throws(() => validateSymbolNames([]), /cannot be empty/);
+    assert.throws(() => validateSymbolNames(['a', 'a']), /Duplicate symbol "a"/);
+    assert.throws(() => validateSymbolNames(['a b']), /Invalid symbol name "a b"/);
+    assert.throws(() => validateSymbolNames(['a,b']), /Invalid symbol name/);
+    assert.throws(() => validateSymbolNames(['']), /Invalid symbol name/);
+    assert.throws(() => validateSymbolNames([null]), /must be strings/);
+  });
+
+  test('expandSymbols reads lists and character classes', () => {
+    assert.deepStrictEqual(expandSymbols('open, close ack'), ['open', 'close', 'ack']);
+    assert.deepStrictEqual(expandSymbols('open,'), ['open']);
+    assert.deepStrictEqual(expandSymbols('a-c'), ['a', 'b', 'c']);
+  });
+
+  test('splitSymbolString and joinSymbolString use tokens for named alphabets', () => {
+    assert.deepStrictEqual(splitSymbolString(' open  ack close', ['open', 'ack', 'close']), ['open', 'ack', 'close']);
+    assert.deepStrictEqual(splitSymbolString('ab', ['a', 'b']), ['a', 'b']);
+    assert.strictEqual(joinSymbolString(['open', 'ack'], ['open', 'ack']), 'open ack');
+    assert.strictEqual(joinSymbolString(['a', 'b'], ['a', 'b']), 'ab');
+  });
+
+  test('parseNFAConfig accepts an array of names', () => {
+    const config = parseNFAConfig(`
+      symbols = ['open', 'close'];
+      startState = 0;
+      function transition(state, symbol) { return state; }
+      function accept(state) { return true; }
+    `);
+    assert.deepStrictEqual(config.symbols, ['open', 'close']);
+    assert.throws(() => parseNFAConfig(`
+      symbols = ['open', 'open'];
+      startState = 0;
+      function transition(state, symbol) { return state; }
+      function accept(state) { return true; }
+    `), /Duplicate symbol "open"/);
+  });
+
+  test('NFABuilder passes names to the transition function unchanged', () => {
+    const seen = [];
+    const config = {
+      startState: 0,
+      transition: (state, symbol) => { seen.push(symbol); return state === 0 && symbol === 'go' ? 1 : undefined; },
+      accept: (state) => state === 1
+    };
+    const nfa = new NFABuilder(config, { symbols: ['go', '12', '3'] }).build();
+    assert(nfa.matches([['go']]));
+    // Only single digits are converted to numbers.
+    assert.deepStrictEqual(seen.slice(0, 3), ['go', '12', 3]);
+  });
+
+  test('round-trips lists through split and unified code', () => {
+    const code = buildCodeFromSplit('open, close', '0', 'return state;', 'return true;');
+    assert(code.includes("symbols = ['open', 'close'];"));
+    assert.strictEqual(parseSplitFromCode(code).symbols, 'open, close');
+
+    const single = buildCodeFromSplit('open,', '0', 'return state;', 'return true;');
+    assert.deepStrictEqual(parseNFAConfig(single).symbols, ['open']);
+    assert.strictEqual(parseSplitFromCode(single).symbols, 'open,');
+  });
+});
+
 // =============================================================================
 // parseSplitFromCode Tests
 // =============================================================================
@@ -501,6 +577,24 @@ describe('NFABuilder', () => {
     // 'ba' should not be accepted
     assert(!nfa.matches([['b'], ['a']]));
   });
+
+  test('reports exploration progress', () => {
+    const config = {
+      startState: 0,
+      transition: (state) => state < 249 ? state + 1 : null,
+      accept: () => false
+    };
+
+    const progress = [];
+    const builder = new NFABuilder(config, { symbols: ['a'], onProgress: p => progress.push(p) });
+    builder.build();
+
+    // One call per 100 explored states, before each one's successors are added.
+    assert.deepStrictEqual(progress, [
+      { states: 100, queued: 0 },
+      { states: 200, queued: 0 },
+    ]);
+  });
 });
 
 // =============================================================================
@@ -774,6 +868,184 @@ describe('epsilon transitions', () => {
   });
 });
 
+// =============================================================================
+// Transducer Tests
+// =============================================================================
+
+describe('transducers', () => {
+  test('builds Mealy outputs from emit(state, output)', () => {
+    const config = parseNFAConfig(`
+      symbols = /[01]/;
+      startState = 0;
+      function transition(state, symbol) { return emit(symbol, state ^ symbol); }
+      function accept(state) { return true; }
+    `);
+    const nfa = new NFABuilder(config, { symbols: config.symbols }).build();
+    assert.strictEqual(nfa.numStates(), 2);
+    assert.deepStrictEqual(nfa.getTransitionOutputs(0, 1, 1), ['1']);
+    assert.deepStrictEqual(nfa.transduce(['1', '1', '0', '1']).outputs, [['1', '0', '1', '1']]);
+  });
+
+  test('builds Moore outputs from the output function', () => {
+    const config = parseNFAConfig(`
+      symbols = /[ab]/;
+      startState = 0;
+      function transition(state, symbol) { return symbol === 'a' ? (state + 1) % 2 : state; }
+      function accept(state) { return true; }
+      function output(state) { return state === 1 ? 'odd' : undefined; }
+    `);
+    const nfa = new NFABuilder(config, { symbols: config.symbols }).build();
+    assert.strictEqual(nfa.getStateOutput(0), undefined);
+    assert.strictEqual(nfa.getStateOutput(1), 'odd');
+    assert.deepStrictEqual(nfa.transduce(['a', 'b', 'a', 'a']).outputs, [['odd', 'odd', 'odd']]);
+  });
+
+  test('targets without an output emit nothing next to ones with outputs', () => {
+    const nfa = new NFABuilder({
+      startState: 0,
+      transition: (state) => state === 0 ? [1, emit(1, 'x')] : undefined,
+      accept: (state) => state === 1,
+    }, { symbols: ['a'] }).build();
+    assert.deepStrictEqual(nfa.getTransitionOutputs(0, 0, 1).sort(), ['', 'x']);
+    assert.deepStrictEqual(nfa.transduce(['a']).outputs, [[], ['x']]);
+  });
+
+  test('plain { state, output } objects are states', () => {
+    const nfa = new NFABuilder({
+      startState: { state: 0, output: 'x' },
+      transition: () => ({ state: 1, output: 'y' }),
+      accept: () => true,
+    }, { symbols: ['a'] }).build();
+    assert(!nfa.hasOutputs());
+    assert.deepStrictEqual(nfa.stateLabels, ['{"output":"x","state":0}', '{"output":"y","state":1}']);
+  });
+
+  test('rejects invalid outputs', () => {
+    const build = (config) => new NFABuilder({ startState: 0, accept: () => true, ...config }, { symbols: ['a'] }).build();
+    assert.throws(() => build({ transition: () => emit(0, ['x']) }), /Output must be a string or number/);
+    assert.throws(() => build({ transition: () => 0, output: () => { throw new Error('boom'); } }),
+      /Output function threw for 0: boom/);
+    assert.throws(() => parseNFAConfig(`
+      symbols = /[a]/; startState = 0;
+      function transition(state) { return state; }
+      function accept(state) { return true; }
+      output = 'x';
+    `), /output must be a function/);
+  });
+
+  test('split code round-trips the output function', () => {
+    const code = buildCodeFromSplit('0-9', '0', 'return state;', 'return true;', '', 'return state;');
+    assert(code.includes('function output(state)'));
+    assert(!code.includes('function epsilon'));
+    assert.strictEqual(typeof parseNFAConfig(code).output, 'function');
+    assert.strictEqual(parseSplitFromCode(code).outputBody, 'return state;');
+    assert.strictEqual(parseSplitFromCode(buildCodeFromSplit('0-9', '0', 'return state;', 'return true;')).outputBody, '');
+  });
+});
+
+// =============================================================================
+// Pushdown Tests
+// =============================================================================
+
+describe('pushdown automata', () => {
+  // a^n b^n, accepted by empty stack
+  const anbnCode = `
+    symbols = /[ab]/;
+    startState = 'as';
+    startStack = [];
+    maxStackDepth = 3;
+    acceptBy = 'empty';
+    function transition(state, symbol, top) {
+      if (state === 'as' && symbol === 'a') return { state: 'as', push: 'A' };
+      if (symbol === 'b' && top === 'A') return { state: 'bs', pop: true };
+    }
+  `;
+  const build = (code) => {
+    const config = parseNFAConfig(code);
+    return new NFABuilder(config, { symbols: config.symbols }).build();
+  };
+  const accepts = (nfa, str) => nfa.matches([...str].map(s => [s]));
+
+  test('explores configurations up to the stack depth', () => {
+    const nfa = build(anbnCode);
+    for (const str of ['', 'ab', 'aabb', 'aaabbb']) assert(accepts(nfa, str), str);
+    for (const str of ['a', 'abb', 'aab', 'ba', 'abab', 'aaaabbbb']) assert(!accepts(nfa, str), str);
+    assert.strictEqual(nfa.stateLabels[0], '"as" []');
+    assert(nfa.stateLabels.includes('"as" ["A","A"]'));
+  });
+
+  test('keeps the control states with stack actions on their edges', () => {
+    const { control, acceptBy, maxStackDepth, depthLimitReached } = build(anbnCode).pushdown;
+    assert.deepStrictEqual(control.stateLabels, ['"as"', '"bs"']);
+    assert.deepStrictEqual(control.getTransitionOutputs(0, 0, 0), ['push A']);
+    assert.deepStrictEqual(control.getTransitionOutputs(0, 1, 1), ['pop A']);
+    assert.deepStrictEqual([acceptBy, maxStackDepth, depthLimitReached], ['empty', 3, true]);
+    // Both control states are reached with an empty stack.
+    assert.deepStrictEqual([...control.acceptStates].sort(), [0, 1]);
+  });
+
+  test('maps each configuration to its control state', () => {
+    const nfa = build(anbnCode);
+    const { control, controlOf } = nfa.pushdown;
+    assert.strictEqual(controlOf.length, nfa.numStates());
+    nfa.stateLabels.forEach((label, id) => {
+      assert.strictEqual(label.split(' ')[0], control.stateLabels[controlOf[id]], label);
+    });
+  });
+
+  // Palindromes around a middle "c", accepted in state "done"
+  const palindromeCode = `
+    symbols = /[abc]/;
+    startState = 'push';
+    startStack = ['$'];
+    maxStackDepth = 4;
+    function transition(state, symbol, top) {
+      if (state === 'push' && symbol === 'c') return 'pop';
+      if (state === 'push') return { state, push: symbol };
+      if (state === 'pop' && symbol === top) return { state, pop: true };
+    }
+    function epsilon(state, top) {
+      if (state === 'pop' && top === '$') return { state: 'done', pop: true };
+    }
+    function accept(state) { return state === 'done'; }
+  `;
+
+  test('accepts by final state', () => {
+    const nfa = build(palindromeCode);
+    for (const str of ['c', 'abcba', 'aacaa']) assert(accepts(nfa, str), str);
+    for (const str of ['', 'abcab', 'acaa']) assert(!accepts(nfa, str), str);
+    assert.strictEqual(nfa.pushdown.depthLimitReached, true);
+  });
+
+  test('labels epsilon moves with their stack actions', () => {
+    const { control } = build(palindromeCode).pushdown;
+    assert.deepStrictEqual(control.stateLabels, ['"push"', '"pop"', '"done"']);
+    assert.deepStrictEqual(control.getEpsilonOutputs(1, 2), ['pop $']);
+    assert.deepStrictEqual(NFA.deserialize(control.serialize()).getEpsilonOutputs(1, 2), ['pop $']);
+    assert.deepStrictEqual(control.clone().getEpsilonOutputs(1, 2), ['pop $']);
+  });
+
+  test('survives serialization', () => {
+    const nfa = build(anbnCode);
+    const copy = NFA.deserialize(JSON.parse(JSON.stringify(nfa.serialize())));
+    assert.deepStrictEqual(copy.pushdown.control.stateLabels, nfa.pushdown.control.stateLabels);
+    assert.deepStrictEqual(copy.pushdown.control.getTransitionOutputs(0, 0, 0), ['push A']);
+  });
+
+  test('rejects invalid pushdown definitions', () => {
+    assert.throws(() => parseNFAConfig(anbnCode.replace("acceptBy = 'empty'", "acceptBy = 'both'")),
+      /acceptBy must be/);
+    assert.throws(() => parseNFAConfig(anbnCode.replace("acceptBy = 'empty'", "acceptBy = 'final'")),
+      /accept must be a function/);
+    assert.throws(() => parseNFAConfig(anbnCode.replace('startStack = [];', 'startStack = 1;')),
+      /startStack must be an array/);
+    assert.throws(() => parseNFAConfig(anbnCode.replace('startStack = [];', '')),
+      /require startStack/);
+    assert.throws(() => build(anbnCode.replace("{ state: 'as', push: 'A' }", "{ state: 'as', pop: true }")),
+      /Cannot pop the empty stack in state "as"/);
+  });
+});
+
 // =============================================================================
 // User Function Call Count Tests
 // =============================================================================
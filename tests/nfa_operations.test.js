@@ -0,0 +1,227 @@
+/**
+ * Tests for nfa_operations.js - language operations on NFAs
+ */
+
+import { test, describe, assert } from './test_utils.js';
+import { NFA } from '../js/nfa.js';
+import { RegexParser, RegexToNFABuilder } from '../js/regex_parser.js';
+import { NFAView } from '../js/nfa_view.js';
+import { DFABuilder } from '../js/dfa_builder.js';
+import {
+  determinize, complement, union, intersection, difference, concatenation, star, checkEquivalence,
+  product, productView, withAlphabet, alignAlphabets,
+} from '../js/nfa_operations.js';
+
+const SYMBOLS = ['a', 'b'];
+
+/**
+ * Build an NFA from a regex over SYMBOLS.
+ * @param {string} pattern
+ * @returns {NFA}
+ */
+function regexNFA(pattern) {
+  return new RegexToNFABuilder([...SYMBOLS]).build(new RegexParser(pattern).parse());
+}
+
+/**
+ * Check acceptance of a plain string (one symbol per character).
+ * @param {NFA} nfa
+ * @param {string} input
+ * @returns {boolean}
+ */
+function accepts(nfa, input) {
+  return nfa.matches(input.split('').map(c => [c]));
+}
+
+describe('determinize()', () => {
+  test('produces an equivalent deterministic NFA', () => {
+    const nfa = regexNFA('(a|b)*abb');
+    const dfa = determinize(nfa);
+
+    assert.strictEqual(dfa.epsilonTransitions.size, 0);
+    for (let s = 0; s < dfa.numStates(); s++) {
+      for (let i = 0; i < dfa.symbols.length; i++) {
+        assert(dfa.getTransitions(s, i).length <= 1);
+      }
+    }
+    for (const input of ['abb', 'babb', 'ab', '']) {
+      assert.strictEqual(accepts(dfa, input), accepts(nfa, input), input);
+    }
+  });
+
+  test('does not mutate the input NFA', () => {
+    const nfa = regexNFA('a*b');
+    const before = nfa.epsilonTransitions.size;
+    determinize(nfa);
+    assert.strictEqual(nfa.epsilonTransitions.size, before);
+  });
+});
+
+describe('complement()', () => {
+  test('accepts exactly the rejected strings', () => {
+    const nfa = regexNFA('a*b');
+    const comp = complement(nfa);
+    for (const input of ['', 'a', 'b', 'ab', 'aab', 'ba', 'abb']) {
+      assert.strictEqual(accepts(comp, input), !accepts(nfa, input), input);
+    }
+  });
+
+  test('complements the empty language to everything', () => {
+    const nfa = new NFA([...SYMBOLS]);
+    nfa.addStart(nfa.addState());
+    const comp = complement(nfa);
+    assert(accepts(comp, ''));
+    assert(accepts(comp, 'abba'));
+  });
+});
+
+describe('union()', () => {
+  test('accepts strings from either operand', () => {
+    const result = union(regexNFA('a+'), regexNFA('b'));
+    for (const input of ['a', 'aaa', 'b']) assert(accepts(result, input), input);
+    for (const input of ['', 'ab', 'bb']) assert(!accepts(result, input), input);
+    assert(checkEquivalence(result, regexNFA('a+|b')).equivalent);
+  });
+
+  test('rejects mismatched alphabets', () => {
+    const other = new RegexToNFABuilder(['a']).build(new RegexParser('a').parse());
+    assert.throws(() => union(regexNFA('a'), other), /identical alphabets/);
+  });
+});
+
+describe('intersection()', () => {
+  test('accepts strings accepted by both operands', () => {
+    const result = intersection(regexNFA('(a|b)*a'), regexNFA('a(a|b)*'));
+    assert(checkEquivalence(result, regexNFA('a|a(a|b)*a')).equivalent);
+    assert.strictEqual(result.epsilonTransitions.size, 0);
+  });
+
+  test('labels states with their product pair', () => {
+    const a = regexNFA('a');
+    const b = regexNFA('a');
+    const result = intersection(a, b);
+    const [start] = result.startStates;
+    assert.match(result.stateLabels[start], /^\(.+, .+\)$/);
+  });
+
+  test('enforces maxStates', () => {
+    assert.throws(
+      () => intersection(regexNFA('(a|b)*a(a|b)(a|b)'), regexNFA('(a|b)*b(a|b)'), { maxStates: 3 }),
+      /maxStates=3/);
+  });
+});
+
+describe('product() / productView()', () => {
+  test('records the pair of each product state', () => {
+    const a = regexNFA('(a|b)*a');
+    const b = regexNFA('a(a|b)*');
+    const { nfa, pairs } = product(a, b);
+    assert.strictEqual(pairs.length, nfa.numStates());
+    for (const [id, [p, q]] of pairs.entries()) {
+      assert.strictEqual(nfa.stateLabels[id], `(${a.stateLabels[p]}, ${b.stateLabels[q]})`);
+      assert.strictEqual(nfa.isAccepting(id), a.isAccepting(p) && b.isAccepting(q));
+    }
+  });
+
+  test('names view product states by their pair', () => {
+    // q0 -a-> q1 (accept), merged view states keep their canonical IDs.
+    const nfa = new NFA([...SYMBOLS]);
+    nfa.addState();
+    nfa.addState();
+    nfa.addStart(0);
+    nfa.addAccept(1);
+    nfa.addTransition(0, 1, 0);
+    const view = NFAView.fromNFA(nfa, { stateIdPrefix: 'q' });
+
+    const result = productView(view, regexNFA('a'), { otherPrefix: 'r' });
+    const names = [...result.view.mergedSources.keys()].map(id => result.view.getStateIdString(id));
+    assert.match(names[0], /^\(q0, r\d+\)$/);
+    assert(names.some(name => name.startsWith('(q1, r')));
+    assert(result.view.nfa.matches([['a']]));
+    assert.deepStrictEqual(result.pairs.map(([p]) => p), [0, 1]);
+  });
+});
+
+describe('difference()', () => {
+  test('removes strings accepted by the second operand', () => {
+    const result = difference(regexNFA('a*'), regexNFA('aa'));
+    for (const input of ['', 'a', 'aaa']) assert(accepts(result, input), input);
+    for (const input of ['aa', 'b']) assert(!accepts(result, input), input);
+  });
+});
+
+describe('concatenation()', () => {
+  test('accepts a string from each operand in sequence', () => {
+    const result = concatenation(regexNFA('a|b'), regexNFA('b*'));
+    assert(checkEquivalence(result, regexNFA('(a|b)b*')).equivalent);
+  });
+});
+
+describe('star()', () => {
+  test('accepts zero or more repetitions', () => {
+    const result = star(regexNFA('ab'));
+    assert(checkEquivalence(result, regexNFA('(ab)*')).equivalent);
+  });
+
+  test('result is usable as the base of an NFAView', () => {
+    const view = NFAView.fromNFA(star(regexNFA('a|b')))
+      .withEpsilonClosure()
+      .withDeadStatesPruned()
+      .withEquivalentStatesMerged();
+    assert.strictEqual(view.getStats().dead, 0);
+    assert(checkEquivalence(DFABuilder.build(view), regexNFA('(a|b)*')).equivalent);
+  });
+});
+
+describe('withAlphabet() / alignAlphabets()', () => {
+  test('maps transitions by symbol', () => {
+    const nfa = regexNFA('ab*');
+    const reordered = withAlphabet(nfa, ['c', 'b', 'a']);
+    assert.deepStrictEqual(reordered.symbols, ['c', 'b', 'a']);
+    assert(accepts(reordered, 'abb'));
+    assert(!accepts(reordered, 'ba'));
+    assert.strictEqual(withAlphabet(nfa, SYMBOLS), nfa);
+    assert.throws(() => withAlphabet(nfa, ['a']), /missing symbols: b/);
+  });
+
+  test('extends the first alphabet by the symbols of the second', () => {
+    const other = new RegexToNFABuilder(['d', 'b']).build(new RegexParser('d|b').parse());
+    const [a, b] = alignAlphabets(regexNFA('a|b'), other);
+    assert.deepStrictEqual(a.symbols, [...SYMBOLS, 'd']);
+    assert.deepStrictEqual(b.symbols, a.symbols);
+    assert.deepStrictEqual(checkEquivalence(a, b).counterexample, ['a']);
+  });
+});
+
+describe('checkEquivalence()', () => {
+  test('reports equivalent languages', () => {
+    const result = checkEquivalence(regexNFA('(a|b)*'), regexNFA('(a*b*)*'));
+    assert.strictEqual(result.equivalent, true);
+    assert.strictEqual(result.counterexample, null);
+  });
+
+  test('returns the shortest counterexample and who accepts it', () => {
+    const result = checkEquivalence(regexNFA('a*'), regexNFA('a*|b'));
+    assert.strictEqual(result.equivalent, false);
+    assert.deepStrictEqual(result.counterexample, ['b']);
+    assert.strictEqual(result.acceptedBy, 'second');
+  });
+
+  test('picks the shortlex-smaller witness across both directions', () => {
+    // Only the first accepts "aa"; only the second accepts "b".
+    const result = checkEquivalence(regexNFA('a|aa'), regexNFA('a|b'));
+    assert.deepStrictEqual(result.counterexample, ['b']);
+    assert.strictEqual(result.acceptedBy, 'second');
+  });
+
+  test('distinguishes on the empty string', () => {
+    const result = checkEquivalence(regexNFA('a*'), regexNFA('a+'));
+    assert.deepStrictEqual(result.counterexample, []);
+    assert.strictEqual(result.acceptedBy, 'first');
+  });
+
+  test('rejects mismatched alphabets', () => {
+    const other = new RegexToNFABuilder(['a']).build(new RegexParser('a').parse());
+    assert.throws(() => checkEquivalence(regexNFA('a'), other), /identical alphabets/);
+  });
+});
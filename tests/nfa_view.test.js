@@ -380,6 +380,40 @@ describe('NFAView', () => {
     });
   });
 
+  describe('getStronglyConnectedComponents()', () => {
+    test('returns components in topological order', () => {
+      const nfa = createTestNFA(['a', 'b']);
+      for (let i = 0; i < 5; i++) nfa.addState();
+      nfa.addStart(0);
+      nfa.addTransition(0, 1, 0); // q0 --a--> q1
+      nfa.addTransition(1, 2, 0); // q1 --a--> q2
+      nfa.addTransition(2, 1, 1); // q2 --b--> q1
+      nfa.addTransition(2, 3, 1); // q2 --b--> q3
+      nfa.addTransition(3, 3, 0); // q3 --a--> q3
+      nfa.addTransition(0, 4, 1); // q0 --b--> q4
+      const view = NFAView.fromNFA(nfa);
+
+      const components = view.getStronglyConnectedComponents();
+      assert.deepStrictEqual(components.map(c => c.length).sort(), [1, 1, 1, 2]);
+      const index = (id) => components.findIndex(c => c.includes(id));
+      assert.deepStrictEqual(components[index(1)], [1, 2]);
+      assert(index(0) < index(1) && index(1) < index(3));
+      assert(index(0) < index(4));
+    });
+
+    test('follows epsilon transitions and uses canonical states', () => {
+      const nfa = createTestNFA(['a']);
+      for (let i = 0; i < 3; i++) nfa.addState();
+      nfa.addTransition(0, 1, 0); // q0 --a--> q1
+      nfa.addEpsilonTransition(1, 0);
+      nfa.addTransition(1, 2, 0); // q1 --a--> q2
+      // q2 is merged into q1
+      const view = new NFAView(nfa, { transform: new StateTransformation(new Int32Array([0, 1, 1])) });
+
+      assert.deepStrictEqual(view.getStronglyConnectedComponents(), [[0, 1]]);
+    });
+  });
+
   describe('getStateInfo() with raw epsilon view', () => {
     test('start state stays live if epsilon closure reaches live path', () => {
       const nfa = createTestNFA(['a']);
@@ -465,4 +499,140 @@ describe('NFAView', () => {
       assert.deepStrictEqual(display, ['q0: A', 'q2: C']);
     });
   });
+
+  describe('pipeline derivations', () => {
+    /**
+     * q0 -a-> q1 -b-> q2 (accept), q1 -a-> q1, q3 -a-> q2 (unreachable)
+     * @returns {NFAView}
+     */
+    function createView() {
+      const nfa = createTestNFA();
+      for (let i = 0; i < 4; i++) nfa.addState();
+      nfa.addStart(0);
+      nfa.addAccept(2);
+      nfa.addTransition(0, 1, 0);
+      nfa.addTransition(1, 2, 1);
+      nfa.addTransition(1, 1, 0);
+      nfa.addTransition(3, 2, 0);
+      return NFAView.fromNFA(nfa, { stateIdPrefix: 'q' });
+    }
+
+    const accepted = (view) => [...view.enumerateAccepted({ maxLength: 4 })].map(s => s.join(''));
+
+    test('withUnreachableStatesTrimmed() deletes unreachable states', () => {
+      const trimmed = createView().withUnreachableStatesTrimmed();
+      assert.deepStrictEqual([...trimmed.mergedSources.keys()].sort(), [0, 1, 2]);
+      assert.strictEqual(trimmed.withUnreachableStatesTrimmed(), trimmed);
+    });
+
+    test('withReversal() accepts the reversed language', () => {
+      const view = createView();
+      const reversed = view.withReversal();
+      assert(reversed.isReversed());
+      assert.deepStrictEqual(accepted(reversed), ['ba', 'baa', 'baaa']);
+      assert.deepStrictEqual(accepted(reversed.withReversal()), accepted(view));
+      assert(!reversed.withReversal().isReversed());
+    });
+
+    test('withSinkCompletion() adds a trap for missing transitions', () => {
+      const view = createView();
+      const completed = view.withSinkCompletion();
+      assert.strictEqual(completed.getStats().total, 5);
+      for (const id of completed.mergedSources.keys()) {
+        const symbols = [...completed.getTransitionsFrom(id).values()].flat();
+        assert.deepStrictEqual(symbols.sort(), ['a', 'b']);
+      }
+      assert.strictEqual(completed.nfa.stateLabels[4], 'trap');
+      assert.deepStrictEqual(accepted(completed), accepted(view));
+      assert.strictEqual(completed.withSinkCompletion(), completed);
+    });
+
+    test('withReversal() and withSinkCompletion() keep transducer outputs', () => {
+      // q0 -a/x-> q1 -ε/pop-> q2 -b/y-> q3 (accept, Moore 'end')
+      const nfa = createTestNFA();
+      for (let i = 0; i < 4; i++) nfa.addState();
+      nfa.addStart(0);
+      nfa.addAccept(3);
+      nfa.addTransition(0, 1, 0);
+      nfa.addEpsilonTransition(1, 2);
+      nfa.addTransition(2, 3, 1);
+      nfa.addTransitionOutput(0, 1, 0, 'x');
+      nfa.addEpsilonOutput(1, 2, 'pop');
+      nfa.addTransitionOutput(2, 3, 1, 'y');
+      nfa.setStateOutput(3, 'end');
+      const view = NFAView.fromNFA(nfa);
+
+      const reversed = view.withReversal().nfa;
+      assert.deepStrictEqual(reversed.transduce(['b', 'a']).outputs, [['end', 'y', 'x']]);
+      assert.deepStrictEqual(reversed.getEpsilonOutputs(2, 1), ['pop']);
+
+      const completed = view.withSinkCompletion().nfa;
+      assert.deepStrictEqual(completed.transduce(['a', 'b']).outputs, [['x', 'y', 'end']]);
+      assert.deepStrictEqual(completed.getEpsilonOutputs(1, 2), ['pop']);
+    });
+
+    test('withDeterminization() applies epsilon closure first', () => {
+      const nfa = createTestNFA();
+      for (let i = 0; i < 3; i++) nfa.addState();
+      nfa.addStart(0);
+      nfa.addAccept(2);
+      nfa.addEpsilonTransition(0, 1);
+      nfa.addTransition(1, 2, 0);
+      nfa.addTransition(0, 2, 0);
+
+      const dfa = NFAView.fromNFA(nfa).withDeterminization();
+      assert(dfa.isDeterministic());
+      assert.deepStrictEqual(accepted(dfa), ['a']);
+    });
+
+    test('withSinkCompletion() reuses an existing trap', () => {
+      const nfa = createTestNFA();
+      for (let i = 0; i < 3; i++) nfa.addState();
+      nfa.addStart(0);
+      nfa.addAccept(1);
+      nfa.addTransition(0, 1, 0);
+      nfa.addTransition(0, 2, 1);
+      nfa.addTransition(2, 2, 0);
+      nfa.addTransition(2, 2, 1);
+
+      const completed = NFAView.fromNFA(nfa).withSinkCompletion();
+      assert.strictEqual(completed.nfa.numStates(), 3);
+      assert.deepStrictEqual([...completed.getTransitionsFrom(1)], [[2, ['a', 'b']]]);
+    });
+
+    test('getTrapStates() finds non-accepting states that only loop', () => {
+      const view = createView();
+      assert.deepStrictEqual([...view.getTrapStates()], []);
+      assert.deepStrictEqual([...view.withSinkCompletion().getTrapStates()], [4]);
+    });
+
+    test('getStats() reports partial and complete sizes', () => {
+      const view = createView();
+      const stats = view.getStats();
+      assert.strictEqual(stats.partial, 4);
+      assert.strictEqual(stats.complete, 5);
+
+      const completed = view.withSinkCompletion().getStats();
+      assert.strictEqual(completed.total, 5);
+      assert.strictEqual(completed.partial, 4);
+      assert.strictEqual(completed.complete, 5);
+    });
+
+    test('withMinimization() derives the minimal DFA', () => {
+      const view = createView();
+      const minimized = view.withReversal().withMinimization();
+      assert(minimized.isDeterministic());
+      assert.strictEqual(minimized.getStats().total, 3);
+      assert.strictEqual(minimized.getStateIdPrefix(), "q'");
+      assert.deepStrictEqual(accepted(minimized), ['ba', 'baa', 'baaa']);
+    });
+
+    test('withSubsetExpansion() of a derived view resolves raw source IDs', () => {
+      const view = createView();
+      const dfa = view.withReversal().withSubsetExpansion().withReversal().withSubsetExpansion();
+      const sources = [...dfa.mergedSources.keys()].flatMap(id => dfa.getResolvedSourceIds(id));
+      assert(sources.every(id => id >= 0 && id < 4));
+      assert.deepStrictEqual(accepted(dfa), accepted(view));
+    });
+  });
 });
@@ -0,0 +1,77 @@
+/**
+ * Tests for permalink.js - URL fragment encoding of editor state
+ */
+
+import { test, describe, assert } from './test_utils.js';
+import {
+  bytesToBase64Url, base64UrlToBytes, normalizePermalinkState, isPermalink,
+  encodePermalink, decodePermalink, PERMALINK_PREFIX, PERMALINK_VERSION,
+} from '../js/permalink.js';
+
+const STATE = {
+  mode: 'regex',
+  editors: { regex: '(ab|ä)*', regexSymbols: 'abä' },
+  options: {},
+  testInput: 'ab.*',
+  stepInput: 'abab',
+  layout: 'circle',
+  pipeline: { active: 'dfa', nfa: 2, dfa: 1 },
+};
+
+// The harness runs tests synchronously, so resolve async results up front.
+const encoded = await encodePermalink(STATE);
+const decoded = await decodePermalink(encoded);
+const corruptError = await decodePermalink(`${PERMALINK_PREFIX}AAAA`).then(() => null, e => e);
+
+describe('permalink base64url', () => {
+  test('round-trips arbitrary bytes without padding or unsafe characters', () => {
+    const bytes = new Uint8Array([0, 251, 255, 62, 63, 128, 7]);
+    const str = bytesToBase64Url(bytes);
+    assert.match(str, /^[A-Za-z0-9_-]*$/);
+    assert.deepStrictEqual(base64UrlToBytes(str), bytes);
+  });
+
+  test('rejects non-base64url input', () => {
+    assert.throws(() => base64UrlToBytes('a+b/'), /not base64url/);
+  });
+});
+
+describe('normalizePermalinkState()', () => {
+  test('fills in defaults', () => {
+    const state = normalizePermalinkState({ v: PERMALINK_VERSION, mode: 'split' });
+    assert.deepStrictEqual(state.editors, {});
+    assert.strictEqual(state.testInput, '');
+    assert.deepStrictEqual(state.pipeline, { active: 'nfa', nfa: 0, dfa: 0 });
+  });
+
+  test('keeps pipeline stages only when both are lists of IDs', () => {
+    const stages = { nfa: ['raw', 'reverse'], dfa: ['expand'] };
+    const state = normalizePermalinkState({ v: PERMALINK_VERSION, mode: 'split', pipeline: { stages } });
+    assert.deepStrictEqual(state.pipeline.stages, stages);
+
+    const malformed = normalizePermalinkState({
+      v: PERMALINK_VERSION, mode: 'split', pipeline: { stages: { nfa: ['raw', 1], dfa: ['expand'] } },
+    });
+    assert.strictEqual(malformed.pipeline.stages, undefined);
+  });
+
+  test('rejects unknown versions and malformed editors', () => {
+    assert.throws(() => normalizePermalinkState({ v: 99, mode: 'split' }), /unsupported version/);
+    assert.throws(
+      () => normalizePermalinkState({ v: PERMALINK_VERSION, mode: 'split', editors: { regex: 1 } }),
+      /"editors"/);
+  });
+});
+
+describe('encodePermalink() / decodePermalink()', () => {
+  test('produce a prefixed fragment that restores the state', () => {
+    assert(isPermalink(encoded));
+    assert(!isPermalink('#other'));
+    assert.deepStrictEqual(decoded, STATE);
+  });
+
+  test('report corrupt data', () => {
+    assert(corruptError instanceof Error);
+    assert.match(corruptError.message, /Invalid permalink/);
+  });
+});
@@ -0,0 +1,245 @@
+/**
+ * Tests for pipeline.js - building and serializing view pipelines
+ */
+
+import { test, describe, assert } from './test_utils.js';
+import { NFA } from '../js/nfa.js';
+import { NFAView } from '../js/nfa_view.js';
+import { RegexParser, RegexToNFABuilder } from '../js/regex_parser.js';
+import {
+  STAGES, PIPELINES, PIPELINE_PRESETS, buildPipelineViews, serializePipeline, deserializePipeline,
+  registerStage, getStageLabel, getAddableStages, validatePipeline,
+} from '../js/pipeline.js';
+
+/**
+ * q0 -ε-> q1, q0 -ε-> q2, q1 -a-> q3 (accept), q2 -a-> q4 (accept),
+ * q3/q4 loop on a, q0 -b-> q5 (dead)
+ * @returns {NFA}
+ */
+function createTestNFA() {
+  const nfa = new NFA(['a', 'b']);
+  for (let i = 0; i < 6; i++) nfa.addState(`s${i}`);
+  nfa.addStart(0);
+  nfa.addAccept(3);
+  nfa.addAccept(4);
+  nfa.addEpsilonTransition(0, 1);
+  nfa.addEpsilonTransition(0, 2);
+  nfa.addTransition(1, 3, 0);
+  nfa.addTransition(2, 4, 0);
+  nfa.addTransition(3, 3, 0);
+  nfa.addTransition(4, 4, 0);
+  nfa.addTransition(0, 5, 1);
+  return nfa;
+}
+
+/**
+ * Summarize what a view displays.
+ * @param {NFAView} view
+ * @returns {Object}
+ */
+function describeView(view) {
+  const ids = [...view.mergedSources.keys()].sort((a, b) => a - b);
+  return {
+    stats: view.getStats(),
+    states: ids.map(id => view.getStateIdString(id)),
+    transitions: ids.map(id => [...view.getTransitionsFrom(id)]),
+    epsilon: ids.map(id => [...view.getEpsilonTransitionsFrom(id)]),
+  };
+}
+
+describe('buildPipelineViews()', () => {
+  test('returns one view per stage, starting with the base view', () => {
+    const base = NFAView.fromNFA(createTestNFA());
+    const views = buildPipelineViews(base, PIPELINES.NFA);
+
+    assert.strictEqual(views.length, PIPELINES.NFA.length);
+    assert.strictEqual(views[0], base);
+    assert.strictEqual(views[PIPELINES.NFA.indexOf(STAGES.PRUNE)].getStats().dead, 0);
+  });
+
+  test('runs the registered derivation of each stage', () => {
+    const base = NFAView.fromNFA(createTestNFA());
+    const [, reversed, completed, minimized] = buildPipelineViews(
+      base, [STAGES.RAW, STAGES.REVERSE, STAGES.COMPLETE, STAGES.MINIMIZE]);
+
+    assert(reversed.isReversed());
+    assert.deepStrictEqual([...reversed.nfa.startStates].sort(), [3, 4]);
+    assert.strictEqual(completed.getStats().total, 7);
+    assert(minimized.isDeterministic());
+    assert(minimized.isReversed());
+  });
+
+  test('uses stages added to the registry', () => {
+    registerStage('test-identity', { label: 'Identity', derive: view => view });
+    const base = NFAView.fromNFA(createTestNFA());
+
+    assert.strictEqual(getStageLabel('test-identity'), 'Identity');
+    assert(getAddableStages().includes('test-identity'));
+    assert(!getAddableStages().includes(STAGES.RAW));
+    assert.deepStrictEqual(buildPipelineViews(base, [STAGES.RAW, 'test-identity']), [base, base]);
+  });
+});
+
+describe('transducer pipelines', () => {
+  test('every NFA stage transduces like the built automaton', () => {
+    // Binary to Gray code, plus a Moore output and an epsilon move into
+    // a copy of the start state.
+    const nfa = new NFA(['0', '1']);
+    for (let i = 0; i < 4; i++) nfa.addState();
+    nfa.addStart(0);
+    [0, 1, 2, 3].forEach(id => nfa.addAccept(id));
+    nfa.addEpsilonTransition(0, 3);
+    for (const [from, base] of [[0, 0], [3, 0], [1, 1], [2, 0]]) {
+      for (const bit of [0, 1]) {
+        nfa.addTransition(from, bit === 0 ? 2 : 1, bit);
+        nfa.addTransitionOutput(from, bit === 0 ? 2 : 1, bit, String(base ^ bit));
+      }
+    }
+    nfa.setStateOutput(3, 'start');
+
+    const inputs = [[], ['1'], ['0', '1'], ['1', '1', '0', '1'], ['0', '0', '1', '0']];
+    const expected = inputs.map(input => nfa.transduce(input).outputs);
+    const views = buildPipelineViews(NFAView.fromNFA(nfa), PIPELINES.NFA);
+    for (let i = 0; i < views.length; i++) {
+      const stageNFA = views[i].toNFA();
+      assert.deepStrictEqual(inputs.map(input => stageNFA.transduce(input).outputs), expected, PIPELINES.NFA[i]);
+    }
+  });
+});
+
+describe('Brzozowski pipeline', () => {
+  const regexView = (pattern) => NFAView.fromNFA(
+    new RegexToNFABuilder(['a', 'b']).build(new RegexParser(pattern).parse()), { stateIdPrefix: 'q' });
+
+  test('has four stages after the raw view', () => {
+    const views = buildPipelineViews(regexView('(a|b)*abb'), PIPELINES.BRZOZOWSKI);
+    assert.strictEqual(views.length, 5);
+    assert.deepStrictEqual(views.map(view => view.isReversed()), [false, true, true, false, false]);
+    assert(views[2].isDeterministic());
+    assert(views[4].isDeterministic());
+  });
+
+  test('agrees with partition refinement', () => {
+    for (const pattern of ['(a|b)*abb', 'a(ab)*b*', '(aa|b)*a', 'ab|ba|aa']) {
+      const view = regexView(pattern);
+      const brzozowski = buildPipelineViews(view, PIPELINES.BRZOZOWSKI).at(-1);
+      const refined = view.withMinimization();
+      assert.strictEqual(brzozowski.getStats().total, refined.getStats().total, pattern);
+      assert.deepStrictEqual(
+        [...brzozowski.enumerateAccepted({ maxLength: 5 })], [...view.enumerateAccepted({ maxLength: 5 })], pattern);
+    }
+  });
+
+  test('resolves state sources back to raw states', () => {
+    const view = regexView('(a|b)*abb');
+    const numRawStates = view.getStats().total;
+    for (const stage of buildPipelineViews(view, PIPELINES.BRZOZOWSKI).slice(2)) {
+      for (const id of stage.mergedSources.keys()) {
+        const sources = stage.getResolvedSourceIds(id);
+        assert(sources.length > 0 && sources.every(source => source < numRawStates));
+        assert(stage.getDisplayStrings(id).every(text => /^q\d+: /.test(text)));
+      }
+    }
+  });
+
+  test('survives serialization', () => {
+    const views = buildPipelineViews(regexView('a(ab)*b*'), PIPELINES.BRZOZOWSKI);
+    const restored = deserializePipeline(structuredClone(serializePipeline(views)), { stateIdPrefix: 'q' });
+    for (let i = 0; i < views.length; i++) {
+      assert.deepStrictEqual(describeView(restored[i]), describeView(views[i]));
+      assert.deepStrictEqual(
+        [...restored[i].mergedSources.keys()].map(id => restored[i].getDisplayStrings(id)),
+        [...views[i].mergedSources.keys()].map(id => views[i].getDisplayStrings(id)));
+    }
+  });
+});
+
+describe('validatePipeline()', () => {
+  test('accepts the default pipelines and presets', () => {
+    assert.strictEqual(validatePipeline(PIPELINES.NFA, STAGES.RAW), null);
+    assert.strictEqual(validatePipeline(PIPELINES.DFA, STAGES.EXPAND), null);
+    for (const preset of Object.values(PIPELINE_PRESETS)) {
+      assert.strictEqual(validatePipeline(preset.nfa, STAGES.RAW), null);
+      assert.strictEqual(validatePipeline(preset.dfa, STAGES.EXPAND), null);
+    }
+  });
+
+  test('offers completion in the editor but not in the default DFA pipeline', () => {
+    assert(getAddableStages().includes(STAGES.COMPLETE));
+    assert(!PIPELINES.DFA.includes(STAGES.COMPLETE));
+    assert.strictEqual(validatePipeline([...PIPELINES.DFA, STAGES.COMPLETE], STAGES.EXPAND), null);
+  });
+
+  test('requires the base stage first, and only first', () => {
+    assert.match(validatePipeline([STAGES.EPSILON], STAGES.RAW), /must start with Raw/);
+    assert.match(validatePipeline([STAGES.RAW, STAGES.RAW], STAGES.RAW), /only be the first stage/);
+    assert.match(validatePipeline([STAGES.RAW, 'nope'], STAGES.RAW), /Unknown pipeline stage: nope/);
+  });
+
+  test('requires epsilon-free input where needed', () => {
+    assert.match(validatePipeline([STAGES.RAW, STAGES.MERGE], STAGES.RAW), /Merged States needs/);
+    assert.match(validatePipeline([STAGES.RAW, STAGES.PRUNE, STAGES.FORWARD_SIM], STAGES.RAW), /ε-Closure/);
+    assert.strictEqual(validatePipeline([STAGES.RAW, STAGES.MINIMIZE, STAGES.MERGE], STAGES.RAW), null);
+    assert.strictEqual(validatePipeline([STAGES.EXPAND, STAGES.REVERSE, STAGES.MERGE], STAGES.EXPAND), null);
+  });
+});
+
+describe('serializePipeline() / deserializePipeline()', () => {
+  test('rebuilds equivalent views from structured-cloned data', () => {
+    const views = buildPipelineViews(NFAView.fromNFA(createTestNFA(), { stateIdPrefix: 'q' }), PIPELINES.NFA);
+    const data = structuredClone(serializePipeline(views));
+    const restored = deserializePipeline(data, { stateIdPrefix: 'q' });
+
+    assert.strictEqual(restored.length, views.length);
+    for (let i = 0; i < views.length; i++) {
+      assert.deepStrictEqual(describeView(restored[i]), describeView(views[i]));
+    }
+  });
+
+  test('shares the source view and NFAs between stages', () => {
+    const views = buildPipelineViews(NFAView.fromNFA(createTestNFA()), PIPELINES.NFA);
+    const data = serializePipeline(views);
+
+    // Raw NFA plus the ε-closed copy; prune and merge only remap states.
+    assert.strictEqual(data.nfas.length, 2);
+
+    const layoutState = {};
+    const restored = deserializePipeline(data, { layoutState });
+    assert(restored.every(view => view.getSourceView() === restored[0]));
+    assert(restored.every(view => view.layoutState === layoutState));
+  });
+
+  test('supports subset expansion of a restored view', () => {
+    const views = buildPipelineViews(NFAView.fromNFA(createTestNFA()), PIPELINES.NFA);
+    const restored = deserializePipeline(serializePipeline(views));
+    const expanded = restored[1].withSubsetExpansion();
+
+    assert.deepStrictEqual(describeView(expanded), describeView(views[1].withSubsetExpansion()));
+  });
+
+  test('attaches restored views to an existing source view', () => {
+    const sourceView = NFAView.fromNFA(createTestNFA(), { stateIdPrefix: 'q' });
+    const expanded = sourceView.withEpsilonClosure().withSubsetExpansion();
+    const dfaViews = buildPipelineViews(expanded, PIPELINES.DFA);
+    const restored = deserializePipeline(serializePipeline(dfaViews), { sourceView, stateIdPrefix: 'q' });
+
+    assert(restored.every(view => view.getSourceView() === sourceView));
+    for (let i = 0; i < dfaViews.length; i++) {
+      assert.deepStrictEqual(describeView(restored[i]), describeView(dfaViews[i]));
+      assert.strictEqual(restored[i].getStateIdPrefix(), "q'");
+    }
+  });
+
+  test('restores reversed and subset-expanded views', () => {
+    const stages = [STAGES.RAW, STAGES.EPSILON, STAGES.REVERSE, STAGES.MINIMIZE, STAGES.COMPLETE];
+    const views = buildPipelineViews(NFAView.fromNFA(createTestNFA(), { stateIdPrefix: 'q' }), stages);
+    const restored = deserializePipeline(structuredClone(serializePipeline(views)), { stateIdPrefix: 'q' });
+
+    for (let i = 0; i < views.length; i++) {
+      assert.deepStrictEqual(describeView(restored[i]), describeView(views[i]));
+      assert.strictEqual(restored[i].isReversed(), views[i].isReversed());
+      assert.strictEqual(restored[i].getStateIdPrefix(), views[i].getStateIdPrefix());
+    }
+    assert.strictEqual(restored[3].getStateIdPrefix(), "q'");
+  });
+});
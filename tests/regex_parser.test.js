@@ -55,6 +55,85 @@ describe('RegexParser', () => {
     assert(ast instanceof RegexAstNode.Quantifier);
     assert(ast.child instanceof RegexAstNode.Concat);
   });
+
+  test('parses non-capturing groups as plain groups', () => {
+    const ast = new RegexParser('(?:ab)+').parse();
+    assert(ast instanceof RegexAstNode.Quantifier);
+    assert(ast.child instanceof RegexAstNode.Concat);
+  });
+
+  test('parses escapes as literals', () => {
+    const ast = new RegexParser('\\*\\.\\\\').parse();
+    assert.deepStrictEqual(ast.parts.map(p => p.chars), [['*'], ['.'], ['\\']]);
+    assert(ast.parts.every(p => !p.negated));
+  });
+
+  test('parses predefined classes', () => {
+    const digits = new RegexParser('\\d').parse();
+    assert.strictEqual(digits.chars.join(''), '0123456789');
+    assert(!digits.negated);
+
+    const nonWord = new RegexParser('\\W').parse();
+    assert(nonWord.negated);
+    assert(nonWord.chars.includes('_'));
+
+    const cls = new RegexParser('[\\d\\-x]').parse();
+    assert.deepStrictEqual(cls.chars.sort(), [...'-0123456789x'].sort());
+  });
+
+  test('treats a trailing - in a class as a literal', () => {
+    assert.deepStrictEqual(new RegexParser('[a-]').parse().chars, ['a', '-']);
+  });
+
+  test('parses intersection below alternation and above concatenation', () => {
+    const ast = new RegexParser('ab&c|d').parse();
+    assert(ast instanceof RegexAstNode.Alternate);
+    assert(ast.options[0] instanceof RegexAstNode.Intersect);
+    assert(ast.options[0].options[0] instanceof RegexAstNode.Concat);
+  });
+
+  test('applies complement to the following quantified atom', () => {
+    const ast = new RegexParser('~a*b').parse();
+    assert(ast instanceof RegexAstNode.Concat);
+    assert(ast.parts[0] instanceof RegexAstNode.Complement);
+    assert(ast.parts[0].child instanceof RegexAstNode.Quantifier);
+  });
+
+  test('parses symbol names in token mode', () => {
+    const ast = new RegexParser(' open (ack | nak)* close ', { tokens: true }).parse();
+    assert(ast instanceof RegexAstNode.Concat);
+    assert.deepStrictEqual(ast.parts[0].chars, ['open']);
+    assert.deepStrictEqual(ast.parts[1].child.options.map(o => o.chars), [['ack'], ['nak']]);
+    assert.deepStrictEqual(ast.parts[2].chars, ['close']);
+  });
+
+  test('parses class name lists and escapes in token mode', () => {
+    const cls = new RegexParser('[^open, close ack]', { tokens: true }).parse();
+    assert(cls.negated);
+    assert.deepStrictEqual(cls.chars, ['open', 'close', 'ack']);
+
+    const escaped = new RegexParser('a\\.b\\ c', { tokens: true }).parse();
+    assert.deepStrictEqual(escaped.chars, ['a.b c']);
+
+    assert.throws(() => new RegexParser('open ,', { tokens: true }).parse(), /Expected a symbol name at position 5/);
+  });
+
+  test('reports errors with positions', () => {
+    const cases = [
+      ['ab\\q', /Unknown escape '\\q' at position 2/],
+      ['a\\', /Incomplete escape at position 1/],
+      ['[\\D]', /Negated class '\\D' is not supported inside \[\.\.\.\] at position 1/],
+      ['x[a-\\d]', /Invalid character range 'a-\\d' at position 2/],
+      ['[c-a]', /Invalid character range 'c-a' at position 1/],
+      ['a[bc', /Unclosed character class at position 1/],
+      ['(?=a)', /Unsupported group syntax '\(\?=' at position 0/],
+      ['a(b', /Unclosed group at position 1/],
+      ['a&~', /Unexpected end of pattern at position 3/],
+    ];
+    for (const [pattern, error] of cases) {
+      assert.throws(() => new RegexParser(pattern).parse(), error, pattern);
+    }
+  });
 });
 
 describe('RegexToNFABuilder', () => {
@@ -107,6 +186,13 @@ describe('RegexToNFABuilder', () => {
     testRegex('a?', 'aa', false);
   });
 
+  test('skipping an optional group does not enter its trailing star', () => {
+    testRegex('(ab*)?', 'b', false);
+    testRegex('(ab*)?c', 'bc', false);
+    testRegex('(ab*){0,2}', 'abbab', true);
+    testRegex('(ab*){0,2}', 'ababa', false);
+  });
+
   test('builds NFA for complex expression', () => {
     // (a|b)*c
     testRegex('(a|b)*c', 'c', true);
@@ -116,6 +202,56 @@ describe('RegexToNFABuilder', () => {
     testRegex('(a|b)*c', 'aba', false);
   });
 
+  test('builds NFA for escaped metacharacters', () => {
+    const nfa = new RegexToNFABuilder(['a', '*', '.']).build(new RegexParser('a\\*\\.').parse());
+    assert(nfa.matches([['a'], ['*'], ['.']]));
+    assert(!nfa.matches([['a'], ['a'], ['.']]));
+  });
+
+  test('builds NFA for intersection', () => {
+    // Strings of a/b with an even length that contain 'ab'
+    testRegex('((a|b)(a|b))*&.*ab.*', 'ab', true);
+    testRegex('((a|b)(a|b))*&.*ab.*', 'baab', true);
+    testRegex('((a|b)(a|b))*&.*ab.*', 'bab', false);
+    testRegex('((a|b)(a|b))*&.*ab.*', 'bbaa', false);
+  });
+
+  test('builds intersections beyond the default product limit', () => {
+    // The product of these operands needs more than 1000 states
+    const pattern = '(a|b)*a(a|b){5}&(a|b)*b(a|b){4}';
+    const nfa = new RegexToNFABuilder(symbols).build(new RegexParser(pattern).parse());
+    assert(nfa.matches([['b'], ['a'], ['b'], ['a'], ['a'], ['a'], ['a']]));
+    assert(!nfa.matches([['b'], ['a'], ['a'], ['a'], ['a'], ['a'], ['a']]));
+  });
+
+  test('reports the & operand that exceeds the state limit', () => {
+    const pattern = 'a*&(a|b)*b(a|b){5}';
+    const ast = new RegexParser(pattern).parse();
+    assert.deepStrictEqual(ast.sources.map(s => s.position), [0, 3]);
+    assert.throws(
+      () => new RegexToNFABuilder(symbols, { maxOperationStates: 10 }).build(ast),
+      /Intersection with '&' operand '\(a\|b\)\*b\(a\|b\)\{5\}' at position 3 exceeds 10 states/);
+  });
+
+  test('builds NFA for complement', () => {
+    testRegex('~a', '', true);
+    testRegex('~a', 'a', false);
+    testRegex('~a', 'aa', true);
+    testRegex('~(.*c.*)', 'abab', true);
+    testRegex('~(.*c.*)', 'abcb', false);
+    testRegex('a~(b*)', 'a', false);
+    testRegex('a~(b*)', 'abc', true);
+  });
+
+  test('builds NFA over named symbols in token mode', () => {
+    const names = ['open', 'ack', 'nak', 'close'];
+    const nfa = new RegexToNFABuilder(names).build(
+      new RegexParser('open (ack|nak){0,2} close', { tokens: true }).parse());
+    assert(nfa.matches([['open'], ['close']]));
+    assert(nfa.matches([['open'], ['nak'], ['ack'], ['close']]));
+    assert(!nfa.matches([['open'], ['ack'], ['ack'], ['ack'], ['close']]));
+  });
+
   test('generates unique state labels', () => {
     const testCases = [
       'aa',           // Repeated characters
@@ -126,7 +262,8 @@ describe('RegexToNFABuilder', () => {
       'a*a*',         // Repeated quantifiers
       '((a))',        // Nested groups
       '(a|b)*c+(d|e)', // Complex mix
-      'a{2,3}a{2,3}'   // Repeated range quantifiers
+      'a{2,3}a{2,3}',  // Repeated range quantifiers
+      '~a~a&(a|b)&a*', // Complements and intersections
     ];
 
     for (const regex of testCases) {
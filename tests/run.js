@@ -8,5 +8,17 @@ import './nfa_builder.test.js';
 import './nfa_view.test.js';
 import './visualizer.test.js';
 import './regex_parser.test.js';
+import './nfa_operations.test.js';
+import './export.test.js';
+import './import.test.js';
+import './permalink.test.js';
+import './pipeline.test.js';
+import './build_service.test.js';
+import './state_elimination.test.js';
+import './simulation.test.js';
+import './language_analysis.test.js';
+import './sampler.test.js';
+import './ambiguity.test.js';
+import './buchi.test.js';
 
 process.exit(report() ? 0 : 1);
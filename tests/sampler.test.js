@@ -0,0 +1,103 @@
+/**
+ * Tests for sampler.js - uniform sampling of accepted and rejected strings
+ */
+
+import { test, describe, assert } from './test_utils.js';
+import { NFAView } from '../js/nfa_view.js';
+import { RegexParser, RegexToNFABuilder } from '../js/regex_parser.js';
+import { createRandom } from '../js/util.js';
+import { StringSampler, sampleStrings } from '../js/sampler.js';
+
+/**
+ * Raw view of a regex over {a, b}.
+ * @param {string} pattern
+ */
+function regexView(pattern) {
+  return NFAView.fromNFA(new RegexToNFABuilder(['a', 'b']).build(new RegexParser(pattern).parse()));
+}
+
+/**
+ * Count how often each sampled string occurs.
+ * @param {string[][]} samples
+ * @returns {Map<string, number>}
+ */
+function tally(samples) {
+  const counts = new Map();
+  for (const sample of samples) {
+    const key = sample.join('');
+    counts.set(key, (counts.get(key) ?? 0) + 1);
+  }
+  return counts;
+}
+
+describe('createRandom()', () => {
+  test('is reproducible for a seed', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const c = createRandom(43);
+    const first = [a(), a(), a()];
+    assert.deepStrictEqual([b(), b(), b()], first);
+    assert.notDeepStrictEqual([c(), c(), c()], first);
+    assert(first.every(x => Number.isInteger(x) && x >= 0 && x < 2 ** 32));
+  });
+});
+
+describe('StringSampler', () => {
+  test('counts accepted and rejected strings of a length', () => {
+    const sampler = new StringSampler(regexView('(a|b)*abb|a*'));
+    assert.strictEqual(sampler.count(3), 2n);
+    assert.strictEqual(sampler.count(3, false), 6n);
+    assert.strictEqual(sampler.count(100), 2n ** 97n + 1n);
+  });
+
+  test('returns null when no string has the wanted verdict', () => {
+    const random = createRandom(1);
+    assert.strictEqual(new StringSampler(regexView('(a|b)*abb')).sample(2, random), null);
+    assert.strictEqual(new StringSampler(regexView('.*')).sample(2, random, false), null);
+    assert.deepStrictEqual(new StringSampler(regexView('~.*')).sample(0, random, false), []);
+  });
+
+  test('samples accepted strings uniformly, not by path count', () => {
+    // The NFA has more paths for aaaa than for the other strings.
+    const samples = sampleStrings(regexView('(a|b)*abb|a*|aa*a'), { length: 4, count: 6000, seed: 3 });
+    const counts = tally(samples);
+    assert.deepStrictEqual([...counts.keys()].sort(), ['aaaa', 'aabb', 'babb']);
+    for (const count of counts.values()) {
+      assert(Math.abs(count - 2000) < 200, `${count} is far from 2000`);
+    }
+  });
+
+  test('samples rejected strings uniformly', () => {
+    const samples = sampleStrings(regexView('(a|b)*abb|a*'), { length: 3, count: 6000, accepted: false, seed: 5 });
+    const counts = tally(samples);
+    assert.deepStrictEqual([...counts.keys()].sort(), ['aab', 'aba', 'baa', 'bab', 'bba', 'bbb']);
+    for (const count of counts.values()) {
+      assert(Math.abs(count - 1000) < 150, `${count} is far from 1000`);
+    }
+  });
+});
+
+describe('sampleStrings()', () => {
+  test('returns strings with the wanted verdict', () => {
+    const view = regexView('(a|b)*a(a|b){5}');
+    for (const accepted of [true, false]) {
+      const samples = sampleStrings(view, { length: 12, count: 20, accepted, seed: 9 });
+      assert.strictEqual(samples.length, 20);
+      for (const sample of samples) {
+        assert.strictEqual(sample.length, 12);
+        assert.strictEqual(view.nfa.matches(sample.map(s => [s])), accepted, sample.join(''));
+      }
+    }
+  });
+
+  test('reproduces samples from the same seed', () => {
+    const view = regexView('(a|b)*a(a|b){5}');
+    const first = sampleStrings(view, { length: 30, seed: 12 });
+    assert.deepStrictEqual(sampleStrings(view, { length: 30, seed: 12 }), first);
+    assert.notDeepStrictEqual(sampleStrings(view, { length: 30, seed: 13 }), first);
+  });
+
+  test('returns no samples when none exist', () => {
+    assert.deepStrictEqual(sampleStrings(regexView('a{2}'), { length: 3 }), []);
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Tests for simulation.js - simulation preorders and simulation-based reduction
+ */
+
+import { test, describe, assert } from './test_utils.js';
+import { NFA } from '../js/nfa.js';
+import { NFAView } from '../js/nfa_view.js';
+import { RegexParser, RegexToNFABuilder } from '../js/regex_parser.js';
+import { checkEquivalence } from '../js/nfa_operations.js';
+import { buildPipelineViews, PIPELINES, STAGES } from '../js/pipeline.js';
+import { SIMULATION, computeSimulation, reduceBySimulation } from '../js/simulation.js';
+
+/**
+ * Build an NFA from a list of [from, symbol, to] transitions.
+ * @param {{states: number, start: number[], accept: number[], edges: Array<[number, string, number]>}} spec
+ * @returns {NFA}
+ */
+function buildNFA({ states, start, accept, edges }) {
+  const nfa = new NFA(['a', 'b']);
+  for (let i = 0; i < states; i++) nfa.addState();
+  start.forEach(id => nfa.addStart(id));
+  accept.forEach(id => nfa.addAccept(id));
+  for (const [from, symbol, to] of edges) {
+    nfa.addTransition(from, to, nfa.getSymbolIndex(symbol));
+  }
+  return nfa;
+}
+
+/**
+ * Canonical states of a view.
+ * @param {NFAView} view
+ * @returns {number[]}
+ */
+function canonicalStates(view) {
+  return [...view.mergedSources.keys()].sort((a, b) => a - b);
+}
+
+describe('computeSimulation()', () => {
+  test('relates states by matching transitions and acceptance', () => {
+    // 0 -a-> 2, 1 -a-> 2, 1 -b-> 2, 2 accepting
+    const succ = [[[2], [2], []], [[], [2], []]];
+    const pred = [[[], [], [0, 1]], [[], [], [1]]];
+    const sim = computeSimulation(3, succ, pred, [false, false, true]);
+    const simulates = (q, p) => (sim[p][q >>> 5] & (1 << (q & 31))) !== 0;
+
+    assert(simulates(1, 0));
+    assert(!simulates(0, 1));
+    assert(simulates(2, 2));
+    assert(!simulates(0, 2));
+  });
+});
+
+describe('reduceBySimulation()', () => {
+  test('returns null when nothing can be reduced', () => {
+    const nfa = buildNFA({ states: 2, start: [0], accept: [1], edges: [[0, 'a', 1]] });
+    assert.strictEqual(reduceBySimulation(NFAView.fromNFA(nfa), SIMULATION.FORWARD), null);
+    assert.strictEqual(reduceBySimulation(NFAView.fromNFA(nfa), SIMULATION.BACKWARD), null);
+  });
+
+  test('forward: merges states that simulate each other', () => {
+    // 1 and 2 both accept a*, but 2 takes an extra state to do it.
+    const nfa = buildNFA({
+      states: 4, start: [0], accept: [1, 2, 3],
+      edges: [[0, 'a', 1], [0, 'b', 2], [1, 'a', 1], [2, 'a', 3], [3, 'a', 2]],
+    });
+    const view = NFAView.fromNFA(nfa).withForwardSimulationReduction();
+
+    assert.deepStrictEqual(canonicalStates(view), [0, 1]);
+    assert.deepStrictEqual(view.mergedSources.get(1), [1, 2, 3]);
+    assert(checkEquivalence(nfa, view.nfa).equivalent);
+  });
+
+  test('forward: prunes transitions to strictly simulated siblings', () => {
+    // 0 -a-> 1 (accepts a) and 0 -a-> 2 (accepts a and aa).
+    const nfa = buildNFA({
+      states: 4, start: [0], accept: [1, 2, 3],
+      edges: [[0, 'a', 1], [0, 'a', 2], [1, 'a', 3], [2, 'a', 3], [2, 'b', 3]],
+    });
+    const view = NFAView.fromNFA(nfa).withForwardSimulationReduction();
+
+    assert.deepStrictEqual(canonicalStates(view), [0, 2, 3]);
+    assert.deepStrictEqual([...view.getTransitionsFrom(0).keys()], [2]);
+    assert(checkEquivalence(nfa, view.nfa).equivalent);
+  });
+
+  test('backward: merges states with the same histories', () => {
+    // 1 and 2 are both reached by exactly "a".
+    const nfa = buildNFA({
+      states: 4, start: [0], accept: [3],
+      edges: [[0, 'a', 1], [0, 'a', 2], [1, 'a', 3], [2, 'b', 3]],
+    });
+    const view = NFAView.fromNFA(nfa).withBackwardSimulationReduction();
+
+    assert.deepStrictEqual(canonicalStates(view), [0, 1, 3]);
+    assert.deepStrictEqual(view.mergedSources.get(1), [1, 2]);
+    assert.deepStrictEqual(view.getTransitionsFrom(1), new Map([[3, ['a', 'b']]]));
+    assert(checkEquivalence(nfa, view.nfa).equivalent);
+  });
+
+  test('keeps merged start and accept flags', () => {
+    // Both start states accept a*: they are merged into state 0.
+    const nfa = buildNFA({
+      states: 2, start: [0, 1], accept: [0, 1],
+      edges: [[0, 'a', 0], [1, 'a', 1]],
+    });
+    const view = NFAView.fromNFA(nfa).withForwardSimulationReduction();
+
+    assert.deepStrictEqual(canonicalStates(view), [0]);
+    assert(view.isStart(0) && view.isAccepting(0));
+  });
+
+  test('preserves the language of random NFAs', () => {
+    let seed = 11;
+    const random = (n) => {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      return seed % n;
+    };
+
+    for (let round = 0; round < 100; round++) {
+      const numStates = 1 + random(7);
+      const nfa = new NFA(['a', 'b']);
+      for (let i = 0; i < numStates; i++) nfa.addState();
+      nfa.addStart(0);
+      for (let i = 0; i < numStates; i++) {
+        if (random(3) === 0) nfa.addAccept(i);
+        if (random(5) === 0) nfa.addStart(i);
+        for (let a = 0; a < 2; a++) {
+          for (let j = 0; j < numStates; j++) {
+            if (random(4) === 0) nfa.addTransition(i, j, a);
+          }
+        }
+      }
+
+      for (const direction of [SIMULATION.FORWARD, SIMULATION.BACKWARD]) {
+        const reduced = reduceBySimulation(NFAView.fromNFA(nfa), direction);
+        if (!reduced) continue;
+        assert(checkEquivalence(nfa, reduced.nfa).equivalent, `round ${round}, ${direction}`);
+      }
+    }
+  });
+
+  test('rejects epsilon transitions', () => {
+    const nfa = buildNFA({ states: 2, start: [0], accept: [1], edges: [] });
+    nfa.addEpsilonTransition(0, 1);
+    assert.throws(() => reduceBySimulation(NFAView.fromNFA(nfa), SIMULATION.FORWARD), /epsilon/);
+  });
+});
+
+describe('simulation pipeline stages', () => {
+  test('reduce beyond the MERGE stage and keep the language', () => {
+    const nfa = new RegexToNFABuilder(['a', 'b']).build(new RegexParser('(a|b)*a(a|b)(a|b)').parse());
+    const views = buildPipelineViews(NFAView.fromNFA(nfa), PIPELINES.NFA);
+    const merged = views[PIPELINES.NFA.indexOf(STAGES.MERGE)];
+    const reduced = views[PIPELINES.NFA.indexOf(STAGES.BACKWARD_SIM)];
+
+    assert(reduced.getStats().total < merged.getStats().total);
+    assert.strictEqual(reduced.getSourceView(), views[0]);
+    assert(checkEquivalence(nfa, reduced.nfa).equivalent);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Tests for state_elimination.js - automaton to regex conversion
+ */
+
+import { test, describe, assert } from './test_utils.js';
+import { NFA } from '../js/nfa.js';
+import { RegexParser, RegexToNFABuilder } from '../js/regex_parser.js';
+import { NFAView } from '../js/nfa_view.js';
+import { checkEquivalence } from '../js/nfa_operations.js';
+import { buildPipelineViews, PIPELINES } from '../js/pipeline.js';
+import { hasNamedSymbols } from '../js/nfa_builder.js';
+import { eliminateStates, viewToRegex, GNFA_START, GNFA_FINAL } from '../js/state_elimination.js';
+
+const SYMBOLS = ['a', 'b', 'c'];
+
+/**
+ * Build an NFA from a regex.
+ * @param {string} pattern
+ * @param {string[]} [symbols]
+ */
+function regexNFA(pattern, symbols = SYMBOLS) {
+  const parser = new RegexParser(pattern, { tokens: hasNamedSymbols(symbols) });
+  return new RegexToNFABuilder([...symbols]).build(parser.parse());
+}
+
+/**
+ * Views for every stage of the NFA pipeline.
+ * @param {string} pattern
+ * @param {string[]} [symbols]
+ */
+function pipelineViews(pattern, symbols = SYMBOLS) {
+  return buildPipelineViews(NFAView.fromNFA(regexNFA(pattern, symbols)), PIPELINES.NFA);
+}
+
+/** Regex for the final (merged) stage of a pattern's pipeline. */
+function simplified(pattern, symbols = SYMBOLS) {
+  return viewToRegex(pipelineViews(pattern, symbols).at(-1));
+}
+
+describe('viewToRegex() round trip', () => {
+  const patterns = [
+    '(a|b)*abb', '(ab|a)*', 'a?b+', '[^c]c', '~a', '()', 'a{2,3}',
+    '((a|b)(a|b))*&.*ab.*', '(a.b*)?c', '~.*',
+  ];
+
+  for (const pattern of patterns) {
+    test(`every pipeline stage of ${pattern} converts to an equivalent regex`, () => {
+      const nfa = regexNFA(pattern);
+      for (const view of pipelineViews(pattern)) {
+        const regex = viewToRegex(view);
+        assert(checkEquivalence(nfa, regexNFA(regex)).equivalent, `${pattern} → ${regex}`);
+      }
+    });
+  }
+
+  test('repeated plus forms keep their minimum length', () => {
+    // 0 -a-> 1 -a-> 2 with a-loops at 1 and 2: at least two a's.
+    const nfa = new NFA(SYMBOLS);
+    for (let i = 0; i < 3; i++) nfa.addState();
+    nfa.addStart(0);
+    nfa.addAccept(2);
+    for (const [from, to] of [[0, 1], [1, 1], [1, 2], [2, 2]]) nfa.addTransition(from, to, 0);
+
+    const regex = viewToRegex(NFAView.fromNFA(nfa));
+    assert(checkEquivalence(nfa, regexNFA(regex)).equivalent, regex);
+  });
+
+  test('named symbols are printed in token syntax', () => {
+    const symbols = ['open', 'send', 'ack', 'close'];
+    const regex = simplified('open (send ack)* close', symbols);
+    assert.strictEqual(regex, 'open (send ack)* close');
+    assert(checkEquivalence(regexNFA('open (send ack)* close', symbols), regexNFA(regex, symbols)).equivalent);
+  });
+
+  test('metacharacter symbols are escaped', () => {
+    const symbols = ['a', '*', '.'];
+    const regex = simplified('a\\*\\.', symbols);
+    assert.strictEqual(regex, 'a\\*\\.');
+  });
+});
+
+describe('simplification', () => {
+  test('stars and plus forms collapse', () => {
+    assert.strictEqual(simplified('a*'), 'a*');
+    assert.strictEqual(simplified('(a+)*'), 'a*');
+    assert.strictEqual(simplified('a+|()'), 'a*');
+    assert.strictEqual(simplified('ab*'), 'ab*');
+  });
+
+  test('single-symbol alternatives become classes', () => {
+    assert.strictEqual(simplified('a|b'), '[^c]');
+    assert.strictEqual(simplified('a|b|c'), '.');
+    const letters = ['a', 'b', 'c', 'd', 'e', 'f'];
+    assert.strictEqual(simplified('[ab]', letters), '[ab]');
+    assert.strictEqual(simplified('[a-c]', letters), '[a-c]');
+    assert.strictEqual(simplified('[a-e]', letters), '[^f]');
+  });
+
+  test('common prefixes are factored out', () => {
+    assert.strictEqual(simplified('a{2,3}'), 'aaa?');
+  });
+
+  test('empty language and empty string', () => {
+    assert.strictEqual(simplified('~.*'), '~.*');
+    assert.strictEqual(simplified('()'), '()');
+  });
+});
+
+describe('eliminateStates() steps', () => {
+  test('starts with the GNFA and removes one state per step', () => {
+    const view = pipelineViews('ab*').at(-1);
+    const { steps } = eliminateStates(view);
+    const states = [...view.mergedSources.keys()];
+
+    assert.strictEqual(steps.length, states.length + 1);
+    assert.strictEqual(steps[0].eliminated, null);
+    assert.deepStrictEqual([...steps[0].remaining].sort(), [...states].sort());
+    assert(steps[0].edges.some(e => e.from === GNFA_START && e.label === '()'));
+    assert(steps[0].edges.some(e => e.to === GNFA_FINAL && e.label === '()'));
+
+    const eliminated = steps.slice(1).map(s => s.eliminated);
+    assert.deepStrictEqual([...eliminated].sort(), [...states].sort());
+    steps.slice(1).forEach((step, i) => {
+      assert.strictEqual(step.remaining.length, states.length - i - 1);
+      assert(!step.edges.some(e => e.from === step.eliminated || e.to === step.eliminated));
+    });
+  });
+
+  test('the final step has a single start → final edge labelled with the regex', () => {
+    const { regex, steps } = eliminateStates(pipelineViews('ab*').at(-1));
+    assert.deepStrictEqual(steps.at(-1).edges.map(e => [e.from, e.to, e.label, e.updated]),
+      [[GNFA_START, GNFA_FINAL, regex, true]]);
+  });
+
+  test('marks edges updated by each step', () => {
+    const { steps } = eliminateStates(pipelineViews('abc').at(-1));
+    assert(steps[0].edges.every(e => !e.updated));
+    for (const step of steps.slice(1)) {
+      assert(step.edges.some(e => e.updated), `step eliminating ${step.eliminated}`);
+    }
+  });
+
+  test('fails once expressions exceed the length limit', () => {
+    const view = pipelineViews('((a|b)(a|b))*&.*ab.*').at(-1);
+    assert.throws(() => eliminateStates(view, { maxLength: 20 }), /Regex too large/);
+  });
+});
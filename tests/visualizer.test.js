@@ -1,6 +1,8 @@
 
 import { test, describe, assert } from './test_utils.js';
-import { compactSymbolLabel, NFAVisualizer } from '../js/visualizer.js';
+import { NFA } from '../js/nfa.js';
+import { NFAView } from '../js/nfa_view.js';
+import { compactSymbolLabel, transducerSymbolLabel, NFAVisualizer, COMPONENT_DISPLAY } from '../js/visualizer.js';
 
 describe('Visualizer Utilities', () => {
   describe('compactSymbolLabel', () => {
@@ -25,6 +27,20 @@ describe('Visualizer Utilities', () => {
     test('handles non-range sequences', () => {
       assert.strictEqual(compactSymbolLabel(['a', 'c', 'e']), 'ace');
     });
+
+    test('separates named symbols with commas', () => {
+      assert.strictEqual(compactSymbolLabel(['open', 'ack']), 'open,ack');
+      assert.strictEqual(compactSymbolLabel(['a', 'b', 'c', 'close']), 'a,b,c,close');
+      assert.strictEqual(compactSymbolLabel(['close']), 'close');
+    });
+  });
+
+  describe('transducerSymbolLabel', () => {
+    test('groups symbols by their outputs', () => {
+      const outputs = new Map([['a', ['x']], ['b', ['x']], ['c', ['', 'y']]]);
+      assert.strictEqual(transducerSymbolLabel(['a', 'b', 'c', 'd'], outputs), 'ab/x, c/ε|y, d');
+      assert.strictEqual(transducerSymbolLabel(['a', 'b'], new Map()), 'ab');
+    });
   });
 });
 
@@ -152,5 +168,156 @@ describe('NFAVisualizer Logic', () => {
       assert(result.visitedStates.has(2));
       assert(result.visitedEdges.has('1-2'));
     });
+
+    test('folds highlights onto the states that draw them', () => {
+      const viz = new NFAVisualizer(null);
+      viz.view = createMockView();
+      // States 0 and 2 of the folded view are drawn as state 0, and state 3
+      // as both 0 and 1.
+      const statesOf = [[0], [1], [0], [0, 1]];
+      viz.folding = { view: null, statesOf: id => statesOf[id] };
+
+      const result = viz.calculateExecutionHighlights({
+        visitedStates: [0, 1, 2],
+        visitedEdges: ['0-1', '1-2', '2-3'],
+        visitedEpsilonEdges: ['2-0'],
+        finalStates: [2],
+      });
+
+      assert.deepStrictEqual([...result.visitedStates], [0, 1]);
+      assert.deepStrictEqual([...result.visitedEdges], ['0-1', '1-0', '0-0']);
+      assert.deepStrictEqual([...result.visitedEpsilonEdges], ['0-0']);
+      assert.deepStrictEqual([...result.finalStates], [0]);
+      assert.deepStrictEqual(viz.canonicalsOf(3), [0, 1]);
+    });
+  });
+});
+
+describe('NFAVisualizer components', () => {
+  // q0 -a-> q1 <-a/b-> q2 -b-> q3, where q1 and q2 form a component.
+  const createView = () => {
+    const nfa = new NFA(['a', 'b']);
+    for (let i = 0; i < 4; i++) nfa.addState();
+    nfa.addStart(0);
+    nfa.addAccept(3);
+    nfa.addTransition(0, 1, 0);
+    nfa.addTransition(1, 2, 0);
+    nfa.addTransition(2, 1, 1);
+    nfa.addTransition(2, 3, 1);
+    nfa.addTransition(0, 2, 1);
+    return NFAView.fromNFA(nfa);
+  };
+
+  const createVisualizer = (mode) => {
+    const viz = new NFAVisualizer(null);
+    viz.view = createView();
+    viz.componentDisplay = mode;
+    return viz;
+  };
+
+  const byId = (elements) => new Map(elements.map(el => [el.data.id, el]));
+
+  test('colors the states of a component', () => {
+    const elements = byId(createVisualizer(COMPONENT_DISPLAY.COLORED).buildElements());
+
+    assert(elements.get('s1').classes.split(' ').includes('scc'));
+    assert.strictEqual(elements.get('s1').data.componentColor, elements.get('s2').data.componentColor);
+    assert(!elements.get('s0').classes.split(' ').includes('scc'));
+    assert.strictEqual(elements.get('s3').data.componentColor, undefined);
+  });
+
+  test('condenses a component into one node', () => {
+    const viz = createVisualizer(COMPONENT_DISPLAY.CONDENSED);
+    const elements = byId(viz.buildElements());
+
+    assert(!elements.has('s1') && !elements.has('s2'));
+    const node = elements.get('scc1');
+    assert.strictEqual(node.data.label, '2 states');
+    assert.strictEqual(node.classes, 'scc-node');
+
+    // Edges into the component are joined; edges within it are dropped.
+    const edges = [...elements.values()].filter(el => el.data.source);
+    assert.deepStrictEqual(edges.map(el => [el.data.id, el.data.label]), [
+      ['es0-scc1', 'ab'],
+      ['escc1-s3', 'b'],
+    ]);
+    assert.strictEqual(viz.nodeIdOf(2), 'scc1');
+    assert.strictEqual(viz.edgeIdOf('e', 2, 3), 'escc1-s3');
+    assert.strictEqual(viz.edgeIdOf('e', 0, 0), 'e0-0');
+  });
+
+  test('draws an expanded component around its states', () => {
+    const viz = createVisualizer(COMPONENT_DISPLAY.CONDENSED);
+    viz.expandedComponents.add(1);
+    const elements = byId(viz.buildElements());
+
+    assert.strictEqual(elements.get('scc1').classes, 'scc-group');
+    assert.strictEqual(elements.get('s1').data.parent, 'scc1');
+    assert.strictEqual(elements.get('s2').data.parent, 'scc1');
+    assert.strictEqual(elements.get('s3').data.parent, undefined);
+    assert(elements.has('e1-2') && elements.has('e2-1') && elements.has('e0-2'));
+    assert.strictEqual(viz.nodeIdOf(2), 's2');
+  });
+});
+
+describe('NFAVisualizer trap states', () => {
+  // q0 -a-> q1 (accept), completed with a trap for the missing transitions.
+  const createView = () => {
+    const nfa = new NFA(['a', 'b']);
+    nfa.addState();
+    nfa.addState();
+    nfa.addStart(0);
+    nfa.addAccept(1);
+    nfa.addTransition(0, 1, 0);
+    return NFAView.fromNFA(nfa).withSinkCompletion();
+  };
+
+  test('hides trap states and their edges when asked', () => {
+    const viz = new NFAVisualizer(null);
+    viz.view = createView();
+
+    const shown = viz.buildElements();
+    assert(shown.some(el => el.data.id === 'e0-2'));
+
+    viz.showTrapStates = false;
+    const hidden = viz.buildElements();
+    const trap = hidden.find(el => el.data.id === 's2');
+    assert(trap.classes.split(' ').includes('hidden'));
+    assert.deepStrictEqual(hidden.filter(el => el.data.source).map(el => el.data.id), ['e0-1']);
+  });
+});
+
+describe('NFAVisualizer transducers', () => {
+  test('labels edges with outputs and states with Moore outputs', () => {
+    const nfa = new NFA(['a', 'b']);
+    nfa.addState();
+    nfa.addState();
+    nfa.addStart(0);
+    nfa.addAccept(1);
+    nfa.addTransition(0, 1, 0);
+    nfa.addTransition(0, 1, 1);
+    nfa.addTransitionOutput(0, 1, 0, 'x');
+    nfa.setStateOutput(1, 'done');
+
+    const viz = new NFAVisualizer(null);
+    viz.view = NFAView.fromNFA(nfa);
+    const elements = viz.buildElements();
+    assert.strictEqual(elements.find(el => el.data.id === 'e0-1').data.label, 'a/x, b');
+    assert.strictEqual(elements.find(el => el.data.id === 's1').data.label, '1/done');
+  });
+
+  test('labels epsilon edges with their outputs', () => {
+    const nfa = new NFA(['a']);
+    for (let i = 0; i < 3; i++) nfa.addState();
+    nfa.addEpsilonTransition(0, 1);
+    nfa.addEpsilonTransition(1, 2);
+    nfa.addEpsilonOutput(0, 1, 'pop $');
+    nfa.addEpsilonOutput(0, 1, '');
+
+    const viz = new NFAVisualizer(null);
+    viz.view = NFAView.fromNFA(nfa);
+    const labels = new Map(viz.buildElements().map(el => [el.data.id, el.data.label]));
+    assert.strictEqual(labels.get('eps0-1'), 'ε/ε|pop $');
+    assert.strictEqual(labels.get('eps1-2'), 'ε');
   });
 });